@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+/**
+ * @title ICurveGauge
+ *
+ * @dev Interface of the Curve liquidity gauge contracts.
+ */
+interface ICurveGauge {
+    function integrate_fraction(address account) external view returns (uint256);
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+/**
+ * @title ICurveMinter
+ *
+ * @dev Interface of the Curve Minter contract, which mints CRV to the accounts of liquidity gauges.
+ */
+interface ICurveMinter {
+    function token() external view returns (address);
+
+    function minted(address account, address gauge) external view returns (uint256);
+
+    function mint(address gauge) external;
+}
@@ -4,10 +4,16 @@
 
 pragma solidity ^0.8.0;
 
+// ==================== External Imports ====================
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
 /**
  * @title IStakingRewards
  */
 interface IStakingRewards {
+    function rewardsToken() external view returns (IERC20);
+
     function balanceOf(address account) external view returns (uint256);
 
     function earned(address account) external view returns (uint256);
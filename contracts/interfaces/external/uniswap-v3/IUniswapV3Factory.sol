@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: GPL-2.0-or-later
+
+// Copy from https://github.com/Uniswap/v3-core/blob/main/contracts/interfaces/IUniswapV3Factory.sol under terms of GPL-2.0-or-later with slight modifications
+
+pragma solidity ^0.8.0;
+
+/// @title The interface for the Uniswap V3 Factory
+/// @notice The subset of IUniswapV3Factory used by oracles
+interface IUniswapV3Factory {
+    /// @notice Returns the pool address for a given pair of tokens and a fee, or address 0 if it does not exist
+    /// @dev tokenA and tokenB may be passed in either token0/token1 or token1/token0 order
+    /// @param tokenA The contract address of either token0 or token1
+    /// @param tokenB The contract address of the other token
+    /// @param fee The fee collected upon every swap in the pool, denominated in hundredths of a bip
+    /// @return pool The pool address
+    function getPool(
+        address tokenA,
+        address tokenB,
+        uint24 fee
+    ) external view returns (address pool);
+}
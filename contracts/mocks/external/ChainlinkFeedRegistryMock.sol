@@ -17,6 +17,14 @@ contract ChainlinkFeedRegistryMock {
 
     // ==================== External functions ====================
 
+    function getFeed(address base, address quote) external view returns (ChainlinkPriceFeedMock) {
+        ChainlinkPriceFeedMock priceFeed = _priceFeeds[base][quote];
+
+        require(address(priceFeed) != address(0), "Feed not found");
+
+        return priceFeed;
+    }
+
     function decimals(address base, address quote) external view returns (uint8) {
         ChainlinkPriceFeedMock priceFeed = _priceFeeds[base][quote];
 
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+/**
+ * @title CurveGaugeMock
+ *
+ * @dev Mocks the CRV accounting of a Curve liquidity gauge, the CRV owed to each account is set directly.
+ */
+contract CurveGaugeMock {
+    mapping(address => uint256) public integrate_fraction;
+
+    function setIntegrateFraction(address account, uint256 amount) external {
+        integrate_fraction[account] = amount;
+    }
+}
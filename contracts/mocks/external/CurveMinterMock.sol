@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// ==================== Internal Imports ====================
+
+import { ICurveGauge } from "../../interfaces/external/curve/ICurveGauge.sol";
+import { IGaugeController } from "../../interfaces/external/curve/IGaugeController.sol";
+
+/**
+ * @title CurveMinterMock
+ *
+ * @dev Mocks similar behaviour of the Curve Minter contract, CRV is transferred from the balance of the mock.
+ */
+contract CurveMinterMock {
+    using SafeERC20 for IERC20;
+
+    address public token;
+    address public controller;
+
+    mapping(address => mapping(address => uint256)) public minted;
+
+    constructor(address token_, address controller_) {
+        token = token_;
+        controller = controller_;
+    }
+
+    function mint(address gauge) external {
+        IGaugeController(controller).gauge_types(gauge);
+
+        uint256 totalMint = ICurveGauge(gauge).integrate_fraction(msg.sender);
+        uint256 toMint = totalMint - minted[msg.sender][gauge];
+
+        if (toMint != 0) {
+            minted[msg.sender][gauge] = totalMint;
+            IERC20(token).safeTransfer(msg.sender, toMint);
+        }
+    }
+}
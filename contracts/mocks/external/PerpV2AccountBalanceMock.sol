@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== Internal Imports ====================
+
+import { PreciseUnitMath } from "../../lib/PreciseUnitMath.sol";
+import { AddressArrayUtil } from "../../lib/AddressArrayUtil.sol";
+
+/**
+ * @title PerpV2AccountBalanceMock
+ *
+ * @dev Mocks the Perp V2 AccountBalance, which keeps the base and quote balances of traders. Positions are valued at mark prices
+ * set by tests, and the quote balance of a position is realized as owed pnl only when the position is closed.
+ */
+contract PerpV2AccountBalanceMock {
+    using PreciseUnitMath for int256;
+    using AddressArrayUtil for address[];
+
+    // ==================== Variables ====================
+
+    mapping(address => uint256) internal _markPrices;
+    mapping(address => address[]) internal _baseTokens;
+    mapping(address => mapping(address => int256)) internal _bases;
+    mapping(address => mapping(address => int256)) internal _quotes;
+    mapping(address => int256) internal _owedRealizedPnls;
+
+    // ==================== External functions ====================
+
+    function setMarkPrice(address baseToken, uint256 price) external {
+        _markPrices[baseToken] = price;
+    }
+
+    function getMarkPrice(address baseToken) external view returns (uint256) {
+        return _markPrices[baseToken];
+    }
+
+    function modifyPosition(
+        address trader,
+        address baseToken,
+        int256 deltaBase,
+        int256 deltaQuote
+    ) external {
+        int256 base = _bases[trader][baseToken] + deltaBase;
+        int256 quote = _quotes[trader][baseToken] + deltaQuote;
+
+        if (base == 0) {
+            _owedRealizedPnls[trader] += quote;
+            quote = 0;
+
+            if (_baseTokens[trader].contain(baseToken)) {
+                _baseTokens[trader].removeItem(baseToken);
+            }
+        } else if (!_baseTokens[trader].contain(baseToken)) {
+            _baseTokens[trader].push(baseToken);
+        }
+
+        _bases[trader][baseToken] = base;
+        _quotes[trader][baseToken] = quote;
+    }
+
+    function addOwedRealizedPnl(address trader, int256 amount) external {
+        _owedRealizedPnls[trader] += amount;
+    }
+
+    function settleOwedRealizedPnl(address trader) external returns (int256 owedRealizedPnl) {
+        owedRealizedPnl = _owedRealizedPnls[trader];
+        _owedRealizedPnls[trader] = 0;
+    }
+
+    function getBaseTokens(address trader) external view returns (address[] memory) {
+        return _baseTokens[trader];
+    }
+
+    function getBase(address trader, address baseToken) external view returns (int256) {
+        return _bases[trader][baseToken];
+    }
+
+    function getQuote(address trader, address baseToken) external view returns (int256) {
+        return _quotes[trader][baseToken];
+    }
+
+    function getPositionSize(address trader, address baseToken) external view returns (int256) {
+        return _bases[trader][baseToken];
+    }
+
+    function getPositionValue(address trader, address baseToken) public view returns (int256) {
+        return _bases[trader][baseToken].preciseMul(int256(_markPrices[baseToken]));
+    }
+
+    function getPnlAndPendingFee(address trader)
+        external
+        view
+        returns (
+            int256 owedRealizedPnl,
+            int256 unrealizedPnl,
+            uint256 pendingFee
+        )
+    {
+        address[] memory baseTokens = _baseTokens[trader];
+        for (uint256 i = 0; i < baseTokens.length; i++) {
+            unrealizedPnl += getPositionValue(trader, baseTokens[i]) + _quotes[trader][baseTokens[i]];
+        }
+
+        owedRealizedPnl = _owedRealizedPnls[trader];
+        pendingFee = 0;
+    }
+}
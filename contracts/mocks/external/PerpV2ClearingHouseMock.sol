@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== Internal Imports ====================
+
+import { PreciseUnitMath } from "../../lib/PreciseUnitMath.sol";
+import { UnitConversionUtil } from "../../lib/UnitConversionUtil.sol";
+
+import { IClearingHouse } from "../../interfaces/external/perp-v2/IClearingHouse.sol";
+
+import { PerpV2VaultMock } from "./PerpV2VaultMock.sol";
+import { PerpV2AccountBalanceMock } from "./PerpV2AccountBalanceMock.sol";
+
+/**
+ * @title PerpV2ClearingHouseMock
+ *
+ * @dev Mocks the Perp V2 ClearingHouse. Positions are opened at the mark price of PerpV2AccountBalanceMock without price impact,
+ * and the opposite amount bound is checked the way ClearingHouse checks it.
+ */
+contract PerpV2ClearingHouseMock {
+    using PreciseUnitMath for uint256;
+    using UnitConversionUtil for int256;
+
+    // ==================== Variables ====================
+
+    PerpV2VaultMock internal immutable _vault;
+    PerpV2AccountBalanceMock internal immutable _accountBalance;
+
+    // ==================== Constructor function ====================
+
+    constructor(PerpV2VaultMock vault, PerpV2AccountBalanceMock accountBalance) {
+        _vault = vault;
+        _accountBalance = accountBalance;
+    }
+
+    // ==================== External functions ====================
+
+    function openPosition(IClearingHouse.OpenPositionParams memory params) external returns (uint256 deltaBase, uint256 deltaQuote) {
+        require(block.timestamp <= params.deadline, "transaction too old");
+
+        uint256 price = _accountBalance.getMarkPrice(params.baseToken);
+        require(price > 0, "no mark price");
+
+        if (params.isBaseToQuote) {
+            if (params.isExactInput) {
+                deltaBase = params.amount;
+                deltaQuote = deltaBase.preciseMul(price);
+                require(deltaQuote >= params.oppositeAmountBound, "too little quote received");
+            } else {
+                deltaQuote = params.amount;
+                deltaBase = deltaQuote.preciseDivCeil(price);
+                require(deltaBase <= params.oppositeAmountBound, "too much base paid");
+            }
+
+            _accountBalance.modifyPosition(msg.sender, params.baseToken, -int256(deltaBase), int256(deltaQuote));
+        } else {
+            if (params.isExactInput) {
+                deltaQuote = params.amount;
+                deltaBase = deltaQuote.preciseDiv(price);
+                require(deltaBase >= params.oppositeAmountBound, "too little base received");
+            } else {
+                deltaBase = params.amount;
+                deltaQuote = deltaBase.preciseMulCeil(price);
+                require(deltaQuote <= params.oppositeAmountBound, "too much quote paid");
+            }
+
+            _accountBalance.modifyPosition(msg.sender, params.baseToken, int256(deltaBase), -int256(deltaQuote));
+        }
+    }
+
+    function getAccountValue(address trader) external view returns (int256) {
+        (int256 owedRealizedPnl, int256 unrealizedPnl, uint256 pendingFee) = _accountBalance.getPnlAndPendingFee(trader);
+        int256 collateral = _vault.getBalance(trader).toPreciseUnitsFromDecimals(_vault.decimals());
+
+        return collateral + owedRealizedPnl + unrealizedPnl + int256(pendingFee);
+    }
+
+    function getVault() external view returns (address) {
+        return address(_vault);
+    }
+
+    function getAccountBalance() external view returns (address) {
+        return address(_accountBalance);
+    }
+}
@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+// ==================== Internal Imports ====================
+
+import { UnitConversionUtil } from "../../lib/UnitConversionUtil.sol";
+
+import { PerpV2AccountBalanceMock } from "./PerpV2AccountBalanceMock.sol";
+
+/**
+ * @title PerpV2VaultMock
+ *
+ * @dev Mocks the Perp V2 Vault, which keeps the settlement token collateral of traders in settlement token decimals.
+ * Owed realized pnl is settled into the collateral balance on withdraw, so the vault must hold enough tokens to pay profits.
+ */
+contract PerpV2VaultMock {
+    using SafeERC20 for IERC20;
+    using UnitConversionUtil for int256;
+
+    // ==================== Variables ====================
+
+    address internal immutable _settlementToken;
+    address internal immutable _accountBalance;
+    uint8 internal immutable _decimals;
+
+    address internal _clearingHouse;
+    mapping(address => int256) internal _balances;
+
+    // ==================== Constructor function ====================
+
+    constructor(address settlementToken, address accountBalance) {
+        _settlementToken = settlementToken;
+        _accountBalance = accountBalance;
+        _decimals = IERC20Metadata(settlementToken).decimals();
+    }
+
+    // ==================== External functions ====================
+
+    function setClearingHouse(address clearingHouse) external {
+        _clearingHouse = clearingHouse;
+    }
+
+    function deposit(address token, uint256 amount) external {
+        require(token == _settlementToken, "only settlement token");
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        _balances[msg.sender] += int256(amount);
+    }
+
+    function withdraw(address token, uint256 amount) external {
+        require(token == _settlementToken, "only settlement token");
+
+        int256 owedRealizedPnl = PerpV2AccountBalanceMock(_accountBalance).settleOwedRealizedPnl(msg.sender);
+        _balances[msg.sender] += owedRealizedPnl.fromPreciseUnitToDecimals(_decimals);
+        require(_balances[msg.sender] >= int256(amount), "not enough collateral");
+
+        _balances[msg.sender] -= int256(amount);
+        IERC20(token).safeTransfer(msg.sender, amount);
+    }
+
+    function getBalance(address trader) external view returns (int256) {
+        return _balances[trader];
+    }
+
+    function getFreeCollateral(address trader) external view returns (uint256) {
+        return _balances[trader] > 0 ? uint256(_balances[trader]) : 0;
+    }
+
+    function decimals() external view returns (uint8) {
+        return _decimals;
+    }
+
+    function getSettlementToken() external view returns (address) {
+        return _settlementToken;
+    }
+
+    function getAccountBalance() external view returns (address) {
+        return _accountBalance;
+    }
+
+    function getClearingHouse() external view returns (address) {
+        return _clearingHouse;
+    }
+}
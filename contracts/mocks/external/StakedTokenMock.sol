@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title StakedTokenMock
+ *
+ * @dev Mocks the staking of stkAAVE, which StakedTokenIncentivesController pays rewards in. Staked tokens are minted 1:1.
+ */
+contract StakedTokenMock is ERC20 {
+    using SafeERC20 for IERC20;
+
+    // ==================== Variables ====================
+
+    address public immutable STAKED_TOKEN;
+
+    // ==================== Constructor function ====================
+
+    constructor(address stakedToken) ERC20("Staked Token Mock", "stkMOCK") {
+        STAKED_TOKEN = stakedToken;
+    }
+
+    // ==================== External functions ====================
+
+    function stake(address to, uint256 amount) external {
+        IERC20(STAKED_TOKEN).safeTransferFrom(msg.sender, address(this), amount);
+        _mint(to, amount);
+    }
+
+    function redeem(address to, uint256 amount) external {
+        _burn(msg.sender, amount);
+        IERC20(STAKED_TOKEN).safeTransfer(to, amount);
+    }
+}
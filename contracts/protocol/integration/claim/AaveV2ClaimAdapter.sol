@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// ==================== Internal Imports ====================
+
+import { IMatrixToken } from "../../../interfaces/IMatrixToken.sol";
+import { IAaveIncentivesController2 } from "../../../interfaces/external/aave-v2/IAaveIncentivesController2.sol";
+
+/**
+ * @title AaveV2ClaimAdapter
+ *
+ * @dev Claim adapter for the Aave V2 incentives controller, which is the reward pool. Rewards are claimed for the components
+ * of the MatrixToken configured in the incentives controller, such as aTokens, and paid in its REWARD_TOKEN.
+ */
+contract AaveV2ClaimAdapter {
+    // ==================== External functions ====================
+
+    /**
+     * @dev Generates the calldata to claim all rewards of the MatrixToken from the incentives controller.
+     *
+     * @param matrixToken    Address of MatrixToken
+     * @param rewardPool     Address of the incentives controller
+     *
+     * @return subject       Address of the incentives controller
+     * @return value         Call value
+     * @return callData      claimRewards() calldata
+     */
+    function getClaimCallData(IMatrixToken matrixToken, address rewardPool)
+        external
+        view
+        returns (
+            address subject,
+            uint256 value,
+            bytes memory callData
+        )
+    {
+        address[] memory assets = getRewardAssets(matrixToken, rewardPool);
+
+        subject = rewardPool;
+        value = 0;
+        callData = abi.encodeWithSelector(IAaveIncentivesController2.claimRewards.selector, assets, type(uint256).max, address(matrixToken));
+    }
+
+    /**
+     * @dev Returns the rewards of the MatrixToken which are accrued but not claimed.
+     *
+     * @param matrixToken    Address of MatrixToken
+     * @param rewardPool     Address of the incentives controller
+     */
+    function getRewardsAmount(IMatrixToken matrixToken, address rewardPool) external view returns (uint256) {
+        return IAaveIncentivesController2(rewardPool).getRewardsBalance(getRewardAssets(matrixToken, rewardPool), address(matrixToken));
+    }
+
+    /**
+     * @dev Returns the reward token of the incentives controller, stkAAVE on mainnet.
+     *
+     * @param rewardPool    Address of the incentives controller
+     */
+    function getTokenAddress(address rewardPool) external view returns (IERC20) {
+        return IERC20(IAaveIncentivesController2(rewardPool).REWARD_TOKEN());
+    }
+
+    // ==================== Public functions ====================
+
+    /**
+     * @dev Returns the components of the MatrixToken which are configured in the incentives controller.
+     *
+     * @param matrixToken    Address of MatrixToken
+     * @param rewardPool     Address of the incentives controller
+     */
+    function getRewardAssets(IMatrixToken matrixToken, address rewardPool) public view returns (address[] memory assets) {
+        address[] memory components = matrixToken.getComponents();
+        bool[] memory isConfigured = new bool[](components.length);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < components.length; i++) {
+            (, , uint256 lastUpdateTimestamp) = IAaveIncentivesController2(rewardPool).getAssetData(components[i]);
+
+            if (lastUpdateTimestamp != 0) {
+                isConfigured[i] = true;
+                count++;
+            }
+        }
+
+        assets = new address[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < components.length; i++) {
+            if (isConfigured[i]) {
+                assets[j++] = components[i];
+            }
+        }
+    }
+}
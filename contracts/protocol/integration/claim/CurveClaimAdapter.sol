@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// ==================== Internal Imports ====================
+
+import { IMatrixToken } from "../../../interfaces/IMatrixToken.sol";
+import { ICurveGauge } from "../../../interfaces/external/curve/ICurveGauge.sol";
+import { ICurveMinter } from "../../../interfaces/external/curve/ICurveMinter.sol";
+import { IGaugeController } from "../../../interfaces/external/curve/IGaugeController.sol";
+
+/**
+ * @title CurveClaimAdapter
+ *
+ * @dev Claim adapter for Curve liquidity gauges, which are the reward pools. CRV is minted by the Curve Minter.
+ */
+contract CurveClaimAdapter {
+    // ==================== Variables ====================
+
+    IGaugeController internal immutable _gaugeController;
+    ICurveMinter internal immutable _minter;
+
+    // ==================== Constructor function ====================
+
+    constructor(IGaugeController gaugeController, ICurveMinter minter) {
+        _gaugeController = gaugeController;
+        _minter = minter;
+    }
+
+    // ==================== External functions ====================
+
+    function getGaugeController() external view returns (address) {
+        return address(_gaugeController);
+    }
+
+    function getMinter() external view returns (address) {
+        return address(_minter);
+    }
+
+    /**
+     * @dev Generates the calldata to mint the CRV of the MatrixToken in the gauge.
+     *
+     * @param rewardPool    Address of the gauge
+     *
+     * @return subject      Address of the Curve Minter
+     * @return value        Call value
+     * @return callData     mint(address) calldata
+     */
+    function getClaimCallData(
+        IMatrixToken, /* matrixToken */
+        address rewardPool
+    )
+        external
+        view
+        returns (
+            address subject,
+            uint256 value,
+            bytes memory callData
+        )
+    {
+        require(_isValidGauge(rewardPool), "CCA0"); // "Invalid gauge"
+
+        subject = address(_minter);
+        value = 0;
+        callData = abi.encodeWithSelector(ICurveMinter.mint.selector, rewardPool);
+    }
+
+    /**
+     * @dev Returns the CRV of the MatrixToken which is not minted, as of the last checkpoint of the MatrixToken in the gauge.
+     *
+     * @param matrixToken    Address of MatrixToken
+     * @param rewardPool     Address of the gauge
+     */
+    function getRewardsAmount(IMatrixToken matrixToken, address rewardPool) external view returns (uint256) {
+        require(_isValidGauge(rewardPool), "CCA1"); // "Invalid gauge"
+
+        return ICurveGauge(rewardPool).integrate_fraction(address(matrixToken)) - _minter.minted(address(matrixToken), rewardPool);
+    }
+
+    /**
+     * @dev Returns CRV, the token minted by the Curve Minter.
+     */
+    function getTokenAddress(address /* rewardPool */) external view returns (IERC20) {
+        return IERC20(_minter.token());
+    }
+
+    // ==================== Internal functions ====================
+
+    /**
+     * @dev Validates that the gauge is registered in the gauge controller, gauge_types() reverts for other addresses.
+     */
+    function _isValidGauge(address gauge) internal view returns (bool) {
+        try _gaugeController.gauge_types(gauge) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
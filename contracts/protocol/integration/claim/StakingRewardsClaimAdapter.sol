@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// ==================== Internal Imports ====================
+
+import { IMatrixToken } from "../../../interfaces/IMatrixToken.sol";
+import { IStakingRewards } from "../../../interfaces/external/uniswap-v2/IStakingRewards.sol";
+
+/**
+ * @title StakingRewardsClaimAdapter
+ *
+ * @dev Claim adapter for Synthetix-like StakingRewards contracts, such as the liquidity mining pools of Uniswap V2.
+ */
+contract StakingRewardsClaimAdapter {
+    // ==================== External functions ====================
+
+    /**
+     * @dev Generates the calldata to claim the rewards of the MatrixToken from the StakingRewards contract.
+     *
+     * @param rewardPool    Address of the StakingRewards contract
+     *
+     * @return subject      Address of the StakingRewards contract
+     * @return value        Call value
+     * @return callData     getReward() calldata
+     */
+    function getClaimCallData(
+        IMatrixToken, /* matrixToken */
+        address rewardPool
+    )
+        external
+        pure
+        returns (
+            address subject,
+            uint256 value,
+            bytes memory callData
+        )
+    {
+        subject = rewardPool;
+        value = 0;
+        callData = abi.encodeWithSelector(IStakingRewards.getReward.selector);
+    }
+
+    /**
+     * @dev Returns the rewards earned by the MatrixToken.
+     *
+     * @param matrixToken    Address of MatrixToken
+     * @param rewardPool     Address of the StakingRewards contract
+     */
+    function getRewardsAmount(IMatrixToken matrixToken, address rewardPool) external view returns (uint256) {
+        return IStakingRewards(rewardPool).earned(address(matrixToken));
+    }
+
+    /**
+     * @dev Returns the reward token of the StakingRewards contract.
+     *
+     * @param rewardPool    Address of the StakingRewards contract
+     */
+    function getTokenAddress(address rewardPool) external view returns (IERC20) {
+        return IStakingRewards(rewardPool).rewardsToken();
+    }
+}
@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import { AccessControlEnumerable } from "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+
+// ==================== Internal Imports ====================
+
+import { TickMath } from "../../../external/uniswap-v3/lib/TickMath.sol";
+
+import { PreciseUnitMath } from "../../../lib/PreciseUnitMath.sol";
+import { AddressArrayUtil } from "../../../lib/AddressArrayUtil.sol";
+
+import { IPriceOracle } from "../../../interfaces/IPriceOracle.sol";
+import { IOracleAdapter } from "../../../interfaces/IOracleAdapter.sol";
+import { IUniswapV3Pool } from "../../../interfaces/external/uniswap-v3/IUniswapV3Pool.sol";
+import { IUniswapV3Factory } from "../../../interfaces/external/uniswap-v3/IUniswapV3Factory.sol";
+
+/**
+ * @title UniswapV3TwapOracleAdapter
+ * @author Matrix
+ *
+ * @dev UniswapV3TwapOracleAdapter returns the time-weighted average price of an asset in the other token of its Uniswap V3 pool,
+ * the quote asset, and prices against other assets through PriceOracle from the quote asset. No price is found when the pool
+ * has less harmonic mean liquidity than the minimum in the observation window, or does not store observations for the whole
+ * window, see IUniswapV3Pool.increaseObservationCardinalityNext. Only pools created by the Uniswap V3 factory can be added.
+ */
+contract UniswapV3TwapOracleAdapter is AccessControlEnumerable, IOracleAdapter {
+    using PreciseUnitMath for uint256;
+    using AddressArrayUtil for address[];
+
+    // ==================== Constants ====================
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // ==================== Structs ====================
+
+    struct AssetSetting {
+        address pool; // Uniswap V3 pool of the asset and the quote asset
+        address quote; // The other token of the pool
+        uint32 twapPeriod; // Seconds of the observation window which ends at the current block
+        uint128 minLiquidity; // Minimum harmonic mean liquidity of the pool in the observation window
+        uint256 assetBaseUnit; // Asset base unit. E.g. ETH is 1e18, USDC is 1e6
+        uint256 quoteBaseUnit; // Quote asset base unit
+    }
+
+    // ==================== Variables ====================
+
+    IPriceOracle internal immutable _priceOracle;
+
+    IUniswapV3Factory internal immutable _factory;
+
+    address[] internal _assets;
+
+    // asset => AssetSetting
+    mapping(address => AssetSetting) internal _assetSettings;
+
+    // ==================== Constructor function ====================
+
+    /**
+     * @param priceOracle    Instance of PriceOracle contract
+     * @param factory        Uniswap V3 factory which creates the pools of the assets
+     */
+    constructor(IPriceOracle priceOracle, IUniswapV3Factory factory) {
+        require(address(factory) != address(0), "UcTOA7"); // "factory is zero address"
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        _grantRole(ADMIN_ROLE, _msgSender());
+
+        _priceOracle = priceOracle;
+        _factory = factory;
+    }
+
+    // ==================== Modifier functions ====================
+
+    modifier onlyAdmin() {
+        _onlyAdmin();
+        _;
+    }
+
+    // ==================== External functions ====================
+
+    function getPriceOracle() external view returns (IPriceOracle) {
+        return _priceOracle;
+    }
+
+    function getFactory() external view returns (IUniswapV3Factory) {
+        return _factory;
+    }
+
+    function getAssets() external view returns (address[] memory) {
+        return _assets;
+    }
+
+    function getAssetSetting(address asset) external view returns (AssetSetting memory) {
+        return _assetSettings[asset];
+    }
+
+    /**
+     * @dev PriceOracle ensures asset1 and asset2 are not zero addresses before call this function
+     */
+    function getPrice(address asset1, address asset2) external view returns (bool found, uint256 price) {
+        if (_assetSettings[asset1].pool != address(0)) {
+            try this.getPriceByAsset(asset1, asset2) returns (uint256 price_) {
+                return (true, price_);
+            } catch {}
+        }
+
+        if (_assetSettings[asset2].pool != address(0)) {
+            try this.getPriceByAsset(asset2, asset1) returns (uint256 price_) {
+                return (true, PreciseUnitMath.preciseUnit().preciseDiv(price_));
+            } catch {}
+        }
+    }
+
+    /**
+     * @dev Price of the asset in quote, this function will revert if the price of the quote asset of the asset in quote not exist.
+     */
+    function getPriceByAsset(address asset, address quote) external view returns (uint256) {
+        uint256 twapPrice = getTwapPrice(asset);
+        address assetQuote = _assetSettings[asset].quote;
+
+        return (assetQuote == quote) ? twapPrice : twapPrice.preciseMul(_priceOracle.getPrice(assetQuote, quote));
+    }
+
+    function addAsset(
+        address asset,
+        address pool,
+        uint32 twapPeriod,
+        uint128 minLiquidity
+    ) external onlyAdmin {
+        require(_assetSettings[asset].pool == address(0), "UcTOA0"); // "asset is already exist"
+        require(twapPeriod > 0, "UcTOA1"); // "TWAP period is zero"
+
+        address token0 = IUniswapV3Pool(pool).token0();
+        address token1 = IUniswapV3Pool(pool).token1();
+        require(asset == token0 || asset == token1, "UcTOA2"); // "asset is not a token of pool"
+
+        // a contract which only looks like a pool can not be registered in the factory
+        require(_factory.getPool(token0, token1, IUniswapV3Pool(pool).fee()) == pool, "UcTOA8"); // "pool is not created by factory"
+
+        address quote = (asset == token0) ? token1 : token0;
+        require(_assetSettings[quote].quote != asset, "UcTOA3"); // Prevent infinite loops when call getPrice
+
+        AssetSetting memory setting;
+        setting.pool = pool;
+        setting.quote = quote;
+        setting.twapPeriod = twapPeriod;
+        setting.minLiquidity = minLiquidity;
+
+        uint256 assetDecimals = ERC20(asset).decimals();
+        setting.assetBaseUnit = 10**assetDecimals;
+
+        uint256 quoteDecimals = ERC20(quote).decimals();
+        setting.quoteBaseUnit = 10**quoteDecimals;
+
+        _assets.push(asset);
+        _assetSettings[asset] = setting;
+    }
+
+    function editAsset(
+        address asset,
+        uint32 twapPeriod,
+        uint128 minLiquidity
+    ) external onlyAdmin {
+        require(_assetSettings[asset].pool != address(0), "UcTOA4"); // "asset does not exist"
+        require(twapPeriod > 0, "UcTOA1"); // "TWAP period is zero"
+
+        _assetSettings[asset].twapPeriod = twapPeriod;
+        _assetSettings[asset].minLiquidity = minLiquidity;
+    }
+
+    function removeAsset(address asset) external onlyAdmin {
+        require(_assetSettings[asset].pool != address(0), "UcTOA4"); // "asset does not exist"
+
+        _assets.quickRemoveItem(asset);
+        delete _assetSettings[asset];
+    }
+
+    // ==================== Public functions ====================
+
+    /**
+     * @dev Time-weighted average price of one asset in its quote asset, in precise units.
+     * This function will revert if the pool has less liquidity than the minimum or no observation at the start of the window.
+     */
+    function getTwapPrice(address asset) public view returns (uint256) {
+        AssetSetting memory setting = _assetSettings[asset];
+        require(setting.pool != address(0), "UcTOA4"); // "asset does not exist"
+
+        (int24 arithmeticMeanTick, uint128 harmonicMeanLiquidity) = _consult(setting.pool, setting.twapPeriod);
+        require(harmonicMeanLiquidity >= setting.minLiquidity, "UcTOA5"); // "pool liquidity is too low"
+
+        uint256 quoteAmount = _getQuoteAtTick(arithmeticMeanTick, setting.assetBaseUnit, asset, setting.quote);
+
+        return quoteAmount.preciseDiv(setting.quoteBaseUnit);
+    }
+
+    // ==================== Internal functions ====================
+
+    /**
+     * @dev Same as OracleLibrary.consult of Uniswap V3 periphery.
+     */
+    function _consult(address pool, uint32 twapPeriod) internal view returns (int24 arithmeticMeanTick, uint128 harmonicMeanLiquidity) {
+        uint32[] memory secondsAgos = new uint32[](2);
+        secondsAgos[0] = twapPeriod;
+        secondsAgos[1] = 0;
+
+        (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s) = IUniswapV3Pool(pool).observe(secondsAgos);
+
+        int56 tickCumulativesDelta = tickCumulatives[1] - tickCumulatives[0];
+        arithmeticMeanTick = int24(tickCumulativesDelta / int56(uint56(twapPeriod)));
+
+        // Always round to negative infinity
+        if (tickCumulativesDelta < 0 && (tickCumulativesDelta % int56(uint56(twapPeriod)) != 0)) {
+            arithmeticMeanTick--;
+        }
+
+        unchecked {
+            // the cumulative seconds per liquidity may overflow, the difference of them is still right
+            uint160 secondsPerLiquidityCumulativesDelta = secondsPerLiquidityCumulativeX128s[1] - secondsPerLiquidityCumulativeX128s[0];
+            uint192 secondsAgoX160 = uint192(twapPeriod) * type(uint160).max;
+            harmonicMeanLiquidity = uint128(secondsAgoX160 / (uint192(secondsPerLiquidityCumulativesDelta) << 32));
+        }
+    }
+
+    /**
+     * @dev Same as OracleLibrary.getQuoteAtTick of Uniswap V3 periphery.
+     */
+    function _getQuoteAtTick(
+        int24 tick,
+        uint256 baseAmount,
+        address baseToken,
+        address quoteToken
+    ) internal pure returns (uint256 quoteAmount) {
+        uint160 sqrtRatioX96 = TickMath.getSqrtRatioAtTick(tick);
+
+        // Calculate quoteAmount with better precision if it doesn't overflow when multiplied by itself
+        if (sqrtRatioX96 <= type(uint128).max) {
+            uint256 ratioX192 = uint256(sqrtRatioX96) * sqrtRatioX96;
+            quoteAmount = (baseToken < quoteToken) ? Math.mulDiv(ratioX192, baseAmount, 1 << 192) : Math.mulDiv(1 << 192, baseAmount, ratioX192);
+        } else {
+            uint256 ratioX128 = Math.mulDiv(sqrtRatioX96, sqrtRatioX96, 1 << 64);
+            quoteAmount = (baseToken < quoteToken) ? Math.mulDiv(ratioX128, baseAmount, 1 << 128) : Math.mulDiv(1 << 128, baseAmount, ratioX128);
+        }
+    }
+
+    // ==================== Private functions ====================
+
+    function _onlyAdmin() private view {
+        require(hasRole(ADMIN_ROLE, _msgSender()), "UcTOA6");
+    }
+}
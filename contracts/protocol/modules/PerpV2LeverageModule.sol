@@ -0,0 +1,538 @@
+// SPDX-License-Identifier: Apache-2.0
+
+pragma solidity ^0.8.0;
+
+// ==================== External Imports ====================
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeCast } from "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import { SignedMath } from "@openzeppelin/contracts/utils/math/SignedMath.sol";
+import { ReentrancyGuard } from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+
+// ==================== Internal Imports ====================
+
+import { PreciseUnitMath } from "../../lib/PreciseUnitMath.sol";
+import { UnitConversionUtil } from "../../lib/UnitConversionUtil.sol";
+
+import { ModuleBase } from "../lib/ModuleBase.sol";
+import { PositionUtil } from "../lib/PositionUtil.sol";
+
+import { PerpV2 } from "../integration/lib/PerpV2.sol";
+
+import { IVault } from "../../interfaces/external/perp-v2/IVault.sol";
+import { IClearingHouse } from "../../interfaces/external/perp-v2/IClearingHouse.sol";
+import { IAccountBalance } from "../../interfaces/external/perp-v2/IAccountBalance.sol";
+
+import { IController } from "../../interfaces/IController.sol";
+import { IMatrixToken } from "../../interfaces/IMatrixToken.sol";
+import { IDebtIssuanceModule } from "../../interfaces/IDebtIssuanceModule.sol";
+import { IModuleIssuanceHook } from "../../interfaces/IModuleIssuanceHook.sol";
+
+/**
+ * @title PerpV2LeverageModule
+ *
+ * @dev Smart contract that enables leverage and basis trading using Perpetual Protocol V2 virtual positions. The manager deposits
+ * the settlement token of the Perp vault as collateral and opens or closes virtual positions against it. The value of the Perp account,
+ * collateral plus realized and unrealized pnl, is tracked as an external position of the collateral token.
+ *
+ * @notice On issuance and redemption the virtual positions are traded pro-rata to the issued or redeemed quantity, and the issuer
+ * or redeemer bears the price impact of those trades. The external position unit is only an estimate between two actions,
+ * call sync to update it to the current account value.
+ */
+contract PerpV2LeverageModule is ModuleBase, ReentrancyGuard, IModuleIssuanceHook {
+    using SafeCast for int256;
+    using SafeCast for uint256;
+    using SignedMath for int256;
+    using PreciseUnitMath for int256;
+    using PreciseUnitMath for uint256;
+    using UnitConversionUtil for int256;
+    using UnitConversionUtil for uint256;
+    using PerpV2 for IMatrixToken;
+    using PositionUtil for IMatrixToken;
+
+    // ==================== Constants ====================
+
+    // String identifying the DebtIssuanceModule in the IntegrationRegistry.
+    // Note: Governance must add DefaultIssuanceModule as the string as the integration name
+    string internal constant DEFAULT_ISSUANCE_MODULE_NAME = "DEFAULT_ISSUANCE_MODULE";
+
+    // ==================== Structs ====================
+
+    struct PositionInfo {
+        address baseToken; // Virtual token minted by the Perp protocol
+        int256 baseBalance; // Base position quantity in 10**18 decimals. When negative, position is short
+        int256 quoteBalance; // vUSDC "debt" minted to open position. When positive, position is short
+    }
+
+    struct AccountInfo {
+        int256 collateralBalance; // Quantity of collateral deposited in Perp vault in 10**18 decimals
+        int256 owedRealizedPnl; // Realized pnl owed to the account in 10**18 decimals
+        int256 unrealizedPnl; // Unrealized pnl of all positions at mark prices in 10**18 decimals
+        uint256 pendingFee; // Pending maker fees in 10**18 decimals
+    }
+
+    // ==================== Variables ====================
+
+    // Perp vault, which holds the collateral of traders
+    IVault internal immutable _vault;
+
+    // Perp clearing house, which opens and closes positions
+    IClearingHouse internal immutable _clearingHouse;
+
+    // Perp account balance, which keeps the base and quote balances of positions
+    IAccountBalance internal immutable _accountBalance;
+
+    // Settlement token of the Perp vault, USDC
+    IERC20 internal immutable _collateralToken;
+
+    // Decimals of the collateral token
+    uint8 internal immutable _collateralDecimals;
+
+    // ==================== Events ====================
+
+    /**
+     * @param matrixToken    Instance of the MatrixToken
+     * @param baseToken      Virtual token traded
+     * @param deltaBase      Change in base position quantity, positive when bought
+     * @param deltaQuote     Change in quote balance, positive when base is sold
+     */
+    event TradePosition(IMatrixToken indexed matrixToken, address indexed baseToken, int256 deltaBase, int256 deltaQuote);
+
+    /**
+     * @param matrixToken        Instance of the MatrixToken
+     * @param collateralToken    Collateral token deposited
+     * @param amountNotional     Notional amount deposited in collateral decimals
+     */
+    event DepositCollateral(IMatrixToken indexed matrixToken, IERC20 indexed collateralToken, uint256 amountNotional);
+
+    /**
+     * @param matrixToken        Instance of the MatrixToken
+     * @param collateralToken    Collateral token withdrawn
+     * @param amountNotional     Notional amount withdrawn in collateral decimals
+     */
+    event WithdrawCollateral(IMatrixToken indexed matrixToken, IERC20 indexed collateralToken, uint256 amountNotional);
+
+    // ==================== Constructor function ====================
+
+    constructor(IController controller, IVault vault, string memory name) ModuleBase(controller, name) {
+        _vault = vault;
+        _clearingHouse = IClearingHouse(vault.getClearingHouse());
+        _accountBalance = IAccountBalance(vault.getAccountBalance());
+        _collateralToken = IERC20(vault.getSettlementToken());
+        _collateralDecimals = vault.decimals();
+    }
+
+    // ==================== External functions ====================
+
+    function getVault() external view returns (IVault) {
+        return _vault;
+    }
+
+    function getClearingHouse() external view returns (IClearingHouse) {
+        return _clearingHouse;
+    }
+
+    function getAccountBalance() external view returns (IAccountBalance) {
+        return _accountBalance;
+    }
+
+    function getCollateralToken() external view returns (IERC20) {
+        return _collateralToken;
+    }
+
+    /**
+     * @dev MANAGER ONLY: Trades a virtual position. Buys base when baseQuantityUnits is positive, sells base when it is negative.
+     * Buying is an exact output trade bounded by the max quote paid, selling is an exact input trade bounded by the min quote received.
+     *
+     * @param matrixToken                Instance of the MatrixToken
+     * @param baseToken                  Address of the virtual base token to trade
+     * @param baseQuantityUnits          Quantity of base to trade in position units
+     * @param quoteBoundQuantityUnits    Max quote paid when buying, min quote received when selling, in position units
+     */
+    function trade(
+        IMatrixToken matrixToken,
+        address baseToken,
+        int256 baseQuantityUnits,
+        uint256 quoteBoundQuantityUnits
+    ) external nonReentrant onlyManagerAndValidMatrix(matrixToken) {
+        uint256 matrixTotalSupply = matrixToken.totalSupply();
+        int256 baseNotional = baseQuantityUnits.preciseMul(matrixTotalSupply.toInt256());
+        require(baseNotional != 0, "PL0"); // "Zero base quantity"
+
+        _executeTrade(matrixToken, baseToken, baseNotional, quoteBoundQuantityUnits.preciseMul(matrixTotalSupply));
+        _updateExternalPosition(matrixToken, matrixTotalSupply);
+    }
+
+    /**
+     * @dev MANAGER ONLY: Closes the whole virtual position of a base token.
+     *
+     * @param matrixToken                Instance of the MatrixToken
+     * @param baseToken                  Address of the virtual base token to close
+     * @param quoteBoundQuantityUnits    Max quote paid when closing a short, min quote received when closing a long, in position units
+     */
+    function closePosition(
+        IMatrixToken matrixToken,
+        address baseToken,
+        uint256 quoteBoundQuantityUnits
+    ) external nonReentrant onlyManagerAndValidMatrix(matrixToken) {
+        int256 baseBalance = _accountBalance.getBase(address(matrixToken), baseToken);
+        require(baseBalance != 0, "PL1"); // "No position to close"
+
+        uint256 matrixTotalSupply = matrixToken.totalSupply();
+        _executeTrade(matrixToken, baseToken, -baseBalance, quoteBoundQuantityUnits.preciseMul(matrixTotalSupply));
+        _updateExternalPosition(matrixToken, matrixTotalSupply);
+    }
+
+    /**
+     * @dev MANAGER ONLY: Deposits default position collateral of the MatrixToken into the Perp vault.
+     *
+     * @param matrixToken                Instance of the MatrixToken
+     * @param collateralQuantityUnits    Quantity of collateral to deposit in position units
+     */
+    function deposit(IMatrixToken matrixToken, uint256 collateralQuantityUnits) external nonReentrant onlyManagerAndValidMatrix(matrixToken) {
+        uint256 matrixTotalSupply = matrixToken.totalSupply();
+        uint256 notionalQuantity = collateralQuantityUnits.preciseMul(matrixTotalSupply);
+        require(notionalQuantity > 0, "PL2a"); // "Zero collateral quantity"
+        require(matrixToken.hasSufficientDefaultUnits(address(_collateralToken), collateralQuantityUnits), "PL2b"); // "Not enough collateral"
+
+        uint256 preBalance = _collateralToken.balanceOf(address(matrixToken));
+        _deposit(matrixToken, notionalQuantity);
+        matrixToken.calculateAndEditDefaultPosition(address(_collateralToken), matrixTotalSupply, preBalance);
+        _updateExternalPosition(matrixToken, matrixTotalSupply);
+
+        emit DepositCollateral(matrixToken, _collateralToken, notionalQuantity);
+    }
+
+    /**
+     * @dev MANAGER ONLY: Withdraws collateral of the MatrixToken from the Perp vault to its default position.
+     *
+     * @param matrixToken                Instance of the MatrixToken
+     * @param collateralQuantityUnits    Quantity of collateral to withdraw in position units
+     */
+    function withdraw(IMatrixToken matrixToken, uint256 collateralQuantityUnits) external nonReentrant onlyManagerAndValidMatrix(matrixToken) {
+        uint256 matrixTotalSupply = matrixToken.totalSupply();
+        uint256 notionalQuantity = collateralQuantityUnits.preciseMul(matrixTotalSupply);
+        require(notionalQuantity > 0, "PL3a"); // "Zero collateral quantity"
+        require(notionalQuantity <= _vault.getFreeCollateral(address(matrixToken)), "PL3b"); // "Not enough free collateral"
+
+        uint256 preBalance = _collateralToken.balanceOf(address(matrixToken));
+        _withdraw(matrixToken, notionalQuantity);
+        matrixToken.calculateAndEditDefaultPosition(address(_collateralToken), matrixTotalSupply, preBalance);
+        _updateExternalPosition(matrixToken, matrixTotalSupply);
+
+        emit WithdrawCollateral(matrixToken, _collateralToken, notionalQuantity);
+    }
+
+    /**
+     * @dev MANAGER ONLY: Initializes this module to the MatrixToken. Only callable by the MatrixToken's manager.
+     *
+     * @param matrixToken    Instance of the MatrixToken to initialize
+     */
+    function initialize(IMatrixToken matrixToken) external onlyMatrixManager(matrixToken, msg.sender) onlyValidAndPendingMatrix(matrixToken) {
+        // Initialize module before trying register
+        matrixToken.initializeModule();
+
+        // Get debt issuance module registered to this module and require that it is initialized
+        require(matrixToken.isInitializedModule(getAndValidateAdapter(DEFAULT_ISSUANCE_MODULE_NAME)), "PL4"); // "Issuance not initialized"
+
+        // Try if register exists on any of the modules including the debt issuance module
+        address[] memory modules = matrixToken.getModules();
+        for (uint256 i = 0; i < modules.length; i++) {
+            try IDebtIssuanceModule(modules[i]).registerToIssuanceModule(matrixToken) {} catch {}
+        }
+    }
+
+    /**
+     * @dev MANAGER ONLY: Removes this module from the MatrixToken, via call by the MatrixToken.
+     * @notice Function will revert if there is any open position or collateral remaining in the Perp vault
+     */
+    function removeModule() external override onlyValidAndInitializedMatrix(IMatrixToken(msg.sender)) {
+        IMatrixToken matrixToken = IMatrixToken(msg.sender);
+
+        require(_accountBalance.getBaseTokens(address(matrixToken)).length == 0, "PL5a"); // "Open positions remaining"
+        require(_vault.getBalance(address(matrixToken)) == 0, "PL5b"); // "Collateral remaining"
+
+        matrixToken.editExternalPosition(address(_collateralToken), address(this), 0, "");
+
+        // Try if unregister exists on any of the modules
+        address[] memory modules = matrixToken.getModules();
+        for (uint256 i = 0; i < modules.length; i++) {
+            try IDebtIssuanceModule(modules[i]).unregisterFromIssuanceModule(matrixToken) {} catch {}
+        }
+    }
+
+    /**
+     * @dev MANAGER ONLY: Add registration of this module on the debt issuance module for the MatrixToken.
+     * @notice if the debt issuance module is not added to MatrixToken before this module is initialized, then this function
+     * needs to be called if the debt issuance module is later added and initialized to prevent state inconsistencies
+     *
+     * @param matrixToken           Instance of the MatrixToken
+     * @param debtIssuanceModule    Debt issuance module address to register
+     */
+    function registerToModule(IMatrixToken matrixToken, IDebtIssuanceModule debtIssuanceModule) external onlyManagerAndValidMatrix(matrixToken) {
+        require(matrixToken.isInitializedModule(address(debtIssuanceModule)), "PL6"); // "Issuance not initialized"
+
+        debtIssuanceModule.registerToIssuanceModule(matrixToken);
+    }
+
+    /**
+     * @dev MODULE ONLY: Hook called prior to issuance. Buys the issued share of every virtual position and sets the external
+     * collateral position unit to the collateral the issuer must deposit, including the price impact of the trades.
+     *
+     * @param matrixToken            Instance of the MatrixToken
+     * @param matrixTokenQuantity    Quantity of MatrixToken to issue
+     */
+    function moduleIssueHook(IMatrixToken matrixToken, uint256 matrixTokenQuantity) external override onlyModule(matrixToken) {
+        _executePositionTrades(matrixToken, matrixTokenQuantity, true);
+    }
+
+    /**
+     * @dev MODULE ONLY: Hook called prior to redemption. Sells the redeemed share of every virtual position and sets the external
+     * collateral position unit to the collateral returned to the redeemer, net of the price impact of the trades.
+     *
+     * @param matrixToken            Instance of the MatrixToken
+     * @param matrixTokenQuantity    Quantity of MatrixToken to redeem
+     */
+    function moduleRedeemHook(IMatrixToken matrixToken, uint256 matrixTokenQuantity) external override onlyModule(matrixToken) {
+        _executePositionTrades(matrixToken, matrixTokenQuantity, false);
+    }
+
+    /**
+     * @dev MODULE ONLY: Hook called after the issuance module transfers equity in from the issuer. Deposits the external
+     * collateral position of the issued quantity into the Perp vault.
+     *
+     * @param matrixToken            Instance of the MatrixToken
+     * @param matrixTokenQuantity    Quantity of MatrixToken
+     * @param component              Address of component
+     */
+    function componentIssueHook(
+        IMatrixToken matrixToken,
+        uint256 matrixTokenQuantity,
+        IERC20 component,
+        bool isEquity
+    ) external override onlyModule(matrixToken) {
+        if (isEquity && component == _collateralToken) {
+            int256 externalPositionUnit = matrixToken.getExternalPositionRealUnit(address(component), address(this));
+            uint256 notionalQuantity = externalPositionUnit.toUint256().preciseMul(matrixTokenQuantity);
+
+            if (notionalQuantity > 0) {
+                _deposit(matrixToken, notionalQuantity);
+            }
+        }
+    }
+
+    /**
+     * @dev MODULE ONLY: Hook called before the issuance module transfers equity out to the redeemer. Withdraws the external
+     * collateral position of the redeemed quantity from the Perp vault.
+     *
+     * @param matrixToken            Instance of the MatrixToken
+     * @param matrixTokenQuantity    Quantity of MatrixToken
+     * @param component              Address of component
+     */
+    function componentRedeemHook(
+        IMatrixToken matrixToken,
+        uint256 matrixTokenQuantity,
+        IERC20 component,
+        bool isEquity
+    ) external override onlyModule(matrixToken) {
+        if (isEquity && component == _collateralToken) {
+            int256 externalPositionUnit = matrixToken.getExternalPositionRealUnit(address(component), address(this));
+            uint256 notionalQuantity = externalPositionUnit.toUint256().preciseMul(matrixTokenQuantity);
+
+            if (notionalQuantity > 0) {
+                _withdraw(matrixToken, notionalQuantity);
+            }
+        }
+    }
+
+    // ==================== Public functions ====================
+
+    /**
+     * @dev Gets the base and quote balances of every open position of the MatrixToken.
+     *
+     * @param matrixToken    Instance of the MatrixToken
+     *
+     * @return positionInfos    Array of positions, one per base token
+     */
+    function getPositionInfo(IMatrixToken matrixToken) public view returns (PositionInfo[] memory positionInfos) {
+        address[] memory baseTokens = _accountBalance.getBaseTokens(address(matrixToken));
+        positionInfos = new PositionInfo[](baseTokens.length);
+
+        for (uint256 i = 0; i < baseTokens.length; i++) {
+            positionInfos[i] = PositionInfo({
+                baseToken: baseTokens[i],
+                baseBalance: _accountBalance.getBase(address(matrixToken), baseTokens[i]),
+                quoteBalance: _accountBalance.getQuote(address(matrixToken), baseTokens[i])
+            });
+        }
+    }
+
+    /**
+     * @dev Gets the collateral balance and the pnl of the Perp account of the MatrixToken, all in 10**18 decimals.
+     *
+     * @param matrixToken    Instance of the MatrixToken
+     */
+    function getAccountInfo(IMatrixToken matrixToken) public view returns (AccountInfo memory accountInfo) {
+        (int256 owedRealizedPnl, int256 unrealizedPnl, uint256 pendingFee) = _accountBalance.getPnlAndPendingFee(address(matrixToken));
+
+        accountInfo = AccountInfo({
+            collateralBalance: _vault.getBalance(address(matrixToken)).toPreciseUnitsFromDecimals(_collateralDecimals),
+            owedRealizedPnl: owedRealizedPnl,
+            unrealizedPnl: unrealizedPnl,
+            pendingFee: pendingFee
+        });
+    }
+
+    /**
+     * @dev CALLABLE BY ANYBODY: Sync the external collateral position unit with the value of the Perp account, which changes
+     * with mark prices, funding and fees. Negative account values are tracked as a zero unit.
+     *
+     * @param matrixToken    Instance of the MatrixToken
+     */
+    function sync(IMatrixToken matrixToken) public nonReentrant onlyValidAndInitializedMatrix(matrixToken) {
+        uint256 matrixTotalSupply = matrixToken.totalSupply();
+
+        // Only sync when Matrix supply is not 0, there is nothing to divide the account value by
+        if (matrixTotalSupply > 0) {
+            _updateExternalPosition(matrixToken, matrixTotalSupply);
+        }
+    }
+
+    // ==================== Internal functions ====================
+
+    /**
+     * @dev Invoke deposit from MatrixToken using PerpV2 library.
+     */
+    function _deposit(IMatrixToken matrixToken, uint256 notionalQuantity) internal {
+        matrixToken.invokeSafeIncreaseAllowance(address(_collateralToken), address(_vault), notionalQuantity);
+        matrixToken.invokeDeposit(_vault, _collateralToken, notionalQuantity);
+    }
+
+    /**
+     * @dev Invoke withdraw from MatrixToken using PerpV2 library.
+     */
+    function _withdraw(IMatrixToken matrixToken, uint256 notionalQuantity) internal {
+        matrixToken.invokeWithdraw(_vault, _collateralToken, notionalQuantity);
+    }
+
+    /**
+     * @dev Invoke openPosition from MatrixToken using PerpV2 library. A positive baseNotional buys base as an exact output trade,
+     * a negative one sells base as an exact input trade.
+     *
+     * @return deltaQuote    Change in quote balance, negative when base is bought
+     */
+    function _executeTrade(
+        IMatrixToken matrixToken,
+        address baseToken,
+        int256 baseNotional,
+        uint256 quoteBoundNotional
+    ) internal returns (int256 deltaQuote) {
+        bool isBuy = baseNotional > 0;
+
+        IClearingHouse.OpenPositionParams memory params = IClearingHouse.OpenPositionParams({
+            baseToken: baseToken,
+            isBaseToQuote: !isBuy,
+            isExactInput: !isBuy,
+            amount: baseNotional.abs(),
+            oppositeAmountBound: quoteBoundNotional,
+            deadline: block.timestamp,
+            sqrtPriceLimitX96: 0,
+            referralCode: bytes32(0)
+        });
+
+        (uint256 deltaBase, uint256 quoteAmount) = matrixToken.invokeOpenPosition(_clearingHouse, params);
+
+        int256 deltaBaseSigned = isBuy ? deltaBase.toInt256() : -deltaBase.toInt256();
+        deltaQuote = isBuy ? -quoteAmount.toInt256() : quoteAmount.toInt256();
+
+        emit TradePosition(matrixToken, baseToken, deltaBaseSigned, deltaQuote);
+    }
+
+    /**
+     * @dev Trades the share of matrixTokenQuantity of every virtual position, and sets the external collateral position unit to
+     * the collateral of that share. Every position is bought on issue and sold on redeem at the prices of the Perp exchange,
+     * so the collateral of the share is its collateral, owed pnl and quote balances plus the quote paid or received by the trades.
+     */
+    function _executePositionTrades(
+        IMatrixToken matrixToken,
+        uint256 matrixTokenQuantity,
+        bool isIssue
+    ) internal {
+        uint256 matrixTotalSupply = matrixToken.totalSupply();
+
+        if (matrixTotalSupply == 0) {
+            return;
+        }
+
+        AccountInfo memory accountInfo = getAccountInfo(matrixToken);
+        int256 totalSupply = matrixTotalSupply.toInt256();
+        int256 quantity = matrixTokenQuantity.toInt256();
+        int256 fixedValue = accountInfo.collateralBalance + accountInfo.owedRealizedPnl + accountInfo.pendingFee.toInt256();
+        int256 collateralValue = fixedValue.preciseDiv(totalSupply).preciseMul(quantity);
+
+        PositionInfo[] memory positionInfos = getPositionInfo(matrixToken);
+        for (uint256 i = 0; i < positionInfos.length; i++) {
+            collateralValue += _tradePositionShare(matrixToken, positionInfos[i], totalSupply, quantity, isIssue);
+        }
+
+        require(collateralValue >= 0, "PL7"); // "Negative account value"
+
+        uint256 collateralUnit = _toCollateralUnit(collateralValue.toUint256(), matrixTokenQuantity, isIssue);
+        matrixToken.editExternalPosition(address(_collateralToken), address(this), collateralUnit.toInt256(), "");
+    }
+
+    /**
+     * @dev Buys the share of quantity of a virtual position on issue, sells it on redeem, without bound so the issuer
+     * or redeemer bears the price impact. Returns the quote balance of the share, less the quote paid to buy on issue,
+     * plus the quote received from the sale on redeem.
+     */
+    function _tradePositionShare(
+        IMatrixToken matrixToken,
+        PositionInfo memory positionInfo,
+        int256 totalSupply,
+        int256 quantity,
+        bool isIssue
+    ) internal returns (int256) {
+        int256 baseNotional = positionInfo.baseBalance.preciseDiv(totalSupply).preciseMul(quantity);
+        int256 quoteShare = positionInfo.quoteBalance.preciseDiv(totalSupply).preciseMul(quantity);
+
+        if (baseNotional == 0) {
+            return quoteShare;
+        }
+
+        int256 tradeNotional = isIssue ? baseNotional : -baseNotional;
+        int256 deltaQuote = _executeTrade(matrixToken, positionInfo.baseToken, tradeNotional, tradeNotional > 0 ? type(uint256).max : 0);
+
+        return isIssue ? quoteShare - deltaQuote : quoteShare + deltaQuote;
+    }
+
+    /**
+     * @dev Sets the external collateral position unit to the value of the Perp account divided by matrixTotalSupply.
+     */
+    function _updateExternalPosition(IMatrixToken matrixToken, uint256 matrixTotalSupply) internal {
+        AccountInfo memory accountInfo = getAccountInfo(matrixToken);
+        int256 accountValue = accountInfo.collateralBalance + accountInfo.owedRealizedPnl + accountInfo.pendingFee.toInt256() + accountInfo.unrealizedPnl;
+        uint256 collateralUnit = accountValue > 0 ? _toCollateralUnit(accountValue.toUint256(), matrixTotalSupply, false) : 0;
+
+        if (matrixToken.getExternalPositionRealUnit(address(_collateralToken), address(this)) != collateralUnit.toInt256()) {
+            matrixToken.editExternalPosition(address(_collateralToken), address(this), collateralUnit.toInt256(), "");
+        }
+    }
+
+    /**
+     * @dev Converts a value in 10**18 decimals to a position unit in collateral decimals, rounding up for issuance
+     * so that the issuer always deposits enough collateral.
+     */
+    function _toCollateralUnit(
+        uint256 value,
+        uint256 matrixTokenQuantity,
+        bool roundUp
+    ) internal view returns (uint256 collateralUnit) {
+        uint256 preciseValueUnit = roundUp ? value.preciseDivCeil(matrixTokenQuantity) : value.preciseDiv(matrixTokenQuantity);
+        collateralUnit = preciseValueUnit.fromPreciseUnitToDecimals(_collateralDecimals);
+
+        if (roundUp && collateralUnit.toPreciseUnitsFromDecimals(_collateralDecimals) < preciseValueUnit) {
+            collateralUnit += 1;
+        }
+    }
+}
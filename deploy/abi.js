@@ -0,0 +1,200 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { findRevertData } = require('./transaction');
+
+const { Interface } = ethers.utils;
+
+// the sources whose artifacts are loaded by loadAbiRegistry()
+const REGISTRY_SOURCES = ['contracts/protocol/', 'contracts/product/'];
+
+// errors which solidity reverts with besides custom errors, ethers does not take them in an interface
+const BUILTIN_ERRORS = {
+  '0x08c379a0': { name: 'Error', signature: 'Error(string)', types: ['string'] },
+  '0x4e487b71': { name: 'Panic', signature: 'Panic(uint256)', types: ['uint256'] },
+};
+
+const interfaces = {};
+let registryPromise;
+
+// ==================== Contracts ====================
+
+// the interface of any compiled contract by its name, cached
+function getContractInterface(name) {
+  if (!interfaces[name]) {
+    const { artifacts } = require('hardhat');
+    interfaces[name] = new Interface(artifacts.readArtifactSync(name).abi);
+  }
+
+  return interfaces[name];
+}
+
+function getEventTopic(contract, event) {
+  return getContractInterface(contract).getEventTopic(event);
+}
+
+function getErrorSelector(contract, error) {
+  const contractInterface = getContractInterface(contract);
+  return contractInterface.getSighash(contractInterface.getError(error));
+}
+
+function toEvent(log, fragment, parsed, contracts) {
+  const { address, blockNumber, logIndex, transactionHash } = log;
+  return {
+    contracts,
+    name: parsed.name,
+    signature: fragment.format(),
+    topic: log.topics[0],
+    args: parsed.args,
+    address,
+    blockNumber,
+    logIndex,
+    transactionHash,
+  };
+}
+
+// the events of a contract in a transaction receipt, only of address when it is set
+function findEvents(receipt, contract, event, address) {
+  const contractInterface = getContractInterface(contract);
+  const fragment = contractInterface.getEvent(event);
+  const topic = contractInterface.getEventTopic(fragment);
+  const events = [];
+
+  for (const log of receipt.logs) {
+    if (log.topics[0] != topic || (address && log.address.toLowerCase() != address.toLowerCase())) {
+      continue;
+    }
+
+    try {
+      events.push(toEvent(log, fragment, contractInterface.parseLog(log), [contract]));
+    } catch (e) {
+      // the same topic with other indexed parameters
+    }
+  }
+
+  return events;
+}
+
+// the first event of a contract in a transaction receipt, throws when there is none
+function findEvent(receipt, contract, event, address) {
+  const [found] = findEvents(receipt, contract, event, address);
+
+  if (!found) {
+    throw new Error(`${contract} event ${event} is not found in transaction ${receipt.transactionHash} !`);
+  }
+
+  return found;
+}
+
+// ==================== Registry ====================
+
+function addFragment(items, key, fragment, contract) {
+  // the same signature may be indexed differently in different contracts
+  const full = fragment.format(ethers.utils.FormatTypes.full);
+  const list = items[key] || (items[key] = []);
+  const item = list.find((value) => value.full == full);
+
+  if (item) {
+    item.contracts.push(contract);
+  } else {
+    list.push({ full, fragment, contracts: [contract], contractInterface: new Interface([fragment]) });
+  }
+}
+
+async function buildAbiRegistry() {
+  const { artifacts } = require('hardhat');
+  const registry = { events: {}, errors: {} };
+
+  for (const fullName of await artifacts.getAllFullyQualifiedNames()) {
+    if (!REGISTRY_SOURCES.some((source) => fullName.startsWith(source))) {
+      continue;
+    }
+
+    const { contractName, abi } = await artifacts.readArtifact(fullName);
+    const contractInterface = new Interface(abi);
+
+    for (const fragment of Object.values(contractInterface.events)) {
+      addFragment(registry.events, contractInterface.getEventTopic(fragment), fragment, contractName);
+    }
+
+    for (const fragment of Object.values(contractInterface.errors)) {
+      addFragment(registry.errors, contractInterface.getSighash(fragment), fragment, contractName);
+    }
+  }
+
+  // all custom errors in one interface for getRevertReason() of transaction.js
+  registry.errorInterface = new Interface(Object.values(registry.errors).map((list) => list[0].fragment));
+
+  return registry;
+}
+
+// events by topic and errors by selector of every contract under contracts/protocol and contracts/product, cached
+async function loadAbiRegistry() {
+  if (!registryPromise) {
+    registryPromise = buildAbiRegistry().catch((e) => {
+      registryPromise = undefined;
+      throw e;
+    });
+  }
+
+  return registryPromise;
+}
+
+// decode a log by its topic, undefined when no contract of the registry has the event
+function decodeLog(registry, log) {
+  for (const { fragment, contracts, contractInterface } of registry.events[log.topics[0]] || []) {
+    try {
+      return toEvent(log, fragment, contractInterface.parseLog(log), contracts);
+    } catch (e) {
+      // the same topic with other indexed parameters
+    }
+  }
+
+  return undefined;
+}
+
+// decode the logs of a receipt or an array of logs, skipping the unknown ones
+function decodeLogs(registry, receiptOrLogs) {
+  const logs = Array.isArray(receiptOrLogs) ? receiptOrLogs : receiptOrLogs.logs;
+  return logs.map((log) => decodeLog(registry, log)).filter((event) => event !== undefined);
+}
+
+// decode revert data or the revert data of an error thrown by ethers, undefined when it is unknown
+function decodeError(registry, errorOrData) {
+  const data = typeof errorOrData == 'string' ? errorOrData : findRevertData(errorOrData);
+  const selector = data?.slice(0, 10);
+  const builtin = BUILTIN_ERRORS[selector];
+
+  try {
+    if (builtin) {
+      const args = ethers.utils.defaultAbiCoder.decode(builtin.types, `0x${data.slice(10)}`);
+      return { contracts: [], name: builtin.name, signature: builtin.signature, selector, args };
+    }
+
+    for (const { fragment, contracts, contractInterface } of registry.errors[selector] || []) {
+      const args = contractInterface.decodeErrorResult(fragment, data);
+      return { contracts, name: fragment.name, signature: fragment.format(), selector, args };
+    }
+  } catch (e) {
+    // malformed data of the selector
+  }
+
+  return undefined;
+}
+
+module.exports = {
+  getContractInterface,
+  getEventTopic,
+  getErrorSelector,
+  findEvents,
+  findEvent,
+  loadAbiRegistry,
+  decodeLog,
+  decodeLogs,
+  decodeError,
+};
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== Internal Imports ====================
+
+const { getReadOnlyContract } = require('./helpers');
+
+const PASS = 'pass';
+const FAIL = 'fail';
+const SKIP = 'skip';
+
+// resource ids of Controller.initialize() in deploy.js
+const CONTROLLER_RESOURCES = [
+  { id: 0, key: 'integration_registry' },
+  { id: 1, key: 'price_oracle' },
+  { id: 2, key: 'matrix_valuer' },
+];
+
+// Assert that the contracts in deploy/deployed/<chain>.json are wired as deploy.js sets them up.
+// Nothing is signed: contracts are read with the provider.
+//
+// inputs: the same as planDeployment(), see getPlanInputs() in plan.js
+async function checkSystem(hre, inputs) {
+  const { chainName, config, manifest, contractAddresses } = inputs;
+  const { ethers } = hre;
+  const { AddressZero } = ethers.constants;
+
+  const checks = [];
+  const addCheck = (check, target, status, detail = {}) => checks.push({ check, target, status, ...detail });
+  const isSame = (a, b) => `${a}`.toLowerCase() == `${b}`.toLowerCase();
+  const getAddress = (key) => contractAddresses[key]?.address;
+
+  const attach = (name, key) => {
+    const address = getAddress(key);
+    return address ? getReadOnlyContract(name, address, ethers.provider) : undefined;
+  };
+
+  // run a read and record a failed check instead of throwing when it reverts
+  const tryRead = async (check, target, func) => {
+    try {
+      return { value: await func() };
+    } catch (e) {
+      addCheck(check, target, FAIL, { message: e.reason || e.message });
+      return undefined;
+    }
+  };
+
+  // Controller
+  const controller = await attach('Controller', 'controller');
+
+  if (!controller) {
+    addCheck('controller', 'controller', FAIL, { message: 'controller is not deployed' });
+  } else {
+    const initialized = await tryRead('isInitialized', 'controller', () => controller.isInitialized());
+    if (initialized) {
+      addCheck('isInitialized', 'controller', initialized.value ? PASS : FAIL, { expected: true, actual: initialized.value });
+    }
+
+    for (const { id, key } of CONTROLLER_RESOURCES) {
+      const resource = await tryRead('getResource', key, () => controller.getResource(id));
+      if (resource) {
+        const expected = getAddress(key) || AddressZero;
+        addCheck('getResource', key, isSame(resource.value, expected) && expected != AddressZero ? PASS : FAIL, { id, expected, actual: resource.value });
+      }
+    }
+
+    for (const moduleKey of manifest.modules || []) {
+      const moduleAddress = getAddress(moduleKey);
+      if (!moduleAddress) {
+        addCheck('isModule', moduleKey, FAIL, { message: `${moduleKey} is not deployed` });
+        continue;
+      }
+
+      const isModule = await tryRead('isModule', moduleKey, () => controller.isModule(moduleAddress));
+      if (isModule) {
+        addCheck('isModule', moduleKey, isModule.value ? PASS : FAIL, { expected: true, actual: isModule.value });
+      }
+    }
+  }
+
+  // IntegrationRegistry
+  const integrationRegistry = await attach('IntegrationRegistry', 'integration_registry');
+
+  for (const [moduleKey, adapterKeys] of Object.entries(manifest.integrations || {})) {
+    for (const adapterKey of adapterKeys) {
+      const target = `${moduleKey}.${adapterKey}`;
+      const moduleAddress = getAddress(moduleKey);
+      const adapterAddress = getAddress(adapterKey);
+
+      if (!integrationRegistry || !moduleAddress || !adapterAddress) {
+        addCheck('getIntegrationAdapter', target, FAIL, { message: 'integration_registry, module or adapter is not deployed' });
+        continue;
+      }
+
+      const adapterName = adapterKey.toUpperCase();
+      const actual = await tryRead('getIntegrationAdapter', target, () => integrationRegistry.getIntegrationAdapter(moduleAddress, adapterName));
+      if (actual) {
+        addCheck('getIntegrationAdapter', target, isSame(actual.value, adapterAddress) ? PASS : FAIL, { expected: adapterAddress, actual: actual.value });
+      }
+    }
+  }
+
+  // PriceOracle
+  const priceOracle = await attach('PriceOracle', 'price_oracle');
+  const tokens = config.tokens || {};
+
+  const {
+    chainlink_oracle: chainlinkOracles = [],
+    chainlink_serial_oracle: serialOracles = [],
+    identical_token_pair: identicalTokenPairs = [],
+  } = inputs.oracles || {};
+
+  const pairs = [
+    ...[...chainlinkOracles, ...serialOracles].map(({ key }) => key.split('_').slice(0, 2)),
+    ...identicalTokenPairs.map(({ reserve_token: reserveToken, underlying_token: underlyingToken }) => [reserveToken, underlyingToken]),
+  ];
+
+  for (const [asset1, asset2] of pairs) {
+    const target = `${asset1}/${asset2}`;
+    const { [asset1]: asset1Address, [asset2]: asset2Address } = tokens;
+
+    if (!asset1Address || !asset2Address) {
+      addCheck('getPrice', target, SKIP, { message: 'the tokens are not set in the config file, deploy.js skips this pair' });
+    } else if (!priceOracle) {
+      addCheck('getPrice', target, FAIL, { message: 'price_oracle is not deployed' });
+    } else {
+      const price = await tryRead('getPrice', target, () => priceOracle.getPrice(asset1Address, asset2Address));
+      if (price) {
+        addCheck('getPrice', target, price.value.gt(0) ? PASS : FAIL, { actual: price.value.toString() });
+      }
+    }
+  }
+
+  const count = (status) => checks.filter((item) => item.status == status).length;
+
+  return {
+    chain_name: chainName,
+    block: await ethers.provider.getBlockNumber(),
+    ok: count(FAIL) == 0,
+    passed: count(PASS),
+    failed: count(FAIL),
+    skipped: count(SKIP),
+    checks,
+  };
+}
+
+module.exports = {
+  PASS,
+  FAIL,
+  SKIP,
+  checkSystem,
+};
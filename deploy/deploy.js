@@ -1,7 +1,5 @@
 // SPDX-License-Identifier: Apache-2.0
 
-/* global web3 */
-
 // ==================== External Imports ====================
 
 const fs = require('fs');
@@ -10,99 +8,82 @@ const dotenv = require('dotenv');
 
 // ==================== Internal Imports ====================
 
-const { ZERO_ADDRESS, WEI_PER_ETHER } = require('./constants');
+const { ZERO_ADDRESS } = require('./constants');
+const { loadManifest, getContract, deployManifest } = require('./manifest');
+const { getTransactionOptions } = require('./transaction');
+const { createSafeBatch, writeSafeBatch, sendOrBatch, printSafeBatch } = require('./safe');
+const { isReadOnly } = require('./signer');
 const oracles = require('./configs/oracles.json');
 const testTokens = require('./configs/testTokens.json');
 
 const {
-  sleep,
   getWeth,
   joinByFlags,
   getDeployer,
   deployContract,
   deployContractAndLinkLibraries,
+  getDeploymentRecord,
   getDeployedAddresses,
   writeDeployedAddresses,
   getDataTime,
-  isModule,
+  getMockTokens,
 } = require('./helpers');
 
 dotenv.config();
 
-const { DEPLOYER_PRIVATE_KEY } = process.env;
-if (!DEPLOYER_PRIVATE_KEY) {
-  throw new Error(`DEPLOYER_PRIVATE_KEY is not set in file .env !}`);
-}
-
 const CHAIN_NAME = hre.network.name;
 const CHAIN_ID = hre.network.config.chainId;
-const RPC_ENDPOINT = hre.network.config.url;
 console.log(`\nCHAIN_NAME = ${CHAIN_NAME}, CHAIN_ID = ${CHAIN_ID}\n`);
 
-const deployer = getDeployer(RPC_ENDPOINT, DEPLOYER_PRIVATE_KEY);
+let deployer; // set by deployAll()
 const CONFIG_DIR = `./deploy/configs`;
 const CONFIG_FILE = `./deploy/configs/${CHAIN_NAME}.json`;
 const config = JSON.parse(fs.readFileSync(CONFIG_FILE));
+const manifest = loadManifest(CHAIN_NAME);
+const TX_OPTIONS = getTransactionOptions(CHAIN_NAME);
 
-async function deployWeth() {
-  const name = 'WETH9';
-  const key = 'weth';
+// write admin transactions to a Safe Transaction Builder batch instead of sending them, see task deploy --safe-batch
+const { SAFE_BATCH_FILE, SAFE_ADDRESS } = process.env;
+const SAFE_BATCH = SAFE_BATCH_FILE ? createSafeBatch(CHAIN_ID, `Matrix deploy ${CHAIN_NAME}`, SAFE_ADDRESS) : undefined;
 
+async function deployMockToken(name, key, args) {
   const oldAddress = config['tokens'][key];
   if (oldAddress) {
-    console.log(`[${getDataTime()}] SKIP: "${name}" is already deployed at ${oldAddress}\n`);
+    console.log(`[${getDataTime()}] SKIP: ${name} ${key} is already deployed at ${oldAddress}\n`);
     return oldAddress;
   }
 
   // Deploy contract
-  console.log(`[${getDataTime()}] DO: Deploy ${name} to ${CHAIN_NAME}`);
-  const instance = await deployContract(deployer, name, []);
-  console.log(`[${getDataTime()}] OK: "${name}" is deployed at ${instance.address}`);
+  console.log(`[${getDataTime()}] DO: Deploy ${name} ${key} to ${CHAIN_NAME}`);
+  const instance = await deployContract(deployer, name, args);
+  const address = instance.address;
+  const hash = instance.deployTransaction.hash;
+  const trx = await instance.deployTransaction.wait();
+  const block = trx.blockNumber;
+  console.log(`[${getDataTime()}] OK: ${name} ${key} is deployed at ${address}, block = ${block}`);
 
   // update addresses
-  config['tokens'][key] = instance.address;
+  config['tokens'][key] = address;
   writeDeployedAddresses(CONFIG_DIR, CONFIG_FILE, config);
-  console.log(`[${getDataTime()}] OK: Write ${key} to file ${CONFIG_FILE}\n`);
-
-  return instance.address;
-}
-
-async function deployTestErc20(name, symbol, decimals) {
-  const key = symbol.toLowerCase();
-  const oldAddress = config['tokens'][key];
-  if (oldAddress) {
-    console.log(`[${getDataTime()}] SKIP: "${name}" is already deployed at ${oldAddress}\n`);
-    return oldAddress;
-  }
-
-  // Deploy contract
-  console.log(`[${getDataTime()}] DO: Deploy ${name} to ${CHAIN_NAME}`);
-  const instance = await deployContract(deployer, 'Erc20Mock', [name, symbol, decimals]);
-  console.log(`[${getDataTime()}] OK: "${name}" is deployed at ${instance.address}`);
+  console.log(`[${getDataTime()}] OK: Write ${key} to file ${CONFIG_FILE}`);
 
-  // update addresses
-  config['tokens'][key] = instance.address;
-  writeDeployedAddresses(CONFIG_DIR, CONFIG_FILE, config);
-  console.log(`[${getDataTime()}] OK: Write ${key} to file ${CONFIG_FILE}\n`);
+  // record the deployment as mock_<key> too, so that verifyDeployed can verify the mock
+  const { directory, filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+  const record = await getDeploymentRecord(name, instance, args);
+  contractAddresses[`mock_${key}`] = { address, block, hash, ...record };
+  writeDeployedAddresses(directory, filename, contractAddresses);
+  console.log(`[${getDataTime()}] OK: Write mock_${key} to file ${filename}\n`);
 
-  return instance.address;
+  return address;
 }
 
 async function deployAllMocks() {
-  if (CHAIN_NAME != 'xdcdev' && CHAIN_NAME != 'mumbai' && CHAIN_NAME != 'kovan') {
-    return;
-  }
-
-  if (CHAIN_NAME == 'xdcdev') {
-    await deployWeth();
-  }
-
-  for (const token of testTokens[CHAIN_NAME]) {
-    await deployTestErc20(token.name, token.symbol, token.decimals);
+  for (const { name, key, args } of getMockTokens(CHAIN_NAME, testTokens)) {
+    await deployMockToken(name, key, args);
   }
 }
 
-async function quickDeployContract(name, key, args = []) {
+async function quickDeployContract(name, key, args = [], libraries = {}) {
   const { directory, filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
   const oldAddress = contractAddresses[key]?.address;
 
@@ -113,114 +94,48 @@ async function quickDeployContract(name, key, args = []) {
 
   // Deploy contract
   console.log(`[${getDataTime()}] DO: Deploy ${name} to ${CHAIN_NAME}`);
-  const instance = await deployContract(deployer, name, args);
+  const instance =
+    Object.keys(libraries).length > 0 ? await deployContractAndLinkLibraries(deployer, name, args, libraries) : await deployContract(deployer, name, args);
   const address = instance.address;
   const hash = instance.deployTransaction.hash;
-  const trx = await web3.eth.getTransaction(instance.deployTransaction.hash);
+  const trx = await instance.deployTransaction.wait();
   const block = trx.blockNumber;
   console.log(`[${getDataTime()}] OK: ${name} is deployed at ${address}, block = ${block}`);
 
   // update addresses
-  contractAddresses[key] = { address, block, hash };
+  const record = await getDeploymentRecord(name, instance, args, libraries);
+  contractAddresses[key] = { address, block, hash, ...record };
   writeDeployedAddresses(directory, filename, contractAddresses);
   console.log(`[${getDataTime()}] OK: Write ${key} to file ${filename}\n`);
 
   return address;
 }
 
-function deployController() {
-  const { fee_recipient: feeRecipient } = config;
-  if (!feeRecipient) {
-    throw new Error(`deploy Controller: fee_recipient is not set in file ${CONFIG_FILE} !`);
+// send an admin transaction, or add it to SAFE_BATCH
+async function runAdminTask(task, contract, method, args) {
+  if (!SAFE_BATCH) {
+    console.log(`[${getDataTime()}] DO: ${task}`);
   }
 
-  const name = 'Controller';
-  const key = 'controller';
-  const args = [feeRecipient];
-
-  return quickDeployContract(name, key, args);
-}
-
-function getController() {
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-
-  const controller = contractAddresses.controller?.address;
-  if (!controller) {
-    throw new Error(`must set controller in file ${filename} !`);
-  }
-
-  return controller;
-}
-
-async function deployWithController(name, key) {
-  const controller = getController();
-  const args = isModule(name) ? [controller, name] : [controller];
-
-  return quickDeployContract(name, key, args);
-}
-
-async function deployWithControllerAndWeth(name, key) {
-  const weth = getWeth(config, CHAIN_NAME);
-  const controller = getController();
-  const args = [controller, weth, name];
-
-  return quickDeployContract(name, key, args);
-}
+  const receipt = await sendOrBatch(task, contract, method, args, TX_OPTIONS, SAFE_BATCH);
 
-// eslint-disable-next-line no-unused-vars
-async function deployAaveLeverageModule() {
-  const lpap = config.aave_v2_lending_pool_addresses_provider;
-  if (!lpap) {
-    throw new Error(`deploy AaveLeverageModule: must set aave_v2_lending_pool_addresses_provider in file ${CONFIG_FILE} !`);
-  }
-
-  const { directory, filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-
-  const controller = contractAddresses.controller?.address;
-  if (!controller) {
-    throw new Error(`deployAaveLeverageModule: must set controller in file ${filename} !`);
-  }
-
-  const aaveV2 = contractAddresses.aaveV2?.address;
-  if (!aaveV2) {
-    throw new Error(`deployAaveLeverageModule: must set aave_v2 in file ${filename} !`);
-  }
-
-  const oldAddress = contractAddresses.aave_leverage_module?.address;
-  if (oldAddress) {
-    console.log(`[${getDataTime()}] SKIP: AaveLeverageModule is already deployed at ${oldAddress}\n`);
-    return oldAddress;
+  if (receipt) {
+    console.log(`[${getDataTime()}] OK: ${task}, hash = ${receipt.transactionHash}\n`);
+  } else {
+    console.log(`[${getDataTime()}] BATCH: ${task}\n`);
   }
-
-  // Deploy contract AaveLeverageModule
-  console.log(`[${getDataTime()}] DO: Deploy AaveLeverageModule to ${CHAIN_NAME}`);
-  const instance = await deployContractAndLinkLibraries(deployer, 'AaveLeverageModule', [controller, lpap], { AaveV2: aaveV2 });
-  const address = instance.address;
-  const hash = instance.deployTransaction.hash;
-  const trx = await web3.eth.getTransaction(instance.deployTransaction.hash);
-  const block = trx.blockNumber;
-  console.log(`[${getDataTime()}] OK: AaveLeverageModule is deployed at ${address}, block = ${block}`);
-
-  // update the AaveLeverageModule addresses
-  contractAddresses.aave_leverage_module = { address, block, hash };
-  writeDeployedAddresses(directory, filename, contractAddresses);
-  console.log(`[${getDataTime()}] OK: Write aave_leverage_module to file ${filename}\n`);
-
-  return address;
 }
 
-async function deployPriceOracle() {
-  const { usd } = config['tokens'];
-  if (!usd) {
-    throw new Error(`deploy PriceOracle: must set "tokens"."usd" in file ${CONFIG_FILE} !`);
-  }
-
-  const controller = getController();
-  const name = 'PriceOracle';
-  const key = 'price_oracle';
-  const args = [controller, usd, [], [], [], []];
+function getManifestContext() {
+  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
 
-  return quickDeployContract(name, key, args);
+  return {
+    config,
+    configFile: CONFIG_FILE,
+    contractAddresses,
+    deployedFile: filename,
+    getWeth: () => getWeth(config, CHAIN_NAME),
+  };
 }
 
 function getPriceFeed(oracleKey) {
@@ -248,37 +163,6 @@ async function deployChainlinkSerialOracle(oracleName, key, path) {
   return quickDeployContract(name, key, args);
 }
 
-async function deployChainlinkOracleAdapter() {
-  const { chainlink_feed_registry: registry } = config;
-  if (!registry) {
-    throw new Error(`deploy ChainlinkOracleAdapter: must set chainlink_feed_registry in file ${CONFIG_FILE} !`);
-  }
-
-  const name = 'ChainlinkOracleAdapter';
-  const key = 'chainlink_oracle_adapter';
-  const args = [registry];
-
-  return quickDeployContract(name, key, args);
-}
-
-async function deployChainlinkSerialOracleAdapter() {
-  const { chainlink_feed_registry: registry } = config;
-  if (!registry) {
-    throw new Error(`deploy ChainlinkSerialOracleAdapter: must set chainlink_feed_registry in file ${CONFIG_FILE} !`);
-  }
-
-  const { eth } = config['tokens'];
-  if (!eth) {
-    throw new Error(`deploy ChainlinkSerialOracleAdapter: must set "tokens"."eth" in file ${CONFIG_FILE} !`);
-  }
-
-  const name = 'ChainlinkSerialOracleAdapter';
-  const key = 'chainlink_serial_oracle_adapter';
-  const args = [registry, eth];
-
-  return quickDeployContract(name, key, args);
-}
-
 async function deployOracles() {
   const { chainlink_oracle: chainlinkOracles, chainlink_serial_oracle: chainlinkSerialOracles } = oracles[CHAIN_NAME];
 
@@ -291,30 +175,6 @@ async function deployOracles() {
   }
 }
 
-async function deployExchangeAdapter(name, key, routerKey) {
-  const router = config[routerKey];
-  if (!router) {
-    throw new Error(`deploy ExchangeAdapter: must set ${routerKey} in file ${CONFIG_FILE} !`);
-  }
-
-  const args = [router];
-
-  return quickDeployContract(name, key, args);
-}
-
-async function deployWithPriceOracle(name, key) {
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-
-  const priceOracle = contractAddresses.price_oracle?.address;
-  if (!priceOracle) {
-    throw new Error(`deploy ${name}: must set price_oracle in file ${filename} !`);
-  }
-
-  const args = [priceOracle];
-
-  return quickDeployContract(name, key, args);
-}
-
 async function addPairToIdenticalTokenOracleAdapter(identicalTokenKey, underlyingTokenKey) {
   const adapterKey = 'identical_token_oracle_adapter';
   const task = `IdenticalTokenOracleAdapter ${adapterKey} add pair (${identicalTokenKey}, ${underlyingTokenKey})`;
@@ -341,18 +201,7 @@ async function addPairToIdenticalTokenOracleAdapter(identicalTokenKey, underlyin
     return;
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await adapter.addPair(identicalToken, underlyingToken);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    if ((await adapter.getUnderlyingToken(identicalToken)) == underlyingToken) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, adapter, 'addPair', [identicalToken, underlyingToken]);
 }
 
 async function addQuoteAssetToUniswapV2PairPriceAdapter(assetKey) {
@@ -379,70 +228,38 @@ async function addQuoteAssetToUniswapV2PairPriceAdapter(assetKey) {
     return;
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await adapter.addQuoteAsset(asset);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    const quoteAssets = await adapter.getQuoteAssets();
-    if (quoteAssets.indexOf(asset) >= 0) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, adapter, 'addQuoteAsset', [asset]);
 }
 
-async function deployAaveV2WrapV2Adapter() {
-  const lpap = config['aave_v2_lending_pool_addresses_provider'];
-  if (!lpap) {
-    throw new Error(`deploy AaveV2WrapV2Adapter: must set aave_v2_lending_pool_addresses_provider in file ${CONFIG_FILE} !`);
-  }
-
-  const name = 'AaveV2WrapV2Adapter';
-  const key = 'aave_v2_wrap_v2_adapter';
-  const args = [lpap];
-
-  return quickDeployContract(name, key, args);
-}
+async function addAssetToUniswapV3TwapOracleAdapter(assetKey, pool, twapPeriod, minLiquidity) {
+  const adapterKey = 'uniswap_v3_twap_oracle_adapter';
+  const task = `UniswapV3TwapOracleAdapter ${adapterKey} add asset ${assetKey}`;
 
-async function deployAdapters() {
-  if (CHAIN_NAME == 'mainnet' || CHAIN_NAME == 'kovan') {
-    await deployChainlinkOracleAdapter();
-    await deployChainlinkSerialOracleAdapter();
+  const asset = config['tokens'][assetKey];
+  if (!asset) {
+    throw new Error(`${task}: must set ${assetKey} in file ${CONFIG_FILE} !`);
   }
 
-  await deployWithPriceOracle('IdenticalTokenOracleAdapter', 'identical_token_oracle_adapter');
-
-  await deployWithPriceOracle('UniswapV2PairPriceAdapter', 'uniswap_v2_pair_price_adapter');
-  await addQuoteAssetToUniswapV2PairPriceAdapter('usd');
-  await addQuoteAssetToUniswapV2PairPriceAdapter('eth');
-
-  if (CHAIN_NAME == 'xdcdev') {
-    return;
+  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+  const adapterAddress = contractAddresses[adapterKey]?.address;
+  if (!adapterAddress) {
+    throw new Error(`${task}: must set ${adapterKey}.address in file ${filename} !`);
   }
 
-  if (CHAIN_NAME != 'kovan') {
-    await deployExchangeAdapter('KyberV1ExchangeAdapter', 'kyber_v1_exchange_adapter', 'kyber_v1_router');
-    // await deployExchangeAdapter('KyberV1ExchangeAdapterV2', 'kyber_v1_exchange_adapter_v2', 'kyber_v1_router');
-  }
+  const adapterImplementation = await hre.ethers.getContractFactory('UniswapV3TwapOracleAdapter', deployer);
+  const adapter = adapterImplementation.attach(adapterAddress);
 
-  if (CHAIN_NAME == 'polygon' || CHAIN_NAME == 'mumbai') {
-    await deployExchangeAdapter('UniswapV2ExchangeAdapter', 'quickswap_exchange_adapter', 'quickswap_router');
-    // await deployExchangeAdapter('UniswapV2ExchangeAdapterV2', 'quickswap_exchange_adapter_v2', 'quickswap_router');
+  const oldPool = (await adapter.getAssetSetting(asset)).pool;
+  if (oldPool.toLowerCase() == pool.toLowerCase()) {
+    console.log(`[${getDataTime()}] SKIP: ${task}\n`);
+    return;
   }
 
-  await deployExchangeAdapter('UniswapV2ExchangeAdapter', 'sushi_v2_exchange_adapter', 'sushi_v2_router02');
-
-  if (CHAIN_NAME != 'polygon' && CHAIN_NAME != 'mumbai') {
-    await deployExchangeAdapter('UniswapV2ExchangeAdapter', 'uniswap_v2_exchange_adapter', 'uniswap_v2_router02');
-    // await deployExchangeAdapter('UniswapV2ExchangeAdapterV2', 'uniswap_v2_exchange_adapter_v2', 'uniswap_v2_router02');
+  if (oldPool != ZERO_ADDRESS) {
+    throw new Error(`${task}: pool ${oldPool} is already exist !`);
   }
 
-  await deployExchangeAdapter('UniswapV3ExchangeAdapter', 'uniswap_v3_exchange_adapter', 'uniswap_v3_swap_router');
-
-  await deployAaveV2WrapV2Adapter();
+  await runAdminTask(task, adapter, 'addAsset', [asset, pool, twapPeriod, minLiquidity]);
 }
 
 // eslint-disable-next-line no-unused-vars
@@ -472,18 +289,7 @@ async function removeIntegration(moduleKey, adapterKey) {
     return;
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await integrationRegistry.removeIntegration(moduleAddress, adapterName);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    if ((await integrationRegistry.getIntegrationAdapter(moduleAddress, adapterName)) == ZERO_ADDRESS) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, integrationRegistry, 'removeIntegration', [moduleAddress, adapterName]);
 }
 
 async function addIntegration(moduleKey, adapterKey) {
@@ -523,18 +329,7 @@ async function addIntegration(moduleKey, adapterKey) {
     throw new Error(`${task}: adapter is already exist`);
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await integrationRegistry.addIntegration(moduleAddress, adapterName, adapterAddress);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    if ((await integrationRegistry.getIntegrationAdapter(moduleAddress, adapterName)) == adapterAddress) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, integrationRegistry, 'addIntegration', [moduleAddress, adapterName, adapterAddress]);
 }
 
 async function editSecondQuoteAssetOfPriceOracle(priceOracle) {
@@ -551,19 +346,7 @@ async function editSecondQuoteAssetOfPriceOracle(priceOracle) {
     return;
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await priceOracle.editSecondQuoteAsset(secondQuoteAsset);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    const newSecondQuoteAsset = await priceOracle.getSecondQuoteAsset();
-    if (newSecondQuoteAsset.toUpperCase() == secondQuoteAsset.toUpperCase()) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, priceOracle, 'editSecondQuoteAsset', [secondQuoteAsset]);
 }
 
 async function addOracleToPriceOracle(priceOracle, oracle_key) {
@@ -594,19 +377,7 @@ async function addOracleToPriceOracle(priceOracle, oracle_key) {
     throw new Error(`${task}: oracle is already exist`);
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await priceOracle.addPair(asset1Address, asset2Address, oracleAddress);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    const newOracleAddress = await priceOracle.getOracle(asset1Address, asset2Address);
-    if (newOracleAddress.toUpperCase() == oracleAddress.toUpperCase()) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, priceOracle, 'addPair', [asset1Address, asset2Address, oracleAddress]);
 }
 
 async function addAdapterToPriceOracle(priceOracle, adapterKey) {
@@ -624,19 +395,7 @@ async function addAdapterToPriceOracle(priceOracle, adapterKey) {
     return;
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await priceOracle.addAdapter(adapterAddress);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    const adapters = await priceOracle.getAdapters();
-    if (adapters.indexOf(adapterAddress) >= 0) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, priceOracle, 'addAdapter', [adapterAddress]);
 }
 
 async function setupPriceOracle() {
@@ -654,7 +413,12 @@ async function setupPriceOracle() {
   await editSecondQuoteAssetOfPriceOracle(priceOracle);
 
   // add all oracles
-  const { chainlink_oracle: chainlinkOracles, chainlink_serial_oracle: serialOracles, identical_token_pair: identicalTokenPairs } = oracles[CHAIN_NAME];
+  const {
+    chainlink_oracle: chainlinkOracles,
+    chainlink_serial_oracle: serialOracles,
+    identical_token_pair: identicalTokenPairs = [],
+    uniswap_v3_twap_asset: twapAssets = [],
+  } = oracles[CHAIN_NAME];
 
   for (const oracle of chainlinkOracles) {
     await addOracleToPriceOracle(priceOracle, oracle.key);
@@ -664,19 +428,30 @@ async function setupPriceOracle() {
     await addOracleToPriceOracle(priceOracle, oracle.key);
   }
 
-  if (CHAIN_NAME == 'mainnet' || CHAIN_NAME == 'kovan') {
-    await addAdapterToPriceOracle(priceOracle, 'chainlink_oracle_adapter');
-    await addAdapterToPriceOracle(priceOracle, 'chainlink_serial_oracle_adapter');
+  const { price_oracle_adapters: adapterKeys = [] } = manifest;
+
+  if (adapterKeys.indexOf('identical_token_oracle_adapter') >= 0) {
+    for (const tokenPair of identicalTokenPairs) {
+      const { reserve_token: reserveToken, underlying_token: underlyingToken } = tokenPair;
+      await addPairToIdenticalTokenOracleAdapter(reserveToken, underlyingToken);
+    }
   }
 
-  await addAdapterToPriceOracle(priceOracle, 'identical_token_oracle_adapter');
+  if (adapterKeys.indexOf('uniswap_v2_pair_price_adapter') >= 0) {
+    await addQuoteAssetToUniswapV2PairPriceAdapter('usd');
+    await addQuoteAssetToUniswapV2PairPriceAdapter('eth');
+  }
 
-  for (const tokenPair of identicalTokenPairs) {
-    const { reserve_token: reserveToken, underlying_token: underlyingToken } = tokenPair;
-    await addPairToIdenticalTokenOracleAdapter(reserveToken, underlyingToken);
+  if (adapterKeys.indexOf('uniswap_v3_twap_oracle_adapter') >= 0) {
+    for (const twapAsset of twapAssets) {
+      const { asset, pool, twap_period: twapPeriod, min_liquidity: minLiquidity = '0' } = twapAsset;
+      await addAssetToUniswapV3TwapOracleAdapter(asset, pool, twapPeriod, minLiquidity);
+    }
   }
 
-  await addAdapterToPriceOracle(priceOracle, 'uniswap_v2_pair_price_adapter');
+  for (const adapterKey of adapterKeys) {
+    await addAdapterToPriceOracle(priceOracle, adapterKey);
+  }
 }
 
 async function initController() {
@@ -705,18 +480,8 @@ async function initController() {
     return controller;
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await controller.initialize([matrixTokenFactory], [], [integrationRegistry, priceOracle, matrixValuer], [0, 1, 2]);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    if (await controller.isInitialized()) {
-      console.log(`[${getDataTime()}] OK: ${task}\n`);
-      return controller;
-    }
-  }
-
-  throw new Error(`FAIL: ${task}`);
+  await runAdminTask(task, controller, 'initialize', [[matrixTokenFactory], [], [integrationRegistry, priceOracle, matrixValuer], [0, 1, 2]]);
+  return controller;
 }
 
 async function addModule(controller, moduleName, moduleKey) {
@@ -728,122 +493,51 @@ async function addModule(controller, moduleName, moduleKey) {
   }
 
   const task = `controller add module ${moduleName} at ${moduleAddress}`;
-  let isModule = await controller.isModule(moduleAddress);
-
-  if (isModule) {
+  if (await controller.isModule(moduleAddress)) {
     console.log(`[${getDataTime()}] SKIP: ${task}\n`);
     return;
   }
 
-  console.log(`[${getDataTime()}] DO: ${task}`);
-  await controller.addModule(moduleAddress);
-
-  for (let i = 0; i < 30; i++) {
-    await sleep(1000);
-    if (await controller.isModule(moduleAddress)) {
-      isModule = true;
-      break;
-    }
-  }
-
-  if (isModule) {
-    console.log(`[${getDataTime()}] OK: ${task}\n`);
-  } else {
-    throw new Error(`FAIL: ${task}`);
-  }
+  await runAdminTask(task, controller, 'addModule', [moduleAddress]);
 }
 
 async function setupController() {
   const controller = await initController();
-  await addModule(controller, 'StreamingFeeModule', 'streaming_fee_module');
-  await addModule(controller, 'BasicIssuanceModule', 'basic_issuance_module');
-  await addModule(controller, 'NavIssuanceModule', 'nav_issuance_module');
-  // await addModule(controller, 'IssuanceModule', 'issuance_module');
-  // await addModule(controller, 'DebtIssuanceModule', 'debt_issuance_module');
-  // await addModule(controller, 'DebtIssuanceModuleV2', 'debt_issuance_module_v2');
-  await addModule(controller, 'TradeModule', 'trade_module');
-  await addModule(controller, 'AirdropModule', 'airdrop_module');
-  // await addModule(controller, 'AaveLeverageModule', 'aave_leverage_module');
-  // await addModule(controller, 'StakingModule', 'staking_module');
-  await addModule(controller, 'WrapModuleV2', 'wrap_module_v2');
-}
-
-async function setupTradeModule() {
-  if (CHAIN_NAME == 'xdcdev') {
-    return;
-  }
-
-  if (CHAIN_NAME != 'kovan') {
-    await addIntegration('trade_module', 'kyber_v1_exchange_adapter');
-    // await addIntegration('trade_module', 'kyber_v1_exchange_adapter_v2');
-  }
 
-  if (CHAIN_NAME == 'polygon' || CHAIN_NAME == 'mumbai') {
-    await addIntegration('trade_module', 'quickswap_exchange_adapter');
-    // await addIntegration('trade_module', 'quickswap_exchange_adapter_v2');
+  for (const moduleKey of manifest.modules || []) {
+    const { name } = getContract(manifest, moduleKey);
+    await addModule(controller, name, moduleKey);
   }
+}
 
-  await addIntegration('trade_module', 'sushi_v2_exchange_adapter');
+async function setupIntegrations() {
+  const { integrations = {} } = manifest;
 
-  if (CHAIN_NAME != 'polygon' && CHAIN_NAME != 'mumbai') {
-    await addIntegration('trade_module', 'uniswap_v2_exchange_adapter');
-    // await addIntegration('trade_module', 'uniswap_v2_exchange_adapter_v2');
+  for (const [moduleKey, adapterKeys] of Object.entries(integrations)) {
+    for (const adapterKey of adapterKeys) {
+      await addIntegration(moduleKey, adapterKey);
+    }
   }
-
-  await addIntegration('trade_module', 'uniswap_v3_exchange_adapter');
 }
 
-async function setupWrapModuleV2() {
-  if (CHAIN_NAME == 'xdcdev') {
-    return;
+async function deployAll() {
+  deployer = await getDeployer(hre);
+  if (isReadOnly(deployer)) {
+    throw new Error(`deploy.js needs a signer: set DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL in file .env, or use task deploy --plan !`);
   }
 
-  // await removeIntegration('wrap_module_v2', 'aave_v2_wrap_v2_adapter');
-  await addIntegration('wrap_module_v2', 'aave_v2_wrap_v2_adapter');
-}
-
-async function deployMatrixToken() {
-  const unit = WEI_PER_ETHER;
-  const manager = config['fee_recipient'];
-  const weth = getWeth(config, CHAIN_NAME);
-  const { contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-  const controller = contractAddresses.controller?.address;
-  const basic_issuance_module = contractAddresses.basic_issuance_module?.address;
-
-  const name = 'MatrixToken';
-  const key = 'test_matrix_token';
-  const args = [[weth], [unit], [basic_issuance_module], controller, manager, 'Matrix Token', 'MT'];
+  console.log(`DEPLOYER = ${await deployer.getAddress()}\n`);
 
-  return quickDeployContract(name, key, args);
-}
-
-async function deployAll() {
   await deployAllMocks();
-  await quickDeployContract('ProtocolViewer', 'protocol_viewer');
-  await quickDeployContract('AaveV2', 'aave_v2');
-  await deployController();
-  await deployWithController('MatrixValuer', 'matrix_valuer');
-  await deployWithController('MatrixTokenFactory', 'matrix_token_factory');
-  await deployWithController('IntegrationRegistry', 'integration_registry');
-  await deployWithController('BasicIssuanceModule', 'basic_issuance_module');
-  // await deployWithController('IssuanceModule', 'issuance_module');
-  await deployWithController('StreamingFeeModule', 'streaming_fee_module');
-  // await deployWithController('DebtIssuanceModule', 'debt_issuance_module');
-  // await deployWithController('DebtIssuanceModuleV2', 'debt_issuance_module_v2');
-  await deployWithController('TradeModule', 'trade_module');
-  await deployWithController('AirdropModule', 'airdrop_module');
-  // await deployWithController('StakingModule', 'staking_module');
-  await deployWithControllerAndWeth('NavIssuanceModule', 'nav_issuance_module');
-  await deployWithControllerAndWeth('WrapModuleV2', 'wrap_module_v2');
-  // await deployAaveLeverageModule();
-  await deployPriceOracle();
+  await deployManifest(manifest, getManifestContext, quickDeployContract);
   await deployOracles();
-  await deployAdapters();
-  await deployMatrixToken(); // deploy MatrixToken for verify contract
   await setupPriceOracle();
   await setupController();
-  await setupTradeModule();
-  await setupWrapModuleV2();
+  await setupIntegrations();
+
+  if (SAFE_BATCH) {
+    printSafeBatch(SAFE_BATCH_FILE, writeSafeBatch(SAFE_BATCH_FILE, SAFE_BATCH));
+  }
 }
 
 deployAll()
@@ -0,0 +1,214 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { getWeth, getDataTime, getReadOnlyContract } = require('./helpers');
+const { sendTransaction } = require('./transaction');
+const { getAddressBook, resolveAddress } = require('./product');
+const { formatAmount, formatPercent, getKeyOf, getDecimalsReader } = require('./spec');
+
+const { BigNumber } = ethers;
+const PRECISE_UNIT = ethers.constants.WeiPerEther;
+const ZERO = BigNumber.from(0);
+
+const ONE_YEAR_IN_SECONDS = 365.25 * 24 * 3600;
+const PROTOCOL_STREAMING_FEE_INDEX = 0;
+
+// PreciseUnitMath
+const preciseMul = (a, b) => a.mul(b).div(PRECISE_UNIT);
+
+// preciseMulFloor of a signed a, BigNumber.div() rounds towards zero
+function preciseMulFloorInt(a, b) {
+  const c = a.mul(b);
+  return c.gte(0) || c.abs().mod(PRECISE_UNIT).isZero() ? c.div(PRECISE_UNIT) : c.div(PRECISE_UNIT).sub(1);
+}
+
+// StreamingFeeModule._calculateStreamingFee() at timestamp, in percentage of the supply
+function getStreamingFee(feeState, timestamp) {
+  const timeSinceLastFee = Math.max(0, timestamp - BigNumber.from(feeState.lastStreamingFeeTimestamp).toNumber());
+  return BigNumber.from(feeState.streamingFeePercentage).mul(timeSinceLastFee).div(ONE_YEAR_IN_SECONDS);
+}
+
+// StreamingFeeModule._calculateStreamingFeeInflation(), the MatrixToken to mint so the fee recipients own fee of the supply
+function getStreamingFeeInflationAmount(fee, totalSupply) {
+  return fee.mul(totalSupply).div(PRECISE_UNIT.sub(fee));
+}
+
+// position units after actualizeFee(), which multiplies the position multiplier by 1 - fee
+function getPostFeePositionUnits(preFeeUnits, fee) {
+  return preFeeUnits.map((unit) => (unit.gte(0) ? preciseMul(unit, PRECISE_UNIT.sub(fee)) : preciseMulFloorInt(unit, PRECISE_UNIT.sub(fee))));
+}
+
+// Project the fee which actualizeFee() would mint at timestamp, and the dilution of the position units
+//
+// state: { totalSupply, positionMultiplier, feeState, protocolFee, positions: [{ component, unit }], valuation }
+// valuation is the value of one MatrixToken in precise units of the master quote asset of PriceOracle
+function projectStreamingFee(state, timestamp) {
+  const fee = BigNumber.from(state.feeState.streamingFeePercentage).isZero() ? ZERO : getStreamingFee(state.feeState, timestamp);
+  const feeQuantity = getStreamingFeeInflationAmount(fee, BigNumber.from(state.totalSupply));
+  const protocolFeeQuantity = preciseMul(feeQuantity, BigNumber.from(state.protocolFee));
+  const postFeeUnits = getPostFeePositionUnits(
+    state.positions.map((item) => BigNumber.from(item.unit)),
+    fee
+  );
+
+  return {
+    timestamp,
+    fee,
+    feeQuantity,
+    managerFeeQuantity: feeQuantity.sub(protocolFeeQuantity),
+    protocolFeeQuantity,
+    newSupply: BigNumber.from(state.totalSupply).add(feeQuantity),
+    newPositionMultiplier: preciseMul(BigNumber.from(state.positionMultiplier), PRECISE_UNIT.sub(fee)),
+    positions: state.positions.map((item, i) => ({ ...item, postFeeUnit: postFeeUnits[i] })),
+    value: state.valuation ? preciseMul(feeQuantity, BigNumber.from(state.valuation)) : undefined,
+  };
+}
+
+// Read the fee state of MatrixTokens from StreamingFeeModule, with the unaccrued fees of ProtocolViewer when it is deployed
+//
+// inputs: the same as planDeployment(), see getPlanInputs() in plan.js
+// options: { module, viewer }, the keys or addresses of StreamingFeeModule and ProtocolViewer
+async function readStreamingFeeStates(hre, inputs, addresses, options = {}) {
+  const { provider } = hre.ethers;
+  const book = getAddressBook(inputs);
+  const getContract = (name, address) => getReadOnlyContract(name, address, provider);
+  const getDecimals = getDecimalsReader(provider);
+
+  const streamingFeeModule = await getContract('StreamingFeeModule', resolveAddress(options.module || 'streaming_fee_module', book));
+  const controller = await getContract('Controller', await streamingFeeModule.getController());
+  const matrixValuer = await getContract('MatrixValuer', await controller.getMatrixValuer());
+  const priceOracle = await getContract('PriceOracle', await controller.getPriceOracle());
+  const masterQuoteAsset = await priceOracle.getMasterQuoteAsset();
+  const protocolFee = await controller.getModuleFee(streamingFeeModule.address, PROTOCOL_STREAMING_FEE_INDEX);
+
+  const viewerAddress = options.viewer || book.protocol_viewer;
+  const viewer = viewerAddress ? await getContract('ProtocolViewer', resolveAddress(viewerAddress, book)) : undefined;
+  const infos = viewer ? await viewer.batchFetchStreamingFeeInfo(streamingFeeModule.address, addresses) : [];
+
+  const states = [];
+
+  for (const [i, address] of addresses.entries()) {
+    const matrixToken = await getContract('MatrixToken', address);
+    const feeState = await streamingFeeModule.getFeeState(address);
+
+    if (!(await matrixToken.isInitializedModule(streamingFeeModule.address))) {
+      throw new Error(`StreamingFeeModule is not initialized for MatrixToken ${address} !`);
+    }
+
+    let valuation;
+    try {
+      valuation = await matrixValuer.calculateMatrixTokenValuation(address, masterQuoteAsset);
+    } catch (e) {
+      valuation = undefined;
+    }
+
+    const positions = [];
+    for (const { component, module, unit } of await matrixToken.getPositions()) {
+      positions.push({ component, key: getKeyOf(component, book), decimals: await getDecimals(component), module, unit });
+    }
+
+    states.push({
+      address,
+      key: getKeyOf(address, book),
+      symbol: await matrixToken.symbol(),
+      totalSupply: await matrixToken.totalSupply(),
+      positionMultiplier: await matrixToken.getPositionMultiplier(),
+      feeState,
+      protocolFee,
+      positions,
+      valuation,
+      unaccruedFee: viewer ? infos[i].unaccruedFees : await streamingFeeModule.getFee(address),
+    });
+  }
+
+  return { streamingFeeModule, priceOracle, masterQuoteAsset, quoteKey: getKeyOf(masterQuoteAsset, book), states };
+}
+
+// Project the fees of MatrixTokens at timestamp, and call actualizeFee() for the MatrixTokens whose fees accrued now are
+// worth more than feeToGasRatio times the gas cost of actualizeFee(), in the master quote asset of PriceOracle.
+//
+// options: { module, viewer, timestamp, accrue, feeToGasRatio, txOptions }
+async function collectStreamingFees(hre, inputs, addresses, signer, options = {}) {
+  const { provider } = hre.ethers;
+  const book = getAddressBook(inputs);
+  const { streamingFeeModule, priceOracle, masterQuoteAsset, quoteKey, states } = await readStreamingFeeStates(hre, inputs, addresses, options);
+
+  const { timestamp: now } = await provider.getBlock('latest');
+  const timestamp = options.timestamp || now;
+  const feeToGasRatio = BigNumber.from(options.feeToGasRatio || PRECISE_UNIT);
+
+  // the gas is paid in the native token, priced by its wrapped token
+  const weth = options.accrue ? resolveAddress(getWeth(inputs.config, inputs.chainName), book) : undefined;
+  const ethPrice = options.accrue ? await priceOracle.getPrice(weth, masterQuoteAsset) : undefined;
+  const { gasPrice } = await provider.getFeeData();
+
+  const results = [];
+
+  for (const state of states) {
+    const projection = projectStreamingFee(state, timestamp);
+    const accrued = projectStreamingFee(state, now);
+    const result = { ...state, projection, accrued };
+
+    if (!options.accrue) {
+      results.push(result);
+      continue;
+    }
+
+    const name = `StreamingFeeModule actualizeFee of ${state.symbol}`;
+
+    if (accrued.feeQuantity.isZero() || accrued.value === undefined) {
+      console.log(`[${getDataTime()}] SKIP: ${name}, ${accrued.value === undefined ? 'no valuation by PriceOracle' : 'no fee accrued'}`);
+      results.push({ ...result, skipped: true });
+      continue;
+    }
+
+    const gas = await streamingFeeModule.estimateGas.actualizeFee(state.address);
+    const gasCost = preciseMul(gas.mul(gasPrice), ethPrice);
+    const formatValue = (value) => `${formatAmount(value, 18)} ${quoteKey}`;
+
+    if (accrued.value.lt(preciseMul(gasCost, feeToGasRatio))) {
+      console.log(
+        `[${getDataTime()}] SKIP: ${name}, fee ${formatValue(accrued.value)} is below ${formatAmount(feeToGasRatio, 18)} x gas ${formatValue(gasCost)}`
+      );
+      results.push({ ...result, gasCost, skipped: true });
+      continue;
+    }
+
+    const contract = streamingFeeModule.connect(signer);
+    const receipt = await sendTransaction(name, contract, 'actualizeFee', [state.address], options.txOptions);
+    results.push({ ...result, gasCost, receipt });
+  }
+
+  return { quoteKey, results };
+}
+
+function printStreamingFees({ quoteKey, results }) {
+  for (const { key, symbol, feeState, totalSupply, unaccruedFee, projection } of results) {
+    const date = new Date(projection.timestamp * 1000).toISOString();
+    const value = projection.value === undefined ? 'unknown' : `${formatAmount(projection.value, 18)} ${quoteKey}`;
+
+    console.log(`TOKEN: ${key} (${symbol}), fee ${formatPercent(feeState.streamingFeePercentage)} per year, supply ${formatAmount(totalSupply, 18)}`);
+    console.log(`  unaccrued now: ${formatPercent(unaccruedFee)}`);
+    console.log(`  at ${date}: ${formatPercent(projection.fee)}, mint ${formatAmount(projection.feeQuantity, 18)} ${symbol} worth ${value}`);
+    console.log(`  manager ${formatAmount(projection.managerFeeQuantity, 18)}, protocol ${formatAmount(projection.protocolFeeQuantity, 18)}`);
+
+    for (const { key: component, decimals, unit, postFeeUnit } of projection.positions) {
+      console.log(`  unit of ${component}: ${formatAmount(unit, decimals)} -> ${formatAmount(postFeeUnit, decimals)}`);
+    }
+  }
+}
+
+module.exports = {
+  getStreamingFee,
+  getStreamingFeeInflationAmount,
+  getPostFeePositionUnits,
+  projectStreamingFee,
+  readStreamingFeeStates,
+  collectStreamingFees,
+  printStreamingFees,
+};
@@ -0,0 +1,390 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== Internal Imports ====================
+
+const { sleep, getReadOnlyContract } = require('./helpers');
+
+const OK = 'ok';
+const STALE = 'stale';
+const DEVIATION = 'deviation';
+const WRONG_ORACLE = 'wrong_oracle';
+const REVERT = 'revert';
+const SKIP = 'skip';
+const UNCHECKED = 'unchecked';
+
+// the worst status of a route wins
+const SEVERITY = [OK, SKIP, UNCHECKED, DEVIATION, STALE, WRONG_ORACLE, REVERT];
+
+const DEFAULT_HEALTH_OPTIONS = {
+  maxAge: 86400, // seconds since the last update of a feed
+  maxDeviation: 0.05, // relative deviation from the reference price
+};
+
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+];
+
+const ADAPTER_ABI = ['function getPrice(address asset1, address asset2) view returns (bool found, uint256 price)'];
+
+const FEED_REGISTRY_ABI = ['function getFeed(address base, address quote) view returns (address)'];
+
+// keys of the adapters whose pairs are known, see getAdapterPairs() in checkOracleHealth()
+const ADAPTER_TYPES = {
+  identical_token_oracle_adapter: 'IdenticalTokenOracleAdapter',
+  chainlink_oracle_adapter: 'ChainlinkOracleAdapter',
+  chainlink_serial_oracle_adapter: 'ChainlinkSerialOracleAdapter',
+  uniswap_v3_twap_oracle_adapter: 'UniswapV3TwapOracleAdapter',
+  uniswap_v2_pair_price_adapter: 'UniswapV2PairPriceAdapter',
+};
+
+// relative deviation of price from reference, in 1e-6
+function getDeviation(price, reference) {
+  const ppm = reference.isZero() ? undefined : price.sub(reference).abs().mul(1000000).div(reference);
+  return ppm && ppm.lt(2 ** 52) ? ppm.toNumber() / 1000000 : Infinity;
+}
+
+// Read every route of the PriceOracle at one block: the chainlink and serial oracle pairs of oracles.json, and the pairs
+// of its adapters. Each route is checked for reverts, the age of its feeds and the deviation of its price from the
+// feeds, from options.reference ({ 'asset1/asset2': price with 18 decimals }) and from options.previous. An adapter
+// whose pairs are unknown is reported as unchecked, which is not ok.
+//
+// inputs: the same as planDeployment(), see getPlanInputs() in plan.js
+// options: { maxAge, maxDeviation, reference, previous }
+async function checkOracleHealth(hre, inputs, options = {}) {
+  const { chainName, config, contractAddresses } = inputs;
+  const { maxAge, maxDeviation, reference = {}, previous = {} } = { ...DEFAULT_HEALTH_OPTIONS, ...options };
+  const { ethers } = hre;
+  const { BigNumber } = ethers;
+  const tokens = config.tokens || {};
+
+  const block = await ethers.provider.getBlock('latest');
+  const overrides = { blockTag: block.number };
+  const routes = [];
+
+  const priceOracleAddress = contractAddresses.price_oracle?.address;
+  if (!priceOracleAddress) {
+    throw new Error(`oracleHealth: must set price_oracle in deployed addresses of ${chainName} !`);
+  }
+
+  const priceOracle = await getReadOnlyContract('PriceOracle', priceOracleAddress, ethers.provider);
+
+  const readFeed = async (address) => {
+    const feed = new ethers.Contract(address, AGGREGATOR_ABI, ethers.provider);
+    const decimals = await feed.decimals(overrides);
+    const { roundId, answer, updatedAt, answeredInRound } = await feed.latestRoundData(overrides);
+    const age = updatedAt.isZero() ? null : block.timestamp - updatedAt.toNumber();
+    return { feed: address, decimals, answer, round_id: roundId.toString(), updated_at: updatedAt.toNumber(), age, answeredInRound, roundId };
+  };
+
+  const checkRoute = async (route, readPrice, readExpected) => {
+    const messages = [];
+    const statuses = [OK];
+    const addProblem = (status, message) => {
+      statuses.push(status);
+      messages.push(message);
+    };
+
+    try {
+      route.price = (await readPrice()).toString();
+    } catch (e) {
+      addProblem(REVERT, `getPrice reverts: ${e.reason || e.message}`);
+    }
+
+    try {
+      const { feeds = [], expected } = await readExpected(addProblem);
+
+      for (const feed of feeds) {
+        if (feed.answer.lte(0)) {
+          addProblem(REVERT, `feed ${feed.feed} answers ${feed.answer}`);
+        }
+
+        if (feed.age === null) {
+          addProblem(STALE, `feed ${feed.feed} has no update time`);
+        } else if (feed.age > maxAge) {
+          addProblem(STALE, `feed ${feed.feed} is updated ${feed.age} seconds ago, more than ${maxAge}`);
+        }
+
+        if (feed.answeredInRound.lt(feed.roundId)) {
+          addProblem(STALE, `feed ${feed.feed} answers in round ${feed.answeredInRound} of round ${feed.roundId}`);
+        }
+      }
+
+      if (feeds.length > 0) {
+        route.feeds = feeds.map(({ feed, decimals, answer, round_id, updated_at, age }) => ({
+          feed,
+          decimals,
+          answer: answer.toString(),
+          round_id,
+          updated_at,
+          age,
+        }));
+        route.age = feeds.some((feed) => feed.age === null) ? null : Math.max(...feeds.map((feed) => feed.age));
+      }
+
+      if (route.price && expected && getDeviation(BigNumber.from(route.price), expected) > maxDeviation) {
+        addProblem(DEVIATION, `price ${route.price} of PriceOracle deviates from ${expected} of the feeds`);
+      }
+    } catch (e) {
+      addProblem(REVERT, `feed reverts: ${e.reason || e.message}`);
+    }
+
+    for (const [name, value] of [
+      ['reference', reference[route.pair]],
+      ['previous', previous[route.pair]],
+    ]) {
+      if (route.price && value !== undefined) {
+        const deviation = getDeviation(BigNumber.from(route.price), BigNumber.from(value));
+        route[`${name}_deviation`] = deviation;
+
+        if (deviation > maxDeviation) {
+          addProblem(DEVIATION, `price ${route.price} deviates ${(deviation * 100).toFixed(2)}% from ${name} price ${value}`);
+        }
+      }
+    }
+
+    route.status = statuses.sort((a, b) => SEVERITY.indexOf(b) - SEVERITY.indexOf(a))[0];
+    route.messages = messages;
+    routes.push(route);
+  };
+
+  const toUnit = (answer, decimals) => (decimals <= 18 ? answer.mul(BigNumber.from(10).pow(18 - decimals)) : answer.div(BigNumber.from(10).pow(decimals - 18)));
+
+  // pairs of oracles.json, the same as setupPriceOracle() of deploy.js
+  const {
+    chainlink_oracle: chainlinkOracles = [],
+    chainlink_serial_oracle: serialOracles = [],
+    identical_token_pair: identicalTokenPairs = [],
+    chainlink_registry_pair: registryPairs = [],
+    chainlink_serial_registry_pair: serialRegistryPairs = [],
+  } = inputs.oracles || {};
+
+  for (const [type, { key }] of [
+    ...chainlinkOracles.map((item) => ['ChainlinkOracle', item]),
+    ...serialOracles.map((item) => ['ChainlinkSerialOracle', item]),
+  ]) {
+    const [asset1, asset2] = key.split('_');
+    const route = { pair: `${asset1}/${asset2}`, key, type };
+    const { [asset1]: asset1Address, [asset2]: asset2Address } = tokens;
+    const oracleAddress = contractAddresses[key]?.address;
+
+    if (!asset1Address || !asset2Address || !oracleAddress) {
+      routes.push({ ...route, status: SKIP, messages: ['the tokens are not set in the config file or the oracle is not deployed'] });
+      continue;
+    }
+
+    route.oracle = oracleAddress;
+    await checkRoute(
+      route,
+      () => priceOracle.getPrice(asset1Address, asset2Address, overrides),
+      async (addProblem) => {
+        const registered = await priceOracle.getOracle(asset1Address, asset2Address, overrides);
+        if (registered.toLowerCase() != oracleAddress.toLowerCase()) {
+          addProblem(WRONG_ORACLE, `PriceOracle uses oracle ${registered} rather than ${oracleAddress}`);
+          return {};
+        }
+
+        const oracle = await getReadOnlyContract(type, oracleAddress, ethers.provider);
+
+        if (type == 'ChainlinkOracle') {
+          const feed = await readFeed(await oracle.getPriceFeed(overrides));
+          return { feeds: [feed], expected: toUnit(feed.answer, feed.decimals) };
+        }
+
+        const feed1 = await readFeed(await oracle.getPriceFeed1(overrides));
+        const feed2 = await readFeed(await oracle.getPriceFeed2(overrides));
+        return { feeds: [feed1, feed2], expected: toUnit(feed1.answer.mul(feed2.answer), feed1.decimals + feed2.decimals) };
+      }
+    );
+  }
+
+  // the route of each pair is named by token keys of the config file, or by addresses of tokens which are not in it
+  const getTokenKey = (address) => Object.keys(tokens).find((item) => tokens[item]?.toLowerCase() == address.toLowerCase()) || address;
+
+  const readAdapterPrice = async (adapter, asset1, asset2) => {
+    const { found, price } = await adapter.getPrice(asset1, asset2, overrides);
+    if (!found) {
+      throw new Error(`adapter has no price of ${getTokenKey(asset1)}/${getTokenKey(asset2)}`);
+    }
+
+    return price;
+  };
+
+  // pairs of token keys, e.g. 'link/eth', as [asset1, asset2] addresses, undefined if a token is not set
+  const getConfigPairs = (pairs) =>
+    pairs.map((pair) => {
+      const [asset1, asset2] = pair.split('/').map((item) => tokens[item]);
+      return { pair, assets: asset1 && asset2 ? [asset1, asset2] : undefined };
+    });
+
+  // Pairs of an adapter: the pairs of oracles.json for adapters which can not list them, the assets, pools and quote assets
+  // stored in the others. Each pair is { pair, assets, readPrice, readExpected }, undefined if the pairs are unknown.
+  const getAdapterPairs = async (key, adapterAddress) => {
+    if (key == 'identical_token_oracle_adapter') {
+      const adapter = new ethers.Contract(adapterAddress, ADAPTER_ABI, ethers.provider);
+
+      return getConfigPairs(identicalTokenPairs.map((item) => `${item.reserve_token}/${item.underlying_token}`)).map((item) => ({
+        ...item,
+        readPrice: ([asset1, asset2]) => priceOracle.getPrice(asset1, asset2, overrides),
+        readExpected: async ([asset1, asset2]) => ({ expected: await readAdapterPrice(adapter, asset1, asset2) }),
+      }));
+    }
+
+    if (key == 'chainlink_oracle_adapter' || key == 'chainlink_serial_oracle_adapter') {
+      const isSerial = key == 'chainlink_serial_oracle_adapter';
+      const pairs = isSerial ? serialRegistryPairs : registryPairs;
+      if (pairs.length == 0) {
+        return undefined;
+      }
+
+      const adapter = await getReadOnlyContract(ADAPTER_TYPES[key], adapterAddress, ethers.provider);
+      const registry = new ethers.Contract(await adapter.getFeedRegistry(overrides), FEED_REGISTRY_ABI, ethers.provider);
+      const readRegistryFeed = async (base, quote) => readFeed(await registry.getFeed(base, quote, overrides));
+
+      // the price of the adapter itself, the PriceOracle may serve these pairs by chainlink oracles
+      return getConfigPairs(pairs).map((item) => ({
+        ...item,
+        readPrice: ([base, quote]) => readAdapterPrice(adapter, base, quote),
+        readExpected: async ([base, quote]) => {
+          if (!isSerial) {
+            const feed = await readRegistryFeed(base, quote);
+            return { feeds: [feed], expected: toUnit(feed.answer, feed.decimals) };
+          }
+
+          const intermediaryAsset = await adapter.getIntermediaryAsset(overrides);
+          const feed1 = await readRegistryFeed(base, intermediaryAsset);
+          const feed2 = await readRegistryFeed(intermediaryAsset, quote);
+          return { feeds: [feed1, feed2], expected: toUnit(feed1.answer.mul(feed2.answer), feed1.decimals + feed2.decimals) };
+        },
+      }));
+    }
+
+    if (key == 'uniswap_v3_twap_oracle_adapter') {
+      const adapter = await getReadOnlyContract(ADAPTER_TYPES[key], adapterAddress, ethers.provider);
+      const result = [];
+
+      for (const asset of await adapter.getAssets(overrides)) {
+        const { quote } = await adapter.getAssetSetting(asset, overrides);
+        result.push({
+          pair: `${getTokenKey(asset)}/${getTokenKey(quote)}`,
+          assets: [asset, quote],
+          readPrice: ([asset1, asset2]) => priceOracle.getPrice(asset1, asset2, overrides),
+          readExpected: async ([asset1, asset2]) => ({ expected: await readAdapterPrice(adapter, asset1, asset2) }),
+        });
+      }
+
+      return result;
+    }
+
+    if (key == 'uniswap_v2_pair_price_adapter') {
+      const adapter = await getReadOnlyContract(ADAPTER_TYPES[key], adapterAddress, ethers.provider);
+      const quoteAssets = await adapter.getQuoteAssets(overrides);
+      const result = [];
+
+      for (const pool of await adapter.getAllowedUniswapPools(overrides)) {
+        for (const quote of quoteAssets) {
+          result.push({
+            pair: `${getTokenKey(pool)}/${getTokenKey(quote)}`,
+            assets: [pool, quote],
+            readPrice: ([asset1, asset2]) => priceOracle.getPrice(asset1, asset2, overrides),
+            readExpected: async ([asset1, asset2]) => ({ expected: await readAdapterPrice(adapter, asset1, asset2) }),
+          });
+        }
+      }
+
+      return result;
+    }
+
+    return undefined;
+  };
+
+  // pairs of adapters
+  for (const adapterAddress of await priceOracle.getAdapters(overrides)) {
+    const key = Object.keys(contractAddresses).find((item) => contractAddresses[item].address?.toLowerCase() == adapterAddress.toLowerCase());
+    const type = ADAPTER_TYPES[key] || 'adapter';
+
+    let pairs;
+    try {
+      pairs = await getAdapterPairs(key, adapterAddress);
+    } catch (e) {
+      routes.push({ pair: '', key: key || '', type, adapter: adapterAddress, status: REVERT, messages: [`reading pairs reverts: ${e.reason || e.message}`] });
+      continue;
+    }
+
+    if (!pairs) {
+      routes.push({ pair: '', key: key || '', type, adapter: adapterAddress, status: UNCHECKED, messages: ['the pairs of this adapter are unknown'] });
+      continue;
+    }
+
+    for (const { pair, assets, readPrice, readExpected } of pairs) {
+      const route = { pair, key, type, adapter: adapterAddress };
+
+      if (!assets) {
+        routes.push({ ...route, status: SKIP, messages: ['the tokens are not set in the config file'] });
+        continue;
+      }
+
+      await checkRoute(
+        route,
+        () => readPrice(assets),
+        () => readExpected(assets)
+      );
+    }
+  }
+
+  const count = (status) => routes.filter((item) => item.status == status).length;
+
+  return {
+    chain_name: chainName,
+    block: block.number,
+    timestamp: block.timestamp,
+    ok: routes.every((item) => item.status == OK || item.status == SKIP),
+    checked: routes.length - count(SKIP) - count(UNCHECKED),
+    unchecked: count(UNCHECKED),
+    stale: count(STALE),
+    deviation: count(DEVIATION),
+    wrong_oracle: count(WRONG_ORACLE),
+    revert: count(REVERT),
+    routes,
+  };
+}
+
+// Re-run checkOracleHealth every interval seconds, and write one json line per route and one summary line per run.
+// A run which fails writes a summary with ok false and the error message. The prices of the last run are the previous
+// prices of the next run. Runs forever without options.runs.
+async function watchOracleHealth(hre, inputs, options = {}) {
+  const { interval = 60, runs = Infinity, writeLine = (line) => console.log(line), ...healthOptions } = options;
+  let previous = {};
+
+  for (let run = 0; run < runs; run++) {
+    if (run > 0) {
+      await sleep(interval * 1000);
+    }
+
+    try {
+      const report = await checkOracleHealth(hre, inputs, { ...healthOptions, previous });
+      const { routes, ...summary } = report;
+
+      for (const route of routes) {
+        writeLine(JSON.stringify({ event: 'route', chain_name: report.chain_name, block: report.block, timestamp: report.timestamp, ...route }));
+      }
+
+      writeLine(JSON.stringify({ event: 'summary', ...summary }));
+      previous = Object.fromEntries(routes.filter((item) => item.price).map((item) => [item.pair, item.price]));
+    } catch (e) {
+      writeLine(JSON.stringify({ event: 'summary', chain_name: inputs.chainName, ok: false, error: e.message }));
+    }
+  }
+}
+
+module.exports = {
+  OK,
+  STALE,
+  DEVIATION,
+  WRONG_ORACLE,
+  REVERT,
+  SKIP,
+  UNCHECKED,
+  checkOracleHealth,
+  watchOracleHealth,
+};
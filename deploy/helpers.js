@@ -5,25 +5,27 @@
 const fs = require('fs');
 const dayjs = require('dayjs');
 
+// ==================== Internal Imports ====================
+
+const { getProvider } = require('./provider');
+const { createSigner, getSignerOptions } = require('./signer');
+
 const DIR = './deploy/deployed';
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function getEthers(hre) {
-  if (!hre?.ethers) {
-    hre = require('hardhat');
-  }
+// The signer of the deployer on the current network, see deploy/signer.js for the signer types set in .env.
+// Set "signer": { "allow_private_key": false } in deploy/configs/<chain>.json to refuse DEPLOYER_PRIVATE_KEY.
+// The provider fails over across all rpc urls of the network, see deploy/provider.js.
+async function getDeployer(hre, options = {}) {
+  const provider = getProvider(hre);
 
-  return hre.ethers;
-}
+  const filename = `./deploy/configs/${hre.network.name}.json`;
+  const { signer = {} } = fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename)) : {};
 
-function getDeployer(RPC_ENDPOINT, DEPLOYER_PRIVATE_KEY, hre) {
-  const ethers = getEthers(hre);
-  const provider = new ethers.providers.JsonRpcProvider(RPC_ENDPOINT);
-  const deployer = new ethers.Wallet(`0x${DEPLOYER_PRIVATE_KEY}`, provider);
-  return deployer;
+  return createSigner(provider, { ...getSignerOptions(), allowPrivateKey: signer.allow_private_key !== false, ...options });
 }
 
 async function deployContract(signer, name, args = []) {
@@ -42,6 +44,49 @@ async function deployContractAndLinkLibraries(signer, name, args = [], libraries
   return contract.deployed();
 }
 
+// a contract which can only be read, ethers.getContractAt only accepts a signer but not a provider
+async function getReadOnlyContract(name, address, provider) {
+  const { artifacts, ethers } = require('hardhat');
+  const { abi } = await artifacts.readArtifact(name);
+  return new ethers.Contract(address, abi, provider);
+}
+
+// convert BigNumber to string recursively so that values can be written to json files
+function toJsonValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(toJsonValue);
+  }
+
+  if (value?._isBigNumber) {
+    return value.toString();
+  }
+
+  return value;
+}
+
+// everything needed to verify and audit a deployment besides { address, block, hash }
+async function getDeploymentRecord(name, instance, args = [], libraries = {}) {
+  const { artifacts, ethers } = require('hardhat');
+
+  const artifact = await artifacts.readArtifact(name);
+  const contract = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await artifacts.getBuildInfo(contract);
+  const code = await instance.provider.getCode(instance.address);
+
+  return {
+    name,
+    contract,
+    args: toJsonValue(args),
+    encoded_args: instance.interface.encodeDeploy(args),
+    libraries,
+    compiler: {
+      version: buildInfo?.solcLongVersion,
+      optimizer: buildInfo?.input.settings.optimizer,
+    },
+    bytecode_hash: ethers.utils.keccak256(code),
+  };
+}
+
 function getDeployedAddresses(chain_name, chain_id) {
   const filename = `${DIR}/${chain_name}.json`;
 
@@ -85,6 +130,22 @@ function getWeth(config, CHAIN_NAME) {
   return weth;
 }
 
+// test tokens deployed as mocks on test chains, they are written to "tokens" of the config file
+function getMockTokens(chainName, testTokens) {
+  const result = [];
+
+  if (chainName == 'xdcdev') {
+    result.push({ name: 'WETH9', key: 'weth', args: [] });
+  }
+
+  for (const token of testTokens[chainName] || []) {
+    const { name, symbol, decimals } = token;
+    result.push({ name: 'Erc20Mock', key: symbol.toLowerCase(), args: [name, symbol, decimals] });
+  }
+
+  return result;
+}
+
 function joinByFlags(flags, names) {
   if (flags.length != names.length) {
     throw new Error(`joinByFlags: length mismatch !`);
@@ -137,9 +198,13 @@ module.exports = {
   getDeployer,
   deployContract,
   deployContractAndLinkLibraries,
+  getReadOnlyContract,
+  toJsonValue,
+  getDeploymentRecord,
   getDeployedAddresses,
   writeDeployedAddresses,
   getWeth,
+  getMockTokens,
   joinByFlags,
   getDataTime,
 };
@@ -0,0 +1,448 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { sleep, getDataTime } = require('./helpers');
+const { getContractInterface } = require('./abi');
+
+const { getAddress, hexValue } = ethers.utils;
+const { AddressZero } = ethers.constants;
+
+const DEFAULT_BATCH_SIZE = 2000; // blocks of one eth_getLogs
+const MAX_ADDRESSES_PER_QUERY = 100;
+
+// the contracts of each source, the events of module contracts are decoded by the union of their abis
+const SOURCE_CONTRACTS = {
+  controller: ['Controller'],
+  factory: ['MatrixTokenFactory'],
+  matrix_token: ['MatrixToken'],
+  module: ['BasicIssuanceModule', 'NavIssuanceModule', 'TradeModule', 'StreamingFeeModule', 'GeneralIndexModule', 'WrapModuleV2'],
+};
+
+// frequent events which carry nothing for history
+const IGNORED_EVENTS = ['Approval', 'Invoke'];
+
+// Every table but cursor has block_number, rows above the common ancestor of a reorg are deleted
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS cursor (key TEXT PRIMARY KEY, value INTEGER NOT NULL);
+CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+CREATE TABLE IF NOT EXISTS contracts (address TEXT PRIMARY KEY, source TEXT NOT NULL, block_number INTEGER NOT NULL);
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, tx_hash TEXT NOT NULL,
+  address TEXT NOT NULL, source TEXT NOT NULL, name TEXT NOT NULL, args TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS matrix_tokens (
+  address TEXT PRIMARY KEY, factory TEXT, manager TEXT, name TEXT, symbol TEXT, components TEXT, units TEXT, modules TEXT,
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS token_modules (
+  matrix_token TEXT NOT NULL, module TEXT NOT NULL, action TEXT NOT NULL,
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS positions (
+  matrix_token TEXT NOT NULL, component TEXT NOT NULL, position_module TEXT NOT NULL, unit TEXT NOT NULL,
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS position_multipliers (
+  matrix_token TEXT NOT NULL, multiplier TEXT NOT NULL,
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS issuances (
+  matrix_token TEXT NOT NULL, module TEXT NOT NULL, action TEXT NOT NULL, account TEXT NOT NULL, recipient TEXT NOT NULL,
+  quantity TEXT NOT NULL, reserve_asset TEXT, reserve_quantity TEXT, manager_fee TEXT, premium TEXT,
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS trades (
+  matrix_token TEXT NOT NULL, module TEXT NOT NULL, send_token TEXT NOT NULL, receive_token TEXT NOT NULL, exchange_adapter TEXT NOT NULL,
+  send_quantity TEXT NOT NULL, receive_quantity TEXT NOT NULL, protocol_fee TEXT NOT NULL,
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS fees (
+  matrix_token TEXT NOT NULL, module TEXT NOT NULL, manager_recipient TEXT NOT NULL, manager_fee TEXT NOT NULL,
+  protocol_recipient TEXT NOT NULL, protocol_fee TEXT NOT NULL,
+  block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, PRIMARY KEY (block_number, log_index)
+);
+`;
+
+const BLOCK_TABLES = ['contracts', 'events', 'matrix_tokens', 'token_modules', 'positions', 'position_multipliers', 'issuances', 'trades', 'fees'];
+
+// ==================== Database ====================
+
+function openIndexDatabase(filename) {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const Database = require('better-sqlite3');
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  return db;
+}
+
+function getCursor(db) {
+  return db.prepare(`SELECT value FROM cursor WHERE key = 'block'`).get()?.value;
+}
+
+function setCursor(db, blockNumber) {
+  db.prepare(`INSERT INTO cursor (key, value) VALUES ('block', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value`).run(blockNumber);
+}
+
+// delete everything above blockNumber
+function rollback(db, blockNumber) {
+  db.transaction(() => {
+    for (const table of BLOCK_TABLES) {
+      db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+    }
+
+    db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+    setCursor(db, blockNumber);
+  })();
+}
+
+// ==================== Decoding ====================
+
+function getDecoders() {
+  const decoders = {};
+
+  for (const [source, names] of Object.entries(SOURCE_CONTRACTS)) {
+    const fragments = {};
+
+    for (const name of names) {
+      for (const fragment of getContractInterface(name).fragments) {
+        if (fragment.type == 'event') {
+          fragments[fragment.format()] = fragment;
+        }
+      }
+    }
+
+    decoders[source] = new ethers.utils.Interface(Object.values(fragments));
+  }
+
+  return decoders;
+}
+
+function toJson(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+
+  return Array.isArray(value) ? value.map(toJson) : value;
+}
+
+function decodeLog(decoders, source, log) {
+  let parsed;
+  try {
+    parsed = decoders[source].parseLog(log);
+  } catch (e) {
+    return undefined; // an event of a contract which is not in SOURCE_CONTRACTS
+  }
+
+  if (IGNORED_EVENTS.includes(parsed.name)) {
+    return undefined;
+  }
+
+  const args = Object.fromEntries(parsed.eventFragment.inputs.map((input, i) => [input.name, toJson(parsed.args[i])]));
+  return { blockNumber: log.blockNumber, logIndex: log.logIndex, txHash: log.transactionHash, address: log.address, source, name: parsed.name, args };
+}
+
+// the contract which an event adds to the indexed contracts
+function getDiscoveredContract({ source, name, args }) {
+  if (source == 'controller' && name == 'AddFactory') {
+    return { address: args.factory, source: 'factory' };
+  }
+
+  if (source == 'controller' && name == 'AddModule') {
+    return { address: args.module, source: 'module' };
+  }
+
+  if ((source == 'controller' && name == 'AddMatrix') || (source == 'factory' && name == 'CreateMatrixToken')) {
+    return { address: args.matrixToken, source: 'matrix_token' };
+  }
+
+  return undefined;
+}
+
+// ==================== Tables ====================
+
+function insertRow(db, table, row, conflict = 'IGNORE') {
+  const columns = Object.keys(row);
+  const sql = `INSERT OR ${conflict} INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((column) => `@${column}`).join(', ')})`;
+  db.prepare(sql).run(row);
+}
+
+const TOKEN_MODULE_ACTIONS = { AddModule: 'add', RemoveModule: 'remove', InitializeModule: 'initialize', RemovePendingModule: 'remove_pending' };
+
+// the rows of the tables besides events which an event adds
+function writeEventRows(db, event) {
+  const { blockNumber: block_number, logIndex: log_index, address, source, name, args } = event;
+  const at = { block_number, log_index };
+  const found = getDiscoveredContract(event);
+
+  if (found) {
+    insertRow(db, 'contracts', { address: found.address, source: found.source, block_number });
+  }
+
+  if (source == 'factory' && name == 'CreateMatrixToken') {
+    const { matrixToken, manager, components, units, modules } = args;
+    const lists = { components: JSON.stringify(components), units: JSON.stringify(units), modules: JSON.stringify(modules) };
+    // replaces the row of AddMatrix, which the factory emits first
+    insertRow(db, 'matrix_tokens', { address: matrixToken, factory: address, manager, name: args.name, symbol: args.symbol, ...lists, ...at }, 'REPLACE');
+  } else if (source == 'controller' && name == 'AddMatrix') {
+    insertRow(db, 'matrix_tokens', { address: args.matrixToken, factory: args.factory, ...at });
+  } else if (source == 'matrix_token' && TOKEN_MODULE_ACTIONS[name]) {
+    insertRow(db, 'token_modules', { matrix_token: address, module: args.module, action: TOKEN_MODULE_ACTIONS[name], ...at });
+  } else if (source == 'matrix_token' && name == 'EditDefaultPositionUnit') {
+    insertRow(db, 'positions', { matrix_token: address, component: args.component, position_module: AddressZero, unit: args.realUnit, ...at });
+  } else if (source == 'matrix_token' && name == 'EditExternalPositionUnit') {
+    insertRow(db, 'positions', { matrix_token: address, component: args.component, position_module: args.positionModule, unit: args.realUnit, ...at });
+  } else if (source == 'matrix_token' && name == 'EditPositionMultiplier') {
+    insertRow(db, 'position_multipliers', { matrix_token: address, multiplier: args.newMultiplier, ...at });
+  } else if (source == 'module' && (name == 'IssueMatrixToken' || name == 'RedeemMatrixToken')) {
+    const action = name == 'IssueMatrixToken' ? 'issue' : 'redeem';
+    const account = args.issuer || args.redeemer;
+    insertRow(db, 'issuances', { matrix_token: args.matrixToken, module: address, action, account, recipient: args.to, quantity: args.quantity, ...at });
+  } else if (source == 'module' && (name == 'IssueMatrixTokenNav' || name == 'RedeemMatrixTokenNav')) {
+    insertRow(db, 'issuances', {
+      matrix_token: args.matrixToken,
+      module: address,
+      action: name == 'IssueMatrixTokenNav' ? 'issue' : 'redeem',
+      account: args.issuer || args.redeemer,
+      recipient: args.to,
+      quantity: args.matrixTokenQuantity,
+      reserve_asset: args.reserveAsset,
+      reserve_quantity: args.reserveAssetQuantity || args.reserveReceiveQuantity,
+      manager_fee: args.managerFee,
+      premium: args.premium,
+      ...at,
+    });
+  } else if (source == 'module' && name == 'ExchangeComponent') {
+    const { matrixToken, sendToken, receiveToken, exchangeAdapter, totalSendAmount, totalReceiveAmount, protocolFee } = args;
+    const quantities = { send_quantity: totalSendAmount, receive_quantity: totalReceiveAmount, protocol_fee: protocolFee };
+    insertRow(db, 'trades', {
+      matrix_token: matrixToken,
+      module: address,
+      send_token: sendToken,
+      receive_token: receiveToken,
+      exchange_adapter: exchangeAdapter,
+      ...quantities,
+      ...at,
+    });
+  } else if (source == 'module' && name == 'ExecuteTrade') {
+    const { matrixToken, sellComponent, buyComponent, exchangeAdapter, netAmountSold, netAmountReceived, protocolFee } = args;
+    const quantities = { send_quantity: netAmountSold, receive_quantity: netAmountReceived, protocol_fee: protocolFee };
+    insertRow(db, 'trades', {
+      matrix_token: matrixToken,
+      module: address,
+      send_token: sellComponent,
+      receive_token: buyComponent,
+      exchange_adapter: exchangeAdapter,
+      ...quantities,
+      ...at,
+    });
+  } else if (source == 'module' && name == 'ActualizeFee') {
+    const { matrixToken, managerRecipient, managerFee, protocolRecipient, protocolFee } = args;
+    const recipients = { manager_recipient: managerRecipient, protocol_recipient: protocolRecipient };
+    insertRow(db, 'fees', { matrix_token: matrixToken, module: address, ...recipients, manager_fee: managerFee, protocol_fee: protocolFee, ...at });
+  }
+}
+
+// ==================== Indexer ====================
+
+// eth_getLogs of many addresses, which ethers v5 getLogs() does not take
+async function getLogs(provider, addresses, fromBlock, toBlock) {
+  const logs = [];
+
+  for (let i = 0; i < addresses.length; i += MAX_ADDRESSES_PER_QUERY) {
+    const filter = { fromBlock: hexValue(fromBlock), toBlock: hexValue(toBlock), address: addresses.slice(i, i + MAX_ADDRESSES_PER_QUERY) };
+
+    for (const log of await provider.send('eth_getLogs', [filter])) {
+      logs.push({ ...log, address: getAddress(log.address), blockNumber: parseInt(log.blockNumber, 16), logIndex: parseInt(log.logIndex, 16) });
+    }
+  }
+
+  return logs;
+}
+
+// the controller, factory, modules and MatrixTokens in deployed addresses, indexed from their blocks
+function getSeedContracts({ contractAddresses }) {
+  const seeds = [];
+
+  for (const [key, value] of Object.entries(contractAddresses || {})) {
+    let source;
+    if (key == 'controller') {
+      source = 'controller';
+    } else if (key == 'matrix_token_factory') {
+      source = 'factory';
+    } else if (key.endsWith('_module')) {
+      source = 'module';
+    } else if (key.endsWith('_matrix_token')) {
+      source = 'matrix_token';
+    }
+
+    if (source && value?.address) {
+      seeds.push({ address: getAddress(value.address), source, block: value.block || 0 });
+    }
+  }
+
+  if (!seeds.some((item) => item.source == 'controller')) {
+    throw new Error(`must deploy controller before indexing, it is not in deployed addresses !`);
+  }
+
+  return seeds;
+}
+
+// The block where the indexed chain and the chain of the provider part: the cursor when they agree, otherwise the
+// highest indexed block whose hash is still the same, or -1 when no indexed block is left
+async function findCommonAncestor(provider, db, cursor) {
+  const blocks = db.prepare('SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC').all(cursor);
+
+  for (const { number, hash } of blocks) {
+    const block = await provider.getBlock(number);
+
+    if (block?.hash == hash) {
+      return number;
+    }
+  }
+
+  return -1;
+}
+
+// Index the logs of fromBlock to toBlock in one database transaction. Contracts found in the range (factories and
+// modules added to the controller, MatrixTokens created) are indexed in the same range.
+async function indexRange(provider, db, decoders, fromBlock, toBlock) {
+  const contracts = new Map(
+    db
+      .prepare('SELECT address, source FROM contracts')
+      .all()
+      .map((item) => [item.address, item.source])
+  );
+  const events = [];
+  let pending = [...contracts.keys()];
+
+  while (pending.length > 0) {
+    const logs = await getLogs(provider, pending, fromBlock, toBlock);
+    pending = [];
+
+    for (const log of logs) {
+      const event = decodeLog(decoders, contracts.get(log.address), log);
+      if (!event) {
+        continue;
+      }
+
+      events.push({ ...event, blockHash: log.blockHash });
+      const found = getDiscoveredContract(event);
+
+      if (found && !contracts.has(found.address)) {
+        contracts.set(found.address, found.source);
+        pending.push(found.address);
+      }
+    }
+  }
+
+  events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const blocks = [];
+  for (const number of new Set([...events.map((item) => item.blockNumber), toBlock])) {
+    const block = await provider.getBlock(number);
+    if (!block || events.some((item) => item.blockNumber == number && item.blockHash != block.hash)) {
+      throw new Error(`block ${number} changed while indexing blocks ${fromBlock} to ${toBlock}, retry later !`);
+    }
+
+    blocks.push({ number, hash: block.hash, timestamp: block.timestamp });
+  }
+
+  db.transaction(() => {
+    for (const event of events) {
+      const { blockNumber, logIndex, txHash, address, source, name, args } = event;
+      const row = { block_number: blockNumber, log_index: logIndex, tx_hash: txHash, address, source, name, args: JSON.stringify(args) };
+      insertRow(db, 'events', row);
+      writeEventRows(db, event);
+    }
+
+    for (const block of blocks) {
+      db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)').run(block);
+    }
+
+    setCursor(db, toBlock);
+  })();
+
+  return events.length;
+}
+
+// Index the events of a deployed system into db, from the block of the controller in deployed addresses, or from the
+// last indexed block. A reorg since the last run is rolled back to the common ancestor first.
+//
+// inputs: the same as planDeployment(), see getPlanInputs() in plan.js
+// options: { fromBlock, toBlock, confirmations, batchSize }
+async function syncIndexer(hre, inputs, db, options = {}) {
+  const { provider } = hre.ethers;
+  const { confirmations = 0, batchSize = DEFAULT_BATCH_SIZE } = options;
+  const decoders = getDecoders();
+  const seeds = getSeedContracts(inputs);
+  const startBlock = options.fromBlock ?? Math.min(...seeds.map((item) => item.block));
+
+  // seeds are never rolled back
+  for (const { address, source } of seeds) {
+    insertRow(db, 'contracts', { address, source, block_number: -1 });
+  }
+
+  let cursor = getCursor(db) ?? startBlock - 1;
+  let reorg;
+
+  if (cursor >= startBlock) {
+    const ancestor = await findCommonAncestor(provider, db, cursor);
+
+    if (ancestor != cursor) {
+      reorg = { from: cursor, to: Math.max(ancestor, startBlock - 1) };
+      console.log(`[${getDataTime()}] REORG: roll back indexed blocks ${reorg.to + 1} to ${reorg.from}`);
+      rollback(db, reorg.to);
+      cursor = reorg.to;
+    }
+  }
+
+  const latest = await provider.getBlockNumber();
+  const head = Math.min(options.toBlock ?? Infinity, latest - confirmations);
+  const fromBlock = cursor + 1;
+  let events = 0;
+
+  while (cursor < head) {
+    const toBlock = Math.min(head, cursor + batchSize);
+    events += await indexRange(provider, db, decoders, cursor + 1, toBlock);
+    cursor = toBlock;
+  }
+
+  return { fromBlock, toBlock: cursor, events, reorg };
+}
+
+// Follow the chain, syncing every interval seconds
+async function watchIndexer(hre, inputs, db, options = {}) {
+  const { interval = 15, runs = Infinity, ...syncOptions } = options;
+
+  for (let run = 0; run < runs; run++) {
+    if (run > 0) {
+      await sleep(interval * 1000);
+    }
+
+    try {
+      const { fromBlock, toBlock, events } = await syncIndexer(hre, inputs, db, syncOptions);
+      if (toBlock >= fromBlock) {
+        console.log(`[${getDataTime()}] OK: indexed blocks ${fromBlock} to ${toBlock}, ${events} event(s)`);
+      }
+    } catch (e) {
+      console.log(`[${getDataTime()}] FAIL: ${e.message}`);
+    }
+  }
+}
+
+module.exports = {
+  openIndexDatabase,
+  syncIndexer,
+  watchIndexer,
+};
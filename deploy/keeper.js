@@ -0,0 +1,291 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { sleep, getDataTime, getReadOnlyContract } = require('./helpers');
+const { isTargetUnmet } = require('./rebalance');
+const { getRevertReason, sendTransaction } = require('./transaction');
+const { getAddressBook, resolveAddress, parsePercent } = require('./product');
+const { formatAmount, isSameAddress, getKeyOf, getDecimalsReader } = require('./spec');
+
+const { BigNumber } = ethers;
+const PRECISE_UNIT = ethers.constants.WeiPerEther;
+
+const DEFAULT_KEEPER_OPTIONS = {
+  interval: 60, // seconds between polls
+  maxSlippage: '1%', // of the PriceOracle price
+  maxGasPrice: undefined, // gwei, wait while the gas price is higher
+  maxGas: undefined, // skip trades which need more gas
+};
+
+const DONE = 'done';
+const WAIT = 'wait';
+
+// ==================== Journal ====================
+
+// The journal is a json lines file, one event per line:
+// start, tick, send (before a transaction, with the nonce of the trader), ok or fail (after it), skip, recover, done and error.
+function readJournal(filename) {
+  if (!fs.existsSync(filename)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(filename, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+function getJournalWriter(filename) {
+  return (event) => {
+    const line = { date: getDataTime(), ...event };
+    fs.appendFileSync(filename, `${JSON.stringify(line)}\n`);
+
+    const { event: name, date, ...fields } = line;
+    console.log(`[${date}] ${name.toUpperCase()}: ${JSON.stringify(fields)}`);
+  };
+}
+
+// A send without ok or fail is a transaction which the keeper did not see mined before it stopped. The trader has used
+// the nonce when its transaction count is larger, otherwise the transaction is dropped and the next tick decides again.
+async function recoverJournal(events, matrixTokenAddress, trader, writeEvent) {
+  const start = events.find((item) => item.event == 'start');
+  if (start && !isSameAddress(start.matrix_token, matrixTokenAddress)) {
+    throw new Error(`the keeper journal belongs to MatrixToken ${start.matrix_token} rather than ${matrixTokenAddress} !`);
+  }
+
+  const count = await trader.getTransactionCount();
+
+  for (const send of events.filter((item) => item.event == 'send')) {
+    if (events.some((item) => ['ok', 'fail', 'recover'].includes(item.event) && item.nonce == send.nonce)) {
+      continue;
+    }
+
+    writeEvent({ event: 'recover', task: send.task, nonce: send.nonce, nonce_used: count > send.nonce });
+  }
+
+  return events.filter((item) => item.event == 'ok').length;
+}
+
+// ==================== Keeper ====================
+
+// the maximum WETH to spend for a buy, or the minimum WETH to receive for a sell, at the PriceOracle price
+function getEthQuantityLimit(isSendTokenFixed, quantity, decimals, price, maxSlippage) {
+  const wethQuantity = quantity.mul(price).div(BigNumber.from(10).pow(decimals));
+  const factor = isSendTokenFixed ? PRECISE_UNIT.sub(maxSlippage) : PRECISE_UNIT.add(maxSlippage);
+
+  return wethQuantity.mul(factor).div(PRECISE_UNIT);
+}
+
+// Read the rebalance of a MatrixToken from GeneralIndexModule: the normalized target unit, current unit and cool-off of
+// WETH and of every rebalance component
+async function readRebalanceState(context) {
+  const { matrixToken, generalIndexModule, address, weth, toKey, getDecimals } = context;
+
+  const components = await generalIndexModule.getRebalanceComponents(address);
+  const positionMultiplier = await matrixToken.getPositionMultiplier();
+  const { positionMultiplier: rebalanceMultiplier, raiseTargetPercentage } = await generalIndexModule._rebalanceInfos(address);
+
+  const states = [];
+
+  for (const component of [...components.filter((item) => !isSameAddress(item, weth)), weth]) {
+    const info = await generalIndexModule._executionInfos(address, component);
+
+    states.push({
+      component,
+      key: toKey(component),
+      decimals: await getDecimals(component),
+      currentUnit: await matrixToken.getDefaultPositionRealUnit(component),
+      targetUnit: rebalanceMultiplier.isZero() ? info.targetUnit : info.targetUnit.mul(positionMultiplier).div(rebalanceMultiplier),
+      readyTime: info.lastTradeTimestamp.add(info.coolOffPeriod).toNumber(),
+      maxSize: info.maxSize,
+    });
+  }
+
+  return { states, raiseTargetPercentage, wethState: states.pop() };
+}
+
+// Send one transaction of the trader, unless the gas price or the estimated gas is above the caps, or it would revert
+async function sendKeeperTransaction(context, task, method, args) {
+  const { generalIndexModule, trader, options, writeEvent } = context;
+  const { maxGasPrice, maxGas, txOptions } = options;
+  const contract = generalIndexModule.connect(trader);
+
+  if (maxGasPrice) {
+    const { gasPrice } = await trader.provider.getFeeData();
+    if (gasPrice.gt(ethers.utils.parseUnits(`${maxGasPrice}`, 'gwei'))) {
+      writeEvent({ event: 'skip', task, reason: `gas price ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei is above ${maxGasPrice} gwei` });
+      return undefined;
+    }
+  }
+
+  let gas;
+  try {
+    gas = await contract.estimateGas[method](...args);
+  } catch (e) {
+    writeEvent({ event: 'skip', task, reason: getRevertReason(e, generalIndexModule.interface) });
+    return undefined;
+  }
+
+  if (maxGas && gas.gt(maxGas)) {
+    writeEvent({ event: 'skip', task, reason: `gas ${gas} is above ${maxGas}` });
+    return undefined;
+  }
+
+  const nonce = await trader.getTransactionCount('pending');
+  writeEvent({ event: 'send', task, method, nonce, args: args.map((arg) => `${arg}`) });
+
+  try {
+    const receipt = await sendTransaction(task, contract, method, args, txOptions);
+    writeEvent({ event: 'ok', task, nonce, hash: receipt.transactionHash, block: receipt.blockNumber, gas_used: `${receipt.gasUsed}` });
+    return receipt;
+  } catch (e) {
+    writeEvent({ event: 'fail', task, nonce, reason: e.message });
+    return undefined;
+  }
+}
+
+// One poll of the keeper: sell, then buy the components whose cool-off periods are over, spend the rest of WETH when
+// no component can be sold, and raise the targets when they are all met with WETH left. Returns DONE when the targets
+// are met and WETH can not be spent any more.
+async function runKeeperTick(context) {
+  const { address, symbol, generalIndexModule, priceOracle, weth, options, writeEvent } = context;
+  const { maxSlippage } = options;
+
+  const block = await context.provider.getBlock('latest');
+  const { states, raiseTargetPercentage, wethState } = await readRebalanceState(context);
+
+  const unmet = states.filter((item) => isTargetUnmet(item.currentUnit, item.targetUnit));
+  const ready = unmet.filter((item) => item.readyTime <= block.timestamp);
+  const isSell = (item) => item.currentUnit.gt(item.targetUnit);
+  const wethExcess = wethState.currentUnit.gt(wethState.targetUnit);
+
+  writeEvent({ event: 'tick', block: block.number, timestamp: block.timestamp, unmet: unmet.map((item) => item.key), ready: ready.map((item) => item.key) });
+
+  if (unmet.length == 0) {
+    if (wethExcess && raiseTargetPercentage.gt(0)) {
+      await sendKeeperTransaction(context, `GeneralIndexModule raiseAssetTargets of ${symbol}`, 'raiseAssetTargets', [address]);
+      return WAIT;
+    }
+
+    writeEvent({ event: 'done', block: block.number });
+    return DONE;
+  }
+
+  // sells first, the WETH they receive pays for the buys
+  let traded = 0;
+
+  for (const item of [...ready.filter(isSell), ...ready.filter((item) => !isSell(item))]) {
+    const { component, key, decimals } = item;
+    const [isSendTokenFixed, quantity] = await generalIndexModule.getComponentTradeQuantityAndDirection(address, component);
+    const price = await priceOracle.getPrice(component, weth);
+    const limit = getEthQuantityLimit(isSendTokenFixed, quantity, decimals, price, maxSlippage);
+
+    const direction = isSendTokenFixed
+      ? `sell ${formatAmount(quantity, decimals)} ${key} for at least`
+      : `buy ${formatAmount(quantity, decimals)} ${key} for at most`;
+    const task = `GeneralIndexModule trade of ${symbol}: ${direction} ${formatAmount(limit, 18)} weth`;
+
+    if (await sendKeeperTransaction(context, task, 'trade', [address, component, limit])) {
+      traded++;
+    }
+  }
+
+  if (traded > 0 || !wethExcess || unmet.some(isSell)) {
+    return WAIT;
+  }
+
+  // tradeRemainingWETH() spends all WETH above its target on one component, which must stay within the trade maximum
+  const buy = ready.find((item) => !isSell(item));
+  if (buy) {
+    const { component, key, decimals } = buy;
+    const totalSupply = await context.matrixToken.totalSupply();
+    const wethQuantity = wethState.currentUnit.sub(wethState.targetUnit).mul(totalSupply).div(PRECISE_UNIT);
+    const price = await priceOracle.getPrice(weth, component);
+    const expected = wethQuantity.mul(price).mul(BigNumber.from(10).pow(decimals)).div(PRECISE_UNIT).div(PRECISE_UNIT);
+    const minComponentReceived = expected.mul(PRECISE_UNIT.sub(maxSlippage)).div(PRECISE_UNIT);
+
+    const task = `GeneralIndexModule tradeRemainingWETH of ${symbol}: buy at least ${formatAmount(minComponentReceived, decimals)} ${key}`;
+    await sendKeeperTransaction(context, task, 'tradeRemainingWETH', [address, component, minComponentReceived]);
+  }
+
+  return WAIT;
+}
+
+// Execute the rebalance of a MatrixToken started by GeneralIndexModule.startRebalance() until its targets are met, polling
+// every interval seconds. The journal keeps every transaction of the keeper, so a keeper restarted with the same journal
+// reports the transactions which were pending when it stopped.
+//
+// inputs: the same as planDeployment(), see getPlanInputs() in plan.js
+// options: { module, journal, interval, runs, maxSlippage, maxGasPrice, maxGas, txOptions, sleep }
+async function runKeeper(hre, inputs, address, trader, options = {}) {
+  const { provider } = hre.ethers;
+  const book = getAddressBook(inputs);
+  const getContract = (name, contractAddress) => getReadOnlyContract(name, contractAddress, provider);
+
+  const { interval, runs = Infinity, journal, txOptions = {}, ...rest } = { ...DEFAULT_KEEPER_OPTIONS, ...options };
+  const wait = options.sleep || sleep;
+
+  if (!journal) {
+    throw new Error('must set the journal file of the keeper !');
+  }
+
+  const matrixToken = await getContract('MatrixToken', address);
+  const generalIndexModule = await getContract('GeneralIndexModule', resolveAddress(options.module || 'general_index_module', book));
+  const controller = await getContract('Controller', await matrixToken.getController());
+  const symbol = await matrixToken.symbol();
+  const traderAddress = await trader.getAddress();
+
+  if (!(await generalIndexModule.getIsAllowedTrader(address, traderAddress))) {
+    throw new Error(`${traderAddress} is not an allowed trader of ${symbol} on GeneralIndexModule !`);
+  }
+
+  const writeEvent = getJournalWriter(journal);
+  const trades = await recoverJournal(readJournal(journal), address, trader, writeEvent);
+  writeEvent({ event: 'start', matrix_token: address, module: generalIndexModule.address, trader: traderAddress, previous_trades: trades });
+
+  const context = {
+    provider,
+    matrixToken,
+    generalIndexModule,
+    priceOracle: await getContract('PriceOracle', await controller.getPriceOracle()),
+    address,
+    symbol,
+    trader,
+    weth: await generalIndexModule._weth(),
+    toKey: (item) => getKeyOf(item, book),
+    getDecimals: getDecimalsReader(provider),
+    options: { ...rest, maxSlippage: parsePercent(rest.maxSlippage), txOptions },
+    writeEvent,
+  };
+
+  for (let run = 0; run < runs; run++) {
+    if (run > 0) {
+      await wait(interval * 1000);
+    }
+
+    try {
+      if ((await runKeeperTick(context)) == DONE) {
+        return DONE;
+      }
+    } catch (e) {
+      writeEvent({ event: 'error', message: e.message });
+    }
+  }
+
+  return WAIT;
+}
+
+module.exports = {
+  DONE,
+  WAIT,
+  readJournal,
+  getEthQuantityLimit,
+  runKeeper,
+};
@@ -0,0 +1,216 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+
+const MANIFEST_DIR = './deploy/manifests';
+
+// Argument sources used in manifest files:
+//   "$name"            the contract name of the entry, e.g. "TradeModule"
+//   "$weth"            the wrapped native token of the chain, see getWeth()
+//   "deployed:<key>"   address of <key> in deploy/deployed/<chain>.json
+//   "config:<path>"    value at <path> in deploy/configs/<chain>.json, e.g. "config:tokens.usd"
+// Arrays are resolved recursively, any other value is passed as it is.
+
+const DEPLOYED_PREFIX = 'deployed:';
+const CONFIG_PREFIX = 'config:';
+
+function getManifestFilename(chainName) {
+  return `${MANIFEST_DIR}/${chainName}.json`;
+}
+
+function loadManifest(chainName) {
+  const filename = getManifestFilename(chainName);
+  if (!fs.existsSync(filename)) {
+    throw new Error(`manifest file ${filename} is not exist !`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(filename));
+  validateManifest(manifest, filename);
+
+  return manifest;
+}
+
+function validateManifest(manifest, filename = 'manifest') {
+  const { contracts = [], modules = [], integrations = {}, price_oracle_adapters: priceOracleAdapters = [] } = manifest;
+
+  const keys = new Set();
+  for (const contract of contracts) {
+    const { name, key } = contract;
+
+    if (!name || !key) {
+      throw new Error(`${filename}: every contract must have name and key !`);
+    }
+
+    if (keys.has(key)) {
+      throw new Error(`${filename}: duplicate contract key ${key} !`);
+    }
+
+    keys.add(key);
+  }
+
+  for (const key of modules) {
+    if (!keys.has(key)) {
+      throw new Error(`${filename}: module ${key} is not in contracts !`);
+    }
+  }
+
+  for (const [moduleKey, adapterKeys] of Object.entries(integrations)) {
+    for (const key of [moduleKey, ...adapterKeys]) {
+      if (!keys.has(key)) {
+        throw new Error(`${filename}: integration ${key} is not in contracts !`);
+      }
+    }
+  }
+
+  for (const key of priceOracleAdapters) {
+    if (!keys.has(key)) {
+      throw new Error(`${filename}: price oracle adapter ${key} is not in contracts !`);
+    }
+  }
+}
+
+function getContract(manifest, key) {
+  const contract = (manifest.contracts || []).find((item) => item.key == key);
+  if (!contract) {
+    throw new Error(`contract ${key} is not exist in manifest !`);
+  }
+
+  return contract;
+}
+
+function collectDeployedKeys(value, result) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectDeployedKeys(item, result));
+  } else if (typeof value == 'string' && value.startsWith(DEPLOYED_PREFIX)) {
+    result.push(value.slice(DEPLOYED_PREFIX.length));
+  }
+
+  return result;
+}
+
+function getDependencies(contract) {
+  const { args = [], libraries = {} } = contract;
+  const result = collectDeployedKeys(args, []);
+  collectDeployedKeys(Object.values(libraries), result);
+
+  return [...new Set(result)];
+}
+
+// Order contracts so that every contract comes after the contracts it references, keeping the manifest order otherwise.
+// References to keys outside the manifest must already exist in the deployed addresses.
+function sortContracts(contracts, contractAddresses = {}) {
+  const byKey = new Map(contracts.map((contract) => [contract.key, contract]));
+  const state = new Map(); // key => 'visiting' | 'done'
+  const result = [];
+
+  function visit(contract, path) {
+    const { key } = contract;
+
+    if (state.get(key) == 'done') {
+      return;
+    }
+
+    if (state.get(key) == 'visiting') {
+      throw new Error(`circular dependency in manifest: ${[...path, key].join(' -> ')} !`);
+    }
+
+    state.set(key, 'visiting');
+
+    for (const dependency of getDependencies(contract)) {
+      if (byKey.has(dependency)) {
+        visit(byKey.get(dependency), [...path, key]);
+      } else if (!contractAddresses[dependency]?.address) {
+        throw new Error(`${key} depends on ${dependency}, but it is neither in manifest nor deployed !`);
+      }
+    }
+
+    state.set(key, 'done');
+    result.push(contract);
+  }
+
+  contracts.forEach((contract) => visit(contract, []));
+
+  return result;
+}
+
+function getByPath(object, path) {
+  return path.split('.').reduce((value, field) => (value === undefined || value === null ? undefined : value[field]), object);
+}
+
+// context: { name, getWeth, config, configFile, contractAddresses, deployedFile }
+function resolveValue(value, context) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveValue(item, context));
+  }
+
+  if (typeof value != 'string') {
+    return value;
+  }
+
+  if (value == '$name') {
+    return context.name;
+  }
+
+  if (value == '$weth') {
+    return context.getWeth();
+  }
+
+  if (value.startsWith(DEPLOYED_PREFIX)) {
+    const key = value.slice(DEPLOYED_PREFIX.length);
+    const address = context.contractAddresses[key]?.address;
+    if (!address) {
+      throw new Error(`${context.name}: must set ${key} in file ${context.deployedFile} !`);
+    }
+
+    return address;
+  }
+
+  if (value.startsWith(CONFIG_PREFIX)) {
+    const path = value.slice(CONFIG_PREFIX.length);
+    const result = getByPath(context.config, path);
+    if (result === undefined || result === null || result === '') {
+      throw new Error(`${context.name}: must set ${path} in file ${context.configFile} !`);
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+function resolveContract(contract, context) {
+  const { name, args = [], libraries = {} } = contract;
+  const ctx = { ...context, name };
+
+  const resolvedLibraries = {};
+  for (const [library, source] of Object.entries(libraries)) {
+    resolvedLibraries[library] = resolveValue(source, ctx);
+  }
+
+  return { args: resolveValue(args, ctx), libraries: resolvedLibraries };
+}
+
+// Deploy every contract of the manifest in dependency order. getContext() is called before each contract so that
+// addresses written by previous deployments are visible, deploy(name, key, args, libraries) must skip deployed keys.
+async function deployManifest(manifest, getContext, deploy) {
+  const contracts = sortContracts(manifest.contracts || [], getContext().contractAddresses);
+
+  for (const contract of contracts) {
+    const { args, libraries } = resolveContract(contract, getContext());
+    await deploy(contract.name, contract.key, args, libraries);
+  }
+}
+
+module.exports = {
+  getManifestFilename,
+  loadManifest,
+  validateManifest,
+  getContract,
+  getDependencies,
+  sortContracts,
+  resolveValue,
+  resolveContract,
+  deployManifest,
+};
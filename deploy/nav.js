@@ -0,0 +1,258 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { getReadOnlyContract } = require('./helpers');
+const { getAddressBook, resolveAddress } = require('./product');
+const { formatAmount, formatPercent, isSameAddress, getKeyOf, getDecimalsReader } = require('./spec');
+
+const { BigNumber } = ethers;
+const PRECISE_UNIT = ethers.constants.WeiPerEther;
+const ZERO = BigNumber.from(0);
+
+// fee indexes of NavIssuanceModule in Controller and in IssuanceSetting.managerFees
+const MANAGER_ISSUE_FEE_INDEX = 0;
+const MANAGER_REDEEM_FEE_INDEX = 1;
+const PROTOCOL_ISSUE_MANAGER_REVENUE_SHARE_FEE_INDEX = 0;
+const PROTOCOL_REDEEM_MANAGER_REVENUE_SHARE_FEE_INDEX = 1;
+const PROTOCOL_ISSUE_DIRECT_FEE_INDEX = 2;
+const PROTOCOL_REDEEM_DIRECT_FEE_INDEX = 3;
+
+// PreciseUnitMath
+const preciseMul = (a, b) => a.mul(b).div(PRECISE_UNIT);
+const preciseMulCeil = (a, b) => (a.isZero() || b.isZero() ? ZERO : a.mul(b).sub(1).div(PRECISE_UNIT).add(1));
+const preciseDiv = (a, b) => a.mul(PRECISE_UNIT).div(b);
+
+// MatrixToken stores the virtual unit of a position, the real unit read back from it is rounded down by the multiplier
+const getStoredRealUnit = (realUnit, positionMultiplier) => preciseMul(preciseDiv(realUnit, positionMultiplier), positionMultiplier);
+
+// A snapshot of everything NavIssuanceModule reads to issue or redeem a MatrixToken:
+//
+// {
+//     totalSupply, positionMultiplier, premiumPercentage, minMatrixTokenSupply,
+//     managerFees: [issue, redeem],
+//     protocolFees: [issue manager revenue share, redeem manager revenue share, issue direct, redeem direct],
+//     reserves: { <address>: { decimals, unit, valuation } }
+// }
+//
+// unit is the default position real unit of the reserve asset in the MatrixToken, valuation is
+// MatrixValuer.calculateMatrixTokenValuation() of the MatrixToken in the reserve asset.
+function getReserve(snapshot, reserveAsset) {
+  const key = Object.keys(snapshot.reserves).find((item) => isSameAddress(item, reserveAsset));
+
+  if (!key) {
+    throw new Error(`${reserveAsset} is not a reserve asset of ${snapshot.symbol || snapshot.matrixToken} on NavIssuanceModule !`);
+  }
+
+  return snapshot.reserves[key];
+}
+
+// NavIssuanceModule._getFees()
+function getFees(snapshot, reserveQuantity, protocolManagerFeeIndex, protocolDirectFeeIndex, managerFeeIndex) {
+  const managerFeePercentage = BigNumber.from(snapshot.managerFees[managerFeeIndex]);
+  const protocolRevenueSharePercentage = preciseMul(BigNumber.from(snapshot.protocolFees[protocolManagerFeeIndex]), managerFeePercentage);
+  const protocolFeePercentage = protocolRevenueSharePercentage.add(snapshot.protocolFees[protocolDirectFeeIndex]);
+
+  const protocolFees = preciseMul(protocolFeePercentage, reserveQuantity);
+  const managerFee = preciseMul(managerFeePercentage.sub(protocolRevenueSharePercentage), reserveQuantity);
+  const netFlowQuantity = reserveQuantity.sub(protocolFees).sub(managerFee);
+
+  return { protocolFees, managerFee, netFlowQuantity };
+}
+
+// Quote NavIssuanceModule.issue() of reserveQuantity in the decimals of the reserve asset, the same as
+// _createIssuanceInfo(). matrixTokenQuantity equals getExpectedMatrixTokenIssueQuantity().
+function quoteIssue(snapshot, reserveAsset, reserveQuantity) {
+  const { decimals, unit, valuation } = getReserve(snapshot, reserveAsset);
+  const premiumPercentage = BigNumber.from(snapshot.premiumPercentage);
+  const previousSupply = BigNumber.from(snapshot.totalSupply);
+  const preFeeReserveQuantity = BigNumber.from(reserveQuantity);
+
+  const fees = getFees(
+    snapshot,
+    preFeeReserveQuantity,
+    PROTOCOL_ISSUE_MANAGER_REVENUE_SHARE_FEE_INDEX,
+    PROTOCOL_ISSUE_DIRECT_FEE_INDEX,
+    MANAGER_ISSUE_FEE_INDEX
+  );
+  const { netFlowQuantity } = fees;
+
+  // _getMatrixTokenMintQuantity()
+  const premiumValue = preciseMul(netFlowQuantity, premiumPercentage);
+  const denominator = preciseMul(preciseMul(previousSupply, valuation), BigNumber.from(10).pow(decimals)).add(premiumValue);
+  const matrixTokenQuantity = denominator.isZero() ? ZERO : preciseDiv(preciseMul(netFlowQuantity.sub(premiumValue), previousSupply), denominator);
+
+  const errors = [];
+  if (preFeeReserveQuantity.isZero()) {
+    errors.push('quantity must be > 0');
+  }
+  if (previousSupply.lt(snapshot.minMatrixTokenSupply)) {
+    errors.push(`supply ${formatAmount(previousSupply, 18)} is below the minimum ${formatAmount(snapshot.minMatrixTokenSupply, 18)}`);
+  }
+
+  const newSupply = previousSupply.add(matrixTokenQuantity);
+  const isEmpty = newSupply.isZero();
+  const newPositionMultiplier = isEmpty ? ZERO : previousSupply.mul(snapshot.positionMultiplier).div(newSupply);
+  const newReservePositionUnit = isEmpty ? ZERO : preciseDiv(preciseMul(BigNumber.from(unit), previousSupply).add(netFlowQuantity), newSupply);
+
+  return {
+    reserveAsset,
+    preFeeReserveQuantity,
+    ...fees,
+    premiumPercentage,
+    premiumValue,
+    matrixTokenQuantity,
+    previousSupply,
+    newSupply,
+    newPositionMultiplier,
+    newReservePositionUnit: isEmpty ? ZERO : getStoredRealUnit(newReservePositionUnit, newPositionMultiplier),
+    errors,
+  };
+}
+
+// Quote NavIssuanceModule.redeem() of matrixTokenQuantity, the same as _createRedemptionInfo(). netFlowQuantity equals
+// getExpectedReserveRedeemQuantity().
+function quoteRedeem(snapshot, reserveAsset, matrixTokenQuantity) {
+  const { decimals, unit, valuation } = getReserve(snapshot, reserveAsset);
+  const premiumPercentage = BigNumber.from(snapshot.premiumPercentage);
+  const previousSupply = BigNumber.from(snapshot.totalSupply);
+  const quantity = BigNumber.from(matrixTokenQuantity);
+
+  // _getRedeemReserveQuantity()
+  const prePremiumReserveQuantity = preciseMul(preciseMul(quantity, valuation), BigNumber.from(10).pow(decimals));
+  const premiumValue = preciseMulCeil(prePremiumReserveQuantity, premiumPercentage);
+  const preFeeReserveQuantity = prePremiumReserveQuantity.sub(premiumValue);
+
+  const fees = getFees(
+    snapshot,
+    preFeeReserveQuantity,
+    PROTOCOL_REDEEM_MANAGER_REVENUE_SHARE_FEE_INDEX,
+    PROTOCOL_REDEEM_DIRECT_FEE_INDEX,
+    MANAGER_REDEEM_FEE_INDEX
+  );
+  const newSupply = previousSupply.sub(quantity);
+  const totalReserve = preciseMul(BigNumber.from(unit), previousSupply);
+  const outflow = fees.netFlowQuantity.add(fees.protocolFees).add(fees.managerFee);
+
+  const errors = [];
+  if (quantity.isZero()) {
+    errors.push('quantity must be > 0');
+  }
+  if (newSupply.lte(0)) {
+    errors.push(`quantity must be < the supply ${formatAmount(previousSupply, 18)}`);
+  } else if (newSupply.lt(snapshot.minMatrixTokenSupply)) {
+    errors.push(`supply ${formatAmount(newSupply, 18)} after redeem is below the minimum ${formatAmount(snapshot.minMatrixTokenSupply, 18)}`);
+  }
+  if (totalReserve.lt(outflow)) {
+    errors.push(`reserve ${formatAmount(outflow, decimals)} to pay out is above the ${formatAmount(totalReserve, decimals)} held by the MatrixToken`);
+  }
+
+  const isValid = errors.length == 0;
+  const newPositionMultiplier = isValid ? BigNumber.from(snapshot.positionMultiplier).mul(previousSupply).div(newSupply) : ZERO;
+
+  return {
+    reserveAsset,
+    preFeeReserveQuantity,
+    ...fees,
+    premiumPercentage,
+    premiumValue,
+    matrixTokenQuantity: quantity,
+    previousSupply,
+    newSupply,
+    newPositionMultiplier,
+    newReservePositionUnit: isValid ? getStoredRealUnit(preciseDiv(totalReserve.sub(outflow), newSupply), newPositionMultiplier) : ZERO,
+    errors,
+  };
+}
+
+// The minimum to receive within maxSlippage of a quote, for minMatrixTokenReceiveQuantity of issue() and
+// minReserveReceiveQuantity of redeem(). maxSlippage covers the changes of prices and supply before the transaction is mined.
+function getMinReceiveQuantity(quantity, maxSlippage) {
+  return preciseMul(BigNumber.from(quantity), PRECISE_UNIT.sub(maxSlippage));
+}
+
+// Read the snapshot of a MatrixToken for quoteIssue() and quoteRedeem(), with every reserve asset of NavIssuanceModule
+//
+// inputs: the same as planDeployment(), see getPlanInputs() in plan.js
+// options: { module }, the key or address of NavIssuanceModule, nav_issuance_module by default
+async function readNavSnapshot(hre, inputs, address, options = {}) {
+  const { provider } = hre.ethers;
+  const book = getAddressBook(inputs);
+  const getContract = (name, contractAddress) => getReadOnlyContract(name, contractAddress, provider);
+  const getDecimals = getDecimalsReader(provider);
+
+  const matrixToken = await getContract('MatrixToken', address);
+  const navIssuanceModule = await getContract('NavIssuanceModule', resolveAddress(options.module || 'nav_issuance_module', book));
+  const controller = await getContract('Controller', await matrixToken.getController());
+  const matrixValuer = await getContract('MatrixValuer', await controller.getMatrixValuer());
+
+  const setting = await navIssuanceModule.getIssuanceSetting(address);
+  if (setting.reserveAssets.length == 0) {
+    throw new Error(`NavIssuanceModule is not initialized for MatrixToken ${address} !`);
+  }
+
+  const protocolFees = [];
+  for (const index of [
+    PROTOCOL_ISSUE_MANAGER_REVENUE_SHARE_FEE_INDEX,
+    PROTOCOL_REDEEM_MANAGER_REVENUE_SHARE_FEE_INDEX,
+    PROTOCOL_ISSUE_DIRECT_FEE_INDEX,
+    PROTOCOL_REDEEM_DIRECT_FEE_INDEX,
+  ]) {
+    protocolFees.push(await controller.getModuleFee(navIssuanceModule.address, index));
+  }
+
+  const reserves = {};
+  for (const reserveAsset of setting.reserveAssets) {
+    reserves[reserveAsset] = {
+      key: getKeyOf(reserveAsset, book),
+      decimals: await getDecimals(reserveAsset),
+      unit: await matrixToken.getDefaultPositionRealUnit(reserveAsset),
+      valuation: await matrixValuer.calculateMatrixTokenValuation(address, reserveAsset),
+    };
+  }
+
+  return {
+    matrixToken: address,
+    symbol: await matrixToken.symbol(),
+    totalSupply: await matrixToken.totalSupply(),
+    positionMultiplier: await matrixToken.getPositionMultiplier(),
+    premiumPercentage: setting.premiumPercentage,
+    minMatrixTokenSupply: setting.minMatrixTokenSupply,
+    managerFees: [...setting.managerFees],
+    protocolFees,
+    reserves,
+  };
+}
+
+function printNavQuote(snapshot, action, quote, maxSlippage) {
+  const { key, decimals } = getReserve(snapshot, quote.reserveAsset);
+  const { symbol } = snapshot;
+  const [sent, received] =
+    action == 'issue'
+      ? [`${formatAmount(quote.preFeeReserveQuantity, decimals)} ${key}`, `${formatAmount(quote.matrixTokenQuantity, 18)} ${symbol}`]
+      : [`${formatAmount(quote.matrixTokenQuantity, 18)} ${symbol}`, `${formatAmount(quote.netFlowQuantity, decimals)} ${key}`];
+  const minimum = getMinReceiveQuantity(action == 'issue' ? quote.matrixTokenQuantity : quote.netFlowQuantity, maxSlippage);
+
+  console.log(`QUOTE: ${action} ${sent} for ${received}`);
+  console.log(`  premium ${formatPercent(quote.premiumPercentage)}: ${formatAmount(quote.premiumValue, decimals)} ${key}`);
+  console.log(`  protocol fees: ${formatAmount(quote.protocolFees, decimals)} ${key}, manager fee: ${formatAmount(quote.managerFee, decimals)} ${key}`);
+  console.log(`  supply: ${formatAmount(quote.previousSupply, 18)} -> ${formatAmount(quote.newSupply, 18)}`);
+  console.log(`  min receive with ${formatPercent(maxSlippage)} slippage: ${formatAmount(minimum, action == 'issue' ? 18 : decimals)}`);
+
+  for (const error of quote.errors) {
+    console.log(`  ERROR: ${error}`);
+  }
+}
+
+module.exports = {
+  getReserve,
+  quoteIssue,
+  quoteRedeem,
+  getMinReceiveQuantity,
+  readNavSnapshot,
+  printNavQuote,
+};
@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+
+const QUOTE_ASSET = 'usd';
+const DIRECT = 'direct';
+const SERIAL = 'serial';
+const IDENTICAL = 'identical';
+
+const MAX_LINE_LENGTH = 160; // max_line_length of .editorconfig
+
+function getOracleKey(base, quote) {
+  return `${base}_${quote}_oracle`;
+}
+
+// the token key of a feed in chainlinkOracles.json: the token with the same address, or the token named as the symbol
+function getTokenKey(feed, tokens) {
+  const base = feed.base.toLowerCase();
+  const keys = Object.keys(tokens).filter((key) => tokens[key] && tokens[key].toLowerCase() == base);
+  const symbol = feed.symbol.toLowerCase();
+
+  if (keys.length > 0) {
+    return keys.includes(symbol) ? symbol : keys[0];
+  }
+
+  return symbol in tokens ? symbol : undefined;
+}
+
+// feeds of chainlinkOracles.json whose base and quote are both in tokens, as chainlink_oracle entries of oracles.json
+function getCatalogOracles(catalog, tokens) {
+  const oracles = new Map();
+
+  for (const feed of catalog) {
+    const [, quoteSymbol] = feed.description.split('/').map((item) => item.trim());
+    const base = getTokenKey(feed, tokens);
+    const quote = quoteSymbol?.toLowerCase();
+
+    if (base && quote in tokens && base != quote) {
+      const key = getOracleKey(base, quote);
+      if (!oracles.has(key)) {
+        oracles.set(key, { name: `${feed.symbol.toUpperCase()}/${quoteSymbol}`, key, address: feed.feed });
+      }
+    }
+  }
+
+  return oracles;
+}
+
+// For each token, the best route to usd: a direct <token>_usd_oracle, or a two-hop <token>_<hop>_oracle and <hop>_usd_oracle
+// with eth as the first hop, or an identical_token_pair whose underlying token has a route. Tokens without a route are unrouted.
+function findOracleRoutes(tokens, oracleKeys, identicalTokenPairs = []) {
+  const feeds = new Set(oracleKeys);
+  const hops = [...new Set(oracleKeys.map((key) => key.split('_')[1]))]
+    .filter((hop) => hop != QUOTE_ASSET && feeds.has(getOracleKey(hop, QUOTE_ASSET)))
+    .sort((a, b) => (a == 'eth' ? -1 : b == 'eth' ? 1 : a.localeCompare(b)));
+
+  const routes = new Map();
+
+  for (const token of Object.keys(tokens).filter((key) => key != QUOTE_ASSET)) {
+    if (feeds.has(getOracleKey(token, QUOTE_ASSET))) {
+      routes.set(token, { token, route: DIRECT, path: [token, QUOTE_ASSET], oracles: [getOracleKey(token, QUOTE_ASSET)] });
+      continue;
+    }
+
+    const hop = hops.find((item) => item != token && feeds.has(getOracleKey(token, item)));
+    if (hop) {
+      const oracles = [getOracleKey(token, hop), getOracleKey(hop, QUOTE_ASSET)];
+      routes.set(token, { token, route: SERIAL, path: [token, hop, QUOTE_ASSET], oracles });
+    }
+  }
+
+  for (const { reserve_token: reserveToken, underlying_token: underlyingToken } of identicalTokenPairs) {
+    const underlying = routes.get(underlyingToken);
+    if (reserveToken in tokens && !routes.has(reserveToken) && underlying) {
+      routes.set(reserveToken, { token: reserveToken, route: IDENTICAL, path: [reserveToken, ...underlying.path], oracles: underlying.oracles });
+    }
+  }
+
+  const unrouted = Object.keys(tokens).filter((key) => key != QUOTE_ASSET && !routes.has(key));
+  return { routes: [...routes.values()], unrouted };
+}
+
+// Merge generated entries by key, new entries are appended in order of key. Entries of the same key are refreshed when
+// refresh is set, otherwise they are kept and reported as conflicts: the feeds of the catalog are aggregators, while the
+// hand-maintained entries may be their proxies.
+function mergeEntries(entries, generated, report, refresh) {
+  const result = entries.map((entry) => {
+    const item = generated.get(entry.key);
+    if (!item || JSON.stringify({ ...entry, ...item }) == JSON.stringify(entry)) {
+      return entry;
+    }
+
+    if (refresh) {
+      report.updated.push(entry.key);
+      return { ...entry, ...item };
+    }
+
+    if (item.address.toLowerCase() != entry.address.toLowerCase()) {
+      report.conflicts.push({ key: entry.key, address: entry.address, catalog: item.address });
+    }
+
+    return entry;
+  });
+
+  const keys = new Set(entries.map((entry) => entry.key));
+  const newEntries = [...generated.values()].filter((item) => !keys.has(item.key)).sort((a, b) => a.key.localeCompare(b.key));
+  report.added.push(...newEntries.map((item) => item.key));
+
+  return [...result, ...newEntries];
+}
+
+// Refresh the oracles.json entries of chainName with the feeds of chainlinkOracles.json which route the tokens of <chain>.json.
+// Returns { chain_name, oracles, added, updated, conflicts, routes, unrouted }, oracles is the whole refreshed oracles.json.
+function generateOracles(chainName, { catalog, oracles, config }) {
+  const tokens = config.tokens || {};
+  const current = oracles[chainName] || { chainlink_oracle: [], chainlink_serial_oracle: [], identical_token_pair: [] };
+  const { chainlink_oracle: chainlinkOracles = [], chainlink_serial_oracle: serialOracles = [], identical_token_pair: identicalTokenPairs } = current;
+
+  const catalogOracles = getCatalogOracles(catalog[chainName] || [], tokens);
+  const available = new Map([...chainlinkOracles.map((item) => [item.key, item]), ...catalogOracles]);
+  const { routes, unrouted } = findOracleRoutes(tokens, [...available.keys()], identicalTokenPairs);
+
+  const generatedOracles = new Map();
+  const generatedSerialOracles = new Map();
+
+  for (const { route, path, oracles: oracleKeys } of routes) {
+    for (const key of oracleKeys.filter((item) => catalogOracles.has(item))) {
+      generatedOracles.set(key, catalogOracles.get(key));
+    }
+
+    if (route == SERIAL) {
+      const key = getOracleKey(path[0], QUOTE_ASSET);
+      const name = [available.get(oracleKeys[0]).name.split('/')[0], ...path.slice(1).map((item) => item.toUpperCase())].join('/');
+      generatedSerialOracles.set(key, { name, key, path });
+    }
+  }
+
+  const report = { added: [], updated: [], conflicts: [] };
+  const result = {
+    ...current,
+    chainlink_oracle: mergeEntries(chainlinkOracles, generatedOracles, report, false),
+    chainlink_serial_oracle: mergeEntries(serialOracles, generatedSerialOracles, report, true),
+  };
+
+  return { chain_name: chainName, oracles: { ...oracles, [chainName]: result }, ...report, routes, unrouted };
+}
+
+// The layout of oracles.json: one entry per line, arrays on one line when they fit in MAX_LINE_LENGTH.
+function formatOracles(oracles) {
+  const inline = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(inline).join(', ')}]`;
+    }
+
+    if (value && typeof value == 'object') {
+      const items = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inline(item)}`);
+      return items.length > 0 ? `{ ${items.join(', ')} }` : '{}';
+    }
+
+    return JSON.stringify(value);
+  };
+
+  const format = (value, indent, prefix, suffix) => {
+    const line = `${indent}${prefix}${inline(value)}${suffix}`;
+    const isEntry = Array.isArray(value) ? value.length == 0 : value?.key !== undefined || value?.reserve_token !== undefined;
+
+    if (typeof value != 'object' || value === null || isEntry || (Array.isArray(value) && line.length <= MAX_LINE_LENGTH)) {
+      return [line];
+    }
+
+    const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+    const items = Array.isArray(value) ? value.map((item) => ['', item]) : Object.entries(value).map(([key, item]) => [`${JSON.stringify(key)}: `, item]);
+    const lines = items.map(([key, item], i) => format(item, `${indent}    `, key, i < items.length - 1 ? ',' : '')).flat();
+
+    return [`${indent}${prefix}${open}`, ...lines, `${indent}${close}${suffix}`];
+  };
+
+  return `${format(oracles, '', '', '').join('\n')}\n`;
+}
+
+function writeOracles(filename, oracles) {
+  fs.writeFileSync(filename, formatOracles(oracles));
+}
+
+module.exports = {
+  DIRECT,
+  SERIAL,
+  IDENTICAL,
+  getCatalogOracles,
+  findOracleRoutes,
+  generateOracles,
+  formatOracles,
+  writeOracles,
+};
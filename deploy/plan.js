@@ -0,0 +1,245 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+
+// ==================== Internal Imports ====================
+
+const { loadManifest, getContract, sortContracts, resolveContract } = require('./manifest');
+const { getWeth, getMockTokens, getDeployedAddresses, getReadOnlyContract } = require('./helpers');
+
+// Compare the desired state of deploy.js with deploy/deployed/<chain>.json and the live Controller, IntegrationRegistry
+// and PriceOracle, and return the actions deploy.js would take. Nothing is signed: contracts are read with the provider.
+//
+// inputs: { chainName, config, configFile, manifest, oracles, testTokens, contractAddresses, deployedFile }
+async function planDeployment(hre, inputs) {
+  const { chainName, config, configFile, manifest, contractAddresses, deployedFile } = inputs;
+  const { ethers } = hre;
+  const { AddressZero } = ethers.constants;
+
+  const actions = [];
+  const warnings = [];
+
+  const addAction = (action, contract, description) => actions.push({ action, contract, description });
+  const isSame = (a, b) => a.toLowerCase() == b.toLowerCase();
+
+  // placeholders of contracts and tokens which are not deployed yet
+  const tokens = { ...config.tokens };
+  const addresses = { ...contractAddresses };
+  const pending = new Set();
+
+  const attach = (name, key) => {
+    const address = addresses[key]?.address;
+    return address && !pending.has(key) ? getReadOnlyContract(name, address, ethers.provider) : undefined;
+  };
+
+  // mocks
+  for (const { name, key, args } of getMockTokens(chainName, inputs.testTokens || {})) {
+    if (!tokens[key]) {
+      tokens[key] = `<${key}>`;
+      addAction('deploy', name, `deploy ${name} tokens.${key}(${args.join(', ')})`);
+    }
+  }
+
+  // contracts in manifest
+  const context = {
+    config: { ...config, tokens },
+    configFile,
+    contractAddresses: addresses,
+    deployedFile,
+    getWeth: () => getWeth({ tokens }, chainName),
+  };
+
+  for (const contract of sortContracts(manifest.contracts || [], contractAddresses)) {
+    const { name, key } = contract;
+    if (addresses[key]?.address) {
+      continue;
+    }
+
+    try {
+      const { args, libraries } = resolveContract(contract, context);
+      const links = Object.entries(libraries).map(([library, address]) => `${library}=${address}`);
+      addAction('deploy', name, `deploy ${name} ${key}(${JSON.stringify(args)})${links.length ? ` link ${links.join(', ')}` : ''}`);
+    } catch (e) {
+      warnings.push(`deploy ${name} ${key}: ${e.message}`);
+    }
+
+    addresses[key] = { address: `<${key}>` };
+    pending.add(key);
+  }
+
+  // oracles
+  const {
+    chainlink_oracle: chainlinkOracles = [],
+    chainlink_serial_oracle: serialOracles = [],
+    identical_token_pair: identicalTokenPairs = [],
+    uniswap_v3_twap_asset: twapAssets = [],
+  } = inputs.oracles || {};
+
+  for (const oracle of [...chainlinkOracles, ...serialOracles]) {
+    const { key, name } = oracle;
+    if (!addresses[key]?.address) {
+      const contractName = oracle.path ? 'ChainlinkSerialOracle' : 'ChainlinkOracle';
+      const source = oracle.path ? oracle.path.join('/') : oracle.address;
+      addAction('deploy', contractName, `deploy ${contractName} ${key}(${name}, ${source})`);
+      addresses[key] = { address: `<${key}>` };
+      pending.add(key);
+    }
+  }
+
+  // PriceOracle
+  const priceOracle = await attach('PriceOracle', 'price_oracle');
+
+  const secondQuoteAsset = tokens.eth;
+  if (!secondQuoteAsset) {
+    warnings.push(`PriceOracle editSecondQuoteAsset: must set "tokens"."eth" in file ${configFile} !`);
+  } else if (!priceOracle || !isSame(await priceOracle.getSecondQuoteAsset(), secondQuoteAsset)) {
+    addAction('editSecondQuoteAsset', 'PriceOracle', `PriceOracle editSecondQuoteAsset(${secondQuoteAsset})`);
+  }
+
+  for (const oracle of [...chainlinkOracles, ...serialOracles]) {
+    const [asset1, asset2] = oracle.key.split('_');
+    const { [asset1]: asset1Address, [asset2]: asset2Address } = tokens;
+    if (!asset1Address || !asset2Address) {
+      continue; // deploy.js skips pairs with unknown tokens too
+    }
+
+    const oracleAddress = addresses[oracle.key].address;
+    const oldOracleAddress = priceOracle ? await priceOracle.getOracle(asset1Address, asset2Address) : AddressZero;
+    if (isSame(oldOracleAddress, oracleAddress)) {
+      continue;
+    }
+
+    if (oldOracleAddress != AddressZero) {
+      warnings.push(`PriceOracle add ${oracle.key}: oracle ${oldOracleAddress} is already exist`);
+      continue;
+    }
+
+    addAction('addPair', 'PriceOracle', `PriceOracle addPair(${asset1}, ${asset2}, ${oracle.key})`);
+  }
+
+  const { price_oracle_adapters: adapterKeys = [] } = manifest;
+
+  if (adapterKeys.indexOf('identical_token_oracle_adapter') >= 0) {
+    const adapter = await attach('IdenticalTokenOracleAdapter', 'identical_token_oracle_adapter');
+
+    for (const { reserve_token: reserveToken, underlying_token: underlyingToken } of identicalTokenPairs) {
+      if (!tokens[reserveToken] || !tokens[underlyingToken]) {
+        warnings.push(`IdenticalTokenOracleAdapter add pair (${reserveToken}, ${underlyingToken}): must set both tokens in file ${configFile} !`);
+      } else if (!adapter || !isSame(await adapter.getUnderlyingToken(tokens[reserveToken]), tokens[underlyingToken])) {
+        addAction('addPair', 'IdenticalTokenOracleAdapter', `IdenticalTokenOracleAdapter addPair(${reserveToken}, ${underlyingToken})`);
+      }
+    }
+  }
+
+  if (adapterKeys.indexOf('uniswap_v2_pair_price_adapter') >= 0) {
+    const adapter = await attach('UniswapV2PairPriceAdapter', 'uniswap_v2_pair_price_adapter');
+    const quoteAssets = adapter ? await adapter.getQuoteAssets() : [];
+
+    for (const assetKey of ['usd', 'eth']) {
+      if (!tokens[assetKey]) {
+        warnings.push(`UniswapV2PairPriceAdapter add quote asset ${assetKey}: must set ${assetKey} in file ${configFile} !`);
+      } else if (!quoteAssets.some((asset) => isSame(asset, tokens[assetKey]))) {
+        addAction('addQuoteAsset', 'UniswapV2PairPriceAdapter', `UniswapV2PairPriceAdapter addQuoteAsset(${assetKey})`);
+      }
+    }
+  }
+
+  if (adapterKeys.indexOf('uniswap_v3_twap_oracle_adapter') >= 0) {
+    const adapter = await attach('UniswapV3TwapOracleAdapter', 'uniswap_v3_twap_oracle_adapter');
+
+    for (const { asset: assetKey, pool, twap_period: twapPeriod } of twapAssets) {
+      const oldPool = adapter && tokens[assetKey] ? (await adapter.getAssetSetting(tokens[assetKey])).pool : AddressZero;
+      if (!tokens[assetKey]) {
+        warnings.push(`UniswapV3TwapOracleAdapter add asset ${assetKey}: must set ${assetKey} in file ${configFile} !`);
+      } else if (oldPool != AddressZero && !isSame(oldPool, pool)) {
+        warnings.push(`UniswapV3TwapOracleAdapter add asset ${assetKey}: pool ${oldPool} is already exist`);
+      } else if (!isSame(oldPool, pool)) {
+        addAction('addAsset', 'UniswapV3TwapOracleAdapter', `UniswapV3TwapOracleAdapter addAsset(${assetKey}, ${pool}, ${twapPeriod})`);
+      }
+    }
+  }
+
+  const adapters = priceOracle ? await priceOracle.getAdapters() : [];
+  for (const adapterKey of adapterKeys) {
+    const adapterAddress = addresses[adapterKey].address;
+    if (!adapters.some((adapter) => isSame(adapter, adapterAddress))) {
+      addAction('addAdapter', 'PriceOracle', `PriceOracle addAdapter(${adapterKey})`);
+    }
+  }
+
+  // Controller
+  const controller = await attach('Controller', 'controller');
+
+  if (!controller || !(await controller.isInitialized())) {
+    addAction('initialize', 'Controller', `Controller initialize([matrix_token_factory], [], [integration_registry, price_oracle, matrix_valuer], [0, 1, 2])`);
+  }
+
+  for (const moduleKey of manifest.modules || []) {
+    const moduleAddress = addresses[moduleKey].address;
+    if (!controller || pending.has(moduleKey) || !(await controller.isModule(moduleAddress))) {
+      addAction('addModule', 'Controller', `Controller addModule(${getContract(manifest, moduleKey).name} ${moduleKey})`);
+    }
+  }
+
+  // IntegrationRegistry
+  const integrationRegistry = await attach('IntegrationRegistry', 'integration_registry');
+
+  for (const [moduleKey, adapterKeys] of Object.entries(manifest.integrations || {})) {
+    for (const adapterKey of adapterKeys) {
+      const adapterName = adapterKey.toUpperCase();
+      const moduleAddress = addresses[moduleKey].address;
+      const adapterAddress = addresses[adapterKey].address;
+
+      const oldAdapterAddress =
+        integrationRegistry && !pending.has(moduleKey) ? await integrationRegistry.getIntegrationAdapter(moduleAddress, adapterName) : AddressZero;
+
+      if (isSame(oldAdapterAddress, adapterAddress)) {
+        continue;
+      }
+
+      if (oldAdapterAddress != AddressZero) {
+        warnings.push(`IntegrationRegistry add integration ${adapterKey} to ${moduleKey}: adapter ${oldAdapterAddress} is already exist`);
+        continue;
+      }
+
+      addAction('addIntegration', 'IntegrationRegistry', `IntegrationRegistry addIntegration(${moduleKey}, ${adapterName}, ${adapterKey})`);
+    }
+  }
+
+  return { actions, warnings };
+}
+
+// load all inputs of planDeployment() for the current network
+function getPlanInputs(hre) {
+  const chainName = hre.network.name;
+  const chainId = hre.network.config.chainId;
+
+  const configFile = `./deploy/configs/${chainName}.json`;
+  const config = JSON.parse(fs.readFileSync(configFile));
+  const manifest = loadManifest(chainName);
+  const oracles = JSON.parse(fs.readFileSync('./deploy/configs/oracles.json'))[chainName];
+  const testTokens = JSON.parse(fs.readFileSync('./deploy/configs/testTokens.json'));
+  const { filename: deployedFile, contractAddresses } = getDeployedAddresses(chainName, chainId);
+
+  return { chainName, config, configFile, manifest, oracles, testTokens, contractAddresses, deployedFile };
+}
+
+function printPlan({ actions, warnings }) {
+  for (const { action, description } of actions) {
+    console.log(`PLAN: ${action.padEnd(20)} ${description}`);
+  }
+
+  for (const warning of warnings) {
+    console.log(`WARN: ${warning}`);
+  }
+
+  console.log(`\n${actions.length} action(s), ${warnings.length} warning(s)\n`);
+}
+
+module.exports = {
+  planDeployment,
+  getPlanInputs,
+  printPlan,
+};
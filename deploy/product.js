@@ -0,0 +1,284 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { sendTransaction } = require('./transaction');
+const { getDataTime, getDeploymentRecord } = require('./helpers');
+
+const { AddressZero } = ethers.constants;
+
+// modules which createMatrixToken() can initialize from a product spec
+const MODULE_NAMES = {
+  basic_issuance_module: 'BasicIssuanceModule',
+  streaming_fee_module: 'StreamingFeeModule',
+  nav_issuance_module: 'NavIssuanceModule',
+  trade_module: 'TradeModule',
+  wrap_module_v2: 'WrapModuleV2',
+  claim_module: 'ClaimModule',
+  general_index_module: 'GeneralIndexModule',
+};
+
+const DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+// keys of "tokens" in deploy/configs/<chain>.json and of deployed addresses, tokens take precedence
+function getAddressBook({ config, contractAddresses }) {
+  const book = {};
+
+  for (const [key, value] of Object.entries(contractAddresses || {})) {
+    if (value?.address) {
+      book[key] = value.address;
+    }
+  }
+
+  return { ...book, ...config?.tokens };
+}
+
+// an address, or a key of the address book
+function resolveAddress(value, book) {
+  if (ethers.utils.isAddress(value)) {
+    return ethers.utils.getAddress(value);
+  }
+
+  if (!book[value]) {
+    throw new Error(`${value} is neither an address nor a key of "tokens" in config file or deployed addresses !`);
+  }
+
+  return ethers.utils.getAddress(book[value]);
+}
+
+// the zero address when value is empty
+function resolveOptionalAddress(value, book) {
+  return value ? resolveAddress(value, book) : AddressZero;
+}
+
+// "1%" or a fraction "0.01" to a precise unit 1e16
+function parsePercent(value) {
+  const text = `${value ?? 0}`.trim();
+  return text.endsWith('%') ? ethers.utils.parseUnits(text.slice(0, -1).trim(), 16) : ethers.utils.parseUnits(text, 18);
+}
+
+// A product spec describes a MatrixToken, amounts are human-readable:
+// {
+//   "name": "Matrix Index", "symbol": "MI", "manager": "0x...",
+//   "components": [{ "token": "weth", "units": "0.01" }, { "token": "0x...", "units": "20.5" }],
+//   "modules": {
+//     "basic_issuance_module": { "pre_issue_hook": "" },
+//     "streaming_fee_module": { "fee_recipient": "0x...", "max_streaming_fee_percentage": "5%", "streaming_fee_percentage": "1%" },
+//     "nav_issuance_module": { "reserve_assets": ["weth"], "fee_recipient": "0x...", "manager_fees": ["0.1%", "0.1%"], "max_manager_fee": "1%",
+//                              "premium_percentage": "0.5%", "max_premium_percentage": "1%", "min_matrix_token_supply": "1",
+//                              "manager_issuance_hook": "", "manager_redemption_hook": "" },
+//     "trade_module": {},
+//     "wrap_module_v2": {},
+//     "claim_module": { "anyone_claim": false, "claims": [{ "reward_pool": "0x...", "integration": "aave_v2_claim_adapter" }] },
+//     "general_index_module": {}
+//   },
+//   "integrations": { "trade_module": ["uniswap_v2_exchange_adapter"], "wrap_module_v2": ["aave_v2_wrap_v2_adapter"] },
+//   "asset_limit_hook": { "hook": "asset_limit_hook", "issue": { "weth": "100" }, "redeem": "1000" }
+// }
+//
+// The initialize() arguments of a module in spec.modules, addresses are resolved by the address book
+function getInitializeArgs(moduleKey, settings, book, manager) {
+  if (moduleKey == 'basic_issuance_module') {
+    return [resolveOptionalAddress(settings.pre_issue_hook, book)];
+  }
+
+  if (moduleKey == 'streaming_fee_module') {
+    return [
+      {
+        feeRecipient: settings.fee_recipient ? resolveAddress(settings.fee_recipient, book) : manager,
+        maxStreamingFeePercentage: parsePercent(settings.max_streaming_fee_percentage),
+        streamingFeePercentage: parsePercent(settings.streaming_fee_percentage),
+        lastStreamingFeeTimestamp: 0, // set by the module
+      },
+    ];
+  }
+
+  if (moduleKey == 'nav_issuance_module') {
+    const { manager_fees: managerFees = [0, 0], reserve_assets: reserveAssets = [] } = settings;
+
+    return [
+      {
+        maxManagerFee: parsePercent(settings.max_manager_fee),
+        premiumPercentage: parsePercent(settings.premium_percentage),
+        maxPremiumPercentage: parsePercent(settings.max_premium_percentage),
+        minMatrixTokenSupply: ethers.utils.parseUnits(`${settings.min_matrix_token_supply ?? 0}`, 18),
+        feeRecipient: settings.fee_recipient ? resolveAddress(settings.fee_recipient, book) : manager,
+        managerIssuanceHook: resolveOptionalAddress(settings.manager_issuance_hook, book),
+        managerRedemptionHook: resolveOptionalAddress(settings.manager_redemption_hook, book),
+        managerFees: managerFees.map(parsePercent),
+        reserveAssets: reserveAssets.map((item) => resolveAddress(item, book)),
+      },
+    ];
+  }
+
+  // the targets of GeneralIndexModule are set by each rebalance, see rebalance.js
+  if (moduleKey == 'trade_module' || moduleKey == 'wrap_module_v2' || moduleKey == 'general_index_module') {
+    return [];
+  }
+
+  // integrations of claims are the adapter keys in the manifest, registered by their upper case names
+  if (moduleKey == 'claim_module') {
+    const { claims = [] } = settings;
+
+    return [
+      Boolean(settings.anyone_claim),
+      claims.map(({ reward_pool: rewardPool }) => resolveAddress(rewardPool, book)),
+      claims.map(({ integration }) => integration.toUpperCase()),
+    ];
+  }
+
+  throw new Error(`initialize ${moduleKey}: unknown module, must be one of ${Object.keys(MODULE_NAMES).join(', ')} !`);
+}
+
+// units of each component in the decimals of the component
+async function parseComponentUnits(components, provider) {
+  const units = [];
+
+  for (const { address, units: amount } of components) {
+    const decimals = await new ethers.Contract(address, DECIMALS_ABI, provider).decimals();
+    units.push(ethers.utils.parseUnits(`${amount}`, decimals));
+  }
+
+  return units;
+}
+
+// The product of the task arguments and the spec file: arguments of the task take precedence over the spec.
+// options: { spec, components: 'weth,usdc', units: '0.01,20', modules: 'basic_issuance_module,...', manager, name, symbol }
+function getProduct(options, book) {
+  const { spec = {} } = options;
+  const split = (text) => (text ? text.split(',').map((item) => item.trim()) : undefined);
+
+  let components = spec.components || [];
+  if (options.components) {
+    const units = split(options.units) || [];
+    components = split(options.components).map((token, i) => ({ token, units: units[i] }));
+  }
+
+  const product = {
+    name: options.name || spec.name,
+    symbol: options.symbol || spec.symbol,
+    manager: options.manager || spec.manager,
+    components: components.map(({ token, units }) => ({ token, address: resolveAddress(token, book), units })),
+    modules: split(options.modules) || Object.keys(spec.modules || {}),
+    settings: spec.modules || {},
+  };
+
+  for (const [field, value] of Object.entries({ name: product.name, symbol: product.symbol })) {
+    if (!value) {
+      throw new Error(`createMatrixToken: must set ${field} by --${field} or in the spec file !`);
+    }
+  }
+
+  if (product.components.length == 0 || product.components.some(({ units }) => units === undefined || units === '')) {
+    throw new Error(`createMatrixToken: must set components and their units by --components and --units, or in the spec file !`);
+  }
+
+  if (product.modules.length == 0) {
+    throw new Error(`createMatrixToken: must set modules by --modules or in the spec file !`);
+  }
+
+  return product;
+}
+
+function findCreatedMatrixToken(factory, receipt) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() != factory.address.toLowerCase()) {
+      continue;
+    }
+
+    const event = factory.interface.parseLog(log);
+    if (event.name == 'CreateMatrixToken') {
+      return event.args.matrixToken;
+    }
+  }
+
+  throw new Error(`CreateMatrixToken event is not found in transaction ${receipt.transactionHash} !`);
+}
+
+// Create a MatrixToken by MatrixTokenFactory.create(), then initialize the modules which have settings in the spec.
+// Modules can only be initialized by the manager, so they are skipped when the manager is not the signer.
+// Returns { key, address, record, initialized }, record is the entry of deploy/deployed/<chain>.json.
+//
+// inputs: { config, contractAddresses }, see getPlanInputs() in plan.js
+async function createMatrixToken(hre, signer, inputs, options) {
+  const { contractAddresses } = inputs;
+  const book = getAddressBook(inputs);
+  const txOptions = options.txOptions || {};
+  const getDeployedAddress = (key) => {
+    const address = contractAddresses[key]?.address;
+    if (!address) {
+      throw new Error(`createMatrixToken: ${key} is not exist in deployed addresses !`);
+    }
+
+    return address;
+  };
+  const getContract = (name, key) => hre.ethers.getContractAt(name, getDeployedAddress(key), signer);
+
+  const product = getProduct(options, book);
+  const key = options.key || `${product.symbol.toLowerCase()}_matrix_token`;
+  if (contractAddresses[key]) {
+    throw new Error(`createMatrixToken: ${key} is already exist in deployed addresses !`);
+  }
+
+  const signerAddress = await signer.getAddress();
+  const manager = product.manager ? resolveAddress(product.manager, book) : signerAddress;
+  const components = product.components.map((item) => item.address);
+  const units = await parseComponentUnits(product.components, signer.provider || hre.ethers.provider);
+  const modules = product.modules.map(getDeployedAddress);
+
+  const factory = await getContract('MatrixTokenFactory', 'matrix_token_factory');
+  const args = [components, units, modules, manager, product.name, product.symbol];
+
+  const task = `MatrixTokenFactory create ${product.name} (${product.symbol})`;
+  console.log(`[${getDataTime()}] DO: ${task}`);
+  const receipt = await sendTransaction(task, factory, 'create', args, txOptions);
+  const address = findCreatedMatrixToken(factory, receipt);
+  console.log(`[${getDataTime()}] OK: ${task}, ${key} is created at ${address}, block = ${receipt.blockNumber}\n`);
+
+  const matrixToken = await hre.ethers.getContractAt('MatrixToken', address, signer);
+  const controller = await factory.getController();
+  const constructorArgs = [components, units, modules, controller, manager, product.name, product.symbol];
+  const record = {
+    address,
+    block: receipt.blockNumber,
+    hash: receipt.transactionHash,
+    ...(await getDeploymentRecord('MatrixToken', matrixToken, constructorArgs)),
+    factory: factory.address,
+  };
+
+  const initialized = [];
+
+  for (const moduleKey of product.modules.filter((item) => product.settings[item])) {
+    const task = `${key} initialize ${moduleKey}`;
+
+    if (manager != signerAddress) {
+      console.log(`[${getDataTime()}] SKIP: ${task}: the manager ${manager} is not the signer\n`);
+      continue;
+    }
+
+    const initializeArgs = getInitializeArgs(moduleKey, product.settings[moduleKey], book, manager);
+    const module = await getContract(MODULE_NAMES[moduleKey], moduleKey);
+
+    console.log(`[${getDataTime()}] DO: ${task}`);
+    await sendTransaction(task, module, 'initialize', [address, ...initializeArgs], txOptions);
+    console.log(`[${getDataTime()}] OK: ${task}\n`);
+    initialized.push(moduleKey);
+  }
+
+  return { key, address, record, initialized };
+}
+
+module.exports = {
+  MODULE_NAMES,
+  getAddressBook,
+  resolveAddress,
+  resolveOptionalAddress,
+  parsePercent,
+  getInitializeArgs,
+  getProduct,
+  createMatrixToken,
+};
@@ -0,0 +1,172 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const dayjs = require('dayjs');
+const { ethers } = require('ethers');
+
+const DEFAULT_PROVIDER_OPTIONS = {
+  timeout: 30000, // milliseconds of one request
+  maxBlockLag: 5, // an endpoint is stale when its block number is more than maxBlockLag blocks behind the others
+};
+
+const RATE_LIMIT_MESSAGES = ['rate limit', 'too many requests', 'limit exceeded', 'request limit', 'capacity exceeded'];
+const ALREADY_SENT_MESSAGES = ['already known', 'known transaction', 'already imported', 'already exists'];
+
+class StaleBlockError extends Error {}
+
+function getMessage(error) {
+  return `${error.body || ''} ${error.error?.message || ''} ${error.message || ''}`.toLowerCase();
+}
+
+// errors of the endpoint rather than of the request: timeouts, rate limits, bad responses and stale blocks
+function isEndpointError(error) {
+  if (error instanceof StaleBlockError || error.code == 'TIMEOUT' || error.status == 429 || error.status >= 500) {
+    return true;
+  }
+
+  // -32005: limit exceeded
+  if (error.code == -32005 || error.error?.code == -32005 || RATE_LIMIT_MESSAGES.some((item) => getMessage(error).includes(item))) {
+    return true;
+  }
+
+  // no response at all, e.g. connection refused
+  return error.code == 'SERVER_ERROR' && error.serverError !== undefined;
+}
+
+// A provider which sends each request to the current endpoint, and switches to the next endpoint when the current one
+// times out, is rate limited or returns a stale block number. Before an endpoint is used, its block number is compared
+// with those of all endpoints, so an endpoint which lags from the start is never trusted. The endpoint of each sent
+// transaction is logged.
+class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(urls, network, options = {}) {
+    if (!urls?.length) {
+      throw new Error(`FailoverProvider: must set at least one rpc url !`);
+    }
+
+    super(urls[0], network);
+
+    const { timeout, maxBlockLag, log } = { ...DEFAULT_PROVIDER_OPTIONS, ...options };
+    ethers.utils.defineReadOnly(this, 'urls', urls);
+    ethers.utils.defineReadOnly(this, 'maxBlockLag', maxBlockLag);
+    // http 429 fails at once rather than being retried by ethers, then the next endpoint is used
+    const endpoints = urls.map((url) => new ethers.providers.StaticJsonRpcProvider({ url, timeout, throttleCallback: async () => false }, network));
+    ethers.utils.defineReadOnly(this, 'endpoints', endpoints);
+    ethers.utils.defineReadOnly(this, 'log', log || ((message) => console.log(`[${dayjs().format('YYYY-MM-DD HH:mm:ss')}] RPC: ${message}`)));
+
+    this.current = 0;
+    this.highestBlock = 0;
+    this.trusted = new Set(); // indexes of the endpoints which are checked against the others
+  }
+
+  get currentUrl() {
+    return this.urls[this.current];
+  }
+
+  // compare the block number of the endpoint with the highest block number of all endpoints, endpoints which fail to
+  // answer are left out of the comparison
+  async checkEndpoint(index) {
+    if (this.trusted.has(index) || this.urls.length == 1) {
+      return;
+    }
+
+    const results = await Promise.allSettled(this.endpoints.map((endpoint) => endpoint.send('eth_blockNumber', [])));
+    if (results[index].status == 'rejected') {
+      throw results[index].reason;
+    }
+
+    const blockNumbers = results.filter((item) => item.status == 'fulfilled').map((item) => ethers.BigNumber.from(item.value).toNumber());
+    this.highestBlock = Math.max(this.highestBlock, ...blockNumbers);
+
+    const blockNumber = ethers.BigNumber.from(results[index].value).toNumber();
+    if (blockNumber + this.maxBlockLag < this.highestBlock) {
+      throw new StaleBlockError(`stale block ${blockNumber}, highest block is ${this.highestBlock}`);
+    }
+
+    this.trusted.add(index);
+  }
+
+  async sendToEndpoint(index, method, params) {
+    const result = await this.endpoints[index].send(method, params);
+
+    if (method == 'eth_blockNumber') {
+      const blockNumber = ethers.BigNumber.from(result).toNumber();
+
+      if (blockNumber + this.maxBlockLag < this.highestBlock) {
+        throw new StaleBlockError(`stale block ${blockNumber}, highest block is ${this.highestBlock}`);
+      }
+
+      this.highestBlock = Math.max(this.highestBlock, blockNumber);
+    }
+
+    return result;
+  }
+
+  async send(method, params) {
+    let lastError;
+    let sent = false;
+
+    for (let i = 0; i < this.urls.length; i++) {
+      const index = (this.current + i) % this.urls.length;
+
+      try {
+        await this.checkEndpoint(index);
+        const result = await this.sendToEndpoint(index, method, params);
+
+        if (index != this.current) {
+          this.current = index;
+        }
+
+        if (method == 'eth_sendRawTransaction') {
+          this.log(`${method} ${result} via ${this.urls[index]}`);
+        }
+
+        return result;
+      } catch (e) {
+        // the transaction was sent by a previous endpoint which failed to respond
+        if (method == 'eth_sendRawTransaction' && sent && ALREADY_SENT_MESSAGES.some((item) => getMessage(e).includes(item))) {
+          const hash = ethers.utils.keccak256(params[0]);
+          this.log(`${method} ${hash} is already sent, confirmed via ${this.urls[index]}`);
+          this.current = index;
+          return hash;
+        }
+
+        if (!isEndpointError(e)) {
+          throw e;
+        }
+
+        lastError = e;
+        this.trusted.delete(index);
+        sent = sent || method == 'eth_sendRawTransaction';
+
+        const next = this.urls[(index + 1) % this.urls.length];
+        const reason = e.status ? `${e.reason} ${e.status}` : e.reason || e.message;
+        this.log(`${method} failed on ${this.urls[index]}: ${reason}, switch to ${next}`);
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+// all rpc urls of the current network: url first, then rpcList of hardhat.config.js
+function getRpcUrls(hre) {
+  const { url, rpcList = [] } = hre.network.config;
+  return [...new Set([url, ...rpcList].filter((item) => item))];
+}
+
+function getProvider(hre, options = {}) {
+  const { name, config } = hre.network;
+
+  if (!config.url) {
+    return hre.ethers.provider; // the in-process hardhat network
+  }
+
+  return new FailoverProvider(getRpcUrls(hre), { name, chainId: config.chainId }, options);
+}
+
+module.exports = {
+  FailoverProvider,
+  getRpcUrls,
+  getProvider,
+};
@@ -0,0 +1,434 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { getReadOnlyContract } = require('./helpers');
+const { getAddressBook, resolveAddress, parsePercent } = require('./product');
+const { formatAmount, formatPercent, isSameAddress, getKeyOf, getDecimalsReader } = require('./spec');
+
+const { BigNumber } = ethers;
+const PRECISE_UNIT = ethers.constants.WeiPerEther;
+const ZERO = BigNumber.from(0);
+
+const DEFAULT_POSITION = 0;
+const GENERAL_INDEX_MODULE_PROTOCOL_FEE_INDEX = 0;
+const MAX_SCHEDULE_STEPS = 1000;
+
+// PreciseUnitMath
+const preciseMul = (a, b) => a.mul(b).div(PRECISE_UNIT);
+const preciseMulCeil = (a, b) => (a.isZero() || b.isZero() ? ZERO : a.mul(b).sub(1).div(PRECISE_UNIT).add(1));
+const preciseDiv = (a, b) => a.mul(PRECISE_UNIT).div(b);
+const min = (a, b) => (a.lt(b) ? a : b);
+
+// "weth:40%,usdc:60%" to { weth: '40%', usdc: '60%' }
+function parseWeights(text) {
+  const weights = {};
+
+  for (const item of text.split(',')) {
+    const [token, weight] = item.split(':').map((value) => value.trim());
+    weights[token] = weight;
+  }
+
+  return weights;
+}
+
+// A rebalance file in json or yaml, tokens are keys of "tokens" in the config file or addresses:
+//
+// {
+//     "weights": { "weth": "40%", "usdc": "35%", "wbtc": "25%" },
+//     "trade_maximums": { "weth": "10", "usdc": "20000", "wbtc": "0.5" },
+//     "cool_off_periods": { "usdc": 600, "wbtc": 600 },
+//     "exchanges": { "usdc": "UNISWAP_V2_INDEX_EXCHANGE_ADAPTER", "wbtc": "UNISWAP_V2_INDEX_EXCHANGE_ADAPTER" }
+// }
+//
+// weights are parts of the value of the MatrixToken and must sum up to 100%, components without a weight are sold out.
+// trade_maximums are in the decimals of each component, cool_off_periods in seconds. Components without trade_maximums,
+// cool_off_periods or exchanges keep the settings of GeneralIndexModule.
+//
+// options: { rebalance, weights }, weights "weth:40%,usdc:60%" overrides the weights of the rebalance file
+function getRebalance(options, book) {
+  const { rebalance = {} } = options;
+  const weights = options.weights ? parseWeights(options.weights) : rebalance.weights || {};
+
+  if (Object.keys(weights).length == 0) {
+    throw new Error('must set weights of the rebalance, e.g. weth:40%,usdc:60% !');
+  }
+
+  const targets = Object.entries(weights).map(([token, weight]) => ({ token, address: resolveAddress(token, book), weight: parsePercent(weight) }));
+  const total = targets.reduce((sum, item) => sum.add(item.weight), ZERO);
+
+  if (!total.eq(PRECISE_UNIT)) {
+    throw new Error(`weights of the rebalance must sum up to 100% rather than ${formatPercent(total)} !`);
+  }
+
+  for (const [i, { token, address }] of targets.entries()) {
+    if (targets.findIndex((item) => isSameAddress(item.address, address)) != i) {
+      throw new Error(`${token} has more than one weight in the rebalance !`);
+    }
+  }
+
+  const getSettings = (items = {}) => Object.entries(items).map(([token, value]) => ({ token, address: resolveAddress(token, book), value }));
+
+  return {
+    targets,
+    tradeMaximums: getSettings(rebalance.trade_maximums),
+    coolOffPeriods: getSettings(rebalance.cool_off_periods),
+    exchanges: getSettings(rebalance.exchanges),
+  };
+}
+
+// The same as GeneralIndexModule._calculateTradeSizeAndDirection(), which reverts rather than returns undefined when
+// the current unit is the target unit. Quantities are total amounts of the component, not units.
+function calculateTradeSizeAndDirection(currentUnit, targetUnit, totalSupply, maxSize, protocolFee) {
+  if (currentUnit.eq(targetUnit)) {
+    return undefined;
+  }
+
+  const currentNotional = preciseMul(totalSupply, currentUnit);
+  const targetNotional = preciseMulCeil(totalSupply, targetUnit);
+  const isSendTokenFixed = targetNotional.lt(currentNotional);
+
+  // buys are divided by (1 - protocolFee) because the fee is taken from the received component
+  const quantity = isSendTokenFixed
+    ? min(maxSize, currentNotional.sub(targetNotional))
+    : min(maxSize, preciseDiv(targetNotional.sub(currentNotional), PRECISE_UNIT.sub(protocolFee)));
+
+  return { isSendTokenFixed, quantity };
+}
+
+// the same as GeneralIndexModule._targetUnmet(), with a 1 wei buffer
+function isTargetUnmet(currentUnit, targetUnit) {
+  return targetUnit.gt(0) ? currentUnit.sub(targetUnit).abs().gt(1) : !currentUnit.eq(targetUnit);
+}
+
+// amount of token "from" to amount of token "to" at oracle prices
+function convertAmount(amount, from, to) {
+  return amount.mul(from.price).mul(BigNumber.from(10).pow(to.decimals)).div(BigNumber.from(10).pow(from.decimals).mul(to.price));
+}
+
+// Replay trade(), tradeRemainingWETH() and raiseAssetTargets() at oracle prices. Components trade with WETH when their
+// cool-off period is over, sells before buys because buys spend the WETH of sells. Trades are never larger than the trade
+// maximums, and the protocol fee is taken from the received token.
+//
+// state: { start, totalSupply, protocolFee, raiseTargetPercentage, weth, components }, components and weth are
+// { key, decimals, price, balance, targetUnit, maxSize, coolOffPeriod, lastTradeTimestamp } and are changed in place
+function simulateRebalance(state) {
+  const { start, totalSupply, protocolFee, raiseTargetPercentage, weth, components } = state;
+  const schedule = [];
+  const warnings = [];
+
+  // the positionMultiplier of the MatrixToken does not change during the simulation
+  let multiplier = PRECISE_UNIT;
+
+  const getUnit = (item) => preciseDiv(item.balance, totalSupply);
+  const getTarget = (item) => item.targetUnit.mul(PRECISE_UNIT).div(multiplier);
+  const isUnmet = (item) => isTargetUnmet(getUnit(item), getTarget(item));
+  const getReadyTime = (item) => item.lastTradeTimestamp.add(item.coolOffPeriod).toNumber();
+  const addStep = (time, action, item, isSendTokenFixed, quantity, wethQuantity) => {
+    schedule.push({ time: time - start, action, token: item?.key, isSendTokenFixed, quantity, wethQuantity, unit: item ? getUnit(item) : undefined });
+  };
+
+  const trading = components.filter((item) => item != weth);
+  let time = start;
+
+  for (let step = 0; ; step++) {
+    if (step == MAX_SCHEDULE_STEPS) {
+      warnings.push(`the simulation stops after ${MAX_SCHEDULE_STEPS} steps, raise the trade maximums`);
+      break;
+    }
+
+    const ready = trading.filter((item) => isUnmet(item) && getReadyTime(item) <= time);
+    const sells = ready.filter((item) => getUnit(item).gt(getTarget(item)));
+    let traded = false;
+
+    for (const item of [...sells, ...ready.filter((item) => !sells.includes(item))]) {
+      const trade = calculateTradeSizeAndDirection(getUnit(item), getTarget(item), totalSupply, item.maxSize, protocolFee);
+      if (!trade || trade.quantity.isZero()) {
+        continue;
+      }
+
+      const { isSendTokenFixed, quantity } = trade;
+      const wethQuantity = convertAmount(quantity, item, weth);
+
+      if (isSendTokenFixed) {
+        item.balance = item.balance.sub(quantity);
+        weth.balance = weth.balance.add(wethQuantity.sub(preciseMul(wethQuantity, protocolFee)));
+      } else {
+        if (wethQuantity.gt(weth.balance)) {
+          continue;
+        }
+
+        item.balance = item.balance.add(quantity.sub(preciseMul(quantity, protocolFee)));
+        weth.balance = weth.balance.sub(wethQuantity);
+      }
+
+      item.lastTradeTimestamp = BigNumber.from(time);
+      addStep(time, 'trade', item, isSendTokenFixed, quantity, wethQuantity);
+      traded = true;
+    }
+
+    if (traded) {
+      continue;
+    }
+
+    const unmet = trading.filter(isUnmet);
+    const wethExcess = weth.balance.sub(preciseMulCeil(totalSupply, getTarget(weth)));
+
+    if (unmet.length == 0) {
+      if (wethExcess.gt(0) && getUnit(weth).gt(getTarget(weth)) && raiseTargetPercentage.gt(0)) {
+        multiplier = preciseDiv(multiplier, PRECISE_UNIT.add(raiseTargetPercentage));
+        addStep(time, 'raiseAssetTargets');
+        continue;
+      }
+
+      break;
+    }
+
+    const waiting = unmet.map(getReadyTime).filter((readyTime) => readyTime > time);
+    if (waiting.length > 0) {
+      time = Math.min(...waiting);
+      continue;
+    }
+
+    // no component can be sold and the buys need more WETH than the MatrixToken has: spend the rest of WETH
+    const buy = unmet.find((item) => item.maxSize.gt(0) && getUnit(item).lt(getTarget(item)));
+    const noTokensToSell = trading.every((item) => !getUnit(item).gt(getTarget(item)));
+
+    if (buy && noTokensToSell && wethExcess.gt(0)) {
+      const received = convertAmount(wethExcess, weth, buy);
+      const balance = buy.balance.add(received.sub(preciseMul(received, protocolFee)));
+
+      if (received.lt(buy.maxSize) && !preciseDiv(balance, totalSupply).gt(getTarget(buy))) {
+        buy.balance = balance;
+        weth.balance = weth.balance.sub(wethExcess);
+        buy.lastTradeTimestamp = BigNumber.from(time);
+        addStep(time, 'tradeRemainingWETH', buy, false, received, wethExcess);
+        continue;
+      }
+    }
+
+    for (const item of unmet) {
+      const unit = formatAmount(getUnit(item), item.decimals);
+      warnings.push(`the target of ${item.key} is not met, its unit stays ${unit} rather than ${formatAmount(getTarget(item), item.decimals)}`);
+    }
+
+    break;
+  }
+
+  return { schedule, warnings };
+}
+
+// Plan a rebalance of a MatrixToken by GeneralIndexModule. Target units are the weights of the value of the MatrixToken
+// at the prices of PriceOracle, and the plan sets the trade maximums, exchanges and cool-off periods of the rebalance
+// file before startRebalance(). Nothing is signed: contracts are read with the provider.
+//
+// inputs: the same as planDeployment(), see getPlanInputs() in plan.js
+// options: { rebalance, weights, module }, module is the key or address of GeneralIndexModule
+async function planRebalance(hre, inputs, address, options = {}) {
+  const { provider } = hre.ethers;
+  const book = getAddressBook(inputs);
+  const toKey = (item) => getKeyOf(item, book);
+  const getDecimals = getDecimalsReader(provider);
+  const getContract = (name, contractAddress) => getReadOnlyContract(name, contractAddress, provider);
+
+  const moduleKey = options.module || 'general_index_module';
+  const { targets, tradeMaximums, coolOffPeriods, exchanges } = getRebalance(options, book);
+
+  const matrixToken = await getContract('MatrixToken', address);
+  const module = await getContract('GeneralIndexModule', resolveAddress(moduleKey, book));
+  const controller = await getContract('Controller', await matrixToken.getController());
+  const priceOracle = await getContract('PriceOracle', await controller.getPriceOracle());
+
+  const symbol = await matrixToken.symbol();
+  const totalSupply = await matrixToken.totalSupply();
+  const positionMultiplier = await matrixToken.getPositionMultiplier();
+  const protocolFee = await controller.getModuleFee(module.address, GENERAL_INDEX_MODULE_PROTOCOL_FEE_INDEX);
+  const { raiseTargetPercentage } = await module._rebalanceInfos(address);
+  const quoteAsset = await priceOracle.getMasterQuoteAsset();
+  const wethAddress = await module._weth();
+
+  const actions = [];
+  const warnings = [];
+  const addAction = (action, description, method, args) => actions.push({ action, description, contract: module, method, args });
+
+  if (!(await matrixToken.isInitializedModule(module.address))) {
+    warnings.push(`${moduleKey} is not initialized for ${symbol}, startRebalance will revert`);
+  }
+
+  const oldComponents = await matrixToken.getComponents();
+  const newComponents = targets.map((item) => item.address).filter((item) => !oldComponents.some((component) => isSameAddress(component, item)));
+  const positions = await matrixToken.getPositions();
+  const items = [];
+
+  // WETH is the other side of every trade even when it is not a component
+  for (const component of [...oldComponents, ...newComponents, wethAddress]) {
+    if (items.some((item) => isSameAddress(item.address, component))) {
+      continue;
+    }
+
+    const key = toKey(component);
+    const isRebalanced = [...oldComponents, ...newComponents].some((item) => isSameAddress(item, component));
+    const defaultPosition = positions.find((item) => isSameAddress(item.component, component) && item.positionState == DEFAULT_POSITION);
+
+    if (isRebalanced && positions.some((item) => isSameAddress(item.component, component) && item.positionState != DEFAULT_POSITION)) {
+      throw new Error(`component ${key} of ${symbol} has an external position, GeneralIndexModule can not rebalance it !`);
+    }
+
+    const currentUnit = defaultPosition ? defaultPosition.unit : ZERO;
+    const info = await module._executionInfos(address, component);
+    const target = targets.find((item) => isSameAddress(item.address, component));
+
+    items.push({
+      key,
+      address: component,
+      isRebalanced,
+      decimals: await getDecimals(component),
+      price: await priceOracle.getPrice(component, quoteAsset),
+      currentUnit,
+      balance: preciseMul(totalSupply, currentUnit),
+      weight: target ? target.weight : ZERO,
+      targetUnit: info.targetUnit,
+      maxSize: info.maxSize,
+      coolOffPeriod: info.coolOffPeriod,
+      lastTradeTimestamp: info.lastTradeTimestamp,
+      exchangeName: info.exchangeName,
+    });
+  }
+
+  const getItem = (component) => items.find((item) => isSameAddress(item.address, component));
+  const getValue = (unit, item) => unit.mul(item.price).div(BigNumber.from(10).pow(item.decimals));
+  const value = items.reduce((sum, item) => sum.add(getValue(item.currentUnit, item)), ZERO);
+
+  if (value.isZero()) {
+    throw new Error(`${symbol} has no value to rebalance !`);
+  }
+
+  for (const item of items.filter((item) => item.isRebalanced)) {
+    item.currentWeight = preciseDiv(getValue(item.currentUnit, item), value);
+    item.targetUnit = preciseMul(value, item.weight).mul(BigNumber.from(10).pow(item.decimals)).div(item.price);
+  }
+
+  // settings of the rebalance file which differ from GeneralIndexModule
+  for (const [action, settings, field, parse] of [
+    ['setTradeMaximums', tradeMaximums, 'maxSize', (value, item) => ethers.utils.parseUnits(`${value}`, item.decimals)],
+    ['setExchanges', exchanges, 'exchangeName', (value) => `${value}`],
+    ['setCoolOffPeriods', coolOffPeriods, 'coolOffPeriod', (value) => BigNumber.from(value)],
+  ]) {
+    const changes = [];
+
+    for (const { token, address: component, value } of settings) {
+      const item = getItem(component);
+      if (!item) {
+        warnings.push(`${token} of ${action} is not a component of the rebalance`);
+        continue;
+      }
+
+      // GeneralIndexModule ignores the exchange of WETH
+      const expected = parse(value, item);
+      if (
+        (action == 'setExchanges' && item == getItem(wethAddress)) ||
+        (BigNumber.isBigNumber(expected) ? expected.eq(item[field]) : expected == item[field])
+      ) {
+        continue;
+      }
+
+      item[field] = expected;
+      changes.push(item);
+    }
+
+    if (changes.length > 0) {
+      const description = `${moduleKey} ${action} of ${symbol} for ${changes.map((item) => item.key).join(', ')}`;
+      addAction(action, description, action, [address, changes.map((item) => item.address), changes.map((item) => item[field])]);
+    }
+  }
+
+  const newComponentsTargetUnits = newComponents.map((component) => getItem(component).targetUnit);
+  const oldComponentsTargetUnits = oldComponents.map((component) => getItem(component).targetUnit);
+  const startArgs = [address, newComponents, newComponentsTargetUnits, oldComponentsTargetUnits, positionMultiplier];
+  addAction(
+    'startRebalance',
+    `${moduleKey} startRebalance of ${symbol} to ${targets.map((item) => `${item.token} ${formatPercent(item.weight)}`).join(', ')}`,
+    'startRebalance',
+    startArgs
+  );
+
+  const weth = getItem(wethAddress);
+  const components = items.filter((item) => item.isRebalanced);
+
+  for (const item of components) {
+    item.trade = calculateTradeSizeAndDirection(item.currentUnit, item.targetUnit, totalSupply, item.maxSize, protocolFee);
+
+    if (item == weth || !item.trade) {
+      continue;
+    }
+
+    if (item.maxSize.isZero()) {
+      warnings.push(`trade maximum of ${item.key} is 0, set it by trade_maximums`);
+    }
+
+    if (!item.exchangeName) {
+      warnings.push(`${item.key} has no exchange, set it by exchanges`);
+    }
+  }
+
+  // the simulation changes copies of the components
+  const state = items.map((item) => ({ ...item }));
+  const block = await provider.getBlock('latest');
+  const simulated = simulateRebalance({
+    start: block.timestamp,
+    totalSupply,
+    protocolFee,
+    raiseTargetPercentage,
+    weth: state.find((item) => isSameAddress(item.address, wethAddress)),
+    components: state.filter((item) => item.isRebalanced),
+  });
+
+  if (totalSupply.isZero()) {
+    warnings.push(`${symbol} has no supply, there is nothing to trade`);
+  }
+
+  return {
+    actions,
+    warnings: [...warnings, ...simulated.warnings],
+    components,
+    schedule: simulated.schedule,
+  };
+}
+
+// print the components and the simulated trade schedule of planRebalance()
+function printRebalance({ components, schedule }) {
+  for (const { key, decimals, currentUnit, targetUnit, currentWeight, weight, trade } of components) {
+    const direction = trade ? `${trade.isSendTokenFixed ? 'sell' : 'buy'} ${formatAmount(trade.quantity, decimals)}` : 'none';
+    const units = `${formatAmount(currentUnit, decimals)} -> ${formatAmount(targetUnit, decimals)}`;
+    console.log(`COMPONENT: ${key.padEnd(20)} ${formatPercent(currentWeight)} -> ${formatPercent(weight)}, unit ${units}, first trade ${direction}`);
+  }
+
+  console.log('');
+
+  for (const { time, action, token, isSendTokenFixed, quantity, wethQuantity, unit } of schedule) {
+    const item = components.find((component) => component.key == token);
+
+    if (!item) {
+      console.log(`SCHEDULE: +${time}s ${action}`);
+      continue;
+    }
+
+    const trade = `${isSendTokenFixed ? 'sell' : 'buy'} ${formatAmount(quantity, item.decimals)} ${token} for ${formatAmount(wethQuantity, 18)} weth`;
+    console.log(`SCHEDULE: +${time}s ${action} ${trade}, unit ${formatAmount(unit, item.decimals)}`);
+  }
+
+  console.log(`\n${schedule.length} step(s)\n`);
+}
+
+module.exports = {
+  getRebalance,
+  calculateTradeSizeAndDirection,
+  isTargetUnmet,
+  simulateRebalance,
+  planRebalance,
+  printRebalance,
+};
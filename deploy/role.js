@@ -3,157 +3,360 @@
 // ==================== Internal Imports ====================
 
 const adminContracts = require('./configs/adminContracts.json');
-const { sleep, getDeployer, getDeployedAddresses } = require('./helpers');
+const { getDeployer, getDeployedAddresses, getReadOnlyContract } = require('./helpers');
+const { getProvider, getRpcUrls } = require('./provider');
+const { isReadOnly } = require('./signer');
+const { getTransactionOptions } = require('./transaction');
+const { createSafeBatch, writeSafeBatch, sendOrBatch, printSafeBatch } = require('./safe');
 
 const ADMIN_ROLE = '0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775';
 const DEFAULT_ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000';
 
-async function grantRole(task, instance, roleName, account) {
+// role name or hash to role hash, roles other than DEFAULT_ADMIN_ROLE are keccak256 of their names
+function getRoleHash(role, hre) {
+  if (role == 'DEFAULT_ADMIN_ROLE') {
+    return DEFAULT_ADMIN_ROLE;
+  }
+
+  if (/^0x[0-9a-fA-F]{64}$/.test(role)) {
+    return role.toLowerCase();
+  }
+
+  return hre.ethers.utils.id(role);
+}
+
+// role hash to role name, for the *_ROLE constants in the abi of the contract
+function getRoleNames(instance, hre) {
+  const roleNames = { [DEFAULT_ADMIN_ROLE]: 'DEFAULT_ADMIN_ROLE' };
+
+  for (const fragment of Object.values(instance.interface.functions)) {
+    if (fragment.name.endsWith('_ROLE') && fragment.inputs.length == 0 && fragment.name != 'DEFAULT_ADMIN_ROLE') {
+      roleNames[hre.ethers.utils.id(fragment.name)] = fragment.name;
+    }
+  }
+
+  return roleNames;
+}
+
+// send instance[method](roleName, account), or add it to the Safe batch when batch is set
+async function sendRoleTransaction(task, instance, method, roleName, account, txOptions, batch) {
+  if (!batch) {
+    console.log(`DO  : ${task}`);
+  }
+
+  const receipt = await sendOrBatch(task, instance, method, [roleName, account], txOptions, batch);
+
+  if (receipt) {
+    console.log(`OK  : ${task}, hash = ${receipt.transactionHash}\n`);
+  } else {
+    console.log(`BATCH: ${task}\n`);
+  }
+}
+
+async function grantRole(task, instance, roleName, account, txOptions, batch) {
   console.log(`TASK: ${task}`);
   if (!(await instance.hasRole(roleName, account))) {
-    console.log(`DO  : ${task}`);
-    await instance.grantRole(roleName, account);
-
-    let done = false;
-    for (let i = 0; i < 30; i++) {
-      if (await instance.hasRole(roleName, account)) {
-        done = true;
-        console.log(`OK  : ${task}\n`);
-        break;
-      } else {
-        await sleep(1000);
-      }
-    }
+    await sendRoleTransaction(task, instance, 'grantRole', roleName, account, txOptions, batch);
+  } else {
+    console.log(`SKIP: ${task}\n`);
+  }
+}
 
-    if (!done) {
-      throw new Error(`FAIL: ${task}`);
-    }
+async function revokeRole(task, instance, roleName, account, txOptions, batch) {
+  console.log(`TASK: ${task}`);
+  if (await instance.hasRole(roleName, account)) {
+    await sendRoleTransaction(task, instance, 'revokeRole', roleName, account, txOptions, batch);
   } else {
     console.log(`SKIP: ${task}\n`);
   }
 }
 
-function getDeployerAndContracts(hre) {
-  const CHAIN_NAME = hre.network.name;
-  const CHAIN_ID = hre.network.config.chainId;
-  const RPC_ENDPOINT = hre.network.config.url;
-  console.log(`\nCHAIN_NAME = ${CHAIN_NAME}, CHAIN_ID = ${CHAIN_ID}, RPC_ENDPOINT = ${RPC_ENDPOINT}\n`);
+async function renounceRole(task, instance, roleName, account, txOptions, batch) {
+  console.log(`TASK: ${task}`);
+  if (await instance.hasRole(roleName, account)) {
+    await sendRoleTransaction(task, instance, 'renounceRole', roleName, account, txOptions, batch);
+  } else {
+    console.log(`SKIP: ${task}\n`);
+  }
+}
 
-  const { DEPLOYER_PRIVATE_KEY } = process.env;
-  if (!DEPLOYER_PRIVATE_KEY) {
-    throw new Error(`Must set DEPLOYER_PRIVATE_KEY in file .env !`);
+// replay RoleGranted and RoleRevoked logs of the contract, returns { roleHash: [account] }
+async function getRoleMembers(instance, fromBlock = 0, blockRange = 0) {
+  const { provider } = instance;
+  const topics = [[instance.interface.getEventTopic('RoleGranted'), instance.interface.getEventTopic('RoleRevoked')]];
+  const toBlock = await provider.getBlockNumber();
+
+  const logs = [];
+  const step = blockRange > 0 ? blockRange : toBlock - fromBlock + 1;
+  for (let start = fromBlock; start <= toBlock; start += step) {
+    const end = Math.min(start + step - 1, toBlock);
+    logs.push(...(await provider.getLogs({ address: instance.address, topics, fromBlock: start, toBlock: end })));
   }
 
-  const deployer = getDeployer(RPC_ENDPOINT, DEPLOYER_PRIVATE_KEY, hre);
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const members = {};
+  for (const log of logs) {
+    const { name, args } = instance.interface.parseLog(log);
+    const role = args.role.toLowerCase();
+    members[role] = members[role] || new Set();
 
-  return { deployer, filename, contractAddresses };
+    if (name == 'RoleGranted') {
+      members[role].add(args.account);
+    } else {
+      members[role].delete(args.account);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(members).map(([role, accounts]) => [role, [...accounts]]));
 }
 
-async function grantAdminRole(account, hre) {
-  const { deployer, filename, contractAddresses } = getDeployerAndContracts(hre);
+// contracts: [{ name, key, block, instance }], returns [{ name, key, address, roles: [{ role, hash, members }] }]
+async function listRoleMembers(contracts, hre, blockRange = 0) {
+  const result = [];
 
-  for (const contract of adminContracts) {
-    const { name, key } = contract;
+  for (const { name, key, block, instance } of contracts) {
+    const roleNames = getRoleNames(instance, hre);
+    const members = await getRoleMembers(instance, block || 0, blockRange);
 
-    const contractAddress = contractAddresses[key]?.address;
-    if (!contractAddress) {
-      throw new Error(`must set ${key}.address in ${filename} !`);
+    const roles = Object.entries(members).map(([hash, accounts]) => ({ role: roleNames[hash] || hash, hash, members: accounts }));
+    result.push({ name, key, address: instance.address, roles });
+  }
+
+  return result;
+}
+
+// the accounts other than account which still hold DEFAULT_ADMIN_ROLE on chain
+async function getOtherDefaultAdmins(contract, account) {
+  const { instance, block } = contract;
+  const { [DEFAULT_ADMIN_ROLE]: members = [] } = await getRoleMembers(instance, block || 0);
+
+  const others = [];
+  for (const member of members) {
+    if (member.toLowerCase() != account.toLowerCase() && (await instance.hasRole(DEFAULT_ADMIN_ROLE, member))) {
+      others.push(member);
     }
+  }
 
-    const implementation = await hre.ethers.getContractFactory(name, deployer);
-    const instance = await implementation.attach(contractAddress);
+  return others;
+}
 
-    const task = `${name} grant ADMIN_ROLE to ${account}`;
-    await grantRole(task, instance, ADMIN_ROLE, account);
+async function grantNamedRole(contracts, role, account, hre, txOptions, batch) {
+  const roleHash = getRoleHash(role, hre);
+
+  for (const { name, instance } of contracts) {
+    await grantRole(`${name} grant ${role} to ${account}`, instance, roleHash, account, txOptions, batch);
   }
 }
 
-async function grantDefaultAdminRole(account, hre) {
-  const { deployer, filename, contractAddresses } = getDeployerAndContracts(hre);
+async function revokeNamedRole(contracts, role, account, hre, txOptions, batch) {
+  const roleHash = getRoleHash(role, hre);
 
-  for (const contract of adminContracts) {
-    const { name, key } = contract;
+  if (roleHash == DEFAULT_ADMIN_ROLE) {
+    for (const contract of contracts) {
+      if ((await getOtherDefaultAdmins(contract, account)).length == 0) {
+        throw new Error(`${contract.name} revoke ${account} from DEFAULT_ADMIN_ROLE: no other account holds DEFAULT_ADMIN_ROLE, refuse to revoke !`);
+      }
+    }
+  }
 
-    const contractAddress = contractAddresses[key]?.address;
-    if (!contractAddress) {
-      throw new Error(`must set ${key}.address in ${filename} !`);
+  for (const { name, instance } of contracts) {
+    await revokeRole(`${name} revoke ${account} from ${role}`, instance, roleHash, account, txOptions, batch);
+  }
+}
+
+// Grant every role of the deployer to the multisig on all contracts, check that the multisig holds them, and only then
+// renounce the roles of the deployer. DEFAULT_ADMIN_ROLE is renounced last, and never when the multisig does not hold it.
+// With options.batch, from is the Safe which executes the batch: the check is left to the batch, which reverts as a whole.
+async function transferAdminRoles(contracts, from, multisig, hre, txOptions, options = {}) {
+  const { batch, allowEoa, blockRange } = options;
+
+  if (from.toLowerCase() == multisig.toLowerCase()) {
+    throw new Error(`transfer admin roles: ${multisig} is the deployer !`);
+  }
+
+  if (!allowEoa && (await getProvider(hre).getCode(multisig)) == '0x') {
+    throw new Error(`transfer admin roles: ${multisig} is not a contract, set allowEoa to transfer to an EOA !`);
+  }
+
+  // roles of the deployer, DEFAULT_ADMIN_ROLE at last
+  const plans = [];
+  for (const contract of contracts) {
+    const roleNames = getRoleNames(contract.instance, hre);
+    const members = await getRoleMembers(contract.instance, contract.block || 0, blockRange);
+
+    const roles = [];
+    for (const [hash, accounts] of Object.entries(members)) {
+      if (accounts.some((account) => account.toLowerCase() == from.toLowerCase()) && (await contract.instance.hasRole(hash, from))) {
+        roles.push({ hash, role: roleNames[hash] || hash });
+      }
     }
 
-    const implementation = await hre.ethers.getContractFactory(name, deployer);
-    const instance = await implementation.attach(contractAddress);
+    roles.sort((a, b) => (a.hash == DEFAULT_ADMIN_ROLE) - (b.hash == DEFAULT_ADMIN_ROLE));
+    plans.push({ ...contract, roles });
+  }
 
-    const task = `${name} grant DEFAULT_ADMIN_ROLE to ${account}`;
-    await grantRole(task, instance, DEFAULT_ADMIN_ROLE, account);
+  // 1. grant
+  for (const { name, instance, roles } of plans) {
+    for (const { hash, role } of roles) {
+      await grantRole(`${name} grant ${role} to ${multisig}`, instance, hash, multisig, txOptions, batch);
+    }
   }
-}
 
-async function revokeRole(task, instance, roleName, account) {
-  console.log(`TASK: ${task}`);
-  if (await instance.hasRole(roleName, account)) {
-    console.log(`DO  : ${task}`);
-    await instance.revokeRole(roleName, account);
-
-    let done = false;
-    for (let i = 0; i < 30; i++) {
-      if (!(await instance.hasRole(roleName, account))) {
-        done = true;
-        console.log(`OK  : ${task}\n`);
-        break;
-      } else {
-        await sleep(1000);
+  // 2. check
+  for (const { name, instance, roles } of batch ? [] : plans) {
+    for (const { hash, role } of roles) {
+      if (!(await instance.hasRole(hash, multisig))) {
+        throw new Error(`transfer admin roles: ${name} ${multisig} does not hold ${role}, nothing is renounced !`);
       }
     }
+  }
 
-    if (!done) {
-      throw new Error(`FAIL: ${task}`);
+  // 3. renounce
+  for (const { name, instance, roles } of plans) {
+    for (const { hash, role } of roles) {
+      await renounceRole(`${name} renounce ${role} of ${from}`, instance, hash, from, txOptions, batch);
     }
-  } else {
-    console.log(`SKIP: ${task}\n`);
   }
 }
 
-async function revokeAdminRole(account, hre) {
-  const { deployer, filename, contractAddresses } = getDeployerAndContracts(hre);
+// without safeBatch, transactions are sent from the deployer; with safeBatch, they are written to a Safe batch file
+async function getDeployerAndContracts(hre, safeBatch) {
+  const CHAIN_NAME = hre.network.name;
+  const CHAIN_ID = hre.network.config.chainId;
+  console.log(`\nCHAIN_NAME = ${CHAIN_NAME}, CHAIN_ID = ${CHAIN_ID}, RPC_ENDPOINT = ${getRpcUrls(hre).join(', ')}\n`);
 
-  for (const contract of adminContracts) {
-    const { name, key } = contract;
+  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+  const txOptions = getTransactionOptions(CHAIN_NAME);
 
-    const contractAddress = contractAddresses[key]?.address;
-    if (!contractAddress) {
-      throw new Error(`must set ${key}.address in ${filename} !`);
-    }
+  if (safeBatch) {
+    return { deployer: getProvider(hre), filename, contractAddresses, txOptions };
+  }
 
-    const implementation = await hre.ethers.getContractFactory(name, deployer);
-    const instance = await implementation.attach(contractAddress);
+  const deployer = await getDeployer(hre);
+  if (isReadOnly(deployer)) {
+    throw new Error(`Must set DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL in file .env, or use --safe-batch !`);
+  }
+
+  return { deployer, filename, contractAddresses, txOptions };
+}
 
-    const task = `${name} revoke ${account} from ADMIN_ROLE`;
-    await revokeRole(task, instance, ADMIN_ROLE, account);
+function createRoleBatch(hre, safeBatch, safe, name) {
+  return safeBatch ? createSafeBatch(hre.network.config.chainId, name, safe) : undefined;
+}
+
+function saveRoleBatch(safeBatch, batch) {
+  if (batch) {
+    printSafeBatch(safeBatch, writeSafeBatch(safeBatch, batch));
   }
 }
 
-async function revokeDefaultAdminRole(account, hre) {
-  const { deployer, filename, contractAddresses } = getDeployerAndContracts(hre);
+// contracts in adminContracts.json, or the contract of key in deploy/deployed/<chain>.json
+async function getRoleContracts(hre, signerOrProvider, filename, contractAddresses, key) {
+  const contracts = adminContracts.filter((item) => !key || item.key == key);
+
+  if (key && contracts.length == 0) {
+    const name = contractAddresses[key]?.name;
+    if (!name) {
+      throw new Error(`must set ${key}.name in ${filename} !`);
+    }
 
-  for (const contract of adminContracts) {
-    const { name, key } = contract;
+    contracts.push({ name, key });
+  }
 
+  const result = [];
+  for (const { name, key } of contracts) {
     const contractAddress = contractAddresses[key]?.address;
     if (!contractAddress) {
       throw new Error(`must set ${key}.address in ${filename} !`);
     }
 
-    const implementation = await hre.ethers.getContractFactory(name, deployer);
-    const instance = await implementation.attach(contractAddress);
+    const instance = hre.ethers.Signer.isSigner(signerOrProvider)
+      ? await hre.ethers.getContractAt(name, contractAddress, signerOrProvider)
+      : await getReadOnlyContract(name, contractAddress, signerOrProvider);
+    result.push({ name, key, block: contractAddresses[key].block, instance });
+  }
+
+  return result;
+}
 
-    const task = `${name} revoke ${account} from DEFAULT_ADMIN_ROLE`;
-    await revokeRole(task, instance, DEFAULT_ADMIN_ROLE, account);
+// options: { safeBatch, safe }
+async function grantAdminRole(account, hre, options = {}) {
+  await grantAnyRole({ ...options, role: 'ADMIN_ROLE', account }, hre);
+}
+
+async function grantDefaultAdminRole(account, hre, options = {}) {
+  await grantAnyRole({ ...options, role: 'DEFAULT_ADMIN_ROLE', account }, hre);
+}
+
+async function revokeAdminRole(account, hre, options = {}) {
+  await revokeAnyRole({ ...options, role: 'ADMIN_ROLE', account }, hre);
+}
+
+async function revokeDefaultAdminRole(account, hre, options = {}) {
+  await revokeAnyRole({ ...options, role: 'DEFAULT_ADMIN_ROLE', account }, hre);
+}
+
+async function grantAnyRole({ role, account, key, safeBatch, safe }, hre) {
+  const { deployer, filename, contractAddresses, txOptions } = await getDeployerAndContracts(hre, safeBatch);
+  const contracts = await getRoleContracts(hre, deployer, filename, contractAddresses, key);
+  const batch = createRoleBatch(hre, safeBatch, safe, `Matrix grant ${role}`);
+
+  await grantNamedRole(contracts, role, account, hre, txOptions, batch);
+  saveRoleBatch(safeBatch, batch);
+}
+
+async function revokeAnyRole({ role, account, key, safeBatch, safe }, hre) {
+  const { deployer, filename, contractAddresses, txOptions } = await getDeployerAndContracts(hre, safeBatch);
+  const contracts = await getRoleContracts(hre, deployer, filename, contractAddresses, key);
+  const batch = createRoleBatch(hre, safeBatch, safe, `Matrix revoke ${role}`);
+
+  await revokeNamedRole(contracts, role, account, hre, txOptions, batch);
+  saveRoleBatch(safeBatch, batch);
+}
+
+async function listRoles({ key, blockRange }, hre) {
+  const { filename, contractAddresses } = getDeployedAddresses(hre.network.name, hre.network.config.chainId);
+  const contracts = await getRoleContracts(hre, getProvider(hre), filename, contractAddresses, key);
+
+  for (const { name, key, address, roles } of await listRoleMembers(contracts, hre, blockRange)) {
+    console.log(`${name} ${key} ${address}`);
+    for (const { role, members } of roles) {
+      console.log(`  ${role}: ${members.length > 0 ? members.join(', ') : '(none)'}`);
+    }
+    console.log('');
   }
 }
 
+async function transferAdmin({ account, allowEoa, blockRange, safeBatch, safe }, hre) {
+  if (safeBatch && !safe) {
+    throw new Error(`transfer admin roles: must set the address of the Safe which holds the roles !`);
+  }
+
+  const { deployer, filename, contractAddresses, txOptions } = await getDeployerAndContracts(hre, safeBatch);
+  const contracts = await getRoleContracts(hre, deployer, filename, contractAddresses);
+  const batch = createRoleBatch(hre, safeBatch, safe, `Matrix transfer admin roles to ${account}`);
+  const from = batch ? safe : await deployer.getAddress();
+
+  await transferAdminRoles(contracts, from, account, hre, txOptions, { allowEoa, blockRange, batch });
+  saveRoleBatch(safeBatch, batch);
+}
+
 module.exports = {
+  ADMIN_ROLE,
+  DEFAULT_ADMIN_ROLE,
+  getRoleHash,
+  getRoleMembers,
+  listRoleMembers,
+  grantNamedRole,
+  revokeNamedRole,
+  transferAdminRoles,
   grantAdminRole,
   grantDefaultAdminRole,
   revokeAdminRole,
   revokeDefaultAdminRole,
+  grantAnyRole,
+  revokeAnyRole,
+  listRoles,
+  transferAdmin,
 };
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const { utils } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { getDataTime } = require('./helpers');
+const { sendTransaction } = require('./transaction');
+
+const TX_BUILDER_VERSION = '1.16.5';
+
+// an empty batch in the json format of the Safe Transaction Builder app
+function createSafeBatch(chainId, name, safeAddress = '') {
+  return {
+    version: '1.0',
+    chainId: `${chainId}`,
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description: '',
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: '',
+    },
+    transactions: [],
+  };
+}
+
+function toStrings(value) {
+  return Array.isArray(value) ? value.map(toStrings) : `${value}`;
+}
+
+// the Transaction Builder shows values as strings, and arrays as json strings
+function toInputValue(value) {
+  return Array.isArray(value) ? JSON.stringify(toStrings(value)) : `${value}`;
+}
+
+// append contract[method](...args) to the batch, with its calldata and decoded inputs
+function addSafeTransaction(batch, description, contract, method, args = []) {
+  const fragment = contract.interface.getFunction(method);
+  const data = contract.interface.encodeFunctionData(fragment, args);
+
+  const contractInputsValues = {};
+  fragment.inputs.forEach((input, i) => {
+    contractInputsValues[input.name] = toInputValue(args[i]);
+  });
+
+  batch.transactions.push({
+    to: contract.address,
+    value: '0',
+    data,
+    contractMethod: {
+      inputs: fragment.inputs.map(({ name, type }) => ({ internalType: type, name, type })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues,
+  });
+
+  const lines = batch.meta.description ? batch.meta.description.split('\n') : [];
+  lines.push(`${batch.transactions.length}. ${description}`);
+  batch.meta.description = lines.join('\n');
+}
+
+// same as serializeJSONObject() of the Transaction Builder, which checks the checksum when a batch is loaded
+function serializeJson(json) {
+  const replacer = (_, value) => (value === undefined ? null : value);
+
+  if (Array.isArray(json)) {
+    return `[${json.map(serializeJson).join(',')}]`;
+  }
+
+  if (json && typeof json == 'object') {
+    const keys = Object.keys(json).sort();
+    return `{${JSON.stringify(keys, replacer)}${keys.map((key) => `${serializeJson(json[key])},`).join('')}}`;
+  }
+
+  return JSON.stringify(json, replacer);
+}
+
+function calculateChecksum(batch) {
+  const { checksum, ...meta } = batch.meta; // eslint-disable-line no-unused-vars
+  return utils.keccak256(utils.toUtf8Bytes(serializeJson({ ...batch, meta: { ...meta, name: null } })));
+}
+
+function writeSafeBatch(filename, batch) {
+  const result = { ...batch, meta: { ...batch.meta, checksum: calculateChecksum(batch) } };
+  fs.writeFileSync(filename, JSON.stringify(result, null, 4));
+  return result;
+}
+
+// decode a transaction of the batch with the interface of its target, returns { to, method, args }
+function decodeSafeTransaction(transaction, contractInterface) {
+  const { name, args } = contractInterface.parseTransaction({ data: transaction.data, value: transaction.value });
+  return { to: transaction.to, method: name, args };
+}
+
+// Send contract[method](...args) and return the receipt, or only add it to the batch when batch is set.
+async function sendOrBatch(task, contract, method, args, txOptions, batch) {
+  if (batch) {
+    addSafeTransaction(batch, task, contract, method, args);
+    return undefined;
+  }
+
+  return sendTransaction(task, contract, method, args, txOptions);
+}
+
+function printSafeBatch(filename, batch) {
+  console.log(`[${getDataTime()}] OK: Write ${batch.transactions.length} transaction(s) to Safe batch file ${filename}`);
+
+  if (batch.meta.description) {
+    console.log(`${batch.meta.description}\n`);
+  }
+}
+
+module.exports = {
+  createSafeBatch,
+  addSafeTransaction,
+  calculateChecksum,
+  writeSafeBatch,
+  decodeSafeTransaction,
+  sendOrBatch,
+  printSafeBatch,
+};
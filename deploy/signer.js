@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const readline = require('readline');
+const { ethers } = require('ethers');
+
+const PRIVATE_KEY = 'private_key';
+const KEYSTORE = 'keystore';
+const REMOTE = 'remote';
+const READONLY = 'readonly';
+
+// A signer whose key is kept by an external JSON-RPC signer, e.g. Clef, which signs with eth_signTransaction.
+// The signed transaction is sent through provider, so the external signer does not need to reach any node.
+class RemoteSigner extends ethers.Signer {
+  constructor(url, address, provider) {
+    super();
+    ethers.utils.defineReadOnly(this, 'url', url);
+    ethers.utils.defineReadOnly(this, 'provider', provider);
+    // a static network, external signers like Clef do not answer eth_chainId
+    ethers.utils.defineReadOnly(this, 'rpc', new ethers.providers.JsonRpcProvider(url, { name: 'remote-signer', chainId: 0 }));
+    this.address = address ? ethers.utils.getAddress(address) : undefined;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const accounts = await this.rpc.send('eth_accounts', []);
+      if (!accounts?.length) {
+        throw new Error(`remote signer ${this.url} has no account !`);
+      }
+
+      this.address = ethers.utils.getAddress(accounts[0]);
+    }
+
+    return this.address;
+  }
+
+  async signMessage(message) {
+    const data = typeof message == 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+    return this.rpc.send('eth_sign', [(await this.getAddress()).toLowerCase(), ethers.utils.hexlify(data)]);
+  }
+
+  async signTransaction(transaction) {
+    const from = await this.getAddress();
+    const tx = await ethers.utils.resolveProperties(transaction);
+
+    if (tx.from && ethers.utils.getAddress(tx.from) != from) {
+      throw new Error(`remote signer: from ${tx.from} is not the signer ${from} !`);
+    }
+
+    const request = ethers.providers.JsonRpcProvider.hexlifyTransaction(tx, { from: true });
+    request.from = from.toLowerCase();
+
+    // Clef returns { raw, tx }, other signers return the raw transaction
+    const result = await this.rpc.send('eth_signTransaction', [request]);
+    const raw = typeof result == 'string' ? result : result.raw;
+
+    if (ethers.utils.parseTransaction(raw).from != from) {
+      throw new Error(`remote signer: the transaction is not signed by ${from} !`);
+    }
+
+    return raw;
+  }
+}
+
+// read a password from the terminal without echo
+function promptPassword(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(question)) {
+        rl.output.write(text);
+      }
+    };
+
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// Read signer options from .env, the type is DEPLOYER_SIGNER or the first one which is set of:
+// DEPLOYER_KEYSTORE, DEPLOYER_SIGNER_URL, DEPLOYER_PRIVATE_KEY. Without any of them the signer is read-only.
+function getSignerOptions(env = process.env) {
+  const { DEPLOYER_SIGNER: type, DEPLOYER_KEYSTORE: keystore, DEPLOYER_SIGNER_URL: url, DEPLOYER_PRIVATE_KEY: privateKey, DEPLOYER_ADDRESS: address } = env;
+
+  const options = { keystore, url, privateKey, address };
+
+  if (type) {
+    return { ...options, type };
+  }
+
+  if (keystore) {
+    return { ...options, type: KEYSTORE };
+  }
+
+  if (url) {
+    return { ...options, type: REMOTE };
+  }
+
+  if (privateKey) {
+    return { ...options, type: PRIVATE_KEY };
+  }
+
+  return { ...options, type: READONLY };
+}
+
+// options: { type, privateKey, keystore, password, url, address, allowPrivateKey }
+async function createSigner(provider, options) {
+  const { type, privateKey, keystore, url, address, allowPrivateKey = true } = options;
+
+  if (type == PRIVATE_KEY) {
+    if (!allowPrivateKey) {
+      throw new Error(`signer ${PRIVATE_KEY} is not allowed on this chain, use DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL !`);
+    }
+
+    if (!privateKey) {
+      throw new Error(`Must set DEPLOYER_PRIVATE_KEY in file .env !`);
+    }
+
+    return new ethers.Wallet(`0x${privateKey.replace(/^0x/, '')}`, provider);
+  }
+
+  if (type == KEYSTORE) {
+    if (!keystore || !fs.existsSync(keystore)) {
+      throw new Error(`keystore file ${keystore} is not exist, must set DEPLOYER_KEYSTORE in file .env !`);
+    }
+
+    const json = fs.readFileSync(keystore, 'utf8');
+    const password = options.password ?? (await promptPassword(`Password of keystore ${keystore}: `));
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return wallet.connect(provider);
+  }
+
+  if (type == REMOTE) {
+    if (!url) {
+      throw new Error(`Must set DEPLOYER_SIGNER_URL in file .env !`);
+    }
+
+    return new RemoteSigner(url, address, provider);
+  }
+
+  if (type == READONLY) {
+    return new ethers.VoidSigner(address || ethers.constants.AddressZero, provider);
+  }
+
+  throw new Error(`unknown signer type ${type}, must be one of ${[PRIVATE_KEY, KEYSTORE, REMOTE, READONLY].join(', ')} !`);
+}
+
+function isReadOnly(signer) {
+  return signer instanceof ethers.VoidSigner;
+}
+
+module.exports = {
+  PRIVATE_KEY,
+  KEYSTORE,
+  REMOTE,
+  READONLY,
+  RemoteSigner,
+  getSignerOptions,
+  createSigner,
+  isReadOnly,
+};
@@ -0,0 +1,536 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { getDataTime, getReadOnlyContract } = require('./helpers');
+const { sendOrBatch } = require('./safe');
+const { MODULE_NAMES, getAddressBook, resolveAddress, getInitializeArgs } = require('./product');
+
+const { AddressZero } = ethers.constants;
+
+const DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+const DEFAULT_POSITION = 0;
+
+function isYaml(filename) {
+  return /\.ya?ml$/i.test(filename);
+}
+
+// a product spec file in json or yaml, see the spec format in product.js
+function loadProductSpec(filename) {
+  const text = fs.readFileSync(filename, 'utf8');
+  return isYaml(filename) ? require('js-yaml').load(text) : JSON.parse(text);
+}
+
+function formatProductSpec(spec, filename = '') {
+  return isYaml(filename) ? require('js-yaml').dump(spec, { lineWidth: -1 }) : `${JSON.stringify(spec, null, 4)}\n`;
+}
+
+// 1.5 rather than 1.50, 2 rather than 2.0
+function formatAmount(value, decimals) {
+  return ethers.utils.formatUnits(value, decimals).replace(/\.0$/, '');
+}
+
+function formatPercent(value) {
+  return `${formatAmount(value, 16)}%`;
+}
+
+function isSameAddress(address1, address2) {
+  return address1.toLowerCase() == address2.toLowerCase();
+}
+
+function isSameSet(addresses1, addresses2) {
+  return addresses1.length == addresses2.length && addresses1.every((item) => addresses2.some((other) => isSameAddress(item, other)));
+}
+
+// the key of an address in the address book, or the address itself, or empty for the zero address
+function getKeyOf(address, book) {
+  if (address == AddressZero) {
+    return '';
+  }
+
+  return Object.keys(book).find((key) => isSameAddress(book[key], address)) || address;
+}
+
+function getDecimalsReader(provider) {
+  const cache = {};
+
+  return async (token) => {
+    if (cache[token] === undefined) {
+      cache[token] = await new ethers.Contract(token, DECIMALS_ABI, provider).decimals();
+    }
+
+    return cache[token];
+  };
+}
+
+// The settings of an initialized module in the spec format, empty for modules without settings
+async function readModuleSettings(hre, moduleKey, moduleAddress, matrixTokenAddress, book) {
+  const { provider } = hre.ethers;
+  const toKey = (address) => getKeyOf(address, book);
+
+  if (moduleKey == 'basic_issuance_module') {
+    const module = await getReadOnlyContract('BasicIssuanceModule', moduleAddress, provider);
+    return { pre_issue_hook: toKey(await module.getManagerIssuanceHook(matrixTokenAddress)) };
+  }
+
+  if (moduleKey == 'streaming_fee_module') {
+    const module = await getReadOnlyContract('StreamingFeeModule', moduleAddress, provider);
+    const feeState = await module.getFeeState(matrixTokenAddress);
+
+    return {
+      fee_recipient: toKey(feeState.feeRecipient),
+      max_streaming_fee_percentage: formatPercent(feeState.maxStreamingFeePercentage),
+      streaming_fee_percentage: formatPercent(feeState.streamingFeePercentage),
+    };
+  }
+
+  if (moduleKey == 'nav_issuance_module') {
+    const module = await getReadOnlyContract('NavIssuanceModule', moduleAddress, provider);
+    const setting = await module.getIssuanceSetting(matrixTokenAddress);
+
+    return {
+      reserve_assets: setting.reserveAssets.map(toKey),
+      fee_recipient: toKey(setting.feeRecipient),
+      manager_fees: setting.managerFees.map(formatPercent),
+      max_manager_fee: formatPercent(setting.maxManagerFee),
+      premium_percentage: formatPercent(setting.premiumPercentage),
+      max_premium_percentage: formatPercent(setting.maxPremiumPercentage),
+      min_matrix_token_supply: formatAmount(setting.minMatrixTokenSupply, 18),
+      manager_issuance_hook: toKey(setting.managerIssuanceHook),
+      manager_redemption_hook: toKey(setting.managerRedemptionHook),
+    };
+  }
+
+  if (moduleKey == 'claim_module') {
+    const module = await getReadOnlyContract('ClaimModule', moduleAddress, provider);
+    return {
+      anyone_claim: await module._anyoneClaim(matrixTokenAddress),
+      claims: await readClaims(module, matrixTokenAddress, book),
+    };
+  }
+
+  return {};
+}
+
+// The claims of a MatrixToken in ClaimModule, the integration of an adapter is its key in the address book
+async function readClaims(module, matrixTokenAddress, book) {
+  const claims = [];
+
+  for (const rewardPool of await module.getRewardPools(matrixTokenAddress)) {
+    for (const adapter of await module.getRewardPoolClaims(matrixTokenAddress, rewardPool)) {
+      claims.push({ reward_pool: getKeyOf(rewardPool, book), integration: getKeyOf(adapter, book) });
+    }
+  }
+
+  return claims;
+}
+
+// Export a live MatrixToken to a product spec: components from getPositions(), modules from getModules() and their
+// settings from the module getters, the integrations of inputs.manifest registered for its modules, and the limits
+// of its reserve assets and itself in the AssetLimitHook of its NavIssuanceModule.
+//
+// inputs: { config, manifest, contractAddresses }, see getPlanInputs() in plan.js
+async function exportProductSpec(hre, inputs, address) {
+  const { provider } = hre.ethers;
+  const book = getAddressBook(inputs);
+  const toKey = (item) => getKeyOf(item, book);
+  const getDecimals = getDecimalsReader(provider);
+  const matrixToken = await getReadOnlyContract('MatrixToken', address, provider);
+
+  const spec = {
+    name: await matrixToken.name(),
+    symbol: await matrixToken.symbol(),
+    manager: toKey(await matrixToken.getManager()),
+    components: [],
+    modules: {},
+  };
+
+  const externalPositions = [];
+
+  for (const { component, module, unit, positionState } of await matrixToken.getPositions()) {
+    const units = formatAmount(unit, await getDecimals(component));
+
+    if (positionState == DEFAULT_POSITION) {
+      spec.components.push({ token: toKey(component), units });
+    } else {
+      externalPositions.push({ token: toKey(component), module: toKey(module), units });
+    }
+  }
+
+  // external positions are managed by their modules, so they are exported for reference only
+  if (externalPositions.length > 0) {
+    spec.external_positions = externalPositions;
+  }
+
+  for (const moduleAddress of await matrixToken.getModules()) {
+    const moduleKey = toKey(moduleAddress);
+    spec.modules[moduleKey] = await readModuleSettings(hre, moduleKey, moduleAddress, address, book);
+  }
+
+  const controller = await getReadOnlyContract('Controller', await matrixToken.getController(), provider);
+  const pendingModules = [];
+
+  for (const moduleAddress of await controller.getModules()) {
+    if (await matrixToken.isPendingModule(moduleAddress)) {
+      pendingModules.push(toKey(moduleAddress));
+    }
+  }
+
+  if (pendingModules.length > 0) {
+    spec.pending_modules = pendingModules;
+  }
+
+  const registryAddress = inputs.contractAddresses.integration_registry?.address;
+  const manifestIntegrations = inputs.manifest?.integrations || {};
+
+  if (registryAddress) {
+    const registry = await getReadOnlyContract('IntegrationRegistry', registryAddress, provider);
+    const integrations = {};
+
+    for (const moduleKey of Object.keys(spec.modules).filter((item) => manifestIntegrations[item])) {
+      for (const adapterKey of manifestIntegrations[moduleKey]) {
+        const adapterAddress = await registry.getIntegrationAdapter(book[moduleKey], adapterKey.toUpperCase());
+
+        if (adapterAddress != AddressZero) {
+          integrations[moduleKey] = [...(integrations[moduleKey] || []), adapterKey];
+        }
+      }
+    }
+
+    if (Object.keys(integrations).length > 0) {
+      spec.integrations = integrations;
+    }
+  }
+
+  const navSettings = spec.modules.nav_issuance_module;
+  const hookKey = navSettings?.manager_issuance_hook || navSettings?.manager_redemption_hook;
+
+  if (hookKey) {
+    const hook = await getReadOnlyContract('AssetLimitHook', resolveAddress(hookKey, book), provider);
+
+    try {
+      const assets = await hook.getAssets();
+      const assetLimit = { hook: hookKey, issue: {} };
+
+      for (const reserveAsset of navSettings.reserve_assets) {
+        const asset = resolveAddress(reserveAsset, book);
+        if (assets.some((item) => isSameAddress(item, asset))) {
+          assetLimit.issue[reserveAsset] = formatAmount(await hook._assetLimits(asset), await getDecimals(asset));
+        }
+      }
+
+      if (assets.some((item) => isSameAddress(item, address))) {
+        assetLimit.redeem = formatAmount(await hook._assetLimits(address), 18);
+      }
+
+      spec.asset_limit_hook = assetLimit;
+    } catch (e) {
+      // the hook is not an AssetLimitHook
+    }
+  }
+
+  return spec;
+}
+
+// The minimal transactions which make a live MatrixToken match a product spec, returns { actions, warnings }.
+// Each action is { action, description, contract, method, args }. The MatrixToken and its modules are changed by the
+// manager, integrations by the admin of IntegrationRegistry and limits by the admin of AssetLimitHook. The manager is
+// changed last. Differences which no transaction can fix, such as component units and maximum fees, are warnings.
+//
+// inputs: { config, contractAddresses }, see getPlanInputs() in plan.js
+async function planProductSpec(hre, inputs, address, spec) {
+  const { provider } = hre.ethers;
+  const book = getAddressBook(inputs);
+  const toKey = (item) => getKeyOf(item, book);
+  const getDecimals = getDecimalsReader(provider);
+  const getContract = (name, contractAddress) => getReadOnlyContract(name, contractAddress, provider);
+
+  const matrixToken = await getContract('MatrixToken', address);
+  const symbol = await matrixToken.symbol();
+  const actions = [];
+  const warnings = [];
+  const addAction = (action, description, contract, method, args) => actions.push({ action, description, contract, method, args });
+
+  for (const field of ['name', 'symbol']) {
+    const value = await matrixToken[field]();
+    if (spec[field] && spec[field] != value) {
+      warnings.push(`${field} is ${value} and can not be changed to ${spec[field]}`);
+    }
+  }
+
+  // units can only be changed by the trades of modules
+  const components = (spec.components || []).map(({ token, units }) => ({ token, units, address: resolveAddress(token, book) }));
+
+  for (const { token, units, address: component } of components) {
+    const decimals = await getDecimals(component);
+    const actual = await matrixToken.getDefaultPositionRealUnit(component);
+
+    if (!actual.eq(ethers.utils.parseUnits(`${units}`, decimals))) {
+      warnings.push(`component ${token} has units ${formatAmount(actual, decimals)} rather than ${units}, rebalance it by a trade module`);
+    }
+  }
+
+  for (const component of await matrixToken.getComponents()) {
+    const isInSpec = components.some((item) => isSameAddress(item.address, component));
+    if (!isInSpec && (await matrixToken.getDefaultPositionRealUnit(component)).gt(0)) {
+      warnings.push(`component ${toKey(component)} is not in the spec, rebalance it by a trade module`);
+    }
+  }
+
+  const manager = await matrixToken.getManager();
+  const newManager = spec.manager ? resolveAddress(spec.manager, book) : manager;
+  const moduleSettings = spec.modules || {};
+  const modules = Object.keys(moduleSettings).map((key) => ({ key, address: resolveAddress(key, book), settings: moduleSettings[key] || {} }));
+  const initializedModules = await matrixToken.getModules();
+
+  for (const { key, address: moduleAddress, settings } of modules) {
+    if (initializedModules.some((item) => isSameAddress(item, moduleAddress))) {
+      continue;
+    }
+
+    if (!(await matrixToken.isPendingModule(moduleAddress))) {
+      addAction('addModule', `${symbol} add module ${key}`, matrixToken, 'addModule', [moduleAddress]);
+    }
+
+    if (!MODULE_NAMES[key]) {
+      warnings.push(`module ${key} is added but not initialized, initialize it by the module itself`);
+      continue;
+    }
+
+    const module = await getContract(MODULE_NAMES[key], moduleAddress);
+    const initializeArgs = getInitializeArgs(key, settings, book, newManager);
+    addAction('initialize', `${key} initialize ${symbol}`, module, 'initialize', [address, ...initializeArgs]);
+  }
+
+  // modules are only removed when the spec lists its modules and opts in, a spec without modules leaves them as they are
+  if (spec.modules) {
+    for (const moduleAddress of initializedModules) {
+      if (modules.some((item) => isSameAddress(item.address, moduleAddress))) {
+        continue;
+      }
+
+      if (spec.remove_unlisted_modules === true) {
+        addAction('removeModule', `${symbol} remove module ${toKey(moduleAddress)}`, matrixToken, 'removeModule', [moduleAddress]);
+      } else {
+        warnings.push(`module ${toKey(moduleAddress)} is not in the spec, set remove_unlisted_modules to remove it`);
+      }
+    }
+  }
+
+  // the settings of initialized modules
+  for (const { key, address: moduleAddress, settings } of modules) {
+    if (!initializedModules.some((item) => isSameAddress(item, moduleAddress)) || !MODULE_NAMES[key]) {
+      continue;
+    }
+
+    const module = await getContract(MODULE_NAMES[key], moduleAddress);
+    const [expected] = getInitializeArgs(key, settings, book, newManager);
+
+    if (key == 'basic_issuance_module') {
+      const hook = await module.getManagerIssuanceHook(address);
+      if (!isSameAddress(hook, expected)) {
+        warnings.push(`${key}: pre_issue_hook is ${toKey(hook) || AddressZero} and can not be changed`);
+      }
+    }
+
+    if (key == 'streaming_fee_module') {
+      const feeState = await module.getFeeState(address);
+
+      if (!feeState.maxStreamingFeePercentage.eq(expected.maxStreamingFeePercentage)) {
+        warnings.push(`${key}: max_streaming_fee_percentage is ${formatPercent(feeState.maxStreamingFeePercentage)} and can not be changed`);
+      }
+
+      if (!feeState.streamingFeePercentage.eq(expected.streamingFeePercentage)) {
+        const description = `${key} update streaming fee of ${symbol} to ${formatPercent(expected.streamingFeePercentage)}`;
+        addAction('updateStreamingFee', description, module, 'updateStreamingFee', [address, expected.streamingFeePercentage]);
+      }
+
+      if (!isSameAddress(feeState.feeRecipient, expected.feeRecipient)) {
+        const description = `${key} update fee recipient of ${symbol} to ${expected.feeRecipient}`;
+        addAction('updateFeeRecipient', description, module, 'updateFeeRecipient', [address, expected.feeRecipient]);
+      }
+    }
+
+    if (key == 'nav_issuance_module') {
+      const setting = await module.getIssuanceSetting(address);
+
+      for (const [field, name, format] of [
+        ['maxManagerFee', 'max_manager_fee', formatPercent],
+        ['maxPremiumPercentage', 'max_premium_percentage', formatPercent],
+        ['minMatrixTokenSupply', 'min_matrix_token_supply', (value) => formatAmount(value, 18)],
+      ]) {
+        if (!setting[field].eq(expected[field])) {
+          warnings.push(`${key}: ${name} is ${format(setting[field])} and can not be changed`);
+        }
+      }
+
+      for (const [field, name] of [
+        ['managerIssuanceHook', 'manager_issuance_hook'],
+        ['managerRedemptionHook', 'manager_redemption_hook'],
+      ]) {
+        if (!isSameAddress(setting[field], expected[field])) {
+          warnings.push(`${key}: ${name} is ${toKey(setting[field]) || AddressZero} and can not be changed`);
+        }
+      }
+
+      // editIssuanceSetting() changes the reserve assets, premium, manager fees and fee recipient in one transaction
+      if (
+        !isSameSet(setting.reserveAssets, expected.reserveAssets) ||
+        !setting.premiumPercentage.eq(expected.premiumPercentage) ||
+        !setting.managerFees[0].eq(expected.managerFees[0]) ||
+        !setting.managerFees[1].eq(expected.managerFees[1]) ||
+        !isSameAddress(setting.feeRecipient, expected.feeRecipient)
+      ) {
+        addAction('editIssuanceSetting', `${key} edit issuance setting of ${symbol}`, module, 'editIssuanceSetting', [address, expected]);
+      }
+    }
+
+    if (key == 'claim_module') {
+      const [anyoneClaim, rewardPools, integrationNames] = getInitializeArgs(key, settings, book, newManager);
+
+      if ((await module._anyoneClaim(address)) != anyoneClaim) {
+        addAction('updateAnyoneClaim', `${key} update anyone claim of ${symbol} to ${anyoneClaim}`, module, 'updateAnyoneClaim', [address, anyoneClaim]);
+      }
+
+      const claims = await readClaims(module, address, book);
+      const isSameClaim = (claim, rewardPool, integrationName) =>
+        isSameAddress(resolveAddress(claim.reward_pool, book), rewardPool) && claim.integration.toUpperCase() == integrationName;
+
+      for (const claim of claims) {
+        if (rewardPools.some((rewardPool, i) => isSameClaim(claim, rewardPool, integrationNames[i]))) {
+          continue;
+        }
+
+        // removeClaim() takes the integration name, which is unknown for an adapter out of the address book
+        if (ethers.utils.isAddress(claim.integration)) {
+          warnings.push(`${key}: claim of ${claim.reward_pool} by adapter ${claim.integration} is not in the spec and can not be removed`);
+          continue;
+        }
+
+        const description = `${key} remove claim ${claim.integration} of ${claim.reward_pool} from ${symbol}`;
+        addAction('removeClaim', description, module, 'removeClaim', [address, resolveAddress(claim.reward_pool, book), claim.integration.toUpperCase()]);
+      }
+
+      for (let i = 0; i < rewardPools.length; i++) {
+        if (!claims.some((claim) => isSameClaim(claim, rewardPools[i], integrationNames[i]))) {
+          const { reward_pool: poolKey, integration } = settings.claims[i];
+          const description = `${key} add claim ${integration} of ${poolKey} to ${symbol}`;
+          addAction('addClaim', description, module, 'addClaim', [address, rewardPools[i], integrationNames[i]]);
+        }
+      }
+    }
+  }
+
+  const integrations = Object.entries(spec.integrations || {});
+  const registryAddress = inputs.contractAddresses.integration_registry?.address;
+
+  if (integrations.length > 0 && !registryAddress) {
+    warnings.push('integration_registry is not deployed, integrations are not checked');
+  }
+
+  for (const [moduleKey, adapterKeys] of registryAddress ? integrations : []) {
+    const registry = await getContract('IntegrationRegistry', registryAddress);
+    const moduleAddress = resolveAddress(moduleKey, book);
+
+    for (const adapterKey of adapterKeys) {
+      const adapterName = adapterKey.toUpperCase();
+      const adapterAddress = book[adapterKey];
+      const registered = await registry.getIntegrationAdapter(moduleAddress, adapterName);
+
+      if (registered != AddressZero) {
+        if (adapterAddress && !isSameAddress(registered, adapterAddress)) {
+          warnings.push(`integration ${adapterKey} of ${moduleKey} is ${registered} rather than ${adapterAddress}`);
+        }
+        continue;
+      }
+
+      if (!adapterAddress) {
+        warnings.push(`integration ${adapterKey} of ${moduleKey} is neither registered nor deployed`);
+        continue;
+      }
+
+      const description = `IntegrationRegistry add integration ${adapterKey} to ${moduleKey}`;
+      addAction('addIntegration', description, registry, 'addIntegration', [moduleAddress, adapterName, adapterAddress]);
+    }
+  }
+
+  // a limit of 0 removes the asset from the hook, assets which are not in the spec are left as they are
+  if (spec.asset_limit_hook) {
+    const { hook: hookKey, issue = {}, redeem } = spec.asset_limit_hook;
+    const hook = await getContract('AssetLimitHook', resolveAddress(hookKey, book));
+    const limits = [];
+
+    for (const [token, limit] of Object.entries(issue)) {
+      const asset = resolveAddress(token, book);
+      limits.push({ token, asset, decimals: await getDecimals(asset), text: `${limit}` });
+    }
+
+    if (redeem !== undefined) {
+      limits.push({ token: symbol, asset: address, decimals: 18, text: `${redeem}` });
+    }
+
+    for (const { token, asset, decimals, text } of limits) {
+      const limit = ethers.utils.parseUnits(text, decimals);
+      const current = await hook._assetLimits(asset);
+
+      if (current.eq(limit)) {
+        continue;
+      }
+
+      if (limit.isZero()) {
+        addAction('removeAssetLimit', `AssetLimitHook remove limit of ${token}`, hook, 'removeAssetLimit', [asset]);
+      } else if (current.isZero()) {
+        addAction('addAssetLimit', `AssetLimitHook add limit ${text} of ${token}`, hook, 'addAssetLimit', [asset, limit]);
+      } else {
+        addAction('editAssetLimit', `AssetLimitHook edit limit of ${token} from ${formatAmount(current, decimals)} to ${text}`, hook, 'editAssetLimit', [
+          asset,
+          limit,
+        ]);
+      }
+    }
+  }
+
+  if (!isSameAddress(newManager, manager)) {
+    addAction('setManager', `${symbol} set manager to ${newManager}`, matrixToken, 'setManager', [newManager]);
+  }
+
+  return { actions, warnings };
+}
+
+// Send the actions of planProductSpec() by signer one by one, or add them to the Safe batch when options.batch is set.
+async function applyProductSpec(signer, plan, options = {}) {
+  const { txOptions = {}, batch } = options;
+
+  for (const { description, contract, method, args } of plan.actions) {
+    if (!batch) {
+      console.log(`[${getDataTime()}] DO: ${description}`);
+    }
+
+    const receipt = await sendOrBatch(description, signer ? contract.connect(signer) : contract, method, args, txOptions, batch);
+
+    if (receipt) {
+      console.log(`[${getDataTime()}] OK: ${description}, hash = ${receipt.transactionHash}\n`);
+    } else {
+      console.log(`[${getDataTime()}] BATCH: ${description}\n`);
+    }
+  }
+}
+
+module.exports = {
+  loadProductSpec,
+  formatProductSpec,
+  formatAmount,
+  formatPercent,
+  isSameAddress,
+  getKeyOf,
+  getDecimalsReader,
+  exportProductSpec,
+  planProductSpec,
+  applyProductSpec,
+};
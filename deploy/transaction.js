@@ -0,0 +1,216 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const { BigNumber, utils } = require('ethers');
+
+// ==================== Internal Imports ====================
+
+const { getDataTime } = require('./helpers');
+
+const DEFAULT_TRANSACTION_OPTIONS = {
+  confirmations: 1,
+  timeout: 180, // seconds to wait before the transaction is replaced
+  bump_percent: 15, // fee increase of a replacement, nodes require at least 10%
+  max_retries: 3,
+};
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// read "transaction" of deploy/configs/<chain>.json, fees are in gwei:
+// { confirmations, timeout, gas_price, max_fee_per_gas, max_priority_fee_per_gas, bump_percent, max_retries }
+function getTransactionOptions(chainName) {
+  const filename = `./deploy/configs/${chainName}.json`;
+  const config = fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename)) : {};
+
+  return { ...DEFAULT_TRANSACTION_OPTIONS, ...config.transaction };
+}
+
+function getFeeOverrides(options) {
+  const { gas_price: gasPrice, max_fee_per_gas: maxFeePerGas, max_priority_fee_per_gas: maxPriorityFeePerGas } = options;
+
+  if (gasPrice) {
+    return { gasPrice: utils.parseUnits(`${gasPrice}`, 'gwei') };
+  }
+
+  const overrides = {};
+
+  if (maxFeePerGas) {
+    overrides.maxFeePerGas = utils.parseUnits(`${maxFeePerGas}`, 'gwei');
+  }
+
+  if (maxPriorityFeePerGas) {
+    overrides.maxPriorityFeePerGas = utils.parseUnits(`${maxPriorityFeePerGas}`, 'gwei');
+  }
+
+  return overrides;
+}
+
+function bumpFee(fee, percent) {
+  return BigNumber.from(fee)
+    .mul(100 + percent)
+    .div(100)
+    .add(1);
+}
+
+function getBumpedFees(tx, percent) {
+  if (tx.maxFeePerGas) {
+    return {
+      maxFeePerGas: bumpFee(tx.maxFeePerGas, percent),
+      maxPriorityFeePerGas: bumpFee(tx.maxPriorityFeePerGas, percent),
+    };
+  }
+
+  return { gasPrice: bumpFee(tx.gasPrice, percent) };
+}
+
+function findRevertData(error) {
+  for (let e = error; e; e = e.error) {
+    const data = e.data?.data ?? e.data;
+
+    if (typeof data == 'string' && data.startsWith('0x') && data.length >= 10) {
+      return data;
+    }
+  }
+
+  return undefined;
+}
+
+function decodeRevertData(data, contractInterface) {
+  const selector = data.slice(0, 10);
+
+  if (selector == ERROR_SELECTOR) {
+    return utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+  }
+
+  if (selector == PANIC_SELECTOR) {
+    return `panic code ${utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0].toHexString()}`;
+  }
+
+  if (contractInterface) {
+    try {
+      const { name, args } = contractInterface.parseError(data);
+      return `${name}(${args.map((arg) => arg.toString()).join(', ')})`;
+    } catch (e) {
+      // not a custom error of this contract
+    }
+  }
+
+  return `unknown revert data ${data}`;
+}
+
+function getRevertReason(error, contractInterface) {
+  const data = findRevertData(error);
+  if (data) {
+    return decodeRevertData(data, contractInterface);
+  }
+
+  return error.reason || error.error?.message || error.message;
+}
+
+// replay a mined but failed transaction to read its revert reason
+async function getReceiptRevertReason(provider, tx, receipt, contractInterface) {
+  try {
+    const { from, to, data, value } = tx;
+    await provider.call({ from, to, data, value }, receipt.blockNumber);
+  } catch (e) {
+    return getRevertReason(e, contractInterface);
+  }
+
+  return 'transaction reverted without reason';
+}
+
+function waitWithTimeout(tx, confirmations, seconds) {
+  let timer;
+
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(undefined), seconds * 1000);
+  });
+
+  return Promise.race([tx.wait(confirmations), timeout]).finally(() => clearTimeout(timer));
+}
+
+async function findMinedReceipt(provider, hashes) {
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) {
+      return receipt;
+    }
+  }
+
+  return undefined;
+}
+
+// Call contract[method](...args), wait for the receipt with the configured confirmations, and replace the transaction
+// with higher fees when it is not mined in time. Throws with the revert reason when the transaction fails.
+async function sendTransaction(task, contract, method, args = [], options = DEFAULT_TRANSACTION_OPTIONS) {
+  const { confirmations, timeout, bump_percent: bumpPercent, max_retries: maxRetries } = { ...DEFAULT_TRANSACTION_OPTIONS, ...options };
+  const { provider } = contract;
+  const signer = contract.signer;
+
+  let tx;
+  try {
+    tx = await contract[method](...args, getFeeOverrides(options));
+  } catch (e) {
+    throw new Error(`FAIL: ${task}: ${getRevertReason(e, contract.interface)}`);
+  }
+
+  const hashes = [tx.hash];
+
+  for (let retry = 0; ; retry++) {
+    let receipt;
+
+    try {
+      receipt = await waitWithTimeout(tx, confirmations, timeout);
+    } catch (e) {
+      if (e.code == 'TRANSACTION_REPLACED' && !e.cancelled) {
+        receipt = e.receipt; // one of our own replacements is mined
+      } else if (e.code == 'CALL_EXCEPTION' && e.receipt) {
+        const reason = await getReceiptRevertReason(provider, tx, e.receipt, contract.interface);
+        throw new Error(`FAIL: ${task}: ${reason}, hash = ${e.receipt.transactionHash}`);
+      } else {
+        throw new Error(`FAIL: ${task}: ${getRevertReason(e, contract.interface)}`);
+      }
+    }
+
+    if (receipt) {
+      if (receipt.status === 0) {
+        const reason = await getReceiptRevertReason(provider, tx, receipt, contract.interface);
+        throw new Error(`FAIL: ${task}: ${reason}, hash = ${receipt.transactionHash}`);
+      }
+
+      return receipt;
+    }
+
+    if (retry >= maxRetries) {
+      throw new Error(`FAIL: ${task}: not mined after ${maxRetries} replacements, hashes = ${hashes.join(', ')}`);
+    }
+
+    const fees = getBumpedFees(tx, bumpPercent);
+    console.log(`[${getDataTime()}] RETRY: ${task}: ${tx.hash} is not mined in ${timeout} seconds, replace it with higher fees`);
+
+    try {
+      const { to, data, value, nonce, gasLimit } = tx;
+      tx = await signer.sendTransaction({ to, data, value, nonce, gasLimit, ...fees });
+      hashes.push(tx.hash);
+    } catch (e) {
+      // the previous transaction may be mined while we were replacing it
+      const minedReceipt = await findMinedReceipt(provider, hashes);
+      if (!minedReceipt) {
+        throw new Error(`FAIL: ${task}: ${getRevertReason(e, contract.interface)}`);
+      }
+
+      tx = { ...tx, hash: minedReceipt.transactionHash, wait: (n) => provider.waitForTransaction(minedReceipt.transactionHash, n) };
+    }
+  }
+}
+
+module.exports = {
+  getTransactionOptions,
+  getFeeOverrides,
+  findRevertData,
+  getRevertReason,
+  sendTransaction,
+};
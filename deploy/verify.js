@@ -3,541 +3,284 @@
 // ==================== External Imports ====================
 
 const fs = require('fs');
-const hre = require('hardhat');
+const http = require('http');
+const https = require('https');
 
 // ==================== Internal Imports ====================
 
-const { WEI_PER_ETHER } = require('./constants');
-const oracles = require('./configs/oracles.json');
-const testTokens = require('./configs/testTokens.json');
-const { getWeth, getDeployedAddresses, getDataTime, isModule } = require('./helpers');
-
-const CHAIN_NAME = hre.network.name;
-const CHAIN_ID = hre.network.config.chainId;
-console.log(`\nCHAIN_NAME = ${CHAIN_NAME}, CHAIN_ID = ${CHAIN_ID}\n`);
-
-// load config
-const CONFIG_FILE = `./deploy/configs/${CHAIN_NAME}.json`;
-const config = JSON.parse(fs.readFileSync(`${CONFIG_FILE}`));
-
-async function verifyContract(address, constructorArguments) {
-  try {
-    await hre.run('verify:verify', {
-      network: CHAIN_NAME,
-      address,
-      constructorArguments,
+const { getPlanInputs } = require('./plan');
+const { getContract, resolveContract } = require('./manifest');
+const { sleep, getDataTime, getWeth } = require('./helpers');
+
+const VERIFIED = 'verified';
+const ALREADY_VERIFIED = 'already verified';
+const FAILED = 'failed';
+
+const DEFAULT_VERIFY_OPTIONS = {
+  retries: 5, // retries of transient explorer failures
+  delay: 2000, // milliseconds before the first retry, doubled after each retry
+  polls: 20, // times to check the status of a submitted verification
+};
+
+const TRANSIENT_MESSAGES = ['rate limit', 'unable to locate contractcode', 'try again', 'timeout', 'temporarily unavailable'];
+
+class TransientError extends Error {}
+
+function httpRequest(url, body) {
+  return new Promise((resolve, reject) => {
+    const { protocol } = new URL(url);
+    const client = protocol == 'https:' ? https : http;
+    const options = body ? { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } } : { method: 'GET' };
+
+    const request = client.request(url, options, (response) => {
+      let data = '';
+      response.on('data', (chunk) => (data += chunk));
+      response.on('end', () => {
+        if (response.statusCode == 429 || response.statusCode >= 500) {
+          reject(new TransientError(`HTTP ${response.statusCode}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new TransientError(`invalid response: ${data.slice(0, 100)}`));
+        }
+      });
     });
-  } catch (e) {
-    console.error(e);
-  }
-
-  console.log('\n'); // add space after each attempt
-}
-
-const isTestChain = () => CHAIN_NAME == 'mumbai' || CHAIN_NAME == 'kovan';
 
-async function verifyTestErc20(name, symbol, decimals) {
-  const key = symbol.toLowerCase();
-  const contractAddress = config['tokens'][key];
-
-  console.log(`[${getDataTime()}] Verify "${name}"(${symbol}) at ${contractAddress}`);
-  await verifyContract(contractAddress, [name, symbol, decimals]);
+    request.on('error', (e) => reject(new TransientError(e.message)));
+    request.setTimeout(30000, () => request.destroy(new Error('request timeout')));
+    request.end(body);
+  });
 }
 
-async function verifyAllErc20Mocks() {
-  if (!isTestChain()) {
-    return;
-  }
-
-  for (const token of testTokens[CHAIN_NAME]) {
-    await verifyTestErc20(token.name, token.symbol, token.decimals);
-  }
+function isTransientMessage(message) {
+  const text = `${message}`.toLowerCase();
+  return TRANSIENT_MESSAGES.some((item) => text.includes(item));
 }
 
-async function verifyController() {
-  const { fee_recipient: feeRecipient } = config;
-  if (!feeRecipient) {
-    throw new Error(`Must set fee_recipient in file ${CONFIG_FILE} !`);
-  }
-
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+async function withRetry(func, options) {
+  const { retries, delay } = options;
 
-  const controller = contractAddresses.controller?.address;
-  if (!controller) {
-    throw new Error(`Fail to verify Controller because controller is not exist in file ${filename} !`);
-  }
+  for (let i = 0; ; i++) {
+    try {
+      return await func();
+    } catch (e) {
+      if (!(e instanceof TransientError) || i >= retries) {
+        throw e;
+      }
 
-  console.log(`[${getDataTime()}] Verify Controller at ${controller}`);
-  await verifyContract(controller, [feeRecipient]);
-}
-
-async function verifyWithoutController(name, key) {
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-
-  const contractAddress = contractAddresses[key]?.address;
-  if (!contractAddress) {
-    throw new Error(`Fail to read contract ${name}'s address ${key} in file ${filename} !`);
+      const ms = delay * 2 ** i;
+      console.log(`[${getDataTime()}] RETRY: ${e.message}, wait ${ms} ms`);
+      await sleep(ms);
+    }
   }
-
-  console.log(`[${getDataTime()}] Verify ${name} at ${contractAddress}`);
-  await verifyContract(contractAddress, []);
 }
 
-async function verifyWithController(name, key) {
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+// explorer: { apiUrl, apiKey }
+async function callExplorer(explorer, params, post = false) {
+  const query = new URLSearchParams({ ...params, apikey: explorer.apiKey || '' }).toString();
+  const response = post ? await httpRequest(explorer.apiUrl, query) : await httpRequest(`${explorer.apiUrl}?${query}`);
 
-  const controller = contractAddresses.controller?.address;
-  const contractAddress = contractAddresses[key]?.address;
-  if (!controller || !contractAddress) {
-    throw new Error(`Fail to verify ${name} because controller or ${key} is not exist in file ${filename} !`);
+  if (response.status != '1' && isTransientMessage(response.result)) {
+    throw new TransientError(response.result);
   }
 
-  console.log(`[${getDataTime()}] Verify ${name} at ${contractAddress}`);
-  const args = isModule(name) ? [controller, name] : [controller];
-  await verifyContract(contractAddress, args);
+  return response;
 }
 
-async function verifyWithControllerAndWeth(name, key) {
-  const weth = getWeth(config, CHAIN_NAME);
-
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-
-  const controller = contractAddresses.controller?.address;
-  const contractAddress = contractAddresses[key]?.address;
-  if (!controller || !contractAddress) {
-    throw new Error(`Fail to verify ${name} because controller or ${key} is not exist in file ${filename} !`);
-  }
-
-  console.log(`[${getDataTime()}] Verify ${name} at ${contractAddress}`);
-  await verifyContract(contractAddress, [controller, weth, name]);
+async function isVerified(explorer, address) {
+  const response = await callExplorer(explorer, { module: 'contract', action: 'getsourcecode', address });
+  const [source] = Array.isArray(response.result) ? response.result : [];
+  return !!source?.SourceCode;
 }
 
-async function verifyAaveLeverageModule() {
-  const { aave_v2_lending_pool_addresses_provider: lpap } = config;
-  if (!lpap) {
-    throw new Error(`Must set aave_v2_lending_pool_addresses_provider in file ${CONFIG_FILE} !`);
-  }
+// "explorer" of deploy/configs/<chain>.json: { "api_url": "...", "api_key_env": "ETHERSCAN_API_KEY" }
+function getExplorer(chainName) {
+  const filename = `./deploy/configs/${chainName}.json`;
+  const { explorer } = fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename)) : {};
 
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-  const controller = contractAddresses.controller?.address;
-  const contractAddress = contractAddresses.aave_leverage_module?.address;
-  if (!controller || !contractAddress) {
-    throw new Error(`Fail to verify AaveLeverageModule because controller or aave_leverage_module is not exist in file ${filename} !`);
+  if (!explorer?.api_url) {
+    throw new Error(`must set explorer.api_url in file ${filename} !`);
   }
 
-  console.log(`[${getDataTime()}] Verify AaveLeverageModule at ${contractAddress}`);
-  await verifyContract(contractAddress, [controller, lpap]);
+  return { apiUrl: explorer.api_url, apiKey: process.env[explorer.api_key_env] };
 }
 
-async function verifyPriceOracle() {
-  const { usd } = config['tokens'];
-  if (!usd) {
-    throw new Error('Must set usd in file ${CONFIG_FILE} !');
-  }
-
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+// build the standard json input of the contract in the record, with its linked libraries
+async function getVerifyParams(hre, record) {
+  const { contract, address, encoded_args: encodedArgs, libraries = {} } = record;
+  const [sourceName, contractName] = contract.split(':');
 
-  const controller = contractAddresses.controller?.address;
-  const priceOracle = contractAddresses.price_oracle?.address;
-  if (!controller || !priceOracle) {
-    throw new Error(`Fail to verify PriceOracle because controller or price_oracle is not exist in file ${filename} !`);
+  const buildInfo = await hre.artifacts.getBuildInfo(contract);
+  if (!buildInfo) {
+    throw new Error(`build info of ${contract} is not exist, compile it first !`);
   }
 
-  await verifyContract(priceOracle, [controller, usd, [], [], [], []]);
-}
-
-async function verifyChainlinkOracle(name, key, priceFeed) {
-  const { contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-  const contractAddress = contractAddresses[key]?.address;
+  const input = JSON.parse(JSON.stringify(buildInfo.input));
+  const linkReferences = buildInfo.output.contracts[sourceName][contractName].evm.bytecode.linkReferences;
 
-  console.log(`[${getDataTime()}] Verify ChainlinkOracle ${name} ${key} at ${contractAddress}`);
-  await verifyContract(contractAddress, [name, priceFeed]);
-}
-
-function getPriceFeed(oracleKey) {
-  const { chainlink_oracle: chainlinkOracles } = oracles[CHAIN_NAME];
+  for (const [librarySource, references] of Object.entries(linkReferences)) {
+    for (const libraryName of Object.keys(references)) {
+      if (!libraries[libraryName]) {
+        throw new Error(`library ${libraryName} of ${contract} is not in the record !`);
+      }
 
-  for (const oracle of chainlinkOracles) {
-    if (oracle.key == oracleKey) {
-      return oracle.address;
+      input.settings.libraries = input.settings.libraries || {};
+      input.settings.libraries[librarySource] = { ...input.settings.libraries[librarySource], [libraryName]: libraries[libraryName] };
     }
   }
 
-  throw new Error(`${oracleKey} is not exist in chainlink_oracle[${CHAIN_NAME}] !`);
-}
-
-async function verifyChainlinkSerialOracle(name, key, path) {
-  const task = `verify ChainlinkSerialOracle(${name}, ${key}, [${path}])`;
-  if (path.length != 3) {
-    throw new Error(`${task}: length of [${path}] is not 3 !`);
-  }
-
-  const priceFeed1 = getPriceFeed(`${path[0]}_${path[1]}_oracle`);
-  const priceFeed2 = getPriceFeed(`${path[1]}_${path[2]}_oracle`);
-
-  const { contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-  const contractAddress = contractAddresses[key]?.address;
-
-  console.log(`[${getDataTime()}] Verify ChainlinkSerialOracle ${name} ${key} at ${contractAddress}`);
-  await verifyContract(contractAddress, [name, priceFeed1, priceFeed2]);
+  return {
+    module: 'contract',
+    action: 'verifysourcecode',
+    contractaddress: address,
+    sourceCode: JSON.stringify(input),
+    codeformat: 'solidity-standard-json-input',
+    contractname: contract,
+    compilerversion: `v${buildInfo.solcLongVersion}`,
+    constructorArguements: encodedArgs.replace(/^0x/, ''), // sic, the parameter name of the explorer API
+  };
 }
 
-async function verifyChainlinkOracles() {
-  const { chainlink_oracle: chainlinkOracles, chainlink_serial_oracle: chainlinkSerialOracles } = oracles[CHAIN_NAME];
+// name, args and libraries of a contract deployed from the manifest or the oracle config, undefined if key is in neither
+function getLegacyDeployment(key, inputs) {
+  const { chainName, config, configFile, manifest, oracles = {}, contractAddresses, deployedFile } = inputs;
+  const { chainlink_oracle: chainlinkOracles = [], chainlink_serial_oracle: serialOracles = [] } = oracles;
 
-  for (const oracle of chainlinkOracles) {
-    await verifyChainlinkOracle(oracle.name, oracle.key, oracle.address);
+  if ((manifest?.contracts || []).some((item) => item.key == key)) {
+    const contract = getContract(manifest, key);
+    const context = { config, configFile, contractAddresses, deployedFile, getWeth: () => getWeth(config, chainName) };
+    return { name: contract.name, ...resolveContract(contract, context) };
   }
 
-  for (const oracle of chainlinkSerialOracles) {
-    await verifyChainlinkSerialOracle(oracle.name, oracle.key, oracle.path);
+  const oracle = chainlinkOracles.find((item) => item.key == key);
+  if (oracle) {
+    return { name: 'ChainlinkOracle', args: [oracle.name, oracle.address], libraries: {} };
   }
-}
 
-async function verifyExchangeAdapter(name, key, routerKey) {
-  const router = config[routerKey];
-  if (!router) {
-    throw new Error(`Must set ${routerKey} in file ${CONFIG_FILE} !`);
-  }
+  const serialOracle = serialOracles.find((item) => item.key == key);
+  if (serialOracle) {
+    const { name, path } = serialOracle;
+    const getPriceFeed = (oracleKey) => {
+      const priceFeed = chainlinkOracles.find((item) => item.key == oracleKey);
+      if (!priceFeed) {
+        throw new Error(`${oracleKey} is not exist in chainlink_oracle[${chainName}] !`);
+      }
 
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-  const contractAddress = contractAddresses[key]?.address;
+      return priceFeed.address;
+    };
 
-  if (!contractAddress) {
-    throw new Error(`Fail to verify ${name} because ${key} is not exist in file ${filename} !`);
+    const args = [name, getPriceFeed(`${path[0]}_${path[1]}_oracle`), getPriceFeed(`${path[1]}_${path[2]}_oracle`)];
+    return { name: 'ChainlinkSerialOracle', args, libraries: {} };
   }
 
-  console.log(`[${getDataTime()}] Verify ${name} ${key} at ${contractAddress}`);
-  await verifyContract(contractAddress, [router]);
+  return undefined;
 }
 
-async function verifyChainlinkOracleAdapter() {
-  const { chainlink_feed_registry: registry } = config;
-  if (!registry) {
-    throw new Error(`verify ChainlinkOracleAdapter: must set chainlink_feed_registry in file ${CONFIG_FILE} !`);
+// Records written by the old deploy script only have address, block and hash, so contract, encoded_args and libraries
+// are rebuilt from the manifest and the oracle config, which must still match the deployment.
+async function rebuildLegacyRecord(hre, key, record, inputs) {
+  const deployment = inputs ? getLegacyDeployment(key, inputs) : undefined;
+  if (!deployment) {
+    throw new Error(`the record has no contract or encoded_args, and ${key} is not in the manifest or oracle config`);
   }
 
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-
-  const contractAddress = contractAddresses.chainlink_oracle_adapter?.address;
-  if (!contractAddress) {
-    throw new Error(`Fail to verify ChainlinkOracleAdapter because chainlink_oracle_adapter is not exist in file ${filename} !`);
-  }
+  const { name, args, libraries } = deployment;
+  const { sourceName, contractName, abi } = await hre.artifacts.readArtifact(name);
+  const encodedArgs = new hre.ethers.utils.Interface(abi).encodeDeploy(args);
 
-  console.log(`[${getDataTime()}] Verify ChainlinkOracleAdapter at ${contractAddress}`);
-  await verifyContract(contractAddress, [registry]);
+  return { ...record, name, contract: `${sourceName}:${contractName}`, args, encoded_args: encodedArgs, libraries };
 }
 
-async function verifyChainlinkSerialOracleAdapter() {
-  const task = `verify ChainlinkSerialOracleAdapter`;
+async function verifyRecord(hre, explorer, key, record, options) {
+  const { address } = record;
+  const result = (status, message = '') => ({ key, name: record.name, address, status, message });
 
-  const { chainlink_feed_registry: registry } = config;
-  if (!registry) {
-    throw new Error(`${task}: must set chainlink_feed_registry in file ${CONFIG_FILE} !`);
-  }
+  try {
+    if (!record.contract || record.encoded_args === undefined) {
+      record = await rebuildLegacyRecord(hre, key, record, options.inputs);
+    }
 
-  const { eth } = config['tokens'];
-  if (!eth) {
-    throw new Error(`${task}: must set "tokens"."eth" in file ${CONFIG_FILE} !`);
-  }
+    if (await withRetry(() => isVerified(explorer, address), options)) {
+      return result(ALREADY_VERIFIED);
+    }
 
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+    const params = await getVerifyParams(hre, record);
+    const submit = await withRetry(() => callExplorer(explorer, params, true), options);
 
-  const contractAddress = contractAddresses.chainlink_serial_oracle_adapter?.address;
-  if (!contractAddress) {
-    throw new Error(`FAIL: ${task} because chainlink_serial_oracle_adapter is not exist in file ${filename} !`);
-  }
+    if (submit.status != '1') {
+      return `${submit.result}`.toLowerCase().includes('already verified') ? result(ALREADY_VERIFIED) : result(FAILED, submit.result);
+    }
 
-  console.log(`[${getDataTime()}] Verify ChainlinkSerialOracleAdapter at ${contractAddress}`);
-  await verifyContract(contractAddress, [registry, eth]);
-}
+    const guid = submit.result;
+    for (let i = 0; i < options.polls; i++) {
+      await sleep(options.delay);
 
-async function verifyWithPriceOracle(name, key) {
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+      const check = await withRetry(() => callExplorer(explorer, { module: 'contract', action: 'checkverifystatus', guid }), options);
+      const message = `${check.result}`;
 
-  const priceOracle = contractAddresses.price_oracle?.address;
-  if (!priceOracle) {
-    throw new Error(`deploy ${name}: must set price_oracle in file ${filename} !`);
-  }
+      if (message.toLowerCase().includes('already verified')) {
+        return result(ALREADY_VERIFIED);
+      }
 
-  const contractAddress = contractAddresses[key]?.address;
-  if (!contractAddress) {
-    throw new Error(`Fail to verify ${name} because ${key} is not exist in file ${filename} !`);
-  }
+      if (check.status == '1') {
+        return result(VERIFIED, message);
+      }
 
-  console.log(`[${getDataTime()}] Verify ${name} ${key} at ${contractAddress}`);
-  await verifyContract(contractAddress, [priceOracle]);
-}
-
-async function verifyAaveV2WrapV2Adapter() {
-  const { aave_v2_lending_pool_addresses_provider: lpap } = config;
-  if (!lpap) {
-    throw new Error(`Must set aave_v2_lending_pool_addresses_provider in file ${CONFIG_FILE} !`);
-  }
-
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
+      if (!message.toLowerCase().includes('pending')) {
+        return result(FAILED, message);
+      }
+    }
 
-  const contractAddress = contractAddresses.aave_v2_wrap_v2_adapter?.address;
-  if (!contractAddress) {
-    throw new Error(`Fail to verify AaveV2WrapV2Adapter because aave_v2_wrap_v2_adapter is not exist in file ${filename} !`);
+    return result(FAILED, `still pending after ${options.polls} checks, guid = ${guid}`);
+  } catch (e) {
+    return result(FAILED, e.message);
   }
-
-  console.log(`[${getDataTime()}] Verify AaveV2WrapV2Adapter at ${contractAddress}`);
-  await verifyContract(contractAddress, [lpap]);
 }
 
-async function verifyAdapters() {
-  if (CHAIN_NAME == 'mainnet' || CHAIN_NAME == 'kovan') {
-    await verifyChainlinkOracleAdapter();
-    await verifyChainlinkSerialOracleAdapter();
+// verify every contract of deploy/deployed/<chain>.json, or only the contract of key
+// inputs: the result of getPlanInputs(), used to rebuild records of the old deploy script
+async function verifyDeployed(hre, { key, explorer, inputs, ...verifyOptions } = {}) {
+  if (!inputs) {
+    inputs = getPlanInputs(hre);
   }
 
-  await verifyWithPriceOracle('IdenticalTokenOracleAdapter', 'identical_token_oracle_adapter');
-  await verifyWithPriceOracle('UniswapV2PairPriceAdapter', 'uniswap_v2_pair_price_adapter');
+  const { contractAddresses } = inputs;
+  const options = { ...DEFAULT_VERIFY_OPTIONS, ...verifyOptions, inputs };
 
-  if (CHAIN_NAME != 'kovan') {
-    await verifyExchangeAdapter('KyberV1ExchangeAdapter', 'kyber_v1_exchange_adapter', 'kyber_v1_router');
-    // await verifyExchangeAdapter('KyberV1ExchangeAdapterV2', 'kyber_v1_exchange_adapter_v2', 'kyber_v1_router');
+  if (!explorer) {
+    explorer = getExplorer(hre.network.name);
   }
 
-  if (CHAIN_NAME == 'polygon' || CHAIN_NAME == 'mumbai') {
-    await verifyExchangeAdapter('UniswapV2ExchangeAdapter', 'quickswap_exchange_adapter', 'quickswap_router');
-    // await verifyExchangeAdapter('UniswapV2ExchangeAdapterV2', 'quickswap_exchange_adapter_v2', 'quickswap_router');
+  const keys = Object.keys(contractAddresses).filter((item) => contractAddresses[item]?.address);
+  if (key && keys.indexOf(key) < 0) {
+    throw new Error(`${key} is not exist in deployed addresses !`);
   }
 
-  await verifyExchangeAdapter('UniswapV2ExchangeAdapter', 'sushi_v2_exchange_adapter', 'sushi_v2_router02');
-
-  if (CHAIN_NAME != 'polygon' && CHAIN_NAME != 'mumbai') {
-    await verifyExchangeAdapter('UniswapV2ExchangeAdapter', 'uniswap_v2_exchange_adapter', 'uniswap_v2_router02');
-    // await verifyExchangeAdapter('UniswapV2ExchangeAdapterV2', 'uniswap_v2_exchange_adapter_v2', 'uniswap_v2_router02');
+  const results = [];
+  for (const item of key ? [key] : keys) {
+    console.log(`[${getDataTime()}] Verify ${item} at ${contractAddresses[item].address}`);
+    results.push(await verifyRecord(hre, explorer, item, contractAddresses[item], options));
   }
 
-  await verifyExchangeAdapter('UniswapV3ExchangeAdapter', 'uniswap_v3_exchange_adapter', 'uniswap_v3_swap_router02');
-  await verifyAaveV2WrapV2Adapter();
+  return results;
 }
 
-async function verifyMatrixToken() {
-  const name = 'MatrixToken';
-  const key = 'test_matrix_token';
-  const manager = config['fee_recipient'];
-  const weth = getWeth(config, CHAIN_NAME);
-  const unit = WEI_PER_ETHER;
-
-  const { filename, contractAddresses } = getDeployedAddresses(CHAIN_NAME, CHAIN_ID);
-  const controller = contractAddresses.controller?.address;
-  const contractAddress = contractAddresses[key]?.address;
-  const module = contractAddresses.basic_issuance_module?.address;
+function printVerifySummary(results) {
+  console.table(results);
 
-  if (!controller || !contractAddress || !module) {
-    throw new Error(`Fail to verify ${name} because controller or basic_issuance_module or ${key} is not exist in file ${filename} !`);
-  }
-
-  console.log(`[${getDataTime()}] Verify ${name} at ${contractAddress}`);
-  await verifyContract(contractAddress, [[weth], [unit], [module], controller, manager, 'Matrix Token', 'MT']);
-}
-
-async function verifyAll() {
-  // await verifyAllErc20Mocks();
-  await verifyWithoutController('ProtocolViewer', 'protocol_viewer');
-  await verifyWithoutController('AaveV2', 'aave_v2');
-  await verifyController();
-  await verifyPriceOracle();
-  await verifyWithController('MatrixValuer', 'matrix_valuer');
-  await verifyWithController('MatrixTokenFactory', 'matrix_token_factory');
-  await verifyWithController('IntegrationRegistry', 'integration_registry');
-  await verifyWithController('BasicIssuanceModule', 'basic_issuance_module');
-  // await verifyWithController('IssuanceModule', 'issuance_module');
-  await verifyWithController('StreamingFeeModule', 'streaming_fee_module');
-  // await verifyWithController('DebtIssuanceModule', 'debt_issuance_module');
-  // await verifyWithController('DebtIssuanceModuleV2', 'debt_issuance_module_v2');
-  await verifyWithControllerAndWeth('NavIssuanceModule', 'nav_issuance_module');
-  await verifyWithControllerAndWeth('WrapModuleV2', 'wrap_module_v2');
-  // await verifyAaveLeverageModule();
-  await verifyWithController('TradeModule', 'trade_module');
-  await verifyWithController('AirdropModule', 'airdrop_module');
-  // await verifyWithController('StakingModule', 'staking_module');
-  await verifyMatrixToken();
-  await verifyAdapters();
-  await verifyChainlinkOracles();
+  const count = (status) => results.filter((item) => item.status == status).length;
+  console.log(`\n${count(VERIFIED)} verified, ${count(ALREADY_VERIFIED)} already verified, ${count(FAILED)} failed\n`);
 }
 
-async function verify() {
-  const target = process.env.TARGET ? process.env.TARGET.toUpperCase() : 'ALL';
-
-  switch (target) {
-    case 'Erc20Mock'.toUpperCase():
-      await verifyAllErc20Mocks();
-      break;
-
-    case 'Chainlink'.toUpperCase():
-      await verifyChainlinkOracles();
-      break;
-
-    case 'protocol_viewer'.toUpperCase():
-    case 'ProtocolViewer'.toUpperCase():
-      await verifyWithoutController('ProtocolViewer', 'protocol_viewer');
-      break;
-
-    case 'Controller'.toUpperCase():
-      await verifyController();
-      break;
-
-    case 'matrix_valuer'.toUpperCase():
-    case 'MatrixValuer'.toUpperCase():
-      await verifyWithController('MatrixValuer', 'matrix_valuer');
-      break;
-
-    case 'matrix_token_factory'.toUpperCase():
-    case 'MatrixTokenFactory'.toUpperCase():
-      await verifyWithController('MatrixTokenFactory', 'matrix_token_factory');
-      break;
-
-    case 'integration_registry'.toUpperCase():
-    case 'IntegrationRegistry'.toUpperCase():
-      await verifyWithController('IntegrationRegistry', 'integration_registry');
-      break;
-
-    case 'price_oracle'.toUpperCase():
-    case 'PriceOracle'.toUpperCase():
-      await verifyPriceOracle();
-      break;
-
-    case 'basic_issuance_module'.toUpperCase():
-    case 'BasicIssuanceModule'.toUpperCase():
-      await verifyWithController('BasicIssuanceModule', 'basic_issuance_module');
-      break;
-
-    case 'issuance_module'.toUpperCase():
-    case 'IssuanceModule'.toUpperCase():
-      await verifyWithController('IssuanceModule', 'issuance_module');
-      break;
-
-    case 'streaming_fee_module'.toUpperCase():
-    case 'StreamingFeeModule'.toUpperCase():
-      await verifyWithController('StreamingFeeModule', 'streaming_fee_module');
-      break;
-
-    case 'debt_issuance_module'.toUpperCase():
-    case 'DebtIssuanceModule'.toUpperCase():
-      await verifyWithController('DebtIssuanceModule', 'debt_issuance_module');
-      break;
-
-    case 'debt_issuance_module_v2'.toUpperCase():
-    case 'DebtIssuanceModuleV2'.toUpperCase():
-      await verifyWithController('DebtIssuanceModuleV2', 'debt_issuance_module_v2');
-      break;
-
-    case 'trade_module'.toUpperCase():
-    case 'TradeModule'.toUpperCase():
-      await verifyWithController('TradeModule', 'trade_module');
-      break;
-
-    case 'airdrop_module'.toUpperCase():
-    case 'AirdropModule'.toUpperCase():
-      await verifyWithController('AirdropModule', 'airdrop_module');
-      break;
-
-    case 'staking_module'.toUpperCase():
-    case 'StakingModule'.toUpperCase():
-      await verifyWithController('StakingModule', 'staking_module');
-      break;
-
-    case 'nav_issuance_module'.toUpperCase():
-    case 'NavIssuanceModule'.toUpperCase():
-      await verifyWithControllerAndWeth('NavIssuanceModule', 'nav_issuance_module');
-      break;
-
-    case 'wrap_module_v2'.toUpperCase():
-    case 'WrapModuleV2'.toUpperCase():
-      await verifyWithControllerAndWeth('WrapModuleV2', 'wrap_module_v2');
-      break;
-
-    case 'aave_leverage_module'.toUpperCase():
-    case 'AaveLeverageModule'.toUpperCase():
-      await verifyAaveLeverageModule();
-      break;
-
-    case 'kyber_v1_exchange_adapter'.toUpperCase():
-    case 'KyberV1ExchangeAdapter'.toUpperCase():
-      await verifyExchangeAdapter('KyberV1ExchangeAdapter', 'kyber_v1_exchange_adapter', 'kyber_v1_router');
-      break;
-
-    case 'kyber_v1_exchange_adapter_v2'.toUpperCase():
-    case 'KyberV1ExchangeAdapterV2'.toUpperCase():
-      await verifyExchangeAdapter('KyberV1ExchangeAdapterV2', 'kyber_v1_exchange_adapter_v2', 'kyber_v1_router');
-      break;
-
-    case 'quick_swap_exchange_adapter'.toUpperCase():
-    case 'QuickSwapExchangeAdapter'.toUpperCase():
-      await verifyExchangeAdapter('UniswapV2ExchangeAdapter', 'quickswap_exchange_adapter', 'quickswap_router');
-      break;
-
-    case 'quick_swap_exchange_adapter_v2'.toUpperCase():
-    case 'QuickSwapExchangeAdapterV2'.toUpperCase():
-      await verifyExchangeAdapter('UniswapV2ExchangeAdapterV2', 'quickswap_exchange_adapter_v2', 'quickswap_router');
-      break;
-
-    case 'sushi_v2_exchange_adapter'.toUpperCase():
-    case 'SushiV2ExchangeAdapter'.toUpperCase():
-      await verifyExchangeAdapter('UniswapV2ExchangeAdapter', 'sushi_v2_exchange_adapter', 'sushi_v2_router02');
-      break;
-
-    case 'uniswap_v2_exchange_adapter'.toUpperCase():
-    case 'UniswapV2ExchangeAdapter'.toUpperCase():
-      await verifyExchangeAdapter('UniswapV2ExchangeAdapter', 'uniswap_v2_exchange_adapter', 'uniswap_v2_router02');
-      break;
-
-    case 'uniswap_v2_exchange_adapter_v2'.toUpperCase():
-    case 'UniswapV2ExchangeAdapterV2'.toUpperCase():
-      await verifyExchangeAdapter('UniswapV2ExchangeAdapterV2', 'uniswap_v2_exchange_adapter_v2', 'uniswap_v2_router02');
-      break;
-
-    case 'uniswap_v3_exchange_adapter'.toUpperCase():
-    case 'UniswapV3ExchangeAdapter'.toUpperCase():
-      await verifyExchangeAdapter('UniswapV3ExchangeAdapter', 'uniswap_v3_exchange_adapter', 'uniswap_v3_swap_router');
-      break;
-
-    case 'chainlink_oracle_adapter'.toUpperCase():
-    case 'ChainlinkOracleAdapter'.toUpperCase():
-      await verifyChainlinkOracleAdapter();
-      break;
-
-    case 'chainlink_serial_oracle_adapter'.toUpperCase():
-    case 'ChainlinkSerialOracleAdapter'.toUpperCase():
-      await verifyChainlinkSerialOracleAdapter();
-      break;
-
-    case 'identical_token_oracle_adapter'.toUpperCase():
-    case 'IdenticalTokenOracleAdapter'.toUpperCase():
-      await verifyWithPriceOracle('IdenticalTokenOracleAdapter', 'identical_token_oracle_adapter');
-      break;
-
-    case 'uniswap_v2_pair_price_adapter'.toUpperCase():
-    case 'UniswapV2PairPriceAdapter'.toUpperCase():
-      await verifyWithPriceOracle('UniswapV2PairPriceAdapter', 'uniswap_v2_pair_price_adapter');
-      break;
-
-    case 'aave_v2_wrap_v2_adapter'.toUpperCase():
-    case 'AaveV2WrapV2Adapter'.toUpperCase():
-      await verifyAaveV2WrapV2Adapter();
-      break;
-
-    case 'matrix_token'.toUpperCase():
-    case 'MatrixToken'.toUpperCase():
-      await verifyMatrixToken();
-      break;
-
-    default:
-      console.log(`verify all contracts\n`);
-      await verifyAll();
-  }
-}
-
-verify()
-  .then(() => {
-    process.exit(0);
-  })
-  .catch((e) => {
-    console.error(e);
-    process.exit(1);
-  });
+module.exports = {
+  VERIFIED,
+  ALREADY_VERIFIED,
+  FAILED,
+  getExplorer,
+  getVerifyParams,
+  verifyDeployed,
+  printVerifySummary,
+};
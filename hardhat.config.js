@@ -1,7 +1,8 @@
-/* global task */
+/* global task, types */
 
 // ==================== External Imports ====================
 
+const fs = require('fs');
 require('@nomiclabs/hardhat-etherscan');
 require('@nomiclabs/hardhat-waffle');
 require('@nomiclabs/hardhat-web3');
@@ -10,7 +11,32 @@ require('dotenv').config();
 
 // ==================== Internal Imports ====================
 
-const { grantAdminRole, grantDefaultAdminRole, revokeAdminRole, revokeDefaultAdminRole } = require('./deploy/role');
+const {
+  grantAdminRole,
+  grantDefaultAdminRole,
+  revokeAdminRole,
+  revokeDefaultAdminRole,
+  grantAnyRole,
+  revokeAnyRole,
+  listRoles,
+  transferAdmin,
+} = require('./deploy/role');
+const { planDeployment, getPlanInputs, printPlan } = require('./deploy/plan');
+const { verifyDeployed, printVerifySummary, FAILED } = require('./deploy/verify');
+const { checkSystem } = require('./deploy/check');
+const { generateOracles, writeOracles } = require('./deploy/oracle');
+const { checkOracleHealth, watchOracleHealth } = require('./deploy/health');
+const { createMatrixToken, getAddressBook, resolveAddress, parsePercent } = require('./deploy/product');
+const { loadProductSpec, formatProductSpec, exportProductSpec, planProductSpec, applyProductSpec } = require('./deploy/spec');
+const { planRebalance, printRebalance } = require('./deploy/rebalance');
+const { runKeeper } = require('./deploy/keeper');
+const { getReserve, quoteIssue, quoteRedeem, readNavSnapshot, printNavQuote } = require('./deploy/nav');
+const { collectStreamingFees, printStreamingFees } = require('./deploy/fee');
+const { openIndexDatabase, syncIndexer, watchIndexer } = require('./deploy/indexer');
+const { getDeployer, getDeployedAddresses, writeDeployedAddresses, getDataTime } = require('./deploy/helpers');
+const { getTransactionOptions } = require('./deploy/transaction');
+const { isReadOnly } = require('./deploy/signer');
+const { createSafeBatch, writeSafeBatch, printSafeBatch } = require('./deploy/safe');
 
 const INFURA_PROJECT_ID = process.env.INFURA_PROJECT_ID;
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
@@ -43,6 +69,9 @@ const POLYGON_RPC_LIST = [
   'https://matic-mainnet-full-rpc.bwarel11ab',
 ];
 
+const SAFE_BATCH_DESCRIPTION = 'write admin transactions to this Safe Transaction Builder json file instead of sending them';
+const SAFE_DESCRIPTION = 'the address of the Safe which executes the batch';
+
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
 task('accounts', 'Prints the list of accounts', async (taskArgs, hre) => {
@@ -55,26 +84,402 @@ task('accounts', 'Prints the list of accounts', async (taskArgs, hre) => {
 
 task('grantAdminRole', 'grant admin role')
   .addParam('account', "The account's address")
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
   .setAction(async (taskArgs, hre) => {
-    await grantAdminRole(taskArgs.account, hre);
+    await grantAdminRole(taskArgs.account, hre, taskArgs);
   });
 
 task('grantDefaultAdminRole', 'grant default admin role')
   .addParam('account', "The account's address")
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
   .setAction(async (taskArgs, hre) => {
-    await grantDefaultAdminRole(taskArgs.account, hre);
+    await grantDefaultAdminRole(taskArgs.account, hre, taskArgs);
   });
 
 task('revokeAdminRole', 'revoke admin role')
   .addParam('account', "The account's address")
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
   .setAction(async (taskArgs, hre) => {
-    await revokeAdminRole(taskArgs.account, hre);
+    await revokeAdminRole(taskArgs.account, hre, taskArgs);
   });
 
 task('revokeDefaultAdminRole', 'revoke default admin role')
   .addParam('account', "The account's address")
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
+  .setAction(async (taskArgs, hre) => {
+    await revokeDefaultAdminRole(taskArgs.account, hre, taskArgs);
+  });
+
+task('listRoles', 'list the members of every role by replaying RoleGranted and RoleRevoked logs')
+  .addOptionalParam('key', 'only list the contract of this key in deploy/deployed/<network>.json')
+  .addOptionalParam('blockRange', 'max blocks of one eth_getLogs request, 0 for unlimited', 0, types.int)
+  .setAction(async (taskArgs, hre) => {
+    await listRoles(taskArgs, hre);
+  });
+
+task('grantRole', 'grant a role by name, e.g. ADMIN_ROLE')
+  .addParam('role', 'The name or hash of the role')
+  .addParam('account', "The account's address")
+  .addOptionalParam('key', 'only grant on the contract of this key in deploy/deployed/<network>.json')
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
+  .setAction(async (taskArgs, hre) => {
+    await grantAnyRole(taskArgs, hre);
+  });
+
+task('revokeRole', 'revoke a role by name, refuse to revoke the last DEFAULT_ADMIN_ROLE holder')
+  .addParam('role', 'The name or hash of the role')
+  .addParam('account', "The account's address")
+  .addOptionalParam('key', 'only revoke on the contract of this key in deploy/deployed/<network>.json')
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
+  .setAction(async (taskArgs, hre) => {
+    await revokeAnyRole(taskArgs, hre);
+  });
+
+task('transferAdmin', 'grant all roles of the deployer to a multisig, check, then renounce the roles of the deployer')
+  .addParam('account', "The multisig's address")
+  .addFlag('allowEoa', 'allow transferring to an account without code')
+  .addOptionalParam('blockRange', 'max blocks of one eth_getLogs request, 0 for unlimited', 0, types.int)
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', 'the address of the Safe which holds the roles and executes the batch')
+  .setAction(async (taskArgs, hre) => {
+    await transferAdmin(taskArgs, hre);
+  });
+
+task('deploy', 'deploy contracts in deploy/manifests/<network>.json')
+  .addFlag('plan', 'print the actions to take without sending any transaction')
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
+  .setAction(async (taskArgs, hre) => {
+    if (taskArgs.plan) {
+      printPlan(await planDeployment(hre, getPlanInputs(hre)));
+    } else {
+      // deploy.js is a script, so options are passed by environment variables
+      if (taskArgs.safeBatch) {
+        process.env.SAFE_BATCH_FILE = taskArgs.safeBatch;
+        process.env.SAFE_ADDRESS = taskArgs.safe || '';
+      }
+
+      await hre.run('run', { script: './deploy/deploy.js' });
+    }
+  });
+
+task('verifyDeployed', 'verify contracts in deploy/deployed/<network>.json on the block explorer')
+  .addOptionalParam('key', 'only verify the contract of this key')
+  .setAction(async (taskArgs, hre) => {
+    const results = await verifyDeployed(hre, { key: taskArgs.key });
+    printVerifySummary(results);
+
+    if (results.some((item) => item.status == FAILED)) {
+      process.exitCode = 1;
+    }
+  });
+
+task('checkSystem', 'check the wiring of contracts in deploy/deployed/<network>.json')
+  .addOptionalParam('output', 'also write the json report to this file')
+  .setAction(async (taskArgs, hre) => {
+    const report = await checkSystem(hre, getPlanInputs(hre));
+    const json = JSON.stringify(report, null, 2);
+    console.log(json);
+
+    if (taskArgs.output) {
+      fs.writeFileSync(taskArgs.output, json);
+    }
+
+    if (!report.ok) {
+      process.exitCode = 1;
+    }
+  });
+
+task('generateOracles', 'add chainlink feeds of deploy/configs/chainlinkOracles.json to oracles.json for the tokens of <network>.json')
+  .addFlag('dryRun', 'print the changes without writing oracles.json')
+  .setAction(async (taskArgs, hre) => {
+    const filename = './deploy/configs/oracles.json';
+    const catalog = JSON.parse(fs.readFileSync('./deploy/configs/chainlinkOracles.json'));
+    const config = JSON.parse(fs.readFileSync(`./deploy/configs/${hre.network.name}.json`));
+    const oracles = JSON.parse(fs.readFileSync(filename));
+
+    const result = generateOracles(hre.network.name, { catalog, oracles, config });
+
+    result.added.forEach((key) => console.log(`ADD : ${key}`));
+    result.updated.forEach((key) => console.log(`UPDATE: ${key}`));
+    result.conflicts.forEach(({ key, address, catalog }) => console.log(`KEEP: ${key} ${address}, the catalog has ${catalog}`));
+    result.unrouted.forEach((token) => console.log(`NO ROUTE: ${token}`));
+
+    const count = (route) => result.routes.filter((item) => item.route == route).length;
+    console.log(`\nroutes: direct ${count('direct')}, serial ${count('serial')}, identical ${count('identical')}, no route ${result.unrouted.length}`);
+
+    if (!taskArgs.dryRun) {
+      writeOracles(filename, result.oracles);
+      console.log(`${filename} is written`);
+    }
+  });
+
+task('oracleHealth', 'check the staleness and deviation of every route of PriceOracle in deploy/deployed/<network>.json')
+  .addOptionalParam('maxAge', 'max seconds since the last update of a feed', 86400, types.int)
+  .addOptionalParam('maxDeviation', 'max relative deviation from the feeds, the reference and the previous run', 0.05, types.float)
+  .addOptionalParam('reference', 'a json file of reference prices, e.g. { "eth/usd": "2000.5" }')
+  .addFlag('watch', 're-run every interval seconds and write json lines')
+  .addOptionalParam('interval', 'seconds between runs of watch mode', 60, types.int)
+  .addOptionalParam('output', 'also write the json report to this file')
+  .setAction(async (taskArgs, hre) => {
+    const { maxAge, maxDeviation, interval } = taskArgs;
+    const reference = {};
+
+    if (taskArgs.reference) {
+      for (const [pair, price] of Object.entries(JSON.parse(fs.readFileSync(taskArgs.reference)))) {
+        reference[pair] = hre.ethers.utils.parseEther(`${price}`).toString();
+      }
+    }
+
+    if (taskArgs.watch) {
+      await watchOracleHealth(hre, getPlanInputs(hre), { maxAge, maxDeviation, reference, interval });
+      return;
+    }
+
+    const report = await checkOracleHealth(hre, getPlanInputs(hre), { maxAge, maxDeviation, reference });
+    const json = JSON.stringify(report, null, 2);
+    console.log(json);
+
+    if (taskArgs.output) {
+      fs.writeFileSync(taskArgs.output, json);
+    }
+
+    if (!report.ok) {
+      process.exitCode = 1;
+    }
+  });
+
+task('createMatrixToken', 'create a MatrixToken by MatrixTokenFactory and record it in deploy/deployed/<network>.json')
+  .addOptionalParam('spec', 'a json or yaml product spec file of the components, units, modules and module settings')
+  .addOptionalParam('components', 'comma separated token keys of the config file or addresses, e.g. weth,usdc')
+  .addOptionalParam('units', 'comma separated units of the components in their decimals, e.g. 0.01,20.5')
+  .addOptionalParam('modules', 'comma separated module keys of deployed addresses, e.g. basic_issuance_module,trade_module')
+  .addOptionalParam('manager', 'the manager of the MatrixToken, the deployer by default')
+  .addOptionalParam('name', 'the name of the MatrixToken')
+  .addOptionalParam('symbol', 'the symbol of the MatrixToken')
+  .addOptionalParam('key', 'the key in deployed addresses, <symbol>_matrix_token by default')
+  .setAction(async (taskArgs, hre) => {
+    const signer = await getDeployer(hre);
+    if (isReadOnly(signer)) {
+      throw new Error(`createMatrixToken needs a signer: set DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL in file .env !`);
+    }
+
+    const inputs = getPlanInputs(hre);
+    const spec = taskArgs.spec ? loadProductSpec(taskArgs.spec) : undefined;
+    const txOptions = getTransactionOptions(inputs.chainName);
+    const { key, record } = await createMatrixToken(hre, signer, inputs, { ...taskArgs, spec, txOptions });
+
+    const { directory, filename, contractAddresses } = getDeployedAddresses(inputs.chainName, hre.network.config.chainId);
+    contractAddresses[key] = record;
+    writeDeployedAddresses(directory, filename, contractAddresses);
+  });
+
+function getMatrixTokenAddress(taskArgs, inputs) {
+  const address = taskArgs.address || inputs.contractAddresses[taskArgs.key]?.address;
+  if (!address) {
+    throw new Error(`must set --address, or --key of a MatrixToken in file ${inputs.deployedFile} !`);
+  }
+
+  return address;
+}
+
+task('exportMatrixToken', 'export a live MatrixToken to a product spec')
+  .addOptionalParam('key', 'the key of the MatrixToken in deploy/deployed/<network>.json')
+  .addOptionalParam('address', 'the address of the MatrixToken')
+  .addOptionalParam('output', 'write the spec to this json or yaml file')
   .setAction(async (taskArgs, hre) => {
-    await revokeDefaultAdminRole(taskArgs.account, hre);
+    const inputs = getPlanInputs(hre);
+    const spec = await exportProductSpec(hre, inputs, getMatrixTokenAddress(taskArgs, inputs));
+
+    if (taskArgs.output) {
+      fs.writeFileSync(taskArgs.output, formatProductSpec(spec, taskArgs.output));
+    } else {
+      console.log(formatProductSpec(spec));
+    }
+  });
+
+task('applyProductSpec', 'send the minimal transactions which make a live MatrixToken match a product spec')
+  .addParam('spec', 'a json or yaml product spec file')
+  .addOptionalParam('key', 'the key of the MatrixToken in deploy/deployed/<network>.json')
+  .addOptionalParam('address', 'the address of the MatrixToken')
+  .addFlag('plan', 'print the transactions to send without sending them')
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
+  .setAction(async (taskArgs, hre) => {
+    const inputs = getPlanInputs(hre);
+    const plan = await planProductSpec(hre, inputs, getMatrixTokenAddress(taskArgs, inputs), loadProductSpec(taskArgs.spec));
+    printPlan(plan);
+
+    if (taskArgs.plan || plan.actions.length == 0) {
+      return;
+    }
+
+    if (taskArgs.safeBatch) {
+      const batch = createSafeBatch(hre.network.config.chainId, `Matrix applyProductSpec ${taskArgs.spec}`, taskArgs.safe);
+      await applyProductSpec(undefined, plan, { batch });
+      printSafeBatch(taskArgs.safeBatch, writeSafeBatch(taskArgs.safeBatch, batch));
+      return;
+    }
+
+    const signer = await getDeployer(hre);
+    if (isReadOnly(signer)) {
+      throw new Error(`applyProductSpec needs a signer: set DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL in file .env, or use --safe-batch !`);
+    }
+
+    await applyProductSpec(signer, plan, { txOptions: getTransactionOptions(inputs.chainName) });
+  });
+
+task('startRebalance', 'plan a rebalance of a live MatrixToken by GeneralIndexModule, simulate its trades and send startRebalance')
+  .addOptionalParam('key', 'the key of the MatrixToken in deploy/deployed/<network>.json')
+  .addOptionalParam('address', 'the address of the MatrixToken')
+  .addOptionalParam('rebalance', 'a json or yaml rebalance file of weights, trade maximums, cool-off periods and exchanges')
+  .addOptionalParam('weights', 'comma separated target weights of the components, e.g. weth:40%,usdc:60%')
+  .addOptionalParam('module', 'the key or address of GeneralIndexModule', 'general_index_module')
+  .addFlag('plan', 'print the transactions and the simulated trades without sending them')
+  .addOptionalParam('safeBatch', SAFE_BATCH_DESCRIPTION)
+  .addOptionalParam('safe', SAFE_DESCRIPTION)
+  .setAction(async (taskArgs, hre) => {
+    const inputs = getPlanInputs(hre);
+    const rebalance = taskArgs.rebalance ? loadProductSpec(taskArgs.rebalance) : undefined;
+    const plan = await planRebalance(hre, inputs, getMatrixTokenAddress(taskArgs, inputs), { ...taskArgs, rebalance });
+    printRebalance(plan);
+    printPlan(plan);
+
+    if (taskArgs.plan) {
+      return;
+    }
+
+    if (taskArgs.safeBatch) {
+      const batch = createSafeBatch(hre.network.config.chainId, `Matrix startRebalance ${taskArgs.rebalance || taskArgs.weights}`, taskArgs.safe);
+      await applyProductSpec(undefined, plan, { batch });
+      printSafeBatch(taskArgs.safeBatch, writeSafeBatch(taskArgs.safeBatch, batch));
+      return;
+    }
+
+    const signer = await getDeployer(hre);
+    if (isReadOnly(signer)) {
+      throw new Error(`startRebalance needs a signer: set DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL in file .env, or use --safe-batch !`);
+    }
+
+    await applyProductSpec(signer, plan, { txOptions: getTransactionOptions(inputs.chainName) });
+  });
+
+task('runKeeper', 'execute the trades of a rebalance started by GeneralIndexModule until its targets are met')
+  .addOptionalParam('key', 'the key of the MatrixToken in deploy/deployed/<network>.json')
+  .addOptionalParam('address', 'the address of the MatrixToken')
+  .addParam('journal', 'the json lines journal of the keeper, a restarted keeper continues it')
+  .addOptionalParam('module', 'the key or address of GeneralIndexModule', 'general_index_module')
+  .addOptionalParam('interval', 'seconds between polls', 60, types.int)
+  .addOptionalParam('maxSlippage', 'max slippage of trades from the PriceOracle price, e.g. 1%', '1%')
+  .addOptionalParam('maxGasPrice', 'wait while the gas price is above this gwei', undefined, types.float)
+  .addOptionalParam('maxGas', 'skip trades which need more gas', undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const trader = await getDeployer(hre);
+    if (isReadOnly(trader)) {
+      throw new Error(`runKeeper needs a signer: set DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL in file .env !`);
+    }
+
+    const inputs = getPlanInputs(hre);
+    const txOptions = getTransactionOptions(inputs.chainName);
+    await runKeeper(hre, inputs, getMatrixTokenAddress(taskArgs, inputs), trader, { ...taskArgs, txOptions });
+  });
+
+task('quoteNav', 'quote NavIssuanceModule issue and redeem of a live MatrixToken with premium and fees, off-chain from one snapshot')
+  .addOptionalParam('key', 'the key of the MatrixToken in deploy/deployed/<network>.json')
+  .addOptionalParam('address', 'the address of the MatrixToken')
+  .addParam('reserve', 'the key or address of the reserve asset')
+  .addOptionalParam('issue', 'comma separated quantities of the reserve asset to issue with, e.g. 100,1000')
+  .addOptionalParam('redeem', 'comma separated quantities of the MatrixToken to redeem, e.g. 1,10')
+  .addOptionalParam('module', 'the key or address of NavIssuanceModule', 'nav_issuance_module')
+  .addOptionalParam('maxSlippage', 'slippage of the minimum receive quantities, e.g. 0.5%', '0.5%')
+  .setAction(async (taskArgs, hre) => {
+    const inputs = getPlanInputs(hre);
+    const snapshot = await readNavSnapshot(hre, inputs, getMatrixTokenAddress(taskArgs, inputs), taskArgs);
+    const reserveAsset = resolveAddress(taskArgs.reserve, getAddressBook(inputs));
+    const { decimals } = getReserve(snapshot, reserveAsset);
+    const split = (text) => (text ? text.split(',').map((item) => item.trim()) : []);
+    const maxSlippage = parsePercent(taskArgs.maxSlippage);
+
+    for (const quantity of split(taskArgs.issue)) {
+      printNavQuote(snapshot, 'issue', quoteIssue(snapshot, reserveAsset, hre.ethers.utils.parseUnits(quantity, decimals)), maxSlippage);
+    }
+
+    for (const quantity of split(taskArgs.redeem)) {
+      printNavQuote(snapshot, 'redeem', quoteRedeem(snapshot, reserveAsset, hre.ethers.utils.parseUnits(quantity, 18)), maxSlippage);
+    }
+  });
+
+task('streamingFees', 'project the streaming fees of MatrixTokens at a date, and actualize the fees worth more than their gas cost')
+  .addOptionalParam('tokens', 'comma separated keys or addresses of MatrixTokens, every *_matrix_token in deployed addresses by default')
+  .addOptionalParam('date', 'the date of the projection, e.g. 2026-12-31 or a unix timestamp, the latest block by default')
+  .addOptionalParam('module', 'the key or address of StreamingFeeModule', 'streaming_fee_module')
+  .addOptionalParam('viewer', 'the key or address of ProtocolViewer, protocol_viewer of deployed addresses by default')
+  .addFlag('accrue', 'call actualizeFee for the MatrixTokens whose accrued fees are worth more than the gas cost')
+  .addOptionalParam('feeToGasRatio', 'actualize a fee only when it is worth this many times the gas cost', '1')
+  .setAction(async (taskArgs, hre) => {
+    const inputs = getPlanInputs(hre);
+    const book = getAddressBook(inputs);
+    const keys = taskArgs.tokens
+      ? taskArgs.tokens.split(',').map((item) => item.trim())
+      : Object.keys(inputs.contractAddresses).filter((key) => key.endsWith('_matrix_token'));
+
+    if (keys.length == 0) {
+      throw new Error(`must set --tokens, or record MatrixTokens in file ${inputs.deployedFile} !`);
+    }
+
+    let timestamp;
+    if (taskArgs.date) {
+      timestamp = /^\d+$/.test(taskArgs.date) ? Number(taskArgs.date) : Math.floor(Date.parse(taskArgs.date) / 1000);
+      if (isNaN(timestamp)) {
+        throw new Error(`invalid date ${taskArgs.date} !`);
+      }
+    }
+
+    let signer;
+    if (taskArgs.accrue) {
+      signer = await getDeployer(hre);
+      if (isReadOnly(signer)) {
+        throw new Error(`streamingFees --accrue needs a signer: set DEPLOYER_KEYSTORE or DEPLOYER_SIGNER_URL in file .env !`);
+      }
+    }
+
+    const options = {
+      ...taskArgs,
+      timestamp,
+      feeToGasRatio: hre.ethers.utils.parseUnits(taskArgs.feeToGasRatio, 18),
+      txOptions: getTransactionOptions(inputs.chainName),
+    };
+    const addresses = keys.map((key) => resolveAddress(key, book));
+    printStreamingFees(await collectStreamingFees(hre, inputs, addresses, signer, options));
+  });
+
+task('indexEvents', 'index the events of the deployed system into a SQLite database, from the block of the controller')
+  .addOptionalParam('database', 'the SQLite database file, deploy/indexed/<network>.sqlite by default')
+  .addOptionalParam('fromBlock', 'the first block of a new database, the block of the controller by default', undefined, types.int)
+  .addOptionalParam('confirmations', 'index only blocks with this many confirmations', 0, types.int)
+  .addOptionalParam('batchSize', 'blocks of one eth_getLogs', 2000, types.int)
+  .addFlag('watch', 'follow the chain, syncing every interval seconds')
+  .addOptionalParam('interval', 'seconds between syncs of watch mode', 15, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const inputs = getPlanInputs(hre);
+    const db = openIndexDatabase(taskArgs.database || `./deploy/indexed/${inputs.chainName}.sqlite`);
+
+    try {
+      if (taskArgs.watch) {
+        await watchIndexer(hre, inputs, db, taskArgs);
+      } else {
+        const { fromBlock, toBlock, events } = await syncIndexer(hre, inputs, db, taskArgs);
+        console.log(`[${getDataTime()}] OK: indexed blocks ${fromBlock} to ${toBlock}, ${events} event(s)`);
+      }
+    } finally {
+      db.close();
+    }
   });
 
 // You need to export an object to set up your config
@@ -132,10 +537,12 @@ module.exports = {
     },
     mumbai: {
       url: MUMBAI_RPC_LIST[1],
+      rpcList: MUMBAI_RPC_LIST,
       chainId: 80001,
     },
     polygon: {
       url: POLYGON_RPC_LIST[0],
+      rpcList: POLYGON_RPC_LIST,
       chainId: 137,
     },
     ropsten: {
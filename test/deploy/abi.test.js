@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { getSigners } = require('../helpers/accountUtil');
+const { ZERO_ADDRESS } = require('../helpers/constants');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { getEventTopic, findEvents, findEvent, loadAbiRegistry, decodeLogs, decodeError } = require('../../deploy/abi');
+
+async function getError(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+
+  return undefined;
+}
+
+describe('deploy abi', function () {
+  const [owner, feeRecipient, recipient] = getSigners();
+  const systemFixture = new SystemFixture(owner, feeRecipient);
+
+  let registry;
+  let matrixToken;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { weth, basicIssuanceModule } = systemFixture;
+    matrixToken = await systemFixture.createMatrixToken([weth.address], [ethToWei(0.01)], [basicIssuanceModule.address], owner);
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+
+    registry = await loadAbiRegistry();
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  describe('loadAbiRegistry', function () {
+    it('should load the events of protocol and product contracts', async function () {
+      const topic = ethers.utils.id('CreateMatrixToken(address,address,address[],int256[],address[],address,address,string,string)');
+      const [createMatrixToken] = registry.events[topic];
+
+      expect(getEventTopic('MatrixTokenFactory', 'CreateMatrixToken')).eq(topic);
+      expect(createMatrixToken.contracts).deep.eq(['MatrixTokenFactory']);
+      expect(registry.events[getEventTopic('TradeModule', 'ExchangeComponent')][0].contracts).deep.eq(['TradeModule']);
+      expect(registry.events[getEventTopic('AmmSplitter', 'ExecuteTradeExactInput')][0].contracts).deep.eq(['AmmSplitter']);
+    });
+
+    it('should not load the events of mocks', async function () {
+      const topic = getEventTopic('Erc20Mock', 'Transfer');
+      expect(registry.events[topic].every(({ contracts }) => !contracts.includes('Erc20Mock'))).is.true;
+    });
+  });
+
+  describe('findEvent', function () {
+    it('should find an event of a contract in a receipt', async function () {
+      const { weth, basicIssuanceModule } = systemFixture;
+      const tx = await systemFixture.factory.create([weth.address], [ethToWei(1)], [basicIssuanceModule.address], owner.address, 'Found', 'FND');
+      const receipt = await tx.wait();
+      const event = findEvent(receipt, 'MatrixTokenFactory', 'CreateMatrixToken');
+
+      expect(event.name).eq('CreateMatrixToken');
+      expect(event.address).eq(systemFixture.factory.address);
+      expect(event.args.symbol).eq('FND');
+      expect(await systemFixture.controller.isMatrix(event.args.matrixToken)).is.true;
+    });
+
+    it('should only find the events of address', async function () {
+      const { basicIssuanceModule } = systemFixture;
+      const receipt = await (await basicIssuanceModule.issue(matrixToken.address, ethToWei(1), recipient.address)).wait();
+
+      expect(findEvents(receipt, 'MatrixToken', 'Transfer').length).eq(2);
+      expect(findEvents(receipt, 'MatrixToken', 'Transfer', matrixToken.address).map((event) => event.args.to)).deep.eq([recipient.address]);
+      expect(findEvent(receipt, 'BasicIssuanceModule', 'IssueMatrixToken').args.quantity).eq(ethToWei(1));
+    });
+
+    it('should throw when the event is not in the receipt', async function () {
+      const receipt = await (await matrixToken.transfer(recipient.address, 0)).wait();
+      expect(() => findEvent(receipt, 'TradeModule', 'ExchangeComponent')).throw('TradeModule event ExchangeComponent is not found in transaction');
+    });
+  });
+
+  describe('decodeLogs', function () {
+    it('should decode the logs of a receipt by topic', async function () {
+      const { weth, basicIssuanceModule } = systemFixture;
+      const receipt = await (await basicIssuanceModule.issue(matrixToken.address, ethToWei(1), recipient.address)).wait();
+      const events = decodeLogs(registry, receipt);
+
+      expect(events.map(({ address, name }) => [address, name])).deep.eq([
+        [weth.address, 'Transfer'],
+        [matrixToken.address, 'Transfer'],
+        [basicIssuanceModule.address, 'IssueMatrixToken'],
+      ]);
+      expect(events[2].contracts).contain('BasicIssuanceModule');
+      expect(events[2].signature).eq('IssueMatrixToken(address,address,address,address,uint256,address[],uint256[])');
+    });
+  });
+
+  describe('decodeError', function () {
+    it('should decode the reason of a revert', async function () {
+      const error = await getError(systemFixture.basicIssuanceModule.callStatic.issue(matrixToken.address, 0, owner.address));
+      const decoded = decodeError(registry, error);
+
+      expect(decoded.name).eq('Error');
+      expect(decoded.args[0]).eq('BI1');
+    });
+
+    it('should decode a panic', async function () {
+      const data = ethers.utils.id('Panic(uint256)').slice(0, 10) + ethers.utils.defaultAbiCoder.encode(['uint256'], [0x11]).slice(2);
+      expect(decodeError(registry, data)).deep.include({ name: 'Panic', signature: 'Panic(uint256)', selector: '0x4e487b71' });
+      expect(decodeError(registry, data).args[0]).eq(0x11);
+    });
+
+    it('should return undefined for unknown selectors', async function () {
+      expect(decodeError(registry, '0x12345678')).is.undefined;
+      expect(decodeError(registry, new Error('no data'))).is.undefined;
+    });
+  });
+});
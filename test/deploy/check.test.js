@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { ETH_ADDRESS } = require('../helpers/constants');
+const { checkSystem, PASS, FAIL, SKIP } = require('../../deploy/check');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+
+describe('deploy check', function () {
+  const [owner, feeRecipient] = getSigners();
+  const usd = '0x0000000000000000000000000000000000000348';
+
+  let inputs;
+  let controller;
+  let matrixValuer;
+  let priceOracle;
+  let tradeModule;
+  let ethUsdOracle;
+  let integrationRegistry;
+  let sushiExchangeAdapter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    controller = await deployContract('Controller', [feeRecipient.address], owner);
+    matrixValuer = await deployContract('MatrixValuer', [controller.address], owner);
+    integrationRegistry = await deployContract('IntegrationRegistry', [controller.address], owner);
+    priceOracle = await deployContract('PriceOracle', [controller.address, usd, [], [], [], []], owner);
+    tradeModule = await deployContract('TradeModule', [controller.address, 'TradeModule'], owner);
+    ethUsdOracle = await deployContract('OracleMock', [ethToWei(2000)], owner);
+    sushiExchangeAdapter = await getRandomAddress();
+
+    inputs = {
+      chainName: 'hardhat',
+      config: { tokens: { usd, eth: ETH_ADDRESS } },
+      manifest: {
+        modules: ['trade_module'],
+        integrations: { trade_module: ['sushi_v2_exchange_adapter'] },
+      },
+      oracles: {
+        chainlink_oracle: [
+          { name: 'ETH/USD', key: 'eth_usd_oracle', address: ethUsdOracle.address },
+          { name: 'DAI/USD', key: 'dai_usd_oracle', address: ethUsdOracle.address },
+        ],
+        chainlink_serial_oracle: [],
+      },
+      contractAddresses: {
+        controller: { address: controller.address },
+        matrix_valuer: { address: matrixValuer.address },
+        integration_registry: { address: integrationRegistry.address },
+        price_oracle: { address: priceOracle.address },
+        trade_module: { address: tradeModule.address },
+        sushi_v2_exchange_adapter: { address: sushiExchangeAdapter },
+        eth_usd_oracle: { address: ethUsdOracle.address },
+      },
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  const getStatuses = (report) => report.checks.map(({ check, target, status }) => `${check} ${target} ${status}`);
+
+  it('should report drift of a system which is not set up', async function () {
+    const report = await checkSystem(hre, inputs);
+
+    expect(report.ok).is.false;
+    expect(getStatuses(report)).deep.eq([
+      `isInitialized controller ${FAIL}`,
+      `getResource integration_registry ${FAIL}`,
+      `getResource price_oracle ${FAIL}`,
+      `getResource matrix_valuer ${FAIL}`,
+      `isModule trade_module ${FAIL}`,
+      `getIntegrationAdapter trade_module.sushi_v2_exchange_adapter ${FAIL}`,
+      `getPrice eth/usd ${FAIL}`,
+      `getPrice dai/usd ${SKIP}`,
+    ]);
+  });
+
+  it('should pass when the system is wired', async function () {
+    const resources = [integrationRegistry.address, priceOracle.address, matrixValuer.address];
+    await controller.initialize([], [tradeModule.address], resources, [0, 1, 2]);
+    await integrationRegistry.addIntegration(tradeModule.address, 'SUSHI_V2_EXCHANGE_ADAPTER', sushiExchangeAdapter);
+    await priceOracle.addPair(ETH_ADDRESS, usd, ethUsdOracle.address);
+
+    const report = await checkSystem(hre, inputs);
+
+    expect(report.ok).is.true;
+    expect(report.passed).eq(7);
+    expect(report.failed).eq(0);
+    expect(report.skipped).eq(1);
+    expect(report.checks.find((item) => item.check == 'getPrice' && item.status == PASS).actual).eq(ethToWei(2000).toString());
+  });
+
+  it('should report an adapter registered with another address', async function () {
+    const otherAdapter = await getRandomAddress();
+    const contractAddresses = { ...inputs.contractAddresses, sushi_v2_exchange_adapter: { address: otherAdapter } };
+
+    const report = await checkSystem(hre, { ...inputs, contractAddresses });
+
+    expect(report.ok).is.false;
+    expect(report.checks.filter((item) => item.status == FAIL)).deep.eq([
+      {
+        check: 'getIntegrationAdapter',
+        target: 'trade_module.sushi_v2_exchange_adapter',
+        status: FAIL,
+        expected: otherAdapter,
+        actual: sushiExchangeAdapter,
+      },
+    ]);
+  });
+
+  it('should report a module which is not deployed', async function () {
+    const manifest = { ...inputs.manifest, modules: ['trade_module', 'streaming_fee_module'] };
+
+    const report = await checkSystem(hre, { ...inputs, manifest });
+
+    expect(report.failed).eq(1);
+    expect(report.checks.find((item) => item.status == FAIL).message).eq('streaming_fee_module is not deployed');
+  });
+});
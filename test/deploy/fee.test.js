@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { ZERO_ADDRESS } = require('../helpers/constants');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { projectStreamingFee, readStreamingFeeStates, collectStreamingFees } = require('../../deploy/fee');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime, getLastBlockTimestamp } = require('../helpers/evmUtil.js');
+
+describe('deploy fee', function () {
+  const [owner, protocolFeeRecipient] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const ONE_MONTH_IN_SECONDS = 30 * 24 * 3600;
+
+  let inputs;
+  let feeRecipient;
+  let matrixToken;
+  let streamingFeeModule;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, weth, usdc, basicIssuanceModule } = systemFixture;
+    streamingFeeModule = systemFixture.streamingFeeModule;
+
+    matrixToken = await systemFixture.createMatrixToken(
+      [weth.address, usdc.address],
+      [ethToWei(1), 230e6],
+      [basicIssuanceModule.address, streamingFeeModule.address],
+      owner
+    );
+
+    feeRecipient = await getRandomAddress();
+    await streamingFeeModule.initialize(matrixToken.address, {
+      feeRecipient,
+      maxStreamingFeePercentage: ethToWei(0.1),
+      streamingFeePercentage: ethToWei(0.02),
+      lastStreamingFeeTimestamp: 0,
+    });
+    await controller.addFee(streamingFeeModule.address, 0, ethToWei(0.15));
+
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+    await systemFixture.approveAndIssueMatrixToken(matrixToken, ethToWei(10), owner.address);
+
+    const protocolViewer = await deployContract('ProtocolViewer', [], owner);
+
+    inputs = {
+      chainName: 'hardhat',
+      config: { tokens: { weth: weth.address, usdc: usdc.address } },
+      contractAddresses: {
+        streaming_fee_module: { address: streamingFeeModule.address },
+        protocol_viewer: { address: protocolViewer.address },
+        mt_matrix_token: { address: matrixToken.address },
+      },
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  describe('readStreamingFeeStates', function () {
+    it('should read the fee state, positions and valuation', async function () {
+      await increaseBlockTime(ONE_MONTH_IN_SECONDS);
+      const { quoteKey, states } = await readStreamingFeeStates(hre, inputs, [matrixToken.address]);
+      const [state] = states;
+
+      expect(quoteKey).eq('usdc');
+      expect(state.key).eq('mt_matrix_token');
+      expect(state.feeState.streamingFeePercentage).eq(ethToWei(0.02));
+      expect(state.protocolFee).eq(ethToWei(0.15));
+      expect(state.positions.map((item) => item.key)).deep.eq(['weth', 'usdc']);
+      expect(state.valuation).eq(ethToWei(460));
+      expect(state.unaccruedFee).eq(await streamingFeeModule.getFee(matrixToken.address));
+    });
+  });
+
+  describe('projectStreamingFee', function () {
+    it('should equal the fee minted by actualizeFee', async function () {
+      const { weth, usdc } = systemFixture;
+      await increaseBlockTime(ONE_MONTH_IN_SECONDS);
+      const { states } = await readStreamingFeeStates(hre, inputs, [matrixToken.address]);
+
+      await streamingFeeModule.actualizeFee(matrixToken.address);
+      const projection = projectStreamingFee(states[0], await getLastBlockTimestamp());
+
+      expect(projection.fee).gt(0);
+      expect(await matrixToken.totalSupply()).eq(projection.newSupply);
+      expect(await matrixToken.balanceOf(feeRecipient)).eq(projection.managerFeeQuantity);
+      expect(await matrixToken.balanceOf(protocolFeeRecipient.address)).eq(projection.protocolFeeQuantity);
+      expect(await matrixToken.getPositionMultiplier()).eq(projection.newPositionMultiplier);
+      expect(await matrixToken.getDefaultPositionRealUnit(weth.address)).eq(projection.positions[0].postFeeUnit);
+      expect(await matrixToken.getDefaultPositionRealUnit(usdc.address)).eq(projection.positions[1].postFeeUnit);
+    });
+
+    it('should project nothing before the last accrual', async function () {
+      const { states } = await readStreamingFeeStates(hre, inputs, [matrixToken.address]);
+      const projection = projectStreamingFee(states[0], states[0].feeState.lastStreamingFeeTimestamp.toNumber() - 1000);
+
+      expect(projection.feeQuantity).eq(0);
+      expect(projection.positions[0].postFeeUnit).eq(ethToWei(1));
+    });
+  });
+
+  describe('collectStreamingFees', function () {
+    it('should actualize fees worth more than the gas cost', async function () {
+      await increaseBlockTime(ONE_MONTH_IN_SECONDS);
+      const { results } = await collectStreamingFees(hre, inputs, [matrixToken.address], owner, { accrue: true });
+
+      expect(results[0].skipped).is.undefined;
+      expect(results[0].accrued.value).gt(results[0].gasCost);
+      expect(await matrixToken.balanceOf(feeRecipient)).gt(0);
+    });
+
+    it('should skip fees worth less than the gas cost', async function () {
+      await increaseBlockTime(ONE_MONTH_IN_SECONDS);
+      const { results } = await collectStreamingFees(hre, inputs, [matrixToken.address], owner, { accrue: true, feeToGasRatio: ethToWei(1e9) });
+
+      expect(results[0].skipped).is.true;
+      expect(await matrixToken.balanceOf(feeRecipient)).eq(0);
+    });
+
+    it('should only project without accrue', async function () {
+      const { lastStreamingFeeTimestamp } = await streamingFeeModule.getFeeState(matrixToken.address);
+      const timestamp = lastStreamingFeeTimestamp.toNumber() + 365.25 * 24 * 3600;
+      const { results } = await collectStreamingFees(hre, inputs, [matrixToken.address], undefined, { timestamp });
+
+      // 2% of the supply a year
+      expect(results[0].projection.fee).eq(ethToWei(0.02));
+      expect(await matrixToken.balanceOf(feeRecipient)).eq(0);
+    });
+  });
+});
@@ -0,0 +1,327 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const hre = require('hardhat');
+const { expect } = require('chai');
+const { BigNumber } = hre.ethers;
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime, getLastBlockTimestamp } = require('../helpers/evmUtil.js');
+const { UniswapV3Fixture, FEE_MEDIUM } = require('../fixtures/uniswapV3Fixture');
+const { OK, STALE, DEVIATION, WRONG_ORACLE, REVERT, SKIP, UNCHECKED, checkOracleHealth, watchOracleHealth } = require('../../deploy/health');
+
+describe('deploy health', function () {
+  const [owner, feeRecipient] = getSigners();
+
+  let tokens;
+  let ethFeed;
+  let linkEthFeed;
+  let priceOracle;
+  let inputs;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    tokens = { usd: '0x0000000000000000000000000000000000000348' };
+    for (const key of ['eth', 'btc', 'link', 'aeth']) {
+      tokens[key] = await getRandomAddress();
+    }
+
+    ethFeed = await deployContract('ChainlinkAggregatorMock', [8], owner);
+    linkEthFeed = await deployContract('ChainlinkAggregatorMock', [18], owner);
+    const btcFeed = await deployContract('ChainlinkPriceFeedMock', [30000, 8], owner); // no update time
+
+    const ethUsdOracle = await deployContract('ChainlinkOracle', ['ETH/USD', ethFeed.address], owner);
+    const btcUsdOracle = await deployContract('ChainlinkOracle', ['BTC/USD', btcFeed.address], owner);
+    const linkUsdOracle = await deployContract('ChainlinkSerialOracle', ['LINK/ETH/USD', linkEthFeed.address, ethFeed.address], owner);
+
+    const controller = await deployContract('Controller', [feeRecipient.address], owner);
+    priceOracle = await deployContract(
+      'PriceOracle',
+      [
+        controller.address,
+        tokens.usd,
+        [],
+        [tokens.eth, tokens.btc, tokens.link],
+        [tokens.usd, tokens.usd, tokens.usd],
+        [ethUsdOracle.address, btcUsdOracle.address, linkUsdOracle.address],
+      ],
+      owner
+    );
+
+    const adapter = await deployContract('IdenticalTokenOracleAdapter', [priceOracle.address], owner);
+    await adapter.addPair(tokens.aeth, tokens.eth);
+    await priceOracle.addAdapter(adapter.address);
+
+    inputs = {
+      chainName: 'hardhat',
+      config: { tokens },
+      oracles: {
+        chainlink_oracle: [
+          { name: 'ETH/USD', key: 'eth_usd_oracle' },
+          { name: 'BTC/USD', key: 'btc_usd_oracle' },
+          { name: 'DAI/USD', key: 'dai_usd_oracle' },
+        ],
+        chainlink_serial_oracle: [{ name: 'LINK/ETH/USD', key: 'link_usd_oracle', path: ['link', 'eth', 'usd'] }],
+        identical_token_pair: [{ reserve_token: 'aeth', underlying_token: 'eth' }],
+      },
+      contractAddresses: {
+        price_oracle: { address: priceOracle.address },
+        eth_usd_oracle: { address: ethUsdOracle.address },
+        btc_usd_oracle: { address: btcUsdOracle.address },
+        link_usd_oracle: { address: linkUsdOracle.address },
+        identical_token_oracle_adapter: { address: adapter.address },
+      },
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+
+    const now = await getLastBlockTimestamp();
+    await ethFeed.setRoundData(10, 2000e8, now, now, 10);
+    await linkEthFeed.setRoundData(20, ethToWei(0.005), now, now, 20);
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  const getRoute = (report, pair) => report.routes.find((item) => item.pair == pair);
+
+  it('should read the price and the feeds of every route', async function () {
+    const report = await checkOracleHealth(hre, inputs);
+
+    const eth = getRoute(report, 'eth/usd');
+    expect(eth.status).eq(OK);
+    expect(eth.price).eq(ethToWei(2000).toString());
+    expect(eth.feeds.map((item) => item.feed)).deep.eq([ethFeed.address]);
+    expect(eth.age).lte(10);
+
+    const link = getRoute(report, 'link/usd');
+    expect(link.status).eq(OK);
+    expect(link.price).eq(ethToWei(10).toString());
+    expect(link.feeds.length).eq(2);
+
+    const aeth = getRoute(report, 'aeth/eth');
+    expect(aeth.status).eq(OK);
+    expect(aeth.price).eq(ethToWei(1).toString());
+  });
+
+  it('should skip pairs whose tokens are not set', async function () {
+    const report = await checkOracleHealth(hre, inputs);
+    expect(getRoute(report, 'dai/usd').status).eq(SKIP);
+  });
+
+  it('should flag a feed without update time as stale', async function () {
+    const report = await checkOracleHealth(hre, inputs);
+
+    const btc = getRoute(report, 'btc/usd');
+    expect(btc.status).eq(STALE);
+    expect(btc.price).eq(ethToWei(30000).toString());
+    expect(btc.age).is.null;
+    expect(report.ok).is.false;
+  });
+
+  it('should flag feeds which are not updated in max age', async function () {
+    await increaseBlockTime(3600);
+
+    const report = await checkOracleHealth(hre, inputs, { maxAge: 1800 });
+
+    expect(getRoute(report, 'eth/usd').status).eq(STALE);
+    expect(getRoute(report, 'eth/usd').age).gte(3600);
+    expect(getRoute(report, 'link/usd').status).eq(STALE);
+  });
+
+  it('should flag a feed which answers in an old round', async function () {
+    const now = await getLastBlockTimestamp();
+    await ethFeed.setRoundData(11, 2000e8, now, now, 10);
+
+    const report = await checkOracleHealth(hre, inputs);
+    expect(getRoute(report, 'eth/usd').messages.join()).contain('answers in round 10 of round 11');
+  });
+
+  it('should flag prices which deviate from the reference', async function () {
+    const reference = { 'eth/usd': ethToWei(2200).toString(), 'link/usd': ethToWei(10.1).toString() };
+
+    const report = await checkOracleHealth(hre, inputs, { reference, maxDeviation: 0.05 });
+
+    expect(getRoute(report, 'eth/usd').status).eq(DEVIATION);
+    expect(getRoute(report, 'eth/usd').reference_deviation).closeTo(0.0909, 0.0001);
+    expect(getRoute(report, 'link/usd').status).eq(OK);
+  });
+
+  it('should flag prices which jump from the previous run', async function () {
+    const report = await checkOracleHealth(hre, inputs, { previous: { 'eth/usd': ethToWei(1000).toString() } });
+    expect(getRoute(report, 'eth/usd').status).eq(DEVIATION);
+  });
+
+  it('should detect reverting routes', async function () {
+    const now = await getLastBlockTimestamp();
+    await ethFeed.setRoundData(11, -1, now, now, 11);
+
+    const report = await checkOracleHealth(hre, inputs);
+
+    for (const pair of ['eth/usd', 'link/usd', 'aeth/eth']) {
+      expect(getRoute(report, pair).status).eq(pair == 'aeth/eth' ? OK : REVERT);
+    }
+    expect(getRoute(report, 'eth/usd').price).is.undefined;
+    expect(report.revert).eq(2);
+  });
+
+  it('should flag a pair which PriceOracle serves by another oracle', async function () {
+    const otherOracle = await deployContract('ChainlinkOracle', ['ETH/USD', ethFeed.address], owner);
+    await priceOracle.editPair(tokens.eth, tokens.usd, otherOracle.address);
+
+    const report = await checkOracleHealth(hre, inputs);
+    expect(getRoute(report, 'eth/usd').status).eq(WRONG_ORACLE);
+  });
+
+  it('should not count adapters whose pairs are unknown as ok', async function () {
+    const adapter = await getRandomAddress();
+    await priceOracle.addAdapter(adapter);
+
+    // without btc, whose feed has no update time, every other route is ok
+    const report = await checkOracleHealth(hre, { ...inputs, config: { tokens: { ...tokens, btc: undefined } } });
+
+    expect(report.routes.find((item) => item.adapter == adapter).status).eq(UNCHECKED);
+    expect(report.routes.filter((item) => item.adapter != adapter).every((item) => item.status == OK || item.status == SKIP)).is.true;
+    expect(report.unchecked).eq(1);
+    expect(report.ok).is.false;
+  });
+
+  it('should write json lines in watch mode', async function () {
+    const lines = [];
+    await watchOracleHealth(hre, inputs, { runs: 2, interval: 0, writeLine: (line) => lines.push(JSON.parse(line)) });
+
+    const summaries = lines.filter((item) => item.event == 'summary');
+    expect(summaries.length).eq(2);
+    expect(summaries[0].ok).is.false;
+    expect(lines.filter((item) => item.event == 'route' && item.pair == 'eth/usd').map((item) => item.previous_deviation)).deep.eq([undefined, 0]);
+  });
+
+  it('should write a summary of a run which fails in watch mode', async function () {
+    const lines = [];
+    const brokenInputs = { ...inputs, contractAddresses: {} };
+    await watchOracleHealth(hre, brokenInputs, { runs: 2, interval: 0, writeLine: (line) => lines.push(JSON.parse(line)) });
+
+    expect(lines.length).eq(2);
+    expect(lines.every((item) => item.event == 'summary' && item.ok === false)).is.true;
+    expect(lines[0].error).contain('must set price_oracle');
+  });
+
+  describe('chainlink feed registry adapters', function () {
+    let registryInputs;
+
+    beforeEach(async function () {
+      const registry = await deployContract('ChainlinkFeedRegistryMock', [], owner);
+      await registry.setFeed(tokens.eth, tokens.usd, ethFeed.address);
+      await registry.setFeed(tokens.link, tokens.eth, linkEthFeed.address);
+
+      const adapter = await deployContract('ChainlinkOracleAdapter', [registry.address], owner);
+      const serialAdapter = await deployContract('ChainlinkSerialOracleAdapter', [registry.address, tokens.eth], owner);
+      await priceOracle.addAdapter(adapter.address);
+      await priceOracle.addAdapter(serialAdapter.address);
+
+      registryInputs = {
+        ...inputs,
+        oracles: {
+          ...inputs.oracles,
+          chainlink_registry_pair: ['link/eth'],
+          chainlink_serial_registry_pair: ['link/usd'],
+        },
+        contractAddresses: {
+          ...inputs.contractAddresses,
+          chainlink_oracle_adapter: { address: adapter.address },
+          chainlink_serial_oracle_adapter: { address: serialAdapter.address },
+        },
+      };
+    });
+
+    const getAdapterRoute = (report, key) => report.routes.find((item) => item.key == key);
+
+    it('should check the pairs of oracles.json by the feeds of the registry', async function () {
+      const report = await checkOracleHealth(hre, registryInputs);
+
+      const linkEth = getAdapterRoute(report, 'chainlink_oracle_adapter');
+      expect(linkEth.pair).eq('link/eth');
+      expect(linkEth.status).eq(OK);
+      expect(linkEth.price).eq(ethToWei(0.005).toString());
+      expect(linkEth.feeds.map((item) => item.feed)).deep.eq([linkEthFeed.address]);
+
+      const linkUsd = getAdapterRoute(report, 'chainlink_serial_oracle_adapter');
+      expect(linkUsd.pair).eq('link/usd');
+      expect(linkUsd.status).eq(OK);
+      expect(linkUsd.price).eq(ethToWei(10).toString());
+      expect(linkUsd.feeds.map((item) => item.feed)).deep.eq([linkEthFeed.address, ethFeed.address]);
+    });
+
+    it('should flag stale feeds of the registry', async function () {
+      await increaseBlockTime(3600);
+
+      const report = await checkOracleHealth(hre, registryInputs, { maxAge: 1800 });
+
+      expect(getAdapterRoute(report, 'chainlink_oracle_adapter').status).eq(STALE);
+      expect(getAdapterRoute(report, 'chainlink_serial_oracle_adapter').status).eq(STALE);
+    });
+
+    it('should not count the adapters without pairs in oracles.json as ok', async function () {
+      const report = await checkOracleHealth(hre, { ...registryInputs, oracles: inputs.oracles });
+
+      expect(getAdapterRoute(report, 'chainlink_oracle_adapter').status).eq(UNCHECKED);
+      expect(getAdapterRoute(report, 'chainlink_serial_oracle_adapter').status).eq(UNCHECKED);
+      expect(report.ok).is.false;
+    });
+  });
+
+  describe('uniswap v3 twap adapter', function () {
+    const twapPeriod = 60;
+
+    let weth;
+    let dai;
+    let twapInputs;
+
+    beforeEach(async function () {
+      weth = await deployContract('Erc20Mock', ['Wrapped Ether', 'WETH', 18], owner);
+      dai = await deployContract('Erc20Mock', ['Dai Stablecoin', 'DAI', 18], owner);
+      const wbtc = await deployContract('Erc20Mock', ['Wrapped BTC', 'WBTC', 8], owner);
+      await weth.mint(owner.address, ethToWei(100));
+      await dai.mint(owner.address, ethToWei(300000));
+
+      const uniswapV3Fixture = new UniswapV3Fixture(owner);
+      await uniswapV3Fixture.init(weth, wbtc, dai, 2000);
+      await uniswapV3Fixture.addLiquidityWide(weth, dai, FEE_MEDIUM, ethToWei(100), ethToWei(200000));
+
+      const adapter = await deployContract('UniswapV3TwapOracleAdapter', [priceOracle.address, uniswapV3Fixture.factory.address], owner);
+      await adapter.addAsset(dai.address, uniswapV3Fixture.wethDaiPool.address, twapPeriod, 0);
+      await priceOracle.addAdapter(adapter.address);
+      await increaseBlockTime(twapPeriod);
+
+      twapInputs = {
+        ...inputs,
+        config: { tokens: { ...tokens, weth: weth.address } },
+        contractAddresses: { ...inputs.contractAddresses, uniswap_v3_twap_oracle_adapter: { address: adapter.address } },
+      };
+    });
+
+    it('should check the assets of the adapter', async function () {
+      const report = await checkOracleHealth(hre, twapInputs);
+
+      const route = report.routes.find((item) => item.key == 'uniswap_v3_twap_oracle_adapter');
+      expect(route.pair).eq(`${dai.address}/weth`);
+      expect(route.status).eq(OK);
+      expect(BigNumber.from(route.price).sub(ethToWei(0.0005)).abs()).lte(ethToWei(0.0005).div(5000));
+    });
+  });
+});
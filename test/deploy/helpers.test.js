@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { getSigners } = require('../helpers/accountUtil');
+const { deployContract, deployContractAndLinkLibraries } = require('../helpers/deploy');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { getDeploymentRecord, toJsonValue } = require('../../deploy/helpers');
+
+describe('deploy helpers', function () {
+  const [owner, feeRecipient] = getSigners();
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('toJsonValue', function () {
+    it('should convert nested BigNumbers to strings', async function () {
+      expect(toJsonValue([[ethToWei(1)], 'MT', 18])).deep.eq([['1000000000000000000'], 'MT', 18]);
+    });
+  });
+
+  describe('getDeploymentRecord', function () {
+    it('should record constructor arguments and compiler metadata', async function () {
+      const args = [feeRecipient.address];
+      const controller = await deployContract('Controller', args, owner);
+      const record = await getDeploymentRecord('Controller', controller, args);
+
+      expect(record.name).eq('Controller');
+      expect(record.contract).eq('contracts/protocol/Controller.sol:Controller');
+      expect(record.args).deep.eq(args);
+      expect(record.encoded_args).eq(ethers.utils.defaultAbiCoder.encode(['address'], args));
+      expect(record.libraries).deep.eq({});
+      expect(record.compiler.version).contain('0.8.23');
+      expect(record.compiler.optimizer).deep.eq({ enabled: true, runs: 250 });
+      expect(record.bytecode_hash).eq(ethers.utils.keccak256(await ethers.provider.getCode(controller.address)));
+    });
+
+    it('should record linked libraries', async function () {
+      const aaveV2 = await deployContract('AaveV2', [], owner);
+      const libraries = { AaveV2: aaveV2.address };
+      const aaveV2Mock = await deployContractAndLinkLibraries('AaveV2Mock', [], libraries, owner);
+
+      const record = await getDeploymentRecord('AaveV2Mock', aaveV2Mock, [], libraries);
+      expect(record.libraries).deep.eq(libraries);
+      expect(record.args).deep.eq([]);
+      expect(record.encoded_args).eq('0x');
+    });
+  });
+});
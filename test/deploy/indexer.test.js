@@ -0,0 +1,210 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { getSigners } = require('../helpers/accountUtil');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { ZERO_ADDRESS, MAX_UINT_256 } = require('../helpers/constants');
+const { openIndexDatabase, syncIndexer } = require('../../deploy/indexer');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime } = require('../helpers/evmUtil.js');
+
+describe('deploy indexer', function () {
+  const [owner, feeRecipient, recipient] = getSigners();
+  const systemFixture = new SystemFixture(owner, feeRecipient);
+
+  let db;
+  let filename;
+  let inputs;
+  let matrixToken;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    const block = (await hre.ethers.provider.getBlockNumber()) + 1;
+    await systemFixture.initAll();
+    const { controller, factory, basicIssuanceModule, streamingFeeModule, navIssuanceModule } = systemFixture;
+
+    inputs = {
+      chainName: 'hardhat',
+      config: {},
+      contractAddresses: {
+        controller: { address: controller.address, block },
+        matrix_token_factory: { address: factory.address, block },
+        basic_issuance_module: { address: basicIssuanceModule.address, block },
+        streaming_fee_module: { address: streamingFeeModule.address, block },
+        nav_issuance_module: { address: navIssuanceModule.address, block },
+      },
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+
+    filename = path.join(os.tmpdir(), `indexer-${Date.now()}`, 'hardhat.sqlite');
+    db = openIndexDatabase(filename);
+
+    const { weth, basicIssuanceModule, streamingFeeModule, navIssuanceModule } = systemFixture;
+    matrixToken = await systemFixture.createMatrixToken(
+      [weth.address],
+      [ethToWei(0.01)],
+      [basicIssuanceModule.address, streamingFeeModule.address, navIssuanceModule.address],
+      owner,
+      'Indexed',
+      'IDX'
+    );
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+    await streamingFeeModule.initialize(matrixToken.address, {
+      feeRecipient: feeRecipient.address,
+      maxStreamingFeePercentage: ethToWei(0.1),
+      streamingFeePercentage: ethToWei(0.02),
+      lastStreamingFeeTimestamp: 0,
+    });
+    await navIssuanceModule.initialize(matrixToken.address, {
+      managerIssuanceHook: ZERO_ADDRESS,
+      managerRedemptionHook: ZERO_ADDRESS,
+      reserveAssets: [weth.address],
+      feeRecipient: feeRecipient.address,
+      managerFees: [0, 0],
+      maxManagerFee: ethToWei(0.02),
+      premiumPercentage: 0,
+      maxPremiumPercentage: ethToWei(0.1),
+      minMatrixTokenSupply: ethToWei(1),
+    });
+    await weth.approve(basicIssuanceModule.address, MAX_UINT_256);
+    await weth.approve(navIssuanceModule.address, MAX_UINT_256);
+  });
+
+  afterEach(async function () {
+    db.close();
+    fs.rmSync(path.dirname(filename), { recursive: true, force: true });
+
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  const select = (sql, ...params) => db.prepare(sql).all(...params);
+
+  it('should backfill MatrixTokens, modules, positions, issuances and fees', async function () {
+    const { weth, basicIssuanceModule, streamingFeeModule, navIssuanceModule } = systemFixture;
+    await basicIssuanceModule.issue(matrixToken.address, ethToWei(10), recipient.address);
+    await navIssuanceModule.issue(matrixToken.address, weth.address, ethToWei(0.1), 0, recipient.address);
+    await increaseBlockTime(3600);
+    await streamingFeeModule.actualizeFee(matrixToken.address);
+
+    const { fromBlock, toBlock, events, reorg } = await syncIndexer(hre, inputs, db, { batchSize: 5 });
+
+    expect(fromBlock).eq(inputs.contractAddresses.controller.block);
+    expect(toBlock).eq(await hre.ethers.provider.getBlockNumber());
+    expect(events).gt(0);
+    expect(reorg).is.undefined;
+
+    expect(select('SELECT address, factory, manager, symbol, components FROM matrix_tokens')).deep.eq([
+      {
+        address: matrixToken.address,
+        factory: systemFixture.factory.address,
+        manager: owner.address,
+        symbol: 'IDX',
+        components: JSON.stringify([weth.address]),
+      },
+    ]);
+    expect(select('SELECT module, action FROM token_modules ORDER BY block_number, log_index')).deep.eq([
+      { module: basicIssuanceModule.address, action: 'initialize' },
+      { module: streamingFeeModule.address, action: 'initialize' },
+      { module: navIssuanceModule.address, action: 'initialize' },
+    ]);
+
+    const issuances = select('SELECT module, account, recipient, action, quantity, reserve_asset, reserve_quantity FROM issuances ORDER BY block_number');
+    expect(issuances.length).eq(2);
+    expect(issuances[0]).deep.eq({
+      module: basicIssuanceModule.address,
+      account: owner.address,
+      recipient: recipient.address,
+      action: 'issue',
+      quantity: ethToWei(10).toString(),
+      reserve_asset: null,
+      reserve_quantity: null,
+    });
+    expect(issuances[1].module).eq(navIssuanceModule.address);
+    expect(issuances[1].reserve_asset).eq(weth.address);
+    expect(issuances[1].reserve_quantity).eq(ethToWei(0.1).toString());
+    expect(issuances[1].quantity).eq(
+      (await matrixToken.totalSupply())
+        .sub(ethToWei(10))
+        .sub(await matrixToken.balanceOf(feeRecipient.address))
+        .toString()
+    );
+
+    const [fee] = select('SELECT manager_recipient, manager_fee FROM fees');
+    expect(fee.manager_recipient).eq(feeRecipient.address);
+    expect(fee.manager_fee).eq((await matrixToken.balanceOf(feeRecipient.address)).toString());
+
+    const multipliers = select('SELECT multiplier FROM position_multipliers ORDER BY block_number');
+    expect(multipliers[multipliers.length - 1].multiplier).eq((await matrixToken.getPositionMultiplier()).toString());
+
+    const positions = select('SELECT component, position_module, unit FROM positions');
+    expect(positions.length).eq(1);
+    expect(positions[0].component).eq(weth.address);
+    expect(positions[0].position_module).eq(ZERO_ADDRESS);
+  });
+
+  it('should continue from the last indexed block', async function () {
+    await syncIndexer(hre, inputs, db);
+    await systemFixture.basicIssuanceModule.issue(matrixToken.address, ethToWei(1), owner.address);
+
+    const { fromBlock, toBlock } = await syncIndexer(hre, inputs, db);
+
+    expect(fromBlock).eq(toBlock);
+    expect(select('SELECT source, name FROM events WHERE block_number = ? ORDER BY log_index', toBlock)).deep.eq([
+      { source: 'matrix_token', name: 'Transfer' },
+      { source: 'module', name: 'IssueMatrixToken' },
+    ]);
+    expect(select('SELECT quantity FROM issuances')).deep.eq([{ quantity: ethToWei(1).toString() }]);
+  });
+
+  it('should roll back the blocks of a reorg', async function () {
+    const { basicIssuanceModule } = systemFixture;
+    const forkId = await snapshotBlockchain();
+    await basicIssuanceModule.issue(matrixToken.address, ethToWei(1), owner.address);
+    await basicIssuanceModule.issue(matrixToken.address, ethToWei(2), owner.address);
+    await syncIndexer(hre, inputs, db);
+
+    // another chain from the same parent, longer than the first one
+    await revertBlockchain(forkId);
+    await basicIssuanceModule.issue(matrixToken.address, ethToWei(3), owner.address);
+    await increaseBlockTime(10);
+    await increaseBlockTime(10);
+
+    const head = await hre.ethers.provider.getBlockNumber();
+    const { reorg, toBlock } = await syncIndexer(hre, inputs, db);
+
+    expect(reorg.from).eq(head - 1);
+    expect(reorg.to).lte(head - 3);
+    expect(toBlock).eq(head);
+    expect(select('SELECT quantity FROM issuances')).deep.eq([{ quantity: ethToWei(3).toString() }]);
+
+    const block = await hre.ethers.provider.getBlock(head);
+    expect(select('SELECT hash FROM blocks WHERE number = ?', head)).deep.eq([{ hash: block.hash }]);
+  });
+
+  it('should index only confirmed blocks', async function () {
+    await systemFixture.basicIssuanceModule.issue(matrixToken.address, ethToWei(1), owner.address);
+    const { toBlock } = await syncIndexer(hre, inputs, db, { confirmations: 1 });
+
+    expect(toBlock).eq((await hre.ethers.provider.getBlockNumber()) - 1);
+    expect(select('SELECT * FROM issuances')).deep.eq([]);
+  });
+});
@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { UniswapFixture } = require('../fixtures/uniswapFixture');
+const { applyProductSpec } = require('../../deploy/spec');
+const { planRebalance } = require('../../deploy/rebalance');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { ZERO_ADDRESS, MAX_UINT_256 } = require('../helpers/constants');
+const { DONE, WAIT, readJournal, runKeeper } = require('../../deploy/keeper');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime } = require('../helpers/evmUtil.js');
+
+async function getErrorMessage(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e.message;
+  }
+
+  return '';
+}
+
+describe('deploy keeper', function () {
+  const [owner, feeRecipient, trader] = getSigners();
+  const systemFixture = new SystemFixture(owner, feeRecipient);
+  const uniswapFixture = new UniswapFixture(owner);
+
+  // 0.01 weth and 2.3 dai to 25% weth, 25% dai and 50% wbtc, wbtc is bought in 3 trades 600 seconds apart
+  const rebalance = {
+    weights: { weth: '25%', dai: '25%', wbtc: '50%' },
+    trade_maximums: { dai: '100', wbtc: '0.001' },
+    cool_off_periods: { dai: 600, wbtc: 600 },
+    exchanges: { dai: 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER', wbtc: 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER' },
+  };
+
+  const keeperOptions = { interval: 600, runs: 10, sleep: (ms) => increaseBlockTime(ms / 1000) };
+
+  let inputs;
+  let matrixToken;
+  let generalIndexModule;
+  let journal;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, weth, wbtc, dai, basicIssuanceModule, integrationRegistry } = systemFixture;
+
+    // pools at the prices of the oracles: 230 usd/eth and 9000 usd/btc
+    await uniswapFixture.init(weth.address, wbtc.address, dai.address);
+    const { router } = uniswapFixture;
+    await weth.approve(router.address, MAX_UINT_256);
+    await dai.approve(router.address, MAX_UINT_256);
+    await wbtc.approve(router.address, MAX_UINT_256);
+    await router.addLiquidity(weth.address, dai.address, ethToWei(1000), ethToWei(230000), 0, 0, owner.address, MAX_UINT_256);
+    await router.addLiquidity(weth.address, wbtc.address, ethToWei(900), 23e8, 0, 0, owner.address, MAX_UINT_256);
+
+    generalIndexModule = await deployContract('GeneralIndexModule', [controller.address, weth.address, 'GeneralIndexModule'], owner);
+    const adapter = await deployContract('UniswapV2IndexExchangeAdapter', [router.address], owner);
+    await controller.addModule(generalIndexModule.address);
+    await integrationRegistry.addIntegration(generalIndexModule.address, 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER', adapter.address);
+
+    matrixToken = await systemFixture.createMatrixToken(
+      [weth.address, dai.address],
+      [ethToWei(0.01), ethToWei(2.3)],
+      [basicIssuanceModule.address, generalIndexModule.address],
+      owner
+    );
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+    await generalIndexModule.initialize(matrixToken.address);
+    await systemFixture.approveAndIssueMatrixToken(matrixToken, ethToWei(10), owner.address);
+    await generalIndexModule.setTraderStatus(matrixToken.address, [trader.address], [true]);
+
+    inputs = {
+      chainName: 'hardhat',
+      config: { tokens: { weth: weth.address, dai: dai.address, wbtc: wbtc.address } },
+      contractAddresses: { general_index_module: { address: generalIndexModule.address } },
+    };
+
+    await applyProductSpec(owner, await planRebalance(hre, inputs, matrixToken.address, { rebalance }));
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+    journal = path.join(os.tmpdir(), `keeper-${Date.now()}.jsonl`);
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+
+    if (fs.existsSync(journal)) {
+      fs.unlinkSync(journal);
+    }
+  });
+
+  const getEvents = (name) => readJournal(journal).filter((item) => item.event == name);
+
+  it('should trade the rebalance to its targets', async function () {
+    const result = await runKeeper(hre, inputs, matrixToken.address, trader, { ...keeperOptions, journal });
+
+    expect(result).eq(DONE);
+    expect(await matrixToken.getDefaultPositionRealUnit(systemFixture.dai.address)).eq(ethToWei(1.15));
+    expect(await matrixToken.getDefaultPositionRealUnit(systemFixture.wbtc.address)).eq(25555);
+
+    const tasks = getEvents('ok').map((item) => item.task);
+    expect(tasks.length).eq(4);
+    expect(tasks[0]).contain('sell 11.5 dai');
+    expect(tasks[1]).contain('buy 0.001 wbtc');
+    expect(tasks[2]).contain('buy 0.001 wbtc');
+    expect(tasks[3]).contain('buy 0.0005555 wbtc');
+    expect(getEvents('skip')).deep.eq([]);
+    expect(getEvents('done').length).eq(1);
+  });
+
+  it('should honour the cool-off periods', async function () {
+    const result = await runKeeper(hre, inputs, matrixToken.address, trader, { ...keeperOptions, journal, interval: 300, runs: 2 });
+
+    expect(result).eq(WAIT);
+    expect(getEvents('ok').length).eq(2);
+    expect(getEvents('tick')[1].ready).deep.eq([]);
+  });
+
+  it('should skip trades beyond the slippage guard', async function () {
+    const result = await runKeeper(hre, inputs, matrixToken.address, trader, { ...keeperOptions, journal, runs: 1, maxSlippage: '0.1%' });
+
+    expect(result).eq(WAIT);
+    expect(getEvents('send')).deep.eq([]);
+    expect(getEvents('skip').length).eq(2);
+    expect(await matrixToken.getDefaultPositionRealUnit(systemFixture.dai.address)).eq(ethToWei(2.3));
+  });
+
+  it('should wait while the gas price is above the cap', async function () {
+    await runKeeper(hre, inputs, matrixToken.address, trader, { ...keeperOptions, journal, runs: 1, maxGasPrice: 0.000001 });
+
+    const skips = getEvents('skip');
+    expect(skips.length).eq(2);
+    expect(skips[0].reason).contain('is above 0.000001 gwei');
+  });
+
+  it('should skip trades which need more gas than the cap', async function () {
+    await runKeeper(hre, inputs, matrixToken.address, trader, { ...keeperOptions, journal, runs: 1, maxGas: 21000 });
+
+    expect(getEvents('skip')[0].reason).contain('is above 21000');
+  });
+
+  it('should reject a trader which is not allowed', async function () {
+    const message = await getErrorMessage(runKeeper(hre, inputs, matrixToken.address, owner, { ...keeperOptions, journal }));
+    expect(message).contain('is not an allowed trader');
+  });
+
+  it('should recover transactions which were pending when the keeper stopped', async function () {
+    await trader.sendTransaction({ to: trader.address, value: 0 });
+    const nonce = await trader.getTransactionCount();
+    const lines = [
+      { event: 'start', matrix_token: matrixToken.address },
+      { event: 'send', task: 'used', nonce: nonce - 1 },
+      { event: 'send', task: 'dropped', nonce: nonce + 5 },
+    ];
+    fs.writeFileSync(journal, lines.map((item) => `${JSON.stringify(item)}\n`).join(''));
+
+    await runKeeper(hre, inputs, matrixToken.address, trader, { ...keeperOptions, journal });
+
+    const recovered = getEvents('recover').map(({ task, nonce_used: used }) => [task, used]);
+    expect(recovered).deep.eq([
+      ['used', true],
+      ['dropped', false],
+    ]);
+    expect(getEvents('done').length).eq(1);
+  });
+
+  it('should reject the journal of another MatrixToken', async function () {
+    fs.writeFileSync(journal, `${JSON.stringify({ event: 'start', matrix_token: await getRandomAddress() })}\n`);
+
+    const message = await getErrorMessage(runKeeper(hre, inputs, matrixToken.address, trader, { ...keeperOptions, journal }));
+    expect(message).contain('the keeper journal belongs to MatrixToken');
+  });
+});
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { loadManifest, validateManifest, sortContracts, resolveContract } = require('../../deploy/manifest');
+
+describe('deploy manifest', function () {
+  const controller = '0x9699da1E91b0673fA4BD10750DADC822E17A1C73';
+  const weth = '0xd0A1E359811322d97991E03f863a0C30C2cF029C';
+
+  describe('sortContracts', function () {
+    it('should put dependencies before the contracts which use them', async function () {
+      const contracts = [
+        { key: 'trade_module', name: 'TradeModule', args: ['deployed:controller', '$name'] },
+        { key: 'adapter', name: 'Adapter', args: ['deployed:price_oracle'] },
+        { key: 'price_oracle', name: 'PriceOracle', args: ['deployed:controller'] },
+        { key: 'controller', name: 'Controller', args: ['config:fee_recipient'] },
+      ];
+
+      const result = sortContracts(contracts).map((contract) => contract.key);
+      expect(result).deep.eq(['controller', 'trade_module', 'price_oracle', 'adapter']);
+    });
+
+    it('should order library links as dependencies', async function () {
+      const contracts = [
+        { key: 'aave_leverage_module', name: 'AaveLeverageModule', libraries: { AaveV2: 'deployed:aave_v2' } },
+        { key: 'aave_v2', name: 'AaveV2' },
+      ];
+
+      const result = sortContracts(contracts).map((contract) => contract.key);
+      expect(result).deep.eq(['aave_v2', 'aave_leverage_module']);
+    });
+
+    it('should accept references to contracts which are already deployed', async function () {
+      const contracts = [{ key: 'matrix_valuer', name: 'MatrixValuer', args: ['deployed:controller'] }];
+      const result = sortContracts(contracts, { controller: { address: controller } });
+      expect(result.length).eq(1);
+    });
+
+    it('should revert when a dependency is neither in manifest nor deployed', async function () {
+      const contracts = [{ key: 'matrix_valuer', name: 'MatrixValuer', args: ['deployed:controller'] }];
+      expect(() => sortContracts(contracts)).throw('neither in manifest nor deployed');
+    });
+
+    it('should revert when there is a circular dependency', async function () {
+      const contracts = [
+        { key: 'a', name: 'A', args: ['deployed:b'] },
+        { key: 'b', name: 'B', args: ['deployed:a'] },
+      ];
+
+      expect(() => sortContracts(contracts)).throw('circular dependency');
+    });
+  });
+
+  describe('resolveContract', function () {
+    const context = {
+      config: { fee_recipient: controller, tokens: { usd: '0x0000000000000000000000000000000000000348' } },
+      configFile: 'kovan.json',
+      contractAddresses: { controller: { address: controller }, aave_v2: { address: weth } },
+      deployedFile: 'deployed/kovan.json',
+      getWeth: () => weth,
+    };
+
+    it('should resolve all argument sources', async function () {
+      const contract = {
+        key: 'test_matrix_token',
+        name: 'MatrixToken',
+        args: [['$weth'], ['1000000000000000000'], 'deployed:controller', 'config:tokens.usd', '$name', []],
+        libraries: { AaveV2: 'deployed:aave_v2' },
+      };
+
+      const { args, libraries } = resolveContract(contract, context);
+      expect(args).deep.eq([[weth], ['1000000000000000000'], controller, '0x0000000000000000000000000000000000000348', 'MatrixToken', []]);
+      expect(libraries).deep.eq({ AaveV2: weth });
+    });
+
+    it('should revert when a config value is not set', async function () {
+      const contract = { key: 'controller', name: 'Controller', args: ['config:kyber_v1_router'] };
+      expect(() => resolveContract(contract, context)).throw('must set kyber_v1_router in file kovan.json');
+    });
+  });
+
+  describe('validateManifest', function () {
+    it('should revert when a module is not in contracts', async function () {
+      const manifest = { contracts: [{ key: 'controller', name: 'Controller' }], modules: ['trade_module'] };
+      expect(() => validateManifest(manifest)).throw('module trade_module is not in contracts');
+    });
+
+    it('should revert when a key is duplicated', async function () {
+      const manifest = {
+        contracts: [
+          { key: 'controller', name: 'Controller' },
+          { key: 'controller', name: 'Controller' },
+        ],
+      };
+
+      expect(() => validateManifest(manifest)).throw('duplicate contract key controller');
+    });
+
+    ['xdcdev', 'mumbai', 'kovan', 'polygon', 'mainnet'].forEach((chainName) => {
+      it(`should load and sort the manifest of ${chainName}`, async function () {
+        const manifest = loadManifest(chainName);
+        expect(sortContracts(manifest.contracts).length).eq(manifest.contracts.length);
+      });
+    });
+  });
+});
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { getSigners } = require('../helpers/accountUtil');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { ZERO_ADDRESS, MAX_UINT_256 } = require('../helpers/constants');
+const { ethToWei, btcToWei, usdToWei } = require('../helpers/unitUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { quoteIssue, quoteRedeem, getMinReceiveQuantity, readNavSnapshot } = require('../../deploy/nav');
+
+describe('deploy nav', function () {
+  const [owner, protocolFeeRecipient, feeRecipient] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+
+  let inputs;
+  let matrixToken;
+  let navIssuanceModule;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, weth, usdc, wbtc, dai, basicIssuanceModule } = systemFixture;
+    navIssuanceModule = systemFixture.navIssuanceModule;
+
+    // 2000 usd of each MatrixToken: 230 usd of weth, 270 usdc, 900 usd of wbtc and 600 dai
+    matrixToken = await systemFixture.createMatrixToken(
+      [weth.address, usdc.address, wbtc.address, dai.address],
+      [ethToWei(1), usdToWei(270), btcToWei(0.1), ethToWei(600)],
+      [basicIssuanceModule.address, navIssuanceModule.address],
+      owner
+    );
+
+    await navIssuanceModule.initialize(matrixToken.address, {
+      managerIssuanceHook: ZERO_ADDRESS,
+      managerRedemptionHook: ZERO_ADDRESS,
+      reserveAssets: [usdc.address, weth.address],
+      feeRecipient: feeRecipient.address,
+      managerFees: [ethToWei(0.001), ethToWei(0.002)],
+      maxManagerFee: ethToWei(0.02),
+      premiumPercentage: ethToWei(0.01),
+      maxPremiumPercentage: ethToWei(0.1),
+      minMatrixTokenSupply: ethToWei(1),
+    });
+
+    await controller.addFee(navIssuanceModule.address, 0, ethToWei(0.3)); // issue manager revenue share
+    await controller.addFee(navIssuanceModule.address, 1, ethToWei(0.2)); // redeem manager revenue share
+    await controller.addFee(navIssuanceModule.address, 2, ethToWei(0.02)); // issue direct fee
+    await controller.addFee(navIssuanceModule.address, 3, ethToWei(0.03)); // redeem direct fee
+
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+    await systemFixture.approveAndIssueMatrixToken(matrixToken, ethToWei(10), owner.address);
+    await usdc.approve(navIssuanceModule.address, MAX_UINT_256);
+    await weth.approve(navIssuanceModule.address, MAX_UINT_256);
+
+    inputs = {
+      chainName: 'hardhat',
+      config: { tokens: { weth: weth.address, usdc: usdc.address } },
+      contractAddresses: { nav_issuance_module: { address: navIssuanceModule.address } },
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  describe('readNavSnapshot', function () {
+    it('should read the settings, fees and reserves', async function () {
+      const { usdc, weth } = systemFixture;
+      const snapshot = await readNavSnapshot(hre, inputs, matrixToken.address);
+      const toStrings = (items) => items.map((item) => item.toString());
+
+      expect(snapshot.totalSupply).eq(ethToWei(10));
+      expect(snapshot.premiumPercentage).eq(ethToWei(0.01));
+      expect(toStrings(snapshot.managerFees)).deep.eq([ethToWei(0.001).toString(), ethToWei(0.002).toString()]);
+      expect(toStrings(snapshot.protocolFees)).deep.eq(toStrings([ethToWei(0.3), ethToWei(0.2), ethToWei(0.02), ethToWei(0.03)]));
+      expect(Object.keys(snapshot.reserves)).deep.eq([usdc.address, weth.address]);
+      expect(snapshot.reserves[usdc.address].decimals).eq(6);
+      expect(snapshot.reserves[usdc.address].unit).eq(usdToWei(270));
+      expect(snapshot.reserves[usdc.address].valuation).eq(ethToWei(2000));
+    });
+  });
+
+  describe('quoteIssue', function () {
+    it('should equal getExpectedMatrixTokenIssueQuantity', async function () {
+      const { usdc, weth } = systemFixture;
+      const snapshot = await readNavSnapshot(hre, inputs, matrixToken.address);
+
+      for (const [reserveAsset, quantity] of [
+        [usdc.address, usdToWei(1)],
+        [usdc.address, usdToWei(12345.678901)],
+        [weth.address, ethToWei(0.123456789)],
+        [weth.address, ethToWei(50)],
+      ]) {
+        const quote = quoteIssue(snapshot, reserveAsset, quantity);
+        expect(quote.matrixTokenQuantity).eq(await navIssuanceModule.getExpectedMatrixTokenIssueQuantity(matrixToken.address, reserveAsset, quantity));
+        expect(quote.errors).deep.eq([]);
+      }
+    });
+
+    it('should quote the fees and the new positions of issue', async function () {
+      const { usdc } = systemFixture;
+      const quantity = usdToWei(1000);
+      const quote = quoteIssue(await readNavSnapshot(hre, inputs, matrixToken.address), usdc.address, quantity);
+
+      // protocol fees: 2% direct and 30% of the 0.1% manager fee
+      expect(quote.protocolFees).eq(usdToWei(20.3));
+      expect(quote.managerFee).eq(usdToWei(0.7));
+      expect(quote.netFlowQuantity).eq(usdToWei(979));
+
+      const balanceBefore = await matrixToken.balanceOf(owner.address);
+      await navIssuanceModule.issue(matrixToken.address, usdc.address, quantity, getMinReceiveQuantity(quote.matrixTokenQuantity, 0), owner.address);
+
+      expect((await matrixToken.balanceOf(owner.address)).sub(balanceBefore)).eq(quote.matrixTokenQuantity);
+      expect(await matrixToken.totalSupply()).eq(quote.newSupply);
+      expect(await matrixToken.getPositionMultiplier()).eq(quote.newPositionMultiplier);
+      expect(await matrixToken.getDefaultPositionRealUnit(usdc.address)).eq(quote.newReservePositionUnit);
+    });
+
+    it('should report issues below the minimum supply', async function () {
+      const snapshot = await readNavSnapshot(hre, inputs, matrixToken.address);
+      const quote = quoteIssue({ ...snapshot, minMatrixTokenSupply: ethToWei(100) }, systemFixture.usdc.address, usdToWei(100));
+
+      expect(quote.errors).deep.eq(['supply 10 is below the minimum 100']);
+    });
+  });
+
+  describe('quoteRedeem', function () {
+    it('should equal getExpectedReserveRedeemQuantity', async function () {
+      const { usdc, weth } = systemFixture;
+      const snapshot = await readNavSnapshot(hre, inputs, matrixToken.address);
+
+      for (const [reserveAsset, quantity] of [
+        [usdc.address, ethToWei(0.000001)],
+        [usdc.address, ethToWei(1.23456789)],
+        [weth.address, ethToWei(1)],
+      ]) {
+        const quote = quoteRedeem(snapshot, reserveAsset, quantity);
+        expect(quote.netFlowQuantity).eq(await navIssuanceModule.getExpectedReserveRedeemQuantity(matrixToken.address, reserveAsset, quantity));
+      }
+    });
+
+    it('should quote the fees and the new positions of redeem', async function () {
+      const { usdc } = systemFixture;
+      const quantity = ethToWei(1);
+      const quote = quoteRedeem(await readNavSnapshot(hre, inputs, matrixToken.address), usdc.address, quantity);
+
+      // 2000 usdc less the 1% premium
+      expect(quote.preFeeReserveQuantity).eq(usdToWei(1980));
+      expect(quote.errors).deep.eq([]);
+
+      const balanceBefore = await usdc.balanceOf(owner.address);
+      await navIssuanceModule.redeem(matrixToken.address, usdc.address, quantity, getMinReceiveQuantity(quote.netFlowQuantity, ethToWei(0.005)), owner.address);
+
+      expect((await usdc.balanceOf(owner.address)).sub(balanceBefore)).eq(quote.netFlowQuantity);
+      expect(await matrixToken.totalSupply()).eq(quote.newSupply);
+      expect(await matrixToken.getPositionMultiplier()).eq(quote.newPositionMultiplier);
+      expect(await matrixToken.getDefaultPositionRealUnit(usdc.address)).eq(quote.newReservePositionUnit);
+    });
+
+    it('should report redeems which the module would reject', async function () {
+      const { usdc } = systemFixture;
+      const snapshot = await readNavSnapshot(hre, inputs, matrixToken.address);
+
+      expect(quoteRedeem(snapshot, usdc.address, ethToWei(9.5)).errors[0]).eq('supply 0.5 after redeem is below the minimum 1');
+      expect(quoteRedeem(snapshot, usdc.address, ethToWei(5)).errors[0]).contain('to pay out is above the 2700 held by the MatrixToken');
+      expect(() => quoteRedeem(snapshot, systemFixture.dai.address, ethToWei(1))).throw('is not a reserve asset of');
+    });
+  });
+});
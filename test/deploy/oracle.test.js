@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { DIRECT, SERIAL, IDENTICAL, getCatalogOracles, findOracleRoutes, generateOracles, formatOracles } = require('../../deploy/oracle');
+
+describe('deploy oracle', function () {
+  const tokens = {
+    usd: '0x0000000000000000000000000000000000000348',
+    eth: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
+    link: '0x514910771AF9Ca656af840dff83E8264EcF986CA',
+    lon: '0x0000000000095413afC295d19EDeb1Ad7B71c952',
+    pax: '0x8E870D67F660D95d5be530380D0eC0bd388289E1',
+    alink: '0xa06bC25B5805d5F8d82847D191Cb4Af5A3e873E0',
+    xyz: '0x0000000000000000000000000000000000000001',
+  };
+
+  const catalog = [
+    { feed: '0x0000000000000000000000000000000000000011', description: 'LINK / USD', base: tokens.link, symbol: 'LINK' },
+    { feed: '0x0000000000000000000000000000000000000012', description: 'LINK / ETH', base: tokens.link, symbol: 'LINK' },
+    { feed: '0x0000000000000000000000000000000000000013', description: 'LON / ETH', base: tokens.lon, symbol: 'LON' },
+    { feed: '0x0000000000000000000000000000000000000013', description: 'LON / ETH', base: tokens.lon, symbol: 'LON' },
+    { feed: '0x0000000000000000000000000000000000000014', description: 'USDP / USD', base: tokens.pax, symbol: 'USDP' },
+    { feed: '0x0000000000000000000000000000000000000015', description: 'ABC / USD', base: '0x0000000000000000000000000000000000000002', symbol: 'ABC' },
+  ];
+
+  const ethUsdOracle = { name: 'ETH/USD', key: 'eth_usd_oracle', address: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419' };
+
+  describe('getCatalogOracles', function () {
+    it('should name feeds by the token keys of their base address', async function () {
+      const result = getCatalogOracles(catalog, tokens);
+
+      expect([...result.keys()]).deep.eq(['link_usd_oracle', 'link_eth_oracle', 'lon_eth_oracle', 'pax_usd_oracle']);
+      expect(result.get('pax_usd_oracle')).deep.eq({ name: 'USDP/USD', key: 'pax_usd_oracle', address: catalog[4].feed });
+    });
+  });
+
+  describe('findOracleRoutes', function () {
+    it('should prefer a direct usd feed to a serial path', async function () {
+      const { routes, unrouted } = findOracleRoutes(tokens, ['eth_usd_oracle', 'link_usd_oracle', 'link_eth_oracle', 'lon_eth_oracle']);
+
+      expect(routes.find((item) => item.token == 'link')).deep.eq({ token: 'link', route: DIRECT, path: ['link', 'usd'], oracles: ['link_usd_oracle'] });
+      expect(routes.find((item) => item.token == 'lon')).deep.eq({
+        token: 'lon',
+        route: SERIAL,
+        path: ['lon', 'eth', 'usd'],
+        oracles: ['lon_eth_oracle', 'eth_usd_oracle'],
+      });
+      expect(unrouted).deep.eq(['pax', 'alink', 'xyz']);
+    });
+
+    it('should not use a hop without a usd feed', async function () {
+      const { unrouted } = findOracleRoutes(tokens, ['lon_eth_oracle']);
+      expect(unrouted).contain('lon');
+    });
+
+    it('should route a reserve token by its underlying token', async function () {
+      const pairs = [{ reserve_token: 'alink', underlying_token: 'link' }];
+      const { routes } = findOracleRoutes(tokens, ['link_usd_oracle'], pairs);
+
+      expect(routes.find((item) => item.token == 'alink')).deep.eq({
+        token: 'alink',
+        route: IDENTICAL,
+        path: ['alink', 'link', 'usd'],
+        oracles: ['link_usd_oracle'],
+      });
+    });
+  });
+
+  describe('generateOracles', function () {
+    const oracles = {
+      mainnet: {
+        chainlink_oracle: [ethUsdOracle, { name: 'LINK/USD', key: 'link_usd_oracle', address: '0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c' }],
+        chainlink_serial_oracle: [{ name: 'LON/ETH/USD', key: 'lon_usd_oracle', path: ['lon', 'weth', 'usd'] }],
+        identical_token_pair: [{ reserve_token: 'alink', underlying_token: 'link' }],
+      },
+      kovan: { chainlink_oracle: [], chainlink_serial_oracle: [] },
+    };
+
+    let result;
+    before(async function () {
+      result = generateOracles('mainnet', { catalog: { mainnet: catalog }, oracles, config: { tokens } });
+    });
+
+    it('should add the feeds and serial oracles of the routes', async function () {
+      const { chainlink_oracle: chainlinkOracles, chainlink_serial_oracle: serialOracles } = result.oracles.mainnet;
+
+      expect(chainlinkOracles.map((item) => item.key)).deep.eq(['eth_usd_oracle', 'link_usd_oracle', 'lon_eth_oracle', 'pax_usd_oracle']);
+      expect(serialOracles).deep.eq([{ name: 'LON/ETH/USD', key: 'lon_usd_oracle', path: ['lon', 'eth', 'usd'] }]);
+      expect(result.added).deep.eq(['lon_eth_oracle', 'pax_usd_oracle']);
+      expect(result.updated).deep.eq(['lon_usd_oracle']);
+    });
+
+    it('should keep hand-maintained feeds and report other addresses of the catalog', async function () {
+      const link = result.oracles.mainnet.chainlink_oracle.find((item) => item.key == 'link_usd_oracle');
+
+      expect(link.address).eq('0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c');
+      expect(result.conflicts).deep.eq([{ key: 'link_usd_oracle', address: link.address, catalog: catalog[0].feed }]);
+    });
+
+    it('should flag tokens without a route', async function () {
+      expect(result.unrouted).deep.eq(['xyz']);
+      expect(result.routes.find((item) => item.token == 'alink').route).eq(IDENTICAL);
+    });
+
+    it('should not change other chains', async function () {
+      expect(result.oracles.kovan).eq(oracles.kovan);
+      expect(oracles.mainnet.chainlink_oracle.length).eq(2);
+    });
+  });
+
+  describe('formatOracles', function () {
+    it('should keep the layout of oracles.json', async function () {
+      const text = fs.readFileSync('./deploy/configs/oracles.json', 'utf8');
+      expect(formatOracles(JSON.parse(text))).eq(text);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const hre = require('hardhat');
+const { expect } = require('chai');
+const { provider } = hre.waffle;
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { planDeployment } = require('../../deploy/plan');
+const { ETH_ADDRESS } = require('../helpers/constants');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+
+describe('deploy plan', function () {
+  const [owner, feeRecipient] = getSigners();
+  const usd = '0x0000000000000000000000000000000000000348';
+
+  let inputs;
+  let controller;
+  let priceOracle;
+  let tradeModule;
+  let ethUsdOracle;
+  let basicIssuanceModule;
+  let integrationRegistry;
+  let sushiExchangeAdapter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    controller = await deployContract('Controller', [feeRecipient.address], owner);
+    const matrixValuer = await deployContract('MatrixValuer', [controller.address], owner);
+    const factory = await deployContract('MatrixTokenFactory', [controller.address], owner);
+    integrationRegistry = await deployContract('IntegrationRegistry', [controller.address], owner);
+    priceOracle = await deployContract('PriceOracle', [controller.address, usd, [], [], [], []], owner);
+    tradeModule = await deployContract('TradeModule', [controller.address, 'TradeModule'], owner);
+    basicIssuanceModule = await deployContract('BasicIssuanceModule', [controller.address, 'BasicIssuanceModule'], owner);
+    ethUsdOracle = await deployContract('OracleMock', [ethToWei(2000)], owner);
+    sushiExchangeAdapter = await getRandomAddress();
+
+    const contractAddresses = {
+      controller: { address: controller.address },
+      matrix_valuer: { address: matrixValuer.address },
+      matrix_token_factory: { address: factory.address },
+      integration_registry: { address: integrationRegistry.address },
+      price_oracle: { address: priceOracle.address },
+      trade_module: { address: tradeModule.address },
+      basic_issuance_module: { address: basicIssuanceModule.address },
+      sushi_v2_exchange_adapter: { address: sushiExchangeAdapter },
+      eth_usd_oracle: { address: ethUsdOracle.address },
+    };
+
+    const manifest = {
+      contracts: [
+        { key: 'controller', name: 'Controller', args: ['config:fee_recipient'] },
+        { key: 'matrix_valuer', name: 'MatrixValuer', args: ['deployed:controller'] },
+        { key: 'matrix_token_factory', name: 'MatrixTokenFactory', args: ['deployed:controller'] },
+        { key: 'integration_registry', name: 'IntegrationRegistry', args: ['deployed:controller'] },
+        { key: 'price_oracle', name: 'PriceOracle', args: ['deployed:controller', 'config:tokens.usd', [], [], [], []] },
+        { key: 'trade_module', name: 'TradeModule', args: ['deployed:controller', '$name'] },
+        { key: 'basic_issuance_module', name: 'BasicIssuanceModule', args: ['deployed:controller', '$name'] },
+        { key: 'streaming_fee_module', name: 'StreamingFeeModule', args: ['deployed:controller', '$name'] },
+        { key: 'sushi_v2_exchange_adapter', name: 'UniswapV2ExchangeAdapter', args: ['config:sushi_v2_router02'] },
+      ],
+      modules: ['trade_module', 'basic_issuance_module', 'streaming_fee_module'],
+      integrations: { trade_module: ['sushi_v2_exchange_adapter'] },
+      price_oracle_adapters: [],
+    };
+
+    inputs = {
+      chainName: 'hardhat',
+      config: {
+        fee_recipient: feeRecipient.address,
+        sushi_v2_router02: await getRandomAddress(),
+        tokens: { usd, eth: ETH_ADDRESS, weth: await getRandomAddress() },
+      },
+      configFile: 'hardhat.json',
+      manifest,
+      oracles: { chainlink_oracle: [{ name: 'ETH/USD', key: 'eth_usd_oracle', address: ethUsdOracle.address }], chainlink_serial_oracle: [] },
+      testTokens: {},
+      contractAddresses,
+      deployedFile: 'deployed/hardhat.json',
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  const getDescriptions = (plan) => plan.actions.map((item) => item.description);
+
+  it('should plan every action on a fresh system', async function () {
+    const plan = await planDeployment(hre, inputs);
+
+    expect(plan.warnings).deep.eq([]);
+    expect(plan.actions.map((item) => item.action)).deep.eq([
+      'deploy',
+      'editSecondQuoteAsset',
+      'addPair',
+      'initialize',
+      'addModule',
+      'addModule',
+      'addModule',
+      'addIntegration',
+    ]);
+    expect(getDescriptions(plan)[0]).eq(`deploy StreamingFeeModule streaming_fee_module(["${controller.address}","StreamingFeeModule"])`);
+  });
+
+  it('should not send any transaction', async function () {
+    const blockNumber = await provider.getBlockNumber();
+    await planDeployment(hre, inputs);
+    expect(await provider.getBlockNumber()).eq(blockNumber);
+  });
+
+  it('should skip the actions which are already done on chain', async function () {
+    await controller.initialize([inputs.contractAddresses.matrix_token_factory.address], [tradeModule.address, basicIssuanceModule.address], [], []);
+    await integrationRegistry.addIntegration(tradeModule.address, 'SUSHI_V2_EXCHANGE_ADAPTER', sushiExchangeAdapter);
+    await priceOracle.editSecondQuoteAsset(ETH_ADDRESS);
+    await priceOracle.addPair(ETH_ADDRESS, usd, ethUsdOracle.address);
+
+    const plan = await planDeployment(hre, inputs);
+
+    expect(plan.warnings).deep.eq([]);
+    expect(getDescriptions(plan)).deep.eq([
+      `deploy StreamingFeeModule streaming_fee_module(["${controller.address}","StreamingFeeModule"])`,
+      'Controller addModule(StreamingFeeModule streaming_fee_module)',
+    ]);
+  });
+
+  it('should warn when an integration is registered with another adapter', async function () {
+    const otherAdapter = await getRandomAddress();
+    const contractAddresses = { ...inputs.contractAddresses, sushi_v2_exchange_adapter: { address: otherAdapter } };
+
+    const plan = await planDeployment(hre, { ...inputs, contractAddresses });
+
+    expect(plan.warnings.length).eq(1);
+    expect(plan.warnings[0]).contain('IntegrationRegistry add integration sushi_v2_exchange_adapter to trade_module');
+    expect(getDescriptions(plan)).not.contain('IntegrationRegistry addIntegration(trade_module, SUSHI_V2_EXCHANGE_ADAPTER, sushi_v2_exchange_adapter)');
+  });
+});
@@ -0,0 +1,211 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { parsePercent, getProduct, createMatrixToken } = require('../../deploy/product');
+
+async function getErrorMessage(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e.message;
+  }
+
+  return '';
+}
+
+describe('deploy product', function () {
+  const [owner, feeRecipient, manager] = getSigners();
+  const systemFixture = new SystemFixture(owner, feeRecipient);
+
+  let inputs;
+  let tradeModule;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    tradeModule = await deployContract('TradeModule', [systemFixture.controller.address, 'TradeModule'], owner);
+    await systemFixture.controller.addModule(tradeModule.address);
+
+    inputs = {
+      chainName: 'hardhat',
+      config: {
+        tokens: { weth: systemFixture.weth.address, usdc: systemFixture.usdc.address, wbtc: systemFixture.wbtc.address },
+      },
+      contractAddresses: {
+        matrix_token_factory: { address: systemFixture.factory.address },
+        basic_issuance_module: { address: systemFixture.basicIssuanceModule.address },
+        streaming_fee_module: { address: systemFixture.streamingFeeModule.address },
+        nav_issuance_module: { address: systemFixture.navIssuanceModule.address },
+        trade_module: { address: tradeModule.address },
+      },
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  describe('parsePercent', function () {
+    it('should parse percentages and fractions to precise units', async function () {
+      expect(parsePercent('1%')).eq(ethToWei(0.01));
+      expect(parsePercent('0.5 %')).eq(ethToWei(0.005));
+      expect(parsePercent('0.02')).eq(ethToWei(0.02));
+      expect(parsePercent(undefined)).eq(0);
+    });
+  });
+
+  describe('getProduct', function () {
+    const spec = {
+      name: 'Matrix Index',
+      symbol: 'MI',
+      components: [{ token: 'weth', units: '1' }],
+      modules: { basic_issuance_module: {} },
+    };
+
+    it('should let options override the spec', async function () {
+      const product = getProduct({ spec, components: 'usdc, wbtc', units: '20.5,0.01', symbol: 'MX' }, inputs.config.tokens);
+
+      expect(product.name).eq('Matrix Index');
+      expect(product.symbol).eq('MX');
+      expect(product.components.map((item) => item.address)).deep.eq([systemFixture.usdc.address, systemFixture.wbtc.address]);
+      expect(product.components.map((item) => item.units)).deep.eq(['20.5', '0.01']);
+      expect(product.modules).deep.eq(['basic_issuance_module']);
+    });
+
+    it('should reject components without units', async function () {
+      expect(() => getProduct({ spec, components: 'usdc,wbtc', units: '20.5' }, inputs.config.tokens)).throw('must set components and their units');
+    });
+
+    it('should reject unknown token keys', async function () {
+      expect(() => getProduct({ spec, components: 'xyz', units: '1' }, inputs.config.tokens)).throw('xyz is neither an address nor a key');
+    });
+  });
+
+  describe('createMatrixToken', function () {
+    it('should create a token with units in the decimals of each component', async function () {
+      const options = {
+        name: 'Matrix Index',
+        symbol: 'MI',
+        components: `weth,usdc,${systemFixture.wbtc.address}`,
+        units: '0.01,20.5,0.001',
+        modules: 'basic_issuance_module,trade_module',
+      };
+
+      const { key, address, record, initialized } = await createMatrixToken(hre, owner, inputs, options);
+      const matrixToken = await hre.ethers.getContractAt('MatrixToken', address);
+
+      expect(key).eq('mi_matrix_token');
+      expect(initialized).deep.eq([]);
+      expect(await matrixToken.getManager()).eq(owner.address);
+      // the modules are pending until they are initialized, and getModules() only lists initialized modules
+      expect(await matrixToken.getModules()).deep.eq([]);
+      expect(await matrixToken.isPendingModule(systemFixture.basicIssuanceModule.address)).is.true;
+      expect(await matrixToken.isPendingModule(tradeModule.address)).is.true;
+      expect(await matrixToken.getDefaultPositionRealUnit(systemFixture.weth.address)).eq(ethToWei(0.01));
+      expect(await matrixToken.getDefaultPositionRealUnit(systemFixture.usdc.address)).eq(20500000);
+      expect(await matrixToken.getDefaultPositionRealUnit(systemFixture.wbtc.address)).eq(100000);
+
+      expect(record.name).eq('MatrixToken');
+      expect(record.factory).eq(systemFixture.factory.address);
+      expect(record.args[3]).eq(systemFixture.controller.address);
+      expect(record.block).eq((await hre.ethers.provider.getTransactionReceipt(record.hash)).blockNumber);
+    });
+
+    it('should initialize the modules of the spec', async function () {
+      const spec = {
+        name: 'Matrix Index',
+        symbol: 'MI',
+        components: [{ token: 'weth', units: '0.01' }],
+        modules: {
+          basic_issuance_module: {},
+          streaming_fee_module: { fee_recipient: feeRecipient.address, max_streaming_fee_percentage: '5%', streaming_fee_percentage: '1%' },
+          nav_issuance_module: {
+            reserve_assets: ['weth', 'usdc'],
+            manager_fees: ['0.1%', '0.2%'],
+            max_manager_fee: '1%',
+            premium_percentage: '0.5%',
+            max_premium_percentage: '1%',
+            min_matrix_token_supply: '1',
+          },
+          trade_module: {},
+        },
+      };
+
+      const { address, initialized } = await createMatrixToken(hre, owner, inputs, { spec, key: 'mi' });
+      const matrixToken = await hre.ethers.getContractAt('MatrixToken', address);
+
+      expect(initialized).deep.eq(['basic_issuance_module', 'streaming_fee_module', 'nav_issuance_module', 'trade_module']);
+      for (const module of [systemFixture.basicIssuanceModule, systemFixture.streamingFeeModule, systemFixture.navIssuanceModule, tradeModule]) {
+        expect(await matrixToken.isInitializedModule(module.address)).is.true;
+      }
+
+      const feeState = await systemFixture.streamingFeeModule.getFeeState(address);
+      expect(feeState.feeRecipient).eq(feeRecipient.address);
+      expect(feeState.maxStreamingFeePercentage).eq(ethToWei(0.05));
+      expect(feeState.streamingFeePercentage).eq(ethToWei(0.01));
+
+      const setting = await systemFixture.navIssuanceModule.getIssuanceSetting(address);
+      expect(setting.feeRecipient).eq(owner.address);
+      expect(setting.managerFees[0]).eq(ethToWei(0.001));
+      expect(setting.managerFees[1]).eq(ethToWei(0.002));
+      expect(setting.minMatrixTokenSupply).eq(ethToWei(1));
+      expect(await systemFixture.navIssuanceModule.getReserveAssets(address)).deep.eq([systemFixture.weth.address, systemFixture.usdc.address]);
+    });
+
+    it('should skip initialization when the manager is not the signer', async function () {
+      const spec = { name: 'Matrix Index', symbol: 'MI', components: [{ token: 'weth', units: '1' }], modules: { trade_module: {} } };
+
+      const { address, initialized } = await createMatrixToken(hre, owner, inputs, { spec, manager: manager.address });
+      const matrixToken = await hre.ethers.getContractAt('MatrixToken', address);
+
+      expect(initialized).deep.eq([]);
+      expect(await matrixToken.getManager()).eq(manager.address);
+      expect(await matrixToken.isInitializedModule(tradeModule.address)).is.false;
+    });
+
+    it('should reject a key which already exists', async function () {
+      const options = { name: 'Matrix Index', symbol: 'MI', components: 'weth', units: '1', modules: 'trade_module', key: 'trade_module' };
+
+      const message = await getErrorMessage(createMatrixToken(hre, owner, inputs, options));
+      expect(message).contain('trade_module is already exist');
+    });
+
+    it('should reject modules which are not deployed', async function () {
+      const options = { name: 'Matrix Index', symbol: 'MI', components: 'weth', units: '1', modules: 'wrap_module' };
+
+      const message = await getErrorMessage(createMatrixToken(hre, owner, inputs, options));
+      expect(message).contain('wrap_module is not exist');
+    });
+
+    it('should reject a factory which is not enabled by the controller', async function () {
+      const factory = await deployContract('MatrixTokenFactory', [systemFixture.controller.address], owner);
+      const contractAddresses = { ...inputs.contractAddresses, matrix_token_factory: { address: factory.address } };
+      const options = { name: 'Matrix Index', symbol: 'MI', components: 'weth', units: '1', modules: 'trade_module', manager: await getRandomAddress() };
+
+      const message = await getErrorMessage(createMatrixToken(hre, owner, { ...inputs, contractAddresses }, options));
+      expect(message).contain('FAIL: MatrixTokenFactory create');
+    });
+  });
+});
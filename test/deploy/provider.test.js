@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const http = require('http');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { FailoverProvider, getRpcUrls } = require('../../deploy/provider');
+
+async function getErrorMessage(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e.message;
+  }
+
+  return undefined;
+}
+
+// A json-rpc endpoint in front of the hardhat node, state.mode is one of:
+// ok, timeout (never answers), rate_limit (http 429), stale (block number 100 blocks behind), lost (sends then answers 503), known (already known)
+function startEndpoint(state) {
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => (body += chunk));
+    request.on('end', async () => {
+      const { id, method, params } = JSON.parse(body);
+      state.calls.push(method);
+
+      const reply = (statusCode, json) => {
+        response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ jsonrpc: '2.0', id, ...json }));
+      };
+
+      if (state.mode == 'timeout') {
+        return;
+      }
+
+      if (state.mode == 'rate_limit') {
+        return reply(429, { error: { code: -32005, message: 'Too Many Requests' } });
+      }
+
+      if (state.mode == 'known' && method == 'eth_sendRawTransaction') {
+        return reply(200, { error: { code: -32000, message: 'already known' } });
+      }
+
+      try {
+        let result = await hre.network.provider.send(method, params);
+
+        if (state.mode == 'stale' && method == 'eth_blockNumber') {
+          result = hre.ethers.utils.hexValue(Math.max(Number(result) - 100, 0));
+        }
+
+        if (state.mode == 'lost' && method == 'eth_sendRawTransaction') {
+          return reply(503, { error: { code: -32603, message: 'Service Unavailable' } });
+        }
+
+        reply(200, { result });
+      } catch (e) {
+        reply(200, { error: { code: e.code ?? -32603, message: e.message, data: e.data } });
+      }
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('deploy provider', function () {
+  const [owner] = getSigners();
+  const network = { name: 'hardhat', chainId: 31337 };
+
+  let states;
+  let servers;
+  let urls;
+  let logs;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    states = [0, 1, 2].map(() => ({ mode: 'ok', calls: [] }));
+    servers = await Promise.all(states.map((state) => startEndpoint(state)));
+    urls = servers.map((server) => `http://127.0.0.1:${server.address().port}`);
+
+    // mine some blocks to tell a stale endpoint
+    await hre.network.provider.send('hardhat_mine', ['0x100']);
+  });
+
+  after(async function () {
+    for (const server of servers) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    await revertBlockchain(snapshotId);
+  });
+
+  beforeEach(async function () {
+    logs = [];
+    for (const state of states) {
+      state.mode = 'ok';
+      state.calls = [];
+    }
+  });
+
+  const createProvider = (options = {}) => {
+    const provider = new FailoverProvider(urls, network, { timeout: 500, log: (message) => logs.push(message), ...options });
+    provider.pollingInterval = 100;
+    return provider;
+  };
+
+  const sendEth = async (provider, value) => {
+    const to = await getRandomAddress();
+    const wallet = new hre.ethers.Wallet(owner.privateKey, provider);
+    await (await wallet.sendTransaction({ to, value })).wait();
+    return to;
+  };
+
+  it('should use the first endpoint while it is healthy', async function () {
+    const provider = createProvider();
+
+    const to = await sendEth(provider, 100);
+
+    expect(await hre.ethers.provider.getBalance(to)).eq(100);
+    expect(provider.currentUrl).eq(urls[0]);
+    expect(states[0].calls).contain('eth_sendRawTransaction');
+    expect(states[1].calls).not.contain('eth_sendRawTransaction');
+    expect(logs.some((item) => item.startsWith('eth_sendRawTransaction') && item.endsWith(`via ${urls[0]}`))).is.true;
+  });
+
+  it('should switch to the next endpoint on a timeout', async function () {
+    states[0].mode = 'timeout';
+    const provider = createProvider();
+
+    const to = await sendEth(provider, 200);
+
+    expect(await hre.ethers.provider.getBalance(to)).eq(200);
+    expect(provider.currentUrl).eq(urls[1]);
+    expect(states[1].calls).contain('eth_sendRawTransaction');
+    expect(logs[0]).contain(`failed on ${urls[0]}`);
+    expect(logs.some((item) => item.startsWith('eth_sendRawTransaction') && item.endsWith(`via ${urls[1]}`))).is.true;
+  });
+
+  it('should switch to the next endpoint when it is rate limited', async function () {
+    states[0].mode = 'rate_limit';
+    states[1].mode = 'rate_limit';
+    const provider = createProvider();
+
+    expect(await provider.getBlockNumber()).eq(await hre.ethers.provider.getBlockNumber());
+    expect(provider.currentUrl).eq(urls[2]);
+  });
+
+  it('should switch to the next endpoint when its block number is stale', async function () {
+    const provider = createProvider();
+    await provider.send('eth_blockNumber', []);
+
+    // ethers caches eth_blockNumber of an endpoint until the next event loop
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    states[0].mode = 'stale';
+    const blockNumber = Number(await provider.send('eth_blockNumber', []));
+
+    expect(blockNumber).eq(await hre.ethers.provider.getBlockNumber());
+    expect(provider.currentUrl).eq(urls[1]);
+    expect(logs[0]).contain('stale block');
+  });
+
+  it('should not trust an endpoint which is stale from the start', async function () {
+    states[0].mode = 'stale';
+    const provider = createProvider();
+
+    const balance = await provider.getBalance(owner.address);
+
+    expect(balance).eq(await hre.ethers.provider.getBalance(owner.address));
+    expect(provider.currentUrl).eq(urls[1]);
+    expect(states[0].calls).not.contain('eth_getBalance');
+    expect(logs[0]).contain(`failed on ${urls[0]}: stale block`);
+  });
+
+  it('should check an endpoint only once while it is healthy', async function () {
+    const provider = createProvider();
+
+    await provider.send('eth_chainId', []);
+    await provider.send('eth_chainId', []);
+
+    expect(states[1].calls).deep.eq(['eth_blockNumber']);
+    expect(states[0].calls.filter((item) => item == 'eth_blockNumber').length).eq(1);
+  });
+
+  it('should keep the transaction hash when an endpoint lost the response of a sent transaction', async function () {
+    states[0].mode = 'lost';
+    states[1].mode = 'known';
+    const provider = createProvider();
+
+    const to = await sendEth(provider, 300);
+
+    expect(await hre.ethers.provider.getBalance(to)).eq(300);
+    expect(logs.some((item) => item.includes('is already sent'))).is.true;
+  });
+
+  it('should not switch on errors of the request', async function () {
+    const provider = createProvider();
+
+    const message = await getErrorMessage(provider.send('eth_getBalance', ['0x1234', 'latest']));
+
+    expect(message).is.not.undefined;
+    expect(provider.currentUrl).eq(urls[0]);
+    expect(states[1].calls).not.contain('eth_getBalance');
+  });
+
+  it('should fail when all endpoints fail', async function () {
+    states.forEach((state) => (state.mode = 'rate_limit'));
+    const provider = createProvider();
+
+    const message = await getErrorMessage(provider.send('eth_blockNumber', []));
+
+    expect(message).contain('429');
+    expect(logs.length).eq(3);
+  });
+
+  it('should list the url and rpcList of a network', async function () {
+    const config = { url: urls[1], rpcList: urls };
+    expect(getRpcUrls({ network: { config } })).deep.eq([urls[1], urls[0], urls[2]]);
+    expect(getRpcUrls({ network: { config: { url: urls[0] } } })).deep.eq([urls[0]]);
+  });
+});
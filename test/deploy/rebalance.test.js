@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { ZERO_ADDRESS } = require('../helpers/constants');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { applyProductSpec } = require('../../deploy/spec');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { getRebalance, planRebalance } = require('../../deploy/rebalance');
+
+describe('deploy rebalance', function () {
+  const [owner, feeRecipient] = getSigners();
+  const systemFixture = new SystemFixture(owner, feeRecipient);
+
+  const rebalance = {
+    weights: { weth: '25%', usdc: '25%', wbtc: '50%' },
+    trade_maximums: { usdc: '100', wbtc: '0.001' },
+    cool_off_periods: { usdc: 600, wbtc: 600 },
+    exchanges: { usdc: 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER', wbtc: 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER' },
+  };
+
+  let inputs;
+  let matrixToken;
+  let generalIndexModule;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, weth, usdc, wbtc, basicIssuanceModule, integrationRegistry } = systemFixture;
+
+    generalIndexModule = await deployContract('GeneralIndexModule', [controller.address, weth.address, 'GeneralIndexModule'], owner);
+    await controller.addModule(generalIndexModule.address);
+    await integrationRegistry.addIntegration(generalIndexModule.address, 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER', await getRandomAddress());
+
+    // 0.01 weth and 2.3 usdc, 50% each at 230 usd/eth
+    matrixToken = await systemFixture.createMatrixToken(
+      [weth.address, usdc.address],
+      [ethToWei(0.01), 2.3e6],
+      [basicIssuanceModule.address, generalIndexModule.address],
+      owner
+    );
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+    await generalIndexModule.initialize(matrixToken.address);
+    await systemFixture.approveAndIssueMatrixToken(matrixToken, ethToWei(10), owner.address);
+
+    inputs = {
+      chainName: 'hardhat',
+      config: { tokens: { weth: weth.address, usdc: usdc.address, wbtc: wbtc.address } },
+      contractAddresses: { general_index_module: { address: generalIndexModule.address } },
+    };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  describe('getRebalance', function () {
+    it('should let weights override the rebalance file', async function () {
+      const { targets, tradeMaximums } = getRebalance({ rebalance, weights: 'weth:40%, usdc:0.6' }, inputs.config.tokens);
+
+      expect(targets.map((item) => item.token)).deep.eq(['weth', 'usdc']);
+      expect(targets.map((item) => item.weight)).deep.eq([ethToWei(0.4), ethToWei(0.6)]);
+      expect(tradeMaximums.map((item) => item.address)).deep.eq([systemFixture.usdc.address, systemFixture.wbtc.address]);
+    });
+
+    it('should reject weights which do not sum up to 100%', async function () {
+      expect(() => getRebalance({ weights: 'weth:40%,usdc:50%' }, inputs.config.tokens)).throw('must sum up to 100% rather than 90%');
+    });
+  });
+
+  describe('planRebalance', function () {
+    it('should plan the settings and the startRebalance call', async function () {
+      const { actions, warnings } = await planRebalance(hre, inputs, matrixToken.address, { rebalance });
+      const { usdc, wbtc } = systemFixture;
+      const toStrings = (items) => items.map((item) => item.toString());
+
+      expect(warnings).deep.eq([]);
+      expect(actions.map((item) => item.action)).deep.eq(['setTradeMaximums', 'setExchanges', 'setCoolOffPeriods', 'startRebalance']);
+      expect(actions[0].args[1]).deep.eq([usdc.address, wbtc.address]);
+      expect(toStrings(actions[0].args[2])).deep.eq(['100000000', '100000']);
+      expect(actions[1].args[2]).deep.eq(['UNISWAP_V2_INDEX_EXCHANGE_ADAPTER', 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER']);
+      expect(toStrings(actions[2].args[2])).deep.eq(['600', '600']);
+
+      // 4.6 usd of each MatrixToken: 1.15 usd of weth, 1.15 usd of usdc and 2.3 usd of wbtc
+      const [address, newComponents, newComponentsTargetUnits, oldComponentsTargetUnits, positionMultiplier] = actions[3].args;
+      expect(address).eq(matrixToken.address);
+      expect(newComponents).deep.eq([wbtc.address]);
+      expect(toStrings(newComponentsTargetUnits)).deep.eq(['25555']);
+      expect(toStrings(oldComponentsTargetUnits)).deep.eq([ethToWei(0.005).toString(), '1150000']);
+      expect(positionMultiplier).eq(ethToWei(1));
+    });
+
+    it('should size and direct trades the same way as GeneralIndexModule', async function () {
+      const plan = await planRebalance(hre, inputs, matrixToken.address, { rebalance });
+      await applyProductSpec(owner, plan);
+
+      expect(plan.components.map((item) => item.key)).deep.eq(['weth', 'usdc', 'wbtc']);
+      for (const { address, trade } of plan.components) {
+        const [isSendTokenFixed, quantity] = await generalIndexModule.getComponentTradeQuantityAndDirection(matrixToken.address, address);
+        expect(isSendTokenFixed).eq(trade.isSendTokenFixed);
+        expect(quantity).eq(trade.quantity);
+      }
+
+      const replan = await planRebalance(hre, inputs, matrixToken.address, { rebalance });
+      expect(replan.actions.map((item) => item.action)).deep.eq(['startRebalance']);
+    });
+
+    it('should simulate trades within trade maximums and cool-off periods', async function () {
+      const { schedule } = await planRebalance(hre, inputs, matrixToken.address, { rebalance });
+
+      const steps = schedule.map(({ time, action, token, isSendTokenFixed, quantity, unit }) => [
+        time,
+        action,
+        token,
+        isSendTokenFixed,
+        `${quantity}`,
+        `${unit}`,
+      ]);
+      expect(steps).deep.eq([
+        [0, 'trade', 'usdc', true, '11500000', '1150000'],
+        [0, 'trade', 'wbtc', false, '100000', '10000'],
+        [600, 'trade', 'wbtc', false, '100000', '20000'],
+        [1200, 'trade', 'wbtc', false, '55550', '25555'],
+      ]);
+    });
+
+    it('should warn about components without trade maximums or exchanges', async function () {
+      const { actions, warnings, schedule } = await planRebalance(hre, inputs, matrixToken.address, { weights: 'weth:50%,usdc:25%,wbtc:25%' });
+
+      expect(actions.map((item) => item.action)).deep.eq(['startRebalance']);
+      expect(schedule).deep.eq([]);
+      expect(warnings).deep.eq([
+        'trade maximum of usdc is 0, set it by trade_maximums',
+        'usdc has no exchange, set it by exchanges',
+        'trade maximum of wbtc is 0, set it by trade_maximums',
+        'wbtc has no exchange, set it by exchanges',
+        'the target of usdc is not met, its unit stays 2.3 rather than 1.15',
+        'the target of wbtc is not met, its unit stays 0 rather than 0.00012777',
+      ]);
+    });
+  });
+});
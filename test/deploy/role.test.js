@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { getSigners } = require('../helpers/accountUtil');
+const { deployContract } = require('../helpers/deploy');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { ADMIN_ROLE, DEFAULT_ADMIN_ROLE, getRoleHash, listRoleMembers, grantNamedRole, revokeNamedRole, transferAdminRoles } = require('../../deploy/role');
+
+// run the task and return the lines it prints
+async function runTask(name, taskArgs) {
+  const lines = [];
+  const log = console.log;
+  console.log = (line = '') => lines.push(`${line}`);
+
+  try {
+    await hre.run(name, taskArgs);
+  } finally {
+    console.log = log;
+  }
+
+  return lines;
+}
+
+async function getErrorMessage(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e.message;
+  }
+
+  return undefined;
+}
+
+describe('deploy role', function () {
+  const [owner, feeRecipient, multisig, randomAccount] = getSigners();
+  const txOptions = { confirmations: 1 };
+
+  let contracts;
+  let controller;
+  let priceOracle;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    controller = await deployContract('Controller', [feeRecipient.address], owner);
+    priceOracle = await deployContract('PriceOracle', [controller.address, feeRecipient.address, [], [], [], []], owner);
+
+    contracts = [
+      { name: 'Controller', key: 'controller', block: 0, instance: controller },
+      { name: 'PriceOracle', key: 'price_oracle', block: 0, instance: priceOracle },
+    ];
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  const getMembers = async (contract, role) => {
+    const [{ roles }] = await listRoleMembers([contract], hre);
+    return roles.find((item) => item.role == role)?.members || [];
+  };
+
+  describe('getRoleHash', function () {
+    it('should convert role names to hashes', async function () {
+      expect(getRoleHash('DEFAULT_ADMIN_ROLE', hre)).eq(DEFAULT_ADMIN_ROLE);
+      expect(getRoleHash('ADMIN_ROLE', hre)).eq(ADMIN_ROLE);
+      expect(getRoleHash(ADMIN_ROLE, hre)).eq(ADMIN_ROLE);
+    });
+  });
+
+  describe('listRoleMembers', function () {
+    it('should list the members of every role by replaying logs', async function () {
+      await controller.grantRole(ADMIN_ROLE, randomAccount.address);
+      await controller.grantRole(ADMIN_ROLE, multisig.address);
+      await controller.revokeRole(ADMIN_ROLE, randomAccount.address);
+
+      const [result] = await listRoleMembers([contracts[0]], hre);
+
+      expect(result.address).eq(controller.address);
+      expect(result.roles).deep.eq([
+        { role: 'DEFAULT_ADMIN_ROLE', hash: DEFAULT_ADMIN_ROLE, members: [owner.address] },
+        { role: 'ADMIN_ROLE', hash: ADMIN_ROLE, members: [owner.address, multisig.address] },
+      ]);
+    });
+
+    it('should read logs in block ranges', async function () {
+      await controller.grantRole(ADMIN_ROLE, multisig.address);
+
+      const [result] = await listRoleMembers([contracts[0]], hre, 1);
+      expect(result.roles[1].members).deep.eq([owner.address, multisig.address]);
+    });
+  });
+
+  describe('listRoles', function () {
+    // the task reads the contracts of deploy/deployed/<network>.json
+    const filename = `./deploy/deployed/${hre.network.name}.json`;
+
+    before(async function () {
+      const contractAddresses = {
+        chain_name: hre.network.name,
+        chain_id: hre.network.config.chainId,
+        controller: { name: 'Controller', address: controller.address, block: 0 },
+      };
+
+      fs.writeFileSync(filename, JSON.stringify(contractAddresses, null, 4));
+    });
+
+    after(async function () {
+      fs.unlinkSync(filename);
+    });
+
+    it('should list the members of every role of the deployed contract through the task', async function () {
+      await controller.grantRole(ADMIN_ROLE, multisig.address);
+
+      const lines = await runTask('listRoles', { key: 'controller' });
+
+      expect(lines).contain(`Controller controller ${controller.address}`);
+      expect(lines).contain(`  DEFAULT_ADMIN_ROLE: ${owner.address}`);
+      expect(lines).contain(`  ADMIN_ROLE: ${owner.address}, ${multisig.address}`);
+    });
+  });
+
+  describe('grantNamedRole and revokeNamedRole', function () {
+    it('should grant and revoke any named role', async function () {
+      const role = 'KEEPER_ROLE';
+
+      await grantNamedRole(contracts, role, randomAccount.address, hre, txOptions);
+      expect(await controller.hasRole(getRoleHash(role, hre), randomAccount.address)).is.true;
+      expect(await priceOracle.hasRole(getRoleHash(role, hre), randomAccount.address)).is.true;
+
+      await revokeNamedRole(contracts, role, randomAccount.address, hre, txOptions);
+      expect(await controller.hasRole(getRoleHash(role, hre), randomAccount.address)).is.false;
+      expect(await priceOracle.hasRole(getRoleHash(role, hre), randomAccount.address)).is.false;
+    });
+
+    it('should refuse to revoke the last DEFAULT_ADMIN_ROLE holder', async function () {
+      const message = await getErrorMessage(revokeNamedRole(contracts, 'DEFAULT_ADMIN_ROLE', owner.address, hre, txOptions));
+
+      expect(message).contain('no other account holds DEFAULT_ADMIN_ROLE, refuse to revoke');
+      expect(await controller.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).is.true;
+    });
+  });
+
+  describe('transferAdminRoles', function () {
+    it('should grant all roles to the multisig and then renounce the deployer', async function () {
+      await transferAdminRoles(contracts, owner.address, multisig.address, hre, txOptions, { allowEoa: true });
+
+      for (const { instance } of contracts) {
+        expect(await instance.hasRole(DEFAULT_ADMIN_ROLE, multisig.address)).is.true;
+        expect(await instance.hasRole(ADMIN_ROLE, multisig.address)).is.true;
+        expect(await instance.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).is.false;
+        expect(await instance.hasRole(ADMIN_ROLE, owner.address)).is.false;
+      }
+
+      expect(await getMembers(contracts[0], 'DEFAULT_ADMIN_ROLE')).deep.eq([multisig.address]);
+    });
+
+    it('should refuse a multisig without code', async function () {
+      const message = await getErrorMessage(transferAdminRoles(contracts, owner.address, multisig.address, hre, txOptions));
+
+      expect(message).contain('is not a contract');
+      expect(await controller.hasRole(DEFAULT_ADMIN_ROLE, multisig.address)).is.false;
+    });
+
+    it('should refuse to transfer to the deployer', async function () {
+      const message = await getErrorMessage(transferAdminRoles(contracts, owner.address, owner.address, hre, txOptions, { allowEoa: true }));
+      expect(message).contain('is the deployer');
+    });
+
+    it('should renounce nothing when a grant fails', async function () {
+      await controller.renounceRole(DEFAULT_ADMIN_ROLE, owner.address); // owner can not grant on Controller any more
+
+      const message = await getErrorMessage(transferAdminRoles(contracts, owner.address, multisig.address, hre, txOptions, { allowEoa: true }));
+
+      expect(message).contain('FAIL: Controller grant ADMIN_ROLE');
+      expect(await priceOracle.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).is.true;
+    });
+  });
+});
@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { ETH_ADDRESS } = require('../helpers/constants');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { ADMIN_ROLE, DEFAULT_ADMIN_ROLE, grantNamedRole, transferAdminRoles } = require('../../deploy/role');
+const { createSafeBatch, addSafeTransaction, calculateChecksum, writeSafeBatch, decodeSafeTransaction } = require('../../deploy/safe');
+
+describe('deploy safe', function () {
+  const [owner, feeRecipient, safe, newSafe, randomAccount] = getSigners();
+  const usd = '0x0000000000000000000000000000000000000348';
+  const filename = path.join(os.tmpdir(), `safe-batch-${process.pid}.json`);
+
+  let controller;
+  let priceOracle;
+  let tradeModule;
+  let ethUsdOracle;
+  let integrationRegistry;
+  let contracts;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    controller = await deployContract('Controller', [feeRecipient.address], owner);
+    integrationRegistry = await deployContract('IntegrationRegistry', [controller.address], owner);
+    priceOracle = await deployContract('PriceOracle', [controller.address, usd, [], [], [], []], owner);
+    tradeModule = await deployContract('TradeModule', [controller.address, 'TradeModule'], owner);
+    ethUsdOracle = await deployContract('OracleMock', [ethToWei(2000)], owner);
+    await controller.initialize([], [], [integrationRegistry.address, priceOracle.address], [0, 1]);
+
+    // the admin roles are held by the safe
+    for (const instance of [controller, integrationRegistry, priceOracle]) {
+      await instance.grantRole(ADMIN_ROLE, safe.address);
+      await instance.grantRole(DEFAULT_ADMIN_ROLE, safe.address);
+      await instance.renounceRole(ADMIN_ROLE, owner.address);
+      await instance.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+    }
+
+    // the batch is built with contracts connected to the provider, nothing is signed
+    contracts = [controller, integrationRegistry, priceOracle].map((instance, i) => ({
+      name: ['Controller', 'IntegrationRegistry', 'PriceOracle'][i],
+      key: ['controller', 'integration_registry', 'price_oracle'][i],
+      block: 0,
+      instance: instance.connect(hre.ethers.provider),
+    }));
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+
+    if (fs.existsSync(filename)) {
+      fs.unlinkSync(filename);
+    }
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  // execute the transactions of the batch one by one from the safe
+  const executeBatch = async (batch) => {
+    for (const { to, value, data } of batch.transactions) {
+      await safe.sendTransaction({ to, value, data });
+    }
+  };
+
+  const getInterface = (to) => [controller, integrationRegistry, priceOracle].find((item) => item.address == to).interface;
+
+  describe('admin actions of deploy.js', function () {
+    let batch;
+    let adapter;
+
+    beforeEach(async function () {
+      adapter = await getRandomAddress();
+      batch = createSafeBatch(31337, 'Matrix deploy hardhat', safe.address);
+
+      addSafeTransaction(batch, 'controller add module TradeModule', controller, 'addModule', [tradeModule.address]);
+      addSafeTransaction(batch, 'IntegrationRegistry add integration', integrationRegistry, 'addIntegration', [tradeModule.address, 'ADAPTER', adapter]);
+      addSafeTransaction(batch, 'PriceOracle add eth_usd_oracle', priceOracle, 'addPair', [ETH_ADDRESS, usd, ethUsdOracle.address]);
+      addSafeTransaction(batch, 'PriceOracle add adapter', priceOracle, 'addAdapter', [adapter]);
+    });
+
+    it('should write a Transaction Builder batch with a valid checksum', async function () {
+      writeSafeBatch(filename, batch);
+      const result = JSON.parse(fs.readFileSync(filename));
+
+      expect(result.version).eq('1.0');
+      expect(result.chainId).eq('31337');
+      expect(result.meta.createdFromSafeAddress).eq(safe.address);
+      expect(result.meta.checksum).eq(calculateChecksum(result));
+      expect(result.meta.description.split('\n')).deep.eq([
+        '1. controller add module TradeModule',
+        '2. IntegrationRegistry add integration',
+        '3. PriceOracle add eth_usd_oracle',
+        '4. PriceOracle add adapter',
+      ]);
+    });
+
+    it('should decode the batch back to the admin calls', async function () {
+      writeSafeBatch(filename, batch);
+      const { transactions } = JSON.parse(fs.readFileSync(filename));
+
+      const decoded = transactions.map((item) => decodeSafeTransaction(item, getInterface(item.to)));
+      expect(decoded.map(({ to, method, args }) => [to, method, [...args]])).deep.eq([
+        [controller.address, 'addModule', [tradeModule.address]],
+        [integrationRegistry.address, 'addIntegration', [tradeModule.address, 'ADAPTER', adapter]],
+        [priceOracle.address, 'addPair', [ETH_ADDRESS, usd, ethUsdOracle.address]],
+        [priceOracle.address, 'addAdapter', [adapter]],
+      ]);
+    });
+
+    it('should record the decoded inputs of each transaction', async function () {
+      const [, addIntegration] = batch.transactions;
+
+      expect(addIntegration.value).eq('0');
+      expect(addIntegration.contractMethod.name).eq('addIntegration');
+      expect(addIntegration.contractMethod.inputs.map((item) => item.type)).deep.eq(['address', 'string', 'address']);
+      expect(Object.values(addIntegration.contractInputsValues)).deep.eq([tradeModule.address, 'ADAPTER', adapter]);
+    });
+
+    it('should execute the batch from the safe', async function () {
+      await executeBatch(batch);
+
+      expect(await controller.isModule(tradeModule.address)).is.true;
+      expect(await integrationRegistry.getIntegrationAdapter(tradeModule.address, 'ADAPTER')).eq(adapter);
+      expect(await priceOracle.getOracle(ETH_ADDRESS, usd)).eq(ethUsdOracle.address);
+      expect(await priceOracle.getAdapters()).deep.eq([adapter]);
+    });
+  });
+
+  describe('admin actions of role.js', function () {
+    // the tasks read the contracts of deploy/deployed/<network>.json
+    const deployedFile = `./deploy/deployed/${hre.network.name}.json`;
+
+    before(async function () {
+      const contractAddresses = { chain_name: hre.network.name, chain_id: hre.network.config.chainId };
+      for (const { name, key, instance } of contracts) {
+        contractAddresses[key] = { name, address: instance.address, block: 0 };
+      }
+
+      fs.writeFileSync(deployedFile, JSON.stringify(contractAddresses, null, 4));
+    });
+
+    after(async function () {
+      fs.unlinkSync(deployedFile);
+    });
+
+    it('should batch role grants without sending them', async function () {
+      const batch = createSafeBatch(31337, 'Matrix grant ADMIN_ROLE', safe.address);
+      const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+      await grantNamedRole(contracts, 'ADMIN_ROLE', randomAccount.address, hre, {}, batch);
+
+      expect(await hre.ethers.provider.getBlockNumber()).eq(blockNumber);
+      expect(batch.transactions.map((item) => decodeSafeTransaction(item, getInterface(item.to)).method)).deep.eq(['grantRole', 'grantRole', 'grantRole']);
+
+      await executeBatch(batch);
+      expect(await controller.hasRole(ADMIN_ROLE, randomAccount.address)).is.true;
+    });
+
+    it('should write the role grants of the grantRole task to a batch file', async function () {
+      const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+      await hre.run('grantRole', { role: 'ADMIN_ROLE', account: randomAccount.address, safeBatch: filename, safe: safe.address });
+
+      const batch = JSON.parse(fs.readFileSync(filename));
+      const decoded = batch.transactions.map((item) => decodeSafeTransaction(item, getInterface(item.to)));
+
+      expect(await hre.ethers.provider.getBlockNumber()).eq(blockNumber);
+      expect(batch.meta.createdFromSafeAddress).eq(safe.address);
+      expect(decoded.map(({ to, method, args }) => [to, method, args.role, args.account])).deep.eq([
+        [controller.address, 'grantRole', ADMIN_ROLE, randomAccount.address],
+        [integrationRegistry.address, 'grantRole', ADMIN_ROLE, randomAccount.address],
+        [priceOracle.address, 'grantRole', ADMIN_ROLE, randomAccount.address],
+      ]);
+
+      await executeBatch(batch);
+      expect(await integrationRegistry.hasRole(ADMIN_ROLE, randomAccount.address)).is.true;
+    });
+
+    it('should write the transfer of the transferAdmin task to a batch file', async function () {
+      await hre.run('transferAdmin', { account: newSafe.address, allowEoa: true, safeBatch: filename, safe: safe.address });
+
+      const batch = JSON.parse(fs.readFileSync(filename));
+      expect(batch.transactions.length).eq(12); // grant and renounce 2 roles on 3 contracts
+
+      await executeBatch(batch);
+      for (const { instance } of contracts) {
+        expect(await instance.hasRole(DEFAULT_ADMIN_ROLE, newSafe.address)).is.true;
+        expect(await instance.hasRole(DEFAULT_ADMIN_ROLE, safe.address)).is.false;
+      }
+    });
+
+    it('should batch the transfer of admin roles from the safe', async function () {
+      const batch = createSafeBatch(31337, 'Matrix transfer admin roles', safe.address);
+
+      await transferAdminRoles(contracts, safe.address, newSafe.address, hre, {}, { allowEoa: true, batch });
+
+      const decoded = batch.transactions.slice(0, 2).map((item) => decodeSafeTransaction(item, getInterface(item.to)));
+      expect(decoded.map(({ method, args }) => [method, args.role])).deep.eq([
+        ['grantRole', ADMIN_ROLE],
+        ['grantRole', DEFAULT_ADMIN_ROLE],
+      ]);
+      expect(decodeSafeTransaction(batch.transactions[batch.transactions.length - 1], priceOracle.interface).method).eq('renounceRole');
+
+      await executeBatch(batch);
+      for (const { instance } of contracts) {
+        expect(await instance.hasRole(DEFAULT_ADMIN_ROLE, newSafe.address)).is.true;
+        expect(await instance.hasRole(DEFAULT_ADMIN_ROLE, safe.address)).is.false;
+      }
+    });
+  });
+});
@@ -0,0 +1,191 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers, waffle } = require('hardhat');
+const { provider } = waffle;
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { PRIVATE_KEY, KEYSTORE, REMOTE, READONLY, getSignerOptions, createSigner, isReadOnly } = require('../../deploy/signer');
+
+async function getErrorMessage(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e.message;
+  }
+
+  return undefined;
+}
+
+// a stub of an external signer like clef, which keeps the key of wallet
+function startRemoteSigner(wallet, calls) {
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => (body += chunk));
+    request.on('end', async () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push(method);
+
+      let result;
+      if (method == 'eth_accounts') {
+        result = [wallet.address.toLowerCase()];
+      } else if (method == 'eth_signTransaction') {
+        const { from, gas, chainId, type, ...tx } = params[0]; // eslint-disable-line no-unused-vars
+        const raw = await wallet.signTransaction({ ...tx, gasLimit: gas, chainId: Number(chainId), type: type ? Number(type) : undefined });
+        result = { raw, tx: ethers.utils.parseTransaction(raw) };
+      }
+
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(result ? { jsonrpc: '2.0', id, result } : { jsonrpc: '2.0', id, error: { code: -32601, message: 'not found' } }));
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('deploy signer', function () {
+  const [owner] = getSigners();
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('getSignerOptions', function () {
+    it('should prefer a keystore or a remote signer to a private key', async function () {
+      const env = { DEPLOYER_PRIVATE_KEY: 'abc', DEPLOYER_KEYSTORE: './keystore/deployer.json', DEPLOYER_SIGNER_URL: 'http://127.0.0.1:8550' };
+
+      expect(getSignerOptions(env).type).eq(KEYSTORE);
+      expect(getSignerOptions({ ...env, DEPLOYER_KEYSTORE: undefined }).type).eq(REMOTE);
+      expect(getSignerOptions({ DEPLOYER_PRIVATE_KEY: 'abc' }).type).eq(PRIVATE_KEY);
+      expect(getSignerOptions({ ...env, DEPLOYER_SIGNER: READONLY }).type).eq(READONLY);
+    });
+
+    it('should be read-only without any signer', async function () {
+      expect(getSignerOptions({}).type).eq(READONLY);
+    });
+  });
+
+  describe('private key', function () {
+    it('should accept a private key with or without 0x', async function () {
+      const wallet = ethers.Wallet.createRandom();
+
+      const signer1 = await createSigner(provider, { type: PRIVATE_KEY, privateKey: wallet.privateKey });
+      const signer2 = await createSigner(provider, { type: PRIVATE_KEY, privateKey: wallet.privateKey.slice(2) });
+
+      expect(await signer1.getAddress()).eq(wallet.address);
+      expect(await signer2.getAddress()).eq(wallet.address);
+    });
+
+    it('should refuse a private key when it is not allowed', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const message = await getErrorMessage(createSigner(provider, { type: PRIVATE_KEY, privateKey: wallet.privateKey, allowPrivateKey: false }));
+      expect(message).contain('is not allowed on this chain');
+    });
+  });
+
+  describe('keystore', function () {
+    const password = 'matrix';
+    const filename = path.join(os.tmpdir(), `keystore-${process.pid}.json`);
+
+    let wallet;
+    before(async function () {
+      wallet = ethers.Wallet.createRandom();
+      fs.writeFileSync(filename, await wallet.encrypt(password, { scrypt: { N: 1024 } }));
+      await owner.sendTransaction({ to: wallet.address, value: ethToWei(1) });
+    });
+
+    after(async function () {
+      fs.unlinkSync(filename);
+    });
+
+    it('should decrypt the keystore and send transactions', async function () {
+      const signer = await createSigner(provider, { type: KEYSTORE, keystore: filename, password });
+      expect(await signer.getAddress()).eq(wallet.address);
+
+      const to = await getRandomAddress();
+      await (await signer.sendTransaction({ to, value: 100 })).wait();
+      expect(await provider.getBalance(to)).eq(100);
+    });
+
+    it('should fail with a wrong password', async function () {
+      const message = await getErrorMessage(createSigner(provider, { type: KEYSTORE, keystore: filename, password: 'wrong' }));
+      expect(message).contain('invalid password');
+    });
+
+    it('should fail when the keystore is not exist', async function () {
+      const message = await getErrorMessage(createSigner(provider, { type: KEYSTORE, keystore: `${filename}.none`, password }));
+      expect(message).contain('is not exist');
+    });
+  });
+
+  describe('remote', function () {
+    let calls;
+    let server;
+    let wallet;
+    let url;
+
+    before(async function () {
+      calls = [];
+      wallet = ethers.Wallet.createRandom();
+      server = await startRemoteSigner(wallet, calls);
+      url = `http://127.0.0.1:${server.address().port}`;
+      await owner.sendTransaction({ to: wallet.address, value: ethToWei(1) });
+    });
+
+    after(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should read the account of the remote signer', async function () {
+      const signer = await createSigner(provider, { type: REMOTE, url });
+      expect(await signer.getAddress()).eq(wallet.address);
+      expect(calls).contain('eth_accounts');
+    });
+
+    it('should sign with eth_signTransaction and send through the provider', async function () {
+      const signer = await createSigner(provider, { type: REMOTE, url, address: wallet.address });
+
+      const to = await getRandomAddress();
+      await (await signer.sendTransaction({ to, value: 200 })).wait();
+
+      expect(await provider.getBalance(to)).eq(200);
+      expect(calls).contain('eth_signTransaction');
+    });
+
+    it('should refuse a transaction signed by another account', async function () {
+      const other = await getRandomAddress();
+      const signer = await createSigner(provider, { type: REMOTE, url, address: other });
+
+      const message = await getErrorMessage(signer.signTransaction({ to: other, value: 1, nonce: 0, gasLimit: 21000, gasPrice: 1, chainId: 31337 }));
+      expect(message).contain(`is not signed by ${other}`);
+    });
+  });
+
+  describe('read-only', function () {
+    it('should read but not send', async function () {
+      const signer = await createSigner(provider, { type: READONLY, address: owner.address });
+
+      expect(isReadOnly(signer)).is.true;
+      expect(await signer.getAddress()).eq(owner.address);
+      expect(await signer.getBalance()).gt(0);
+
+      const message = await getErrorMessage(signer.sendTransaction({ to: owner.address, value: 1 }));
+      expect(message).contain('cannot sign transactions');
+    });
+  });
+});
@@ -0,0 +1,327 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../helpers/unitUtil');
+const { deployContract } = require('../helpers/deploy');
+const { ZERO_ADDRESS } = require('../helpers/constants');
+const { SystemFixture } = require('../fixtures/systemFixture');
+const { createSafeBatch } = require('../../deploy/safe');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { loadProductSpec, formatProductSpec, exportProductSpec, planProductSpec, applyProductSpec } = require('../../deploy/spec');
+
+describe('deploy spec', function () {
+  const [owner, feeRecipient, manager] = getSigners();
+  const systemFixture = new SystemFixture(owner, feeRecipient);
+
+  let inputs;
+  let matrixToken;
+  let tradeModule;
+  let wrapModule;
+  let assetLimitHook;
+  let exported;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, weth, usdc, basicIssuanceModule, streamingFeeModule, navIssuanceModule, integrationRegistry } = systemFixture;
+
+    tradeModule = await deployContract('TradeModule', [controller.address, 'TradeModule'], owner);
+    wrapModule = await deployContract('WrapModuleV2', [controller.address, weth.address, 'WrapModuleV2'], owner);
+    await controller.addModule(tradeModule.address);
+    await controller.addModule(wrapModule.address);
+
+    const uniswapAdapter = await getRandomAddress();
+    const sushiAdapter = await getRandomAddress();
+    await integrationRegistry.addIntegration(tradeModule.address, 'UNISWAP_V2_EXCHANGE_ADAPTER', uniswapAdapter);
+
+    matrixToken = await systemFixture.createMatrixToken(
+      [weth.address, usdc.address],
+      [ethToWei(0.01), 20e6],
+      [basicIssuanceModule.address, streamingFeeModule.address, navIssuanceModule.address, tradeModule.address],
+      owner,
+      'Matrix Index',
+      'MI'
+    );
+
+    assetLimitHook = await deployContract('AssetLimitHook', [[weth.address], [ethToWei(100)]], owner);
+    await assetLimitHook.addAssetLimit(matrixToken.address, ethToWei(1000));
+
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+    await streamingFeeModule.initialize(matrixToken.address, {
+      feeRecipient: feeRecipient.address,
+      maxStreamingFeePercentage: ethToWei(0.05),
+      streamingFeePercentage: ethToWei(0.01),
+      lastStreamingFeeTimestamp: 0,
+    });
+    await navIssuanceModule.initialize(matrixToken.address, {
+      maxManagerFee: ethToWei(0.01),
+      premiumPercentage: ethToWei(0.005),
+      maxPremiumPercentage: ethToWei(0.01),
+      minMatrixTokenSupply: ethToWei(1),
+      feeRecipient: feeRecipient.address,
+      managerIssuanceHook: assetLimitHook.address,
+      managerRedemptionHook: assetLimitHook.address,
+      managerFees: [ethToWei(0.001), ethToWei(0.002)],
+      reserveAssets: [weth.address],
+    });
+    await tradeModule.initialize(matrixToken.address);
+
+    inputs = {
+      chainName: 'hardhat',
+      config: { tokens: { weth: weth.address, usdc: usdc.address } },
+      manifest: { integrations: { trade_module: ['uniswap_v2_exchange_adapter', 'sushi_exchange_adapter'] } },
+      contractAddresses: {
+        integration_registry: { address: integrationRegistry.address },
+        basic_issuance_module: { address: basicIssuanceModule.address },
+        streaming_fee_module: { address: streamingFeeModule.address },
+        nav_issuance_module: { address: navIssuanceModule.address },
+        trade_module: { address: tradeModule.address },
+        wrap_module_v2: { address: wrapModule.address },
+        asset_limit_hook: { address: assetLimitHook.address },
+        uniswap_v2_exchange_adapter: { address: uniswapAdapter },
+        sushi_exchange_adapter: { address: sushiAdapter },
+      },
+    };
+
+    exported = await exportProductSpec(hre, inputs, matrixToken.address);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  const getSpec = () => JSON.parse(JSON.stringify(exported));
+
+  describe('exportProductSpec', function () {
+    it('should export components, modules, integrations and asset limits', async function () {
+      expect(exported).deep.eq({
+        name: 'Matrix Index',
+        symbol: 'MI',
+        manager: owner.address,
+        components: [
+          { token: 'weth', units: '0.01' },
+          { token: 'usdc', units: '20' },
+        ],
+        modules: {
+          basic_issuance_module: { pre_issue_hook: '' },
+          streaming_fee_module: { fee_recipient: feeRecipient.address, max_streaming_fee_percentage: '5%', streaming_fee_percentage: '1%' },
+          nav_issuance_module: {
+            reserve_assets: ['weth'],
+            fee_recipient: feeRecipient.address,
+            manager_fees: ['0.1%', '0.2%'],
+            max_manager_fee: '1%',
+            premium_percentage: '0.5%',
+            max_premium_percentage: '1%',
+            min_matrix_token_supply: '1',
+            manager_issuance_hook: 'asset_limit_hook',
+            manager_redemption_hook: 'asset_limit_hook',
+          },
+          trade_module: {},
+        },
+        integrations: { trade_module: ['uniswap_v2_exchange_adapter'] },
+        asset_limit_hook: { hook: 'asset_limit_hook', issue: { weth: '100' }, redeem: '1000' },
+      });
+    });
+
+    it('should export pending modules', async function () {
+      await matrixToken.addModule(wrapModule.address);
+
+      const spec = await exportProductSpec(hre, inputs, matrixToken.address);
+      expect(spec.pending_modules).deep.eq(['wrap_module_v2']);
+    });
+
+    it('should keep the spec in yaml', async function () {
+      const filename = path.join(os.tmpdir(), `spec-${Date.now()}.yaml`);
+      fs.writeFileSync(filename, formatProductSpec(exported, filename));
+
+      try {
+        expect(loadProductSpec(filename)).deep.eq(exported);
+      } finally {
+        fs.unlinkSync(filename);
+      }
+    });
+  });
+
+  describe('planProductSpec', function () {
+    it('should plan nothing for the exported spec', async function () {
+      const { actions, warnings } = await planProductSpec(hre, inputs, matrixToken.address, exported);
+
+      expect(actions).deep.eq([]);
+      expect(warnings).deep.eq([]);
+    });
+
+    it('should plan and apply the minimal transactions', async function () {
+      const spec = getSpec();
+      spec.manager = manager.address;
+      spec.modules.streaming_fee_module.streaming_fee_percentage = '2%';
+      spec.modules.nav_issuance_module.reserve_assets = ['weth', 'usdc'];
+      spec.modules.nav_issuance_module.premium_percentage = '0.8%';
+      spec.modules.wrap_module_v2 = {};
+      delete spec.modules.trade_module;
+      spec.remove_unlisted_modules = true;
+      spec.integrations.trade_module.push('sushi_exchange_adapter');
+      spec.asset_limit_hook = { hook: 'asset_limit_hook', issue: { weth: '200', usdc: '5000' }, redeem: '0' };
+
+      const plan = await planProductSpec(hre, inputs, matrixToken.address, spec);
+      expect(plan.warnings).deep.eq([]);
+      expect(plan.actions.map((item) => item.action)).deep.eq([
+        'addModule',
+        'initialize',
+        'removeModule',
+        'updateStreamingFee',
+        'editIssuanceSetting',
+        'addIntegration',
+        'editAssetLimit',
+        'addAssetLimit',
+        'removeAssetLimit',
+        'setManager',
+      ]);
+
+      await applyProductSpec(owner, plan);
+
+      const { navIssuanceModule, streamingFeeModule, integrationRegistry, usdc } = systemFixture;
+      expect(await matrixToken.getManager()).eq(manager.address);
+      expect(await matrixToken.isInitializedModule(wrapModule.address)).is.true;
+      expect(await matrixToken.isInitializedModule(tradeModule.address)).is.false;
+      expect((await streamingFeeModule.getFeeState(matrixToken.address)).streamingFeePercentage).eq(ethToWei(0.02));
+      expect((await navIssuanceModule.getIssuanceSetting(matrixToken.address)).premiumPercentage).eq(ethToWei(0.008));
+      expect(await navIssuanceModule.isReserveAsset(matrixToken.address, usdc.address)).is.true;
+      expect(await integrationRegistry.isValidIntegration(tradeModule.address, 'SUSHI_EXCHANGE_ADAPTER')).is.true;
+      expect(await assetLimitHook._assetLimits(usdc.address)).eq(5000e6);
+      expect(await assetLimitHook._assetLimits(matrixToken.address)).eq(0);
+
+      const replan = await planProductSpec(hre, inputs, matrixToken.address, spec);
+      expect(replan.actions).deep.eq([]);
+    });
+
+    it('should keep the modules when the spec has no modules', async function () {
+      const spec = getSpec();
+      delete spec.modules;
+      spec.remove_unlisted_modules = true;
+
+      const { actions, warnings } = await planProductSpec(hre, inputs, matrixToken.address, spec);
+
+      expect(actions).deep.eq([]);
+      expect(warnings).deep.eq([]);
+    });
+
+    it('should only warn about modules which are not in the spec without remove_unlisted_modules', async function () {
+      const spec = getSpec();
+      delete spec.modules.trade_module;
+
+      const { actions, warnings } = await planProductSpec(hre, inputs, matrixToken.address, spec);
+
+      expect(actions).deep.eq([]);
+      expect(warnings).deep.eq(['module trade_module is not in the spec, set remove_unlisted_modules to remove it']);
+    });
+
+    it('should only initialize a pending module', async function () {
+      await matrixToken.addModule(wrapModule.address);
+
+      const spec = getSpec();
+      spec.modules.wrap_module_v2 = {};
+
+      const { actions } = await planProductSpec(hre, inputs, matrixToken.address, spec);
+      expect(actions.map((item) => item.action)).deep.eq(['initialize']);
+    });
+
+    it('should plan the claims of ClaimModule', async function () {
+      const { controller, integrationRegistry } = systemFixture;
+      const claimModule = await deployContract('ClaimModule', [controller.address, 'ClaimModule'], owner);
+      const stakingRewardsAdapter = await getRandomAddress();
+      const curveAdapter = await getRandomAddress();
+      const [rewardPool1, rewardPool2] = [await getRandomAddress(), await getRandomAddress()];
+      await controller.addModule(claimModule.address);
+      await integrationRegistry.addIntegration(claimModule.address, 'STAKING_REWARDS_CLAIM_ADAPTER', stakingRewardsAdapter);
+      await integrationRegistry.addIntegration(claimModule.address, 'CURVE_CLAIM_ADAPTER', curveAdapter);
+
+      const claimInputs = {
+        ...inputs,
+        contractAddresses: {
+          ...inputs.contractAddresses,
+          claim_module: { address: claimModule.address },
+          staking_rewards_claim_adapter: { address: stakingRewardsAdapter },
+          curve_claim_adapter: { address: curveAdapter },
+        },
+      };
+
+      const spec = getSpec();
+      spec.modules.claim_module = { anyone_claim: false, claims: [{ reward_pool: rewardPool1, integration: 'staking_rewards_claim_adapter' }] };
+
+      const plan = await planProductSpec(hre, claimInputs, matrixToken.address, spec);
+      expect(plan.actions.map((item) => item.action)).deep.eq(['addModule', 'initialize']);
+      await applyProductSpec(owner, plan);
+
+      expect((await exportProductSpec(hre, claimInputs, matrixToken.address)).modules.claim_module).deep.eq(spec.modules.claim_module);
+
+      spec.modules.claim_module = { anyone_claim: true, claims: [{ reward_pool: rewardPool2, integration: 'curve_claim_adapter' }] };
+
+      const replan = await planProductSpec(hre, claimInputs, matrixToken.address, spec);
+      expect(replan.warnings).deep.eq([]);
+      expect(replan.actions.map((item) => item.action)).deep.eq(['updateAnyoneClaim', 'removeClaim', 'addClaim']);
+      await applyProductSpec(owner, replan);
+
+      expect(await claimModule._anyoneClaim(matrixToken.address)).is.true;
+      expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([rewardPool2]);
+      expect(await claimModule.isRewardPoolClaim(matrixToken.address, rewardPool2, 'CURVE_CLAIM_ADAPTER')).is.true;
+      expect((await planProductSpec(hre, claimInputs, matrixToken.address, spec)).actions).deep.eq([]);
+    });
+
+    it('should warn about differences which no transaction can fix', async function () {
+      const spec = getSpec();
+      spec.name = 'Other Index';
+      spec.components[0].units = '0.02';
+      spec.components.pop();
+      spec.modules.streaming_fee_module.max_streaming_fee_percentage = '10%';
+      spec.modules.nav_issuance_module.min_matrix_token_supply = '2';
+      spec.modules.nav_issuance_module.manager_redemption_hook = '';
+
+      const { actions, warnings } = await planProductSpec(hre, inputs, matrixToken.address, spec);
+
+      expect(actions).deep.eq([]);
+      expect(warnings.length).eq(6);
+      expect(warnings[0]).contain('name is Matrix Index');
+      expect(warnings[1]).contain('component weth has units 0.01 rather than 0.02');
+      expect(warnings[2]).contain('component usdc is not in the spec');
+      expect(warnings[3]).contain('max_streaming_fee_percentage is 5%');
+      expect(warnings[4]).contain('min_matrix_token_supply');
+      expect(warnings[5]).contain('manager_redemption_hook is asset_limit_hook');
+    });
+  });
+
+  describe('applyProductSpec', function () {
+    it('should add the actions to a Safe batch', async function () {
+      const spec = getSpec();
+      spec.manager = manager.address;
+      spec.modules.streaming_fee_module.streaming_fee_percentage = '2%';
+
+      const plan = await planProductSpec(hre, inputs, matrixToken.address, spec);
+      const batch = createSafeBatch(31337, 'spec', owner.address);
+      await applyProductSpec(undefined, plan, { batch });
+
+      expect(batch.transactions.map((item) => item.to)).deep.eq([systemFixture.streamingFeeModule.address, matrixToken.address]);
+      expect(await matrixToken.getManager()).eq(owner.address);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+const { ethers, waffle } = require('hardhat');
+const { provider } = waffle;
+
+// ==================== Internal Imports ====================
+
+const { deployContract } = require('../helpers/deploy');
+const { getSigners, getRandomAddress } = require('../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { sendTransaction, getRevertReason, getFeeOverrides } = require('../../deploy/transaction');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getErrorMessage(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e.message;
+  }
+
+  return undefined;
+}
+
+describe('deploy transaction', function () {
+  const [owner, feeRecipient, randomAccount] = getSigners();
+
+  let controller;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+    controller = await deployContract('Controller', [feeRecipient.address], owner);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('getFeeOverrides', function () {
+    it('should convert legacy gas price from gwei', async function () {
+      const result = getFeeOverrides({ gas_price: 30 });
+      expect(result.gasPrice).eq(ethers.utils.parseUnits('30', 'gwei'));
+      expect(result.maxFeePerGas).is.undefined;
+    });
+
+    it('should convert EIP-1559 fees from gwei', async function () {
+      const result = getFeeOverrides({ max_fee_per_gas: 100, max_priority_fee_per_gas: 1.5 });
+      expect(result.maxFeePerGas).eq(ethers.utils.parseUnits('100', 'gwei'));
+      expect(result.maxPriorityFeePerGas).eq(ethers.utils.parseUnits('1.5', 'gwei'));
+    });
+  });
+
+  describe('getRevertReason', function () {
+    it('should decode Error(string) from nested error data', async function () {
+      const data = ethers.utils.id('Error(string)').slice(0, 10) + ethers.utils.defaultAbiCoder.encode(['string'], ['C13']).slice(2);
+      expect(getRevertReason({ message: 'outer', error: { data } })).eq('C13');
+    });
+  });
+
+  describe('sendTransaction', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    afterEach(async function () {
+      await provider.send('evm_setAutomine', [true]);
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should return the receipt after the configured confirmations', async function () {
+      const receipt = await sendTransaction('initialize Controller', controller, 'initialize', [[], [], [], []], { confirmations: 1 });
+
+      expect(receipt.status).eq(1);
+      expect(await controller.isInitialized()).is.true;
+    });
+
+    it('should surface the revert reason', async function () {
+      const module = await getRandomAddress();
+      const message = await getErrorMessage(sendTransaction('add module', controller, 'addModule', [module], { confirmations: 1 }));
+      expect(message).eq('FAIL: add module: C13');
+    });
+
+    it('should surface the revert reason of a non admin caller', async function () {
+      await controller.initialize([], [], [], []);
+      const module = await getRandomAddress();
+      const instance = controller.connect(randomAccount);
+      const message = await getErrorMessage(sendTransaction('add module', instance, 'addModule', [module], { confirmations: 1 }));
+      expect(message).eq('FAIL: add module: C14');
+    });
+
+    it('should replace a stuck transaction with higher fees', async function () {
+      const gasPrice = ethers.utils.parseUnits('10', 'gwei');
+      await provider.send('evm_setAutomine', [false]);
+
+      const options = { confirmations: 1, timeout: 1, gas_price: 10, bump_percent: 20, max_retries: 2 };
+      const promise = sendTransaction('initialize Controller', controller, 'initialize', [[], [], [], []], options);
+
+      await sleep(1500); // the first transaction is replaced after 1 second
+      await provider.send('evm_mine', []);
+
+      const receipt = await promise;
+      expect(receipt.status).eq(1);
+      expect(receipt.effectiveGasPrice).gt(gasPrice);
+      expect(await controller.isInitialized()).is.true;
+    });
+
+    it('should fail after the max retries', async function () {
+      await provider.send('evm_setAutomine', [false]);
+
+      const options = { confirmations: 1, timeout: 0.2, gas_price: 10, max_retries: 1 };
+      const message = await getErrorMessage(sendTransaction('initialize Controller', controller, 'initialize', [[], [], [], []], options));
+      expect(message).contain('not mined after 1 replacements');
+    });
+  });
+});
@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const http = require('http');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { getSigners } = require('../helpers/accountUtil');
+const { deployContract } = require('../helpers/deploy');
+const { getDeploymentRecord } = require('../../deploy/helpers');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { verifyDeployed, getVerifyParams, VERIFIED, ALREADY_VERIFIED, FAILED } = require('../../deploy/verify');
+
+// a stub of the etherscan compatible explorer API
+function startExplorer(state) {
+  const readBody = (request) =>
+    new Promise((resolve) => {
+      let body = '';
+      request.on('data', (chunk) => (body += chunk));
+      request.on('end', () => resolve(body));
+    });
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const params = request.method == 'POST' ? new URLSearchParams(await readBody(request)) : url.searchParams;
+    const action = params.get('action');
+    state.calls.push(action);
+
+    const reply = (status, result, statusCode = 200) => {
+      response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ status, message: status == '1' ? 'OK' : 'NOTOK', result }));
+    };
+
+    if (action == 'getsourcecode') {
+      const address = params.get('address');
+      reply('1', [{ SourceCode: state.verified.has(address.toLowerCase()) ? 'contract Controller {}' : '' }]);
+    } else if (action == 'verifysourcecode') {
+      if (state.failSubmits > 0) {
+        state.failSubmits--;
+        reply('0', 'server error', 503);
+      } else {
+        state.submitted.push(Object.fromEntries(params.entries()));
+        reply('1', 'guid-1');
+      }
+    } else if (action == 'checkverifystatus') {
+      if (state.pendingChecks > 0) {
+        state.pendingChecks--;
+        reply('0', 'Pending in queue');
+      } else {
+        reply('1', 'Pass - Verified');
+      }
+    } else {
+      reply('0', 'unknown action');
+    }
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('deploy verify', function () {
+  const [owner, feeRecipient] = getSigners();
+
+  let state;
+  let server;
+  let explorer;
+  let contractAddresses;
+  let inputs;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    const controller = await deployContract('Controller', [feeRecipient.address], owner);
+    const controllerRecord = await getDeploymentRecord('Controller', controller, [feeRecipient.address]);
+    const valuer = await deployContract('MatrixValuer', [controller.address], owner);
+    const valuerRecord = await getDeploymentRecord('MatrixValuer', valuer, [controller.address]);
+
+    contractAddresses = {
+      chain_name: 'hardhat',
+      chain_id: 31337,
+      controller: { address: controller.address, block: 1, hash: '0x', ...controllerRecord },
+      matrix_valuer: { address: valuer.address, block: 2, hash: '0x', ...valuerRecord },
+      old_contract: { address: feeRecipient.address, block: 3, hash: '0x' },
+    };
+
+    inputs = { chainName: 'hardhat', config: { tokens: {} }, manifest: { contracts: [] }, oracles: {}, contractAddresses };
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  beforeEach(async function () {
+    state = { calls: [], submitted: [], verified: new Set(), failSubmits: 0, pendingChecks: 0 };
+    server = await startExplorer(state);
+    explorer = { apiUrl: `http://127.0.0.1:${server.address().port}/api`, apiKey: 'KEY' };
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should build the verify params from the deployment record', async function () {
+    const params = await getVerifyParams(hre, contractAddresses.controller);
+
+    expect(params.contractname).eq('contracts/protocol/Controller.sol:Controller');
+    expect(params.codeformat).eq('solidity-standard-json-input');
+    expect(params.compilerversion).match(/^v0\.8\.23/);
+    expect(params.constructorArguements).eq(contractAddresses.controller.encoded_args.slice(2));
+    expect(JSON.parse(params.sourceCode).sources).have.property('contracts/protocol/Controller.sol');
+  });
+
+  it('should verify, skip and fail contracts', async function () {
+    state.verified.add(contractAddresses.matrix_valuer.address.toLowerCase());
+    state.pendingChecks = 1;
+
+    const results = await verifyDeployed(hre, { explorer, inputs, delay: 1 });
+
+    expect(results.map((item) => [item.key, item.status])).deep.eq([
+      ['controller', VERIFIED],
+      ['matrix_valuer', ALREADY_VERIFIED],
+      ['old_contract', FAILED],
+    ]);
+    expect(state.submitted.length).eq(1);
+    expect(state.submitted[0].contractaddress).eq(contractAddresses.controller.address);
+    expect(state.submitted[0].apikey).eq('KEY');
+  });
+
+  it('should rebuild the records of the old deploy script from the manifest and oracle config', async function () {
+    const legacyInputs = {
+      chainName: 'hardhat',
+      config: { fee_recipient: feeRecipient.address, tokens: {} },
+      configFile: 'hardhat.json',
+      manifest: { contracts: [{ name: 'Controller', key: 'controller', args: ['config:fee_recipient'] }] },
+      oracles: { chainlink_oracle: [{ key: 'eth_usd_oracle', name: 'ETH/USD', address: feeRecipient.address }] },
+      contractAddresses: {
+        controller: { address: contractAddresses.controller.address, block: 1, hash: '0x' },
+        eth_usd_oracle: { address: owner.address, block: 4, hash: '0x' },
+      },
+    };
+
+    const results = await verifyDeployed(hre, { explorer, inputs: legacyInputs, delay: 1 });
+
+    expect(results.map((item) => [item.key, item.name, item.status])).deep.eq([
+      ['controller', 'Controller', VERIFIED],
+      ['eth_usd_oracle', 'ChainlinkOracle', VERIFIED],
+    ]);
+    expect(state.submitted[0].contractname).eq('contracts/protocol/Controller.sol:Controller');
+    expect(state.submitted[0].constructorArguements).eq(contractAddresses.controller.encoded_args.slice(2));
+    expect(state.submitted[1].contractname).match(/:ChainlinkOracle$/);
+  });
+
+  it('should fail the records of the old deploy script which are not in the manifest', async function () {
+    const results = await verifyDeployed(hre, { key: 'old_contract', explorer, inputs, delay: 1 });
+
+    expect(results[0].status).eq(FAILED);
+    expect(results[0].message).eq('the record has no contract or encoded_args, and old_contract is not in the manifest or oracle config');
+    expect(state.submitted.length).eq(0);
+  });
+
+  it('should only verify the contract of key', async function () {
+    const results = await verifyDeployed(hre, { key: 'controller', explorer, inputs, delay: 1 });
+
+    expect(results.length).eq(1);
+    expect(results[0].status).eq(VERIFIED);
+  });
+
+  it('should retry transient explorer failures', async function () {
+    state.failSubmits = 2;
+
+    const results = await verifyDeployed(hre, { key: 'controller', explorer, inputs, delay: 1 });
+
+    expect(results[0].status).eq(VERIFIED);
+    expect(state.calls.filter((action) => action == 'verifysourcecode').length).eq(3);
+  });
+
+  it('should fail when transient failures exceed the retries', async function () {
+    state.failSubmits = 3;
+
+    const results = await verifyDeployed(hre, { key: 'controller', explorer, inputs, delay: 1, retries: 2 });
+
+    expect(results[0].status).eq(FAILED);
+    expect(results[0].message).eq('HTTP 503');
+  });
+
+  it('should revert when the key is not deployed', async function () {
+    let error;
+    try {
+      await verifyDeployed(hre, { key: 'trade_module', explorer, inputs });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).eq('trade_module is not exist in deployed addresses !');
+  });
+});
@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== Internal Imports ====================
+
+const { UniswapFixture } = require('./uniswapFixture');
+const { UniswapV3Fixture, FEE_MEDIUM } = require('./uniswapV3Fixture');
+const { deployContract } = require('../helpers/deploy');
+const { ethToWei, btcToWei } = require('../helpers/unitUtil');
+const { ZERO_ADDRESS, MAX_UINT_256 } = require('../helpers/constants');
+
+const UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME = 'UNISWAP_V2_INDEX_EXCHANGE_ADAPTER';
+const SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME = 'SUSHI_V2_INDEX_EXCHANGE_ADAPTER';
+const UNISWAP_V3_INDEX_EXCHANGE_ADAPTER_NAME = 'UNISWAP_V3_INDEX_EXCHANGE_ADAPTER';
+
+// SingleIndexModule.ExchangeId
+const EXCHANGE_ID = { NONE: 0, UNISWAP: 1, SUSHISWAP: 2, BALANCER: 3 };
+
+class RebalanceFixture {
+  constructor(owner, systemFixture) {
+    this.owner = owner;
+    this.systemFixture = systemFixture;
+    this.uniswapFixture = new UniswapFixture(owner);
+    this.sushiswapFixture = new UniswapFixture(owner);
+    this.uniswapV3Fixture = new UniswapV3Fixture(owner);
+
+    this.generalIndexModule = ZERO_ADDRESS;
+    this.singleIndexModule = ZERO_ADDRESS;
+    this.uniswapIndexExchangeAdapter = ZERO_ADDRESS;
+    this.sushiswapIndexExchangeAdapter = ZERO_ADDRESS;
+    this.uniswapV3IndexExchangeAdapter = ZERO_ADDRESS;
+  }
+
+  // systemFixture.initAll() must be called before
+  async init() {
+    const { controller, integrationRegistry, weth, wbtc, dai } = this.systemFixture;
+
+    // two Uniswap V2 deployments stand for Uniswap and Sushiswap, both at the prices of the oracles: 230 usd/eth and 9000 usd/btc
+    await this.uniswapFixture.init(weth.address, wbtc.address, dai.address);
+    await this.sushiswapFixture.init(weth.address, wbtc.address, dai.address);
+    await this.addLiquidity(this.uniswapFixture.router, ethToWei(1000), ethToWei(900));
+    await this.addLiquidity(this.sushiswapFixture.router, ethToWei(500), ethToWei(450));
+
+    // the Uniswap V3 pools of the fee tier FEE_MEDIUM are at the same prices
+    await this.uniswapV3Fixture.init(weth, wbtc, dai);
+    await this.uniswapV3Fixture.addLiquidity(weth, dai, FEE_MEDIUM, ethToWei(500), ethToWei(115000));
+    await this.uniswapV3Fixture.addLiquidity(weth, wbtc, FEE_MEDIUM, ethToWei(450), btcToWei(11.5));
+
+    this.generalIndexModule = await deployContract('GeneralIndexModule', [controller.address, weth.address, 'GeneralIndexModule'], this.owner);
+    await controller.addModule(this.generalIndexModule.address);
+
+    this.uniswapIndexExchangeAdapter = await deployContract('UniswapV2IndexExchangeAdapter', [this.uniswapFixture.router.address], this.owner);
+    this.sushiswapIndexExchangeAdapter = await deployContract('UniswapV2IndexExchangeAdapter', [this.sushiswapFixture.router.address], this.owner);
+    this.uniswapV3IndexExchangeAdapter = await deployContract('UniswapV3IndexExchangeAdapter', [this.uniswapV3Fixture.swapRouter.address], this.owner);
+
+    await integrationRegistry.batchAddIntegration(
+      [this.generalIndexModule.address, this.generalIndexModule.address, this.generalIndexModule.address],
+      [UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME, SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME, UNISWAP_V3_INDEX_EXCHANGE_ADAPTER_NAME],
+      [this.uniswapIndexExchangeAdapter.address, this.sushiswapIndexExchangeAdapter.address, this.uniswapV3IndexExchangeAdapter.address]
+    );
+
+    // there is no Balancer exchange proxy in tests
+    this.singleIndexModule = await deployContract(
+      'SingleIndexModule',
+      [controller.address, weth.address, this.uniswapFixture.router.address, this.sushiswapFixture.router.address, ZERO_ADDRESS, 'SingleIndexModule'],
+      this.owner
+    );
+    await controller.addModule(this.singleIndexModule.address);
+  }
+
+  // WETH/DAI and WETH/WBTC liquidity of the WETH quantities at 230 dai/eth and 230/9000 btc/eth
+  async addLiquidity(router, wethDaiQuantity, wethWbtcQuantity) {
+    const { weth, wbtc, dai } = this.systemFixture;
+
+    await weth.approve(router.address, MAX_UINT_256);
+    await dai.approve(router.address, MAX_UINT_256);
+    await wbtc.approve(router.address, MAX_UINT_256);
+
+    const daiQuantity = wethDaiQuantity.mul(230);
+    const wbtcQuantity = wethWbtcQuantity.mul(230).div(9000).div(1e10); // 8 decimals
+
+    await router.addLiquidity(weth.address, dai.address, wethDaiQuantity, daiQuantity, 0, 0, this.owner.address, MAX_UINT_256);
+    await router.addLiquidity(weth.address, wbtc.address, wethWbtcQuantity, wbtcQuantity, 0, 0, this.owner.address, MAX_UINT_256);
+  }
+
+  // an index of the components with BasicIssuanceModule and indexModule initialized, quantity is issued to the owner
+  async createIndex(components, units, indexModule, quantity) {
+    const { basicIssuanceModule } = this.systemFixture;
+
+    const index = await this.systemFixture.createMatrixToken(components, units, [basicIssuanceModule.address, indexModule.address], this.owner);
+    await basicIssuanceModule.initialize(index.address, ZERO_ADDRESS);
+    await indexModule.initialize(index.address);
+    await this.systemFixture.approveAndIssueMatrixToken(index, quantity, this.owner.address);
+
+    return index;
+  }
+}
+
+module.exports = {
+  EXCHANGE_ID,
+  UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME,
+  SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME,
+  UNISWAP_V3_INDEX_EXCHANGE_ADAPTER_NAME,
+  RebalanceFixture,
+};
@@ -0,0 +1,259 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+// ==================== Internal Imports ====================
+
+const { SystemFixture } = require('./systemFixture');
+const { getSigners } = require('../helpers/accountUtil');
+const { ethToWei, btcToWei } = require('../helpers/unitUtil');
+const { ZERO, MAX_UINT_256 } = require('../helpers/constants');
+const { snapshotBlockchain, revertBlockchain } = require('../helpers/evmUtil.js');
+const { UniswapV3Fixture, FEE_LOW, FEE_MEDIUM } = require('./uniswapV3Fixture');
+
+describe('class UniswapV3Fixture', function () {
+  const [owner, protocolFeeRecipient] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const uniswapV3Fixture = new UniswapV3Fixture(owner);
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('init', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function init() {
+      await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
+    }
+
+    it('should deploy the periphery contracts of the factory', async function () {
+      await init();
+
+      expect(await uniswapV3Fixture.swapRouter.factory()).eq(uniswapV3Fixture.factory.address);
+      expect(await uniswapV3Fixture.swapRouter.WETH9()).eq(systemFixture.weth.address);
+      expect(await uniswapV3Fixture.nftPositionManager.factory()).eq(uniswapV3Fixture.factory.address);
+      expect(await uniswapV3Fixture.quoter.factory()).eq(uniswapV3Fixture.factory.address);
+    });
+
+    it('should deploy a WETH/DAI pool at the price', async function () {
+      await init();
+
+      const pool = uniswapV3Fixture.wethDaiPool;
+      const [expectedToken0, expectedToken1] = uniswapV3Fixture.getTokenOrder(systemFixture.weth.address, systemFixture.dai.address);
+      const expectedSqrtPriceX96 = await uniswapV3Fixture.getSqrtPriceX96(systemFixture.weth, systemFixture.dai, 230);
+
+      expect(await pool.token0()).eq(expectedToken0);
+      expect(await pool.token1()).eq(expectedToken1);
+      expect(await pool.fee()).eq(FEE_MEDIUM);
+      expect((await pool.slot0()).sqrtPriceX96).eq(expectedSqrtPriceX96);
+      expect(await pool.liquidity()).eq(ZERO);
+    });
+
+    it('should deploy a WETH/WBTC pool at the price', async function () {
+      await init();
+
+      const pool = uniswapV3Fixture.wethWbtcPool;
+      const [expectedToken0, expectedToken1] = uniswapV3Fixture.getTokenOrder(systemFixture.weth.address, systemFixture.wbtc.address);
+      const expectedSqrtPriceX96 = await uniswapV3Fixture.getSqrtPriceX96(systemFixture.weth, systemFixture.wbtc, 230 / 9000);
+
+      expect(await pool.token0()).eq(expectedToken0);
+      expect(await pool.token1()).eq(expectedToken1);
+      expect(await pool.fee()).eq(FEE_MEDIUM);
+      expect((await pool.slot0()).sqrtPriceX96).eq(expectedSqrtPriceX96);
+    });
+  });
+
+  describe('createNewPair', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should create a pool at another fee tier of the same tokens', async function () {
+      const pool = await uniswapV3Fixture.createNewPair(systemFixture.dai, systemFixture.weth, FEE_LOW, 1 / 230);
+
+      // the price of DAI in WETH is the inverse of the price of WETH in DAI
+      const expectedSqrtPriceX96 = await uniswapV3Fixture.getSqrtPriceX96(systemFixture.weth, systemFixture.dai, 230);
+
+      expect(pool.address).not.eq(uniswapV3Fixture.wethDaiPool.address);
+      expect(await pool.fee()).eq(FEE_LOW);
+      expect(await pool.tickSpacing()).eq(10);
+      expect((await pool.slot0()).tick).eq((await uniswapV3Fixture.wethDaiPool.slot0()).tick);
+      expect((await pool.slot0()).sqrtPriceX96.sub(expectedSqrtPriceX96).abs()).lte(expectedSqrtPriceX96.div(1e9));
+    });
+  });
+
+  describe('addLiquidity', function () {
+    const wethQuantity = ethToWei(10);
+    const daiQuantity = ethToWei(2300);
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function addLiquidity() {
+      await uniswapV3Fixture.addLiquidity(systemFixture.weth, systemFixture.dai, FEE_MEDIUM, wethQuantity, daiQuantity, 0.1);
+    }
+
+    it('should mint a position around the current tick to the owner', async function () {
+      await addLiquidity();
+
+      const { tick } = await uniswapV3Fixture.wethDaiPool.slot0();
+      const position = await uniswapV3Fixture.nftPositionManager.positions(1);
+
+      expect(await uniswapV3Fixture.nftPositionManager.ownerOf(1)).eq(owner.address);
+      expect(position.tickLower).lt(tick);
+      expect(position.tickUpper).gt(tick);
+      expect(position.tickLower % 60).eq(0);
+      expect(position.tickUpper % 60).eq(0);
+      expect(position.liquidity).gt(ZERO);
+      expect(await uniswapV3Fixture.wethDaiPool.liquidity()).eq(position.liquidity);
+    });
+
+    it('should take at most the desired amounts from the owner', async function () {
+      const oldDaiBalance = await systemFixture.dai.balanceOf(owner.address);
+      const oldWethBalance = await systemFixture.weth.balanceOf(owner.address);
+      await addLiquidity();
+      const newDaiBalance = await systemFixture.dai.balanceOf(owner.address);
+      const newWethBalance = await systemFixture.weth.balanceOf(owner.address);
+
+      expect(oldDaiBalance.sub(newDaiBalance)).gt(ZERO);
+      expect(oldDaiBalance.sub(newDaiBalance)).lte(daiQuantity);
+      expect(oldWethBalance.sub(newWethBalance)).gt(ZERO);
+      expect(oldWethBalance.sub(newWethBalance)).lte(wethQuantity);
+    });
+  });
+
+  describe('addLiquidityWide', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should mint a position over the full price range', async function () {
+      await uniswapV3Fixture.addLiquidityWide(systemFixture.weth, systemFixture.wbtc, FEE_MEDIUM, ethToWei(100), btcToWei(2.6));
+
+      const position = await uniswapV3Fixture.nftPositionManager.positions(1);
+
+      expect(position.tickLower).eq(-887220);
+      expect(position.tickUpper).eq(887220);
+      expect(await uniswapV3Fixture.wethWbtcPool.liquidity()).eq(position.liquidity);
+    });
+  });
+
+  describe('swap', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
+      await uniswapV3Fixture.addLiquidity(systemFixture.weth, systemFixture.dai, FEE_MEDIUM, ethToWei(100), ethToWei(23000));
+      await uniswapV3Fixture.addLiquidity(systemFixture.weth, systemFixture.wbtc, FEE_MEDIUM, ethToWei(100), btcToWei(2.6));
+      await systemFixture.weth.approve(uniswapV3Fixture.swapRouter.address, MAX_UINT_256);
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should swap near the price of the pool', async function () {
+      const expectedDaiQuantity = await uniswapV3Fixture.quoter.callStatic.quoteExactInputSingle(
+        systemFixture.weth.address,
+        systemFixture.dai.address,
+        FEE_MEDIUM,
+        ethToWei(1),
+        0
+      );
+
+      const oldDaiBalance = await systemFixture.dai.balanceOf(owner.address);
+      await uniswapV3Fixture.swapRouter.exactInputSingle({
+        tokenIn: systemFixture.weth.address,
+        tokenOut: systemFixture.dai.address,
+        fee: FEE_MEDIUM,
+        recipient: owner.address,
+        deadline: MAX_UINT_256,
+        amountIn: ethToWei(1),
+        amountOutMinimum: ZERO,
+        sqrtPriceLimitX96: ZERO,
+      });
+      const newDaiBalance = await systemFixture.dai.balanceOf(owner.address);
+
+      // 0.3% fee and price impact
+      expect(newDaiBalance.sub(oldDaiBalance)).eq(expectedDaiQuantity);
+      expect(expectedDaiQuantity).gt(ethToWei(225));
+      expect(expectedDaiQuantity).lt(ethToWei(230));
+    });
+
+    it('should swap through the encoded path', async function () {
+      const path = uniswapV3Fixture.encodePath([systemFixture.dai.address, systemFixture.weth.address, systemFixture.wbtc.address], [FEE_MEDIUM, FEE_MEDIUM]);
+      const expectedWbtcQuantity = await uniswapV3Fixture.quoter.callStatic.quoteExactInput(path, ethToWei(900));
+
+      await systemFixture.dai.approve(uniswapV3Fixture.swapRouter.address, ethToWei(900));
+
+      const oldWbtcBalance = await systemFixture.wbtc.balanceOf(owner.address);
+      await uniswapV3Fixture.swapRouter.exactInput({ path, recipient: owner.address, deadline: MAX_UINT_256, amountIn: ethToWei(900), amountOutMinimum: ZERO });
+      const newWbtcBalance = await systemFixture.wbtc.balanceOf(owner.address);
+
+      // 900 dai is 0.1 btc before fees
+      expect(newWbtcBalance.sub(oldWbtcBalance)).eq(expectedWbtcQuantity);
+      expect(expectedWbtcQuantity).gt(btcToWei(0.098));
+      expect(expectedWbtcQuantity).lt(btcToWei(0.1));
+    });
+  });
+
+  describe('encodePath', function () {
+    it('should pack the tokens and fees', async function () {
+      const tokens = [systemFixture.dai.address, systemFixture.weth.address, systemFixture.wbtc.address];
+      const path = uniswapV3Fixture.encodePath(tokens, [FEE_LOW, FEE_MEDIUM]);
+      const expectedPath = ethers.utils.solidityPack(
+        ['address', 'uint24', 'address', 'uint24', 'address'],
+        [tokens[0], FEE_LOW, tokens[1], FEE_MEDIUM, tokens[2]]
+      );
+
+      expect(path).eq(expectedPath);
+      expect(ethers.utils.hexDataLength(path)).eq(20 * 3 + 3 * 2);
+    });
+
+    it('should throw when the fees do not match the tokens', async function () {
+      const tokens = [systemFixture.dai.address, systemFixture.weth.address];
+      expect(() => uniswapV3Fixture.encodePath(tokens, [FEE_LOW, FEE_MEDIUM])).throw('path has 2 tokens for 2 fees !');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { ethers } = require('hardhat');
+const { BigNumber } = ethers;
+
+const UniswapV3FactoryArtifact = require('@uniswap/v3-core/artifacts/contracts/UniswapV3Factory.sol/UniswapV3Factory.json');
+const UniswapV3PoolArtifact = require('@uniswap/v3-core/artifacts/contracts/UniswapV3Pool.sol/UniswapV3Pool.json');
+const SwapRouterArtifact = require('@uniswap/v3-periphery/artifacts/contracts/SwapRouter.sol/SwapRouter.json');
+const QuoterArtifact = require('@uniswap/v3-periphery/artifacts/contracts/lens/Quoter.sol/Quoter.json');
+const NonfungiblePositionManagerArtifact = require('@uniswap/v3-periphery/artifacts/contracts/NonfungiblePositionManager.sol/NonfungiblePositionManager.json');
+
+// ==================== Internal Imports ====================
+
+const { sqrt } = require('../helpers/mathUtil');
+const { ZERO, ZERO_ADDRESS, MAX_UINT_256 } = require('../helpers/constants');
+
+// fee tiers enabled by UniswapV3Factory, in hundredths of a bip
+const FEE_LOW = 500;
+const FEE_MEDIUM = 3000;
+const FEE_HIGH = 10000;
+
+// TickMath.MIN_TICK and TickMath.MAX_TICK
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+class UniswapV3Fixture {
+  constructor(owner) {
+    this.owner = owner;
+
+    this.factory = ZERO_ADDRESS;
+    this.swapRouter = ZERO_ADDRESS;
+    this.nftPositionManager = ZERO_ADDRESS;
+    this.quoter = ZERO_ADDRESS;
+
+    this.wethDaiPool = ZERO_ADDRESS;
+    this.wethWbtcPool = ZERO_ADDRESS;
+  }
+
+  // weth, wbtc and dai are token contracts, the pools are initialized at wethPrice dai/eth and wethPrice/wbtcPrice btc/eth without liquidity
+  async init(weth, wbtc, dai, wethPrice = 230, wbtcPrice = 9000) {
+    this.factory = await this.deployArtifact(UniswapV3FactoryArtifact, []);
+    this.swapRouter = await this.deployArtifact(SwapRouterArtifact, [this.factory.address, weth.address]);
+    this.quoter = await this.deployArtifact(QuoterArtifact, [this.factory.address, weth.address]);
+
+    // the token descriptor is only called by tokenURI
+    this.nftPositionManager = await this.deployArtifact(NonfungiblePositionManagerArtifact, [this.factory.address, weth.address, ZERO_ADDRESS]);
+
+    this.wethDaiPool = await this.createNewPair(weth, dai, FEE_MEDIUM, wethPrice);
+    this.wethWbtcPool = await this.createNewPair(weth, wbtc, FEE_MEDIUM, wethPrice / wbtcPrice);
+  }
+
+  async deployArtifact(artifact, args) {
+    const Implementation = new ethers.ContractFactory(artifact.abi, artifact.bytecode, this.owner);
+    const contract = await Implementation.deploy(...args);
+    return contract.deployed();
+  }
+
+  // creates the pool of tokenA and tokenB at the fee tier, initialized at price of tokenB per tokenA in whole tokens
+  async createNewPair(tokenA, tokenB, fee, price) {
+    const [token0, token1] = this.getTokenOrder(tokenA.address, tokenB.address);
+    const sqrtPriceX96 = await this.getSqrtPriceX96(tokenA, tokenB, price);
+
+    await this.nftPositionManager.createAndInitializePoolIfNecessary(token0, token1, fee, sqrtPriceX96);
+
+    return this.getPool(tokenA, tokenB, fee);
+  }
+
+  async getPool(tokenA, tokenB, fee) {
+    const poolAddress = await this.factory.getPool(tokenA.address, tokenB.address, fee);
+    return new ethers.Contract(poolAddress, UniswapV3PoolArtifact.abi, this.owner);
+  }
+
+  // mints a position of at most amountA of tokenA and amountB of tokenB between price * (1 - priceRange) and price * (1 + priceRange) of the pool
+  async addLiquidity(tokenA, tokenB, fee, amountA, amountB, priceRange = 0.1, recipient = this.owner.address) {
+    const pool = await this.getPool(tokenA, tokenB, fee);
+    const { tick } = await pool.slot0();
+    const tickSpacing = await pool.tickSpacing();
+
+    const lowerTick = tick + Math.floor(Math.log(1 - priceRange) / Math.log(1.0001));
+    const upperTick = tick + Math.ceil(Math.log(1 + priceRange) / Math.log(1.0001));
+
+    return this.mintPosition(
+      tokenA,
+      tokenB,
+      fee,
+      amountA,
+      amountB,
+      this.getUsableTick(lowerTick, tickSpacing),
+      this.getUsableTick(upperTick, tickSpacing),
+      recipient
+    );
+  }
+
+  // mints a position of at most amountA of tokenA and amountB of tokenB over the full price range of the pool
+  async addLiquidityWide(tokenA, tokenB, fee, amountA, amountB, recipient = this.owner.address) {
+    const pool = await this.getPool(tokenA, tokenB, fee);
+    const tickSpacing = await pool.tickSpacing();
+
+    return this.mintPosition(
+      tokenA,
+      tokenB,
+      fee,
+      amountA,
+      amountB,
+      this.getUsableTick(MIN_TICK, tickSpacing),
+      this.getUsableTick(MAX_TICK, tickSpacing),
+      recipient
+    );
+  }
+
+  async mintPosition(tokenA, tokenB, fee, amountA, amountB, tickLower, tickUpper, recipient) {
+    await tokenA.connect(this.owner).approve(this.nftPositionManager.address, MAX_UINT_256);
+    await tokenB.connect(this.owner).approve(this.nftPositionManager.address, MAX_UINT_256);
+
+    const isTokenAFirst = tokenA.address.toLowerCase() < tokenB.address.toLowerCase();
+    const [token0, token1] = isTokenAFirst ? [tokenA, tokenB] : [tokenB, tokenA];
+    const [amount0Desired, amount1Desired] = isTokenAFirst ? [amountA, amountB] : [amountB, amountA];
+
+    return this.nftPositionManager.mint({
+      token0: token0.address,
+      token1: token1.address,
+      fee,
+      tickLower,
+      tickUpper,
+      amount0Desired,
+      amount1Desired,
+      amount0Min: ZERO,
+      amount1Min: ZERO,
+      recipient,
+      deadline: MAX_UINT_256,
+    });
+  }
+
+  // the tick of the range bound must be a multiple of tickSpacing within [MIN_TICK, MAX_TICK]
+  getUsableTick(tick, tickSpacing) {
+    const usableTick = Math.round(tick / tickSpacing) * tickSpacing;
+
+    if (usableTick < MIN_TICK) {
+      return usableTick + tickSpacing;
+    }
+
+    if (usableTick > MAX_TICK) {
+      return usableTick - tickSpacing;
+    }
+
+    return usableTick;
+  }
+
+  // sqrt(token1 / token0) in raw units as Q64.96, where price is tokenB per tokenA in whole tokens
+  async getSqrtPriceX96(tokenA, tokenB, price) {
+    const decimalsA = await tokenA.decimals();
+    const decimalsB = await tokenB.decimals();
+    const scaledPrice = ethers.utils.parseUnits(Number(price).toFixed(18), 18);
+
+    // rawB / rawA = price * 10^decimalsB / 10^decimalsA
+    const numerator = scaledPrice.mul(BigNumber.from(10).pow(decimalsB));
+    const denominator = BigNumber.from(10).pow(decimalsA + 18);
+
+    const isTokenAFirst = tokenA.address.toLowerCase() < tokenB.address.toLowerCase();
+    const ratioX192 = isTokenAFirst ? numerator.shl(192).div(denominator) : denominator.shl(192).div(numerator);
+
+    return sqrt(ratioX192);
+  }
+
+  getTokenOrder(token1, token2) {
+    return token1.toLowerCase() < token2.toLowerCase() ? [token1, token2] : [token2, token1];
+  }
+
+  // the path of exactInput, reverse tokens and fees for the path of exactOutput
+  encodePath(tokens, fees) {
+    if (tokens.length !== fees.length + 1) {
+      throw new Error(`path has ${tokens.length} tokens for ${fees.length} fees !`);
+    }
+
+    const types = [];
+    const values = [];
+
+    for (let i = 0; i < fees.length; i++) {
+      types.push('address', 'uint24');
+      values.push(tokens[i], fees[i]);
+    }
+
+    types.push('address');
+    values.push(tokens[fees.length]);
+
+    return ethers.utils.solidityPack(types, values);
+  }
+}
+
+module.exports = {
+  FEE_LOW,
+  FEE_MEDIUM,
+  FEE_HIGH,
+  UniswapV3Fixture,
+};
@@ -60,6 +60,19 @@ function preciseDivFloorInt(a, b) {
   return divFloor(a.mul(PRECISE_UNIT), b);
 }
 
+// integer square root by the Babylonian method, rounded down
+function sqrt(a) {
+  let y = a;
+  let z = a.add(1).div(2);
+
+  while (z.lt(y)) {
+    y = z;
+    z = a.div(z).add(z).div(2);
+  }
+
+  return y;
+}
+
 function min(valueOne, valueTwo) {
   return valueOne.lt(valueTwo) ? valueOne : valueTwo;
 }
@@ -74,5 +87,6 @@ module.exports = {
   preciseMulFloorInt,
   preciseDivCeilInt,
   preciseDivFloorInt,
+  sqrt,
   min,
 };
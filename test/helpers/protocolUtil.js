@@ -2,33 +2,21 @@
 
 // ==================== External Imports ====================
 
-const { ethers, waffle } = require('hardhat');
+const { waffle } = require('hardhat');
 const { provider } = waffle;
 
 // ==================== Internal Imports ====================
 
 const { ZERO_ADDRESS, EMPTY_BYTES } = require('./constants');
+const { findEvent } = require('../../deploy/abi');
 
 async function getCreatedMatrixTokenAddress(txnHash) {
   if (!txnHash) {
     throw new Error('Invalid transaction hash');
   }
 
-  const topic = ethers.utils.id('CreateMatrixToken(address,address,address[],int256[],address[],address,address,string,string)');
-  const logs = await provider.getLogs({
-    fromBlock: 'latest',
-    toBlock: 'latest',
-    topics: [topic],
-  });
-
-  const abi = [
-    'event CreateMatrixToken(address indexed creater, address indexed matrixToken, address[] components, int256[] units, address[] modules, address controller, address indexed manager, string name, string symbol)',
-  ];
-
-  const interface = new ethers.utils.Interface(abi);
-  const lastLog = interface.parseLog(logs[logs.length - 1]);
-
-  return lastLog.args.matrixToken;
+  const receipt = await provider.getTransactionReceipt(txnHash);
+  return findEvent(receipt, 'MatrixTokenFactory', 'CreateMatrixToken').args.matrixToken;
 }
 
 function getDefaultPosition(component, unit) {
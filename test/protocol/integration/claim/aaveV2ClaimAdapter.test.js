@@ -0,0 +1,146 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { deployContract } = require('../../../helpers/deploy');
+const { ethToWei, usdToWei } = require('../../../helpers/unitUtil');
+const { SystemFixture } = require('../../../fixtures/systemFixture');
+const { AaveV2Fixture } = require('../../../fixtures/aaveV2Fixture');
+const { getSigners } = require('../../../helpers/accountUtil');
+const { MAX_UINT_256, ONE_DAY_IN_SECONDS } = require('../../../helpers/constants');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime, getLastBlockTimestamp } = require('../../../helpers/evmUtil.js');
+
+describe('contract AaveV2ClaimAdapter', function () {
+  const [owner, protocolFeeRecipient, randomAccount] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const aaveV2Fixture = new AaveV2Fixture(owner);
+  const AAVE_V2_CLAIM = 'AAVE_V2_CLAIM_ADAPTER';
+
+  let aUsdc;
+  let stkAave; // StakedTokenMock, the reward token
+  let claimModule;
+  let matrixToken; // holds aUSDC and WETH, only aUSDC is configured in the incentives controller
+  let aaveV2ClaimAdapter;
+  let incentivesController;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, integrationRegistry, weth, usdc } = systemFixture;
+    await aaveV2Fixture.init(weth.address, systemFixture.dai.address);
+
+    const aave = await deployContract('Erc20Mock', ['Aave Token', 'AAVE', 18], owner);
+    stkAave = await deployContract('StakedTokenMock', [aave.address], owner);
+    incentivesController = await deployContract('StakedTokenIncentivesController', [stkAave.address, owner.address], owner);
+    await incentivesController.initialize();
+    await aave.mint(incentivesController.address, ethToWei(1000000));
+
+    ({ aToken: aUsdc } = await aaveV2Fixture.createAndEnableReserve(
+      usdc.address,
+      'USDC',
+      6,
+      8000, // base LTV: 80%
+      8250, // liquidation threshold: 82.5%
+      10500, // liquidation bonus: 105.00%
+      1000, // reserve factor: 10%
+      true, // enable borrowing on reserve
+      false, // enable stable debts
+      aaveV2Fixture.treasuryAddress,
+      incentivesController.address
+    ));
+    // the index grows by emission * seconds * 1e18 / supply, which must fit in uint104 for 100 aUSDC over days
+    await incentivesController.configureAssets([aUsdc.address], [ethToWei(0.0001)]);
+    await incentivesController.setDistributionEnd((await getLastBlockTimestamp()) + ONE_DAY_IN_SECONDS * 365);
+
+    claimModule = await deployContract('ClaimModule', [controller.address, 'ClaimModule'], owner);
+    await controller.addModule(claimModule.address);
+    aaveV2ClaimAdapter = await deployContract('AaveV2ClaimAdapter', [], owner);
+    await integrationRegistry.addIntegration(claimModule.address, AAVE_V2_CLAIM, aaveV2ClaimAdapter.address);
+
+    matrixToken = await systemFixture.createMatrixToken([aUsdc.address, weth.address], [usdToWei(100), ethToWei(1)], [claimModule.address], owner);
+    await claimModule.initialize(matrixToken.address, false, [incentivesController.address], [AAVE_V2_CLAIM]);
+
+    // deposits on behalf of the MatrixToken, which accrues rewards from the deposit on
+    await usdc.approve(aaveV2Fixture.lendingPool.address, MAX_UINT_256);
+    await aaveV2Fixture.lendingPool.deposit(usdc.address, usdToWei(100), matrixToken.address, 0);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+    await increaseBlockTime(ONE_DAY_IN_SECONDS);
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  describe('getRewardAssets', function () {
+    it('should return the components configured in the incentives controller', async function () {
+      expect(await aaveV2ClaimAdapter.getRewardAssets(matrixToken.address, incentivesController.address)).deep.eq([aUsdc.address]);
+    });
+
+    it('should return no asset when no component is configured', async function () {
+      const wethToken = await systemFixture.createMatrixToken([systemFixture.weth.address], [ethToWei(1)], [claimModule.address], owner);
+      expect(await aaveV2ClaimAdapter.getRewardAssets(wethToken.address, incentivesController.address)).deep.eq([]);
+    });
+  });
+
+  describe('getClaimCallData', function () {
+    it('should return the claimRewards() calldata of the incentives controller', async function () {
+      const [subject, value, callData] = await aaveV2ClaimAdapter.getClaimCallData(matrixToken.address, incentivesController.address);
+      const expectedCallData = incentivesController.interface.encodeFunctionData('claimRewards', [[aUsdc.address], MAX_UINT_256, matrixToken.address]);
+
+      expect(subject).eq(incentivesController.address);
+      expect(value).eq(0);
+      expect(callData).eq(expectedCallData);
+    });
+  });
+
+  describe('getRewardsAmount', function () {
+    it('should return the unclaimed rewards of the MatrixToken', async function () {
+      const rewards = await aaveV2ClaimAdapter.getRewardsAmount(matrixToken.address, incentivesController.address);
+
+      expect(rewards).gt(0);
+      expect(rewards).eq(await incentivesController.getRewardsBalance([aUsdc.address], matrixToken.address));
+    });
+
+    it('should return 0 when no component is configured', async function () {
+      const wethToken = await systemFixture.createMatrixToken([systemFixture.weth.address], [ethToWei(1)], [claimModule.address], owner);
+      expect(await aaveV2ClaimAdapter.getRewardsAmount(wethToken.address, incentivesController.address)).eq(0);
+    });
+  });
+
+  describe('getTokenAddress', function () {
+    it('should return the reward token of the incentives controller', async function () {
+      expect(await aaveV2ClaimAdapter.getTokenAddress(incentivesController.address)).eq(stkAave.address);
+    });
+  });
+
+  describe('claim with ClaimModule', function () {
+    it('should claim the staked rewards to the MatrixToken', async function () {
+      const rewards = await claimModule.getRewards(matrixToken.address, incentivesController.address, AAVE_V2_CLAIM);
+      await claimModule.claim(matrixToken.address, incentivesController.address, AAVE_V2_CLAIM);
+      const balance = await stkAave.balanceOf(matrixToken.address);
+
+      // rewards accrue until the block of the claim
+      expect(balance).gte(rewards);
+      expect(await incentivesController.getRewardsBalance([aUsdc.address], matrixToken.address)).eq(0);
+    });
+
+    it('should revert when the caller is not the manager and anyone can not claim', async function () {
+      const promise = claimModule.connect(randomAccount).claim(matrixToken.address, incentivesController.address, AAVE_V2_CLAIM);
+      await expect(promise).revertedWith('CM5');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../../../helpers/unitUtil');
+const { deployContract } = require('../../../helpers/deploy');
+const { addressToData } = require('../../../helpers/adapterUtil');
+const { getSigners, getRandomAddress } = require('../../../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain } = require('../../../helpers/evmUtil.js');
+
+describe('contract CurveClaimAdapter', function () {
+  const [owner] = getSigners();
+
+  let crv;
+  let gauge;
+  let minter;
+  let matrixToken; // an address holding the gauge position
+  let gaugeController;
+  let curveClaimAdapter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    crv = await deployContract('Erc20Mock', ['Curve DAO Token', 'CRV', 18], owner);
+    gaugeController = await deployContract('GaugeControllerMock', [], owner);
+    minter = await deployContract('CurveMinterMock', [crv.address, gaugeController.address], owner);
+    gauge = await deployContract('CurveGaugeMock', [], owner);
+    await gaugeController.addGaugeType(gauge.address, 0);
+    await crv.mint(minter.address, ethToWei(1000));
+
+    curveClaimAdapter = await deployContract('CurveClaimAdapter', [gaugeController.address, minter.address], owner);
+    matrixToken = owner.address;
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  describe('constructor', function () {
+    it('set the correct variables', async function () {
+      expect(await curveClaimAdapter.getGaugeController()).eq(gaugeController.address);
+      expect(await curveClaimAdapter.getMinter()).eq(minter.address);
+    });
+  });
+
+  describe('getClaimCallData', function () {
+    it('should return the mint(address) calldata of the minter', async function () {
+      const [subject, value, callData] = await curveClaimAdapter.getClaimCallData(matrixToken, gauge.address);
+
+      expect(subject).eq(minter.address);
+      expect(value).eq(0);
+      expect(callData).eq('0x6a627842' + addressToData(gauge.address.toLowerCase())); // mint(address)
+    });
+
+    it('should revert when the gauge is not in the gauge controller', async function () {
+      const invalidGauge = await getRandomAddress();
+      await expect(curveClaimAdapter.getClaimCallData(matrixToken, invalidGauge)).revertedWith('CCA0');
+    });
+  });
+
+  describe('getRewardsAmount', function () {
+    it('should return the CRV which is not minted', async function () {
+      await gauge.setIntegrateFraction(matrixToken, ethToWei(10));
+      expect(await curveClaimAdapter.getRewardsAmount(matrixToken, gauge.address)).eq(ethToWei(10));
+
+      await minter.mint(gauge.address);
+      await gauge.setIntegrateFraction(matrixToken, ethToWei(15));
+
+      expect(await crv.balanceOf(matrixToken)).eq(ethToWei(10));
+      expect(await curveClaimAdapter.getRewardsAmount(matrixToken, gauge.address)).eq(ethToWei(5));
+    });
+
+    it('should revert when the gauge is not in the gauge controller', async function () {
+      const invalidGauge = await getRandomAddress();
+      await expect(curveClaimAdapter.getRewardsAmount(matrixToken, invalidGauge)).revertedWith('CCA1');
+    });
+  });
+
+  describe('getTokenAddress', function () {
+    it('should return CRV', async function () {
+      expect(await curveClaimAdapter.getTokenAddress(gauge.address)).eq(crv.address);
+    });
+  });
+});
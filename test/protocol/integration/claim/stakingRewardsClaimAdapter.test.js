@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../../../helpers/unitUtil');
+const { deployContract } = require('../../../helpers/deploy');
+const { MAX_UINT_256, ONE_DAY_IN_SECONDS } = require('../../../helpers/constants');
+const { SystemFixture } = require('../../../fixtures/systemFixture');
+const { UniswapFixture } = require('../../../fixtures/uniswapFixture');
+const { getSigners, getRandomAddress } = require('../../../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime } = require('../../../helpers/evmUtil.js');
+
+describe('contract StakingRewardsClaimAdapter', function () {
+  const [owner, protocolFeeRecipient] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const uniswapFixture = new UniswapFixture(owner);
+
+  let stakingRewards;
+  let stakingRewardsClaimAdapter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { weth, wbtc, dai } = systemFixture;
+    await uniswapFixture.init(weth.address, wbtc.address, dai.address);
+    stakingRewards = uniswapFixture.wethDaiStakingRewards;
+
+    stakingRewardsClaimAdapter = await deployContract('StakingRewardsClaimAdapter', [], owner);
+
+    // the owner stakes as the holder of the rewards
+    const pool = uniswapFixture.wethDaiPool;
+    await weth.approve(uniswapFixture.router.address, ethToWei(1));
+    await dai.approve(uniswapFixture.router.address, ethToWei(350));
+    await uniswapFixture.router.addLiquidity(weth.address, dai.address, ethToWei(1), ethToWei(350), 0, 0, owner.address, MAX_UINT_256);
+    await pool.approve(stakingRewards.address, MAX_UINT_256);
+    await stakingRewards.stake(await pool.balanceOf(owner.address));
+    await increaseBlockTime(ONE_DAY_IN_SECONDS);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('getClaimCallData', function () {
+    it('should return the getReward() calldata of the reward pool', async function () {
+      const matrixToken = await getRandomAddress();
+      const [subject, value, callData] = await stakingRewardsClaimAdapter.getClaimCallData(matrixToken, stakingRewards.address);
+
+      expect(subject).eq(stakingRewards.address);
+      expect(value).eq(0);
+      expect(callData).eq('0x3d18b912'); // getReward()
+    });
+  });
+
+  describe('getRewardsAmount', function () {
+    it('should return the earned rewards of the holder', async function () {
+      const rewards = await stakingRewardsClaimAdapter.getRewardsAmount(owner.address, stakingRewards.address);
+
+      expect(rewards).gt(0);
+      expect(rewards).eq(await stakingRewards.earned(owner.address));
+    });
+
+    it('should return 0 when the holder does not stake', async function () {
+      const matrixToken = await getRandomAddress();
+      expect(await stakingRewardsClaimAdapter.getRewardsAmount(matrixToken, stakingRewards.address)).eq(0);
+    });
+  });
+
+  describe('getTokenAddress', function () {
+    it('should return the rewards token of the reward pool', async function () {
+      expect(await stakingRewardsClaimAdapter.getTokenAddress(stakingRewards.address)).eq(uniswapFixture.uni.address);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ZERO } = require('../../../helpers/constants');
+const { deployContract } = require('../../../helpers/deploy');
+const { getSigners } = require('../../../helpers/accountUtil');
+const { ethToWei, btcToWei } = require('../../../helpers/unitUtil');
+const { SystemFixture } = require('../../../fixtures/systemFixture');
+const { UniswapV3Fixture, FEE_LOW, FEE_MEDIUM } = require('../../../fixtures/uniswapV3Fixture');
+const { snapshotBlockchain, revertBlockchain, getLastBlockTimestamp } = require('../../../helpers/evmUtil.js');
+
+describe('contract UniswapV3ExchangeAdapter', function () {
+  const [owner, protocolFeeRecipient, matrixTokenMock] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const uniswapV3Fixture = new UniswapV3Fixture(owner);
+
+  let uniswapV3ExchangeAdapter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
+    uniswapV3ExchangeAdapter = await deployContract('UniswapV3ExchangeAdapter', [uniswapV3Fixture.swapRouter.address], owner);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('getSpender', function () {
+    it('should return the correct spender address', async function () {
+      const spender = await uniswapV3ExchangeAdapter.getSpender();
+      expect(spender).eq(uniswapV3Fixture.swapRouter.address);
+    });
+  });
+
+  describe('generateDataParam', function () {
+    it('should return the encoded path of one pool', async function () {
+      const path = [systemFixture.wbtc.address, systemFixture.weth.address];
+      const data = await uniswapV3ExchangeAdapter.generateDataParam(path, [FEE_MEDIUM]);
+      expect(data).eq(uniswapV3Fixture.encodePath(path, [FEE_MEDIUM]));
+    });
+
+    it('should return the encoded path of multiple pools', async function () {
+      const path = [systemFixture.wbtc.address, systemFixture.weth.address, systemFixture.dai.address];
+      const data = await uniswapV3ExchangeAdapter.generateDataParam(path, [FEE_MEDIUM, FEE_LOW]);
+      expect(data).eq(uniswapV3Fixture.encodePath(path, [FEE_MEDIUM, FEE_LOW]));
+    });
+
+    it('should revert when the fees do not match the path', async function () {
+      const path = [systemFixture.wbtc.address, systemFixture.weth.address];
+      await expect(uniswapV3ExchangeAdapter.generateDataParam(path, [FEE_MEDIUM, FEE_LOW])).revertedWith('UcEA1');
+    });
+  });
+
+  describe('getTradeCalldata', function () {
+    const srcQuantity = btcToWei(1); // Trade 1 WBTC
+    const minDestQuantity = ethToWei(8800); // Receive at least 8.8k DAI
+
+    let srcToken;
+    let destToken;
+    let path;
+
+    beforeEach(async function () {
+      srcToken = systemFixture.wbtc.address;
+      destToken = systemFixture.dai.address;
+      path = uniswapV3Fixture.encodePath([srcToken, systemFixture.weth.address, destToken], [FEE_MEDIUM, FEE_MEDIUM]);
+    });
+
+    async function getTradeCalldata() {
+      return await uniswapV3ExchangeAdapter.getTradeCalldata(srcToken, destToken, matrixTokenMock.address, srcQuantity, minDestQuantity, path);
+    }
+
+    it('should return the correct trade calldata', async function () {
+      const calldata = await getTradeCalldata();
+
+      const callTimestamp = await getLastBlockTimestamp();
+      const expectedCallData = uniswapV3Fixture.swapRouter.interface.encodeFunctionData('exactInput', [
+        [path, matrixTokenMock.address, callTimestamp, srcQuantity, minDestQuantity],
+      ]);
+
+      expect(JSON.stringify(calldata)).eq(JSON.stringify([uniswapV3Fixture.swapRouter.address, ZERO, expectedCallData]));
+    });
+
+    it('should revert when the source token does not match the path', async function () {
+      srcToken = systemFixture.weth.address;
+      await expect(getTradeCalldata()).revertedWith('UcEA0a');
+    });
+
+    it('should revert when the destination token does not match the path', async function () {
+      destToken = systemFixture.weth.address;
+      await expect(getTradeCalldata()).revertedWith('UcEA0b');
+    });
+  });
+});
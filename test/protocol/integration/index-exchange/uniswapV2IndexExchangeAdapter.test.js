@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { deployContract } = require('../../../helpers/deploy');
+const { getSigners } = require('../../../helpers/accountUtil');
+const { ethToWei, btcToWei } = require('../../../helpers/unitUtil');
+const { SystemFixture } = require('../../../fixtures/systemFixture');
+const { UniswapFixture } = require('../../../fixtures/uniswapFixture');
+const { ZERO, EMPTY_BYTES } = require('../../../helpers/constants');
+const { snapshotBlockchain, revertBlockchain, getLastBlockTimestamp } = require('../../../helpers/evmUtil.js');
+
+describe('contract UniswapV2IndexExchangeAdapter', function () {
+  const [owner, protocolFeeRecipient, matrixTokenMock] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const uniswapFixture = new UniswapFixture(owner);
+
+  let uniswapV2IndexExchangeAdapter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    await uniswapFixture.init(systemFixture.weth.address, systemFixture.wbtc.address, systemFixture.dai.address);
+    uniswapV2IndexExchangeAdapter = await deployContract('UniswapV2IndexExchangeAdapter', [uniswapFixture.router.address], owner);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('constructor', function () {
+    it('should have the correct router address', async function () {
+      expect(await uniswapV2IndexExchangeAdapter._router()).eq(uniswapFixture.router.address);
+    });
+  });
+
+  describe('getSpender', function () {
+    it('should have the correct router address', async function () {
+      const actualRouterAddress = await uniswapV2IndexExchangeAdapter.getSpender();
+      expect(actualRouterAddress).eq(uniswapFixture.router.address);
+    });
+  });
+
+  describe('getTradeCalldata', function () {
+    const sourceQuantity = btcToWei(1); // Trade 1 WBTC
+    const destinationQuantity = ethToWei(30000); // Receive 30k DAI
+
+    let sourceToken;
+    let destinationToken;
+    let isSendTokenFixed;
+    let data;
+
+    beforeEach(async function () {
+      sourceToken = systemFixture.wbtc.address;
+      destinationToken = systemFixture.dai.address;
+      isSendTokenFixed = true;
+      data = EMPTY_BYTES;
+    });
+
+    async function getTradeCalldata() {
+      return await uniswapV2IndexExchangeAdapter.getTradeCalldata(
+        sourceToken,
+        destinationToken,
+        matrixTokenMock.address,
+        isSendTokenFixed,
+        sourceQuantity,
+        destinationQuantity,
+        data
+      );
+    }
+
+    it('should return the correct trade calldata when the send token is fixed', async function () {
+      const calldata = await getTradeCalldata();
+      const callTimestamp = await getLastBlockTimestamp();
+      const expectedCallData = uniswapFixture.router.interface.encodeFunctionData('swapExactTokensForTokens', [
+        sourceQuantity,
+        destinationQuantity,
+        [sourceToken, destinationToken],
+        matrixTokenMock.address,
+        callTimestamp,
+      ]);
+
+      expect(JSON.stringify(calldata)).eq(JSON.stringify([uniswapFixture.router.address, ZERO, expectedCallData]));
+    });
+
+    it('should return the correct trade calldata when the receive token is fixed', async function () {
+      isSendTokenFixed = false;
+      const calldata = await getTradeCalldata();
+      const callTimestamp = await getLastBlockTimestamp();
+      const expectedCallData = uniswapFixture.router.interface.encodeFunctionData('swapTokensForExactTokens', [
+        destinationQuantity,
+        sourceQuantity,
+        [sourceToken, destinationToken],
+        matrixTokenMock.address,
+        callTimestamp,
+      ]);
+
+      expect(JSON.stringify(calldata)).eq(JSON.stringify([uniswapFixture.router.address, ZERO, expectedCallData]));
+    });
+
+    it('should return the correct trade calldata when passed an intermediate token', async function () {
+      data = systemFixture.weth.address;
+      const calldata = await getTradeCalldata();
+      const callTimestamp = await getLastBlockTimestamp();
+      const expectedCallData = uniswapFixture.router.interface.encodeFunctionData('swapExactTokensForTokens', [
+        sourceQuantity,
+        destinationQuantity,
+        [sourceToken, systemFixture.weth.address, destinationToken],
+        matrixTokenMock.address,
+        callTimestamp,
+      ]);
+
+      expect(JSON.stringify(calldata)).eq(JSON.stringify([uniswapFixture.router.address, ZERO, expectedCallData]));
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+// ==================== Internal Imports ====================
+
+const { deployContract } = require('../../../helpers/deploy');
+const { ethToWei, btcToWei } = require('../../../helpers/unitUtil');
+const { SystemFixture } = require('../../../fixtures/systemFixture');
+const { ZERO } = require('../../../helpers/constants');
+const { getSigners, getRandomAddress } = require('../../../helpers/accountUtil');
+const { snapshotBlockchain, revertBlockchain, getLastBlockTimestamp } = require('../../../helpers/evmUtil.js');
+
+describe('contract UniswapV3IndexExchangeAdapter', function () {
+  const [owner, protocolFeeRecipient, matrixTokenMock] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+
+  let swapRouter;
+  let uniswapV3IndexExchangeAdapter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+
+    // only the calldata is checked here, so any address stands for the SwapRouter
+    swapRouter = await ethers.getContractAt('ISwapRouter', await getRandomAddress());
+    uniswapV3IndexExchangeAdapter = await deployContract('UniswapV3IndexExchangeAdapter', [swapRouter.address], owner);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('getSpender', function () {
+    it('should have the correct router address', async function () {
+      const actualRouterAddress = await uniswapV3IndexExchangeAdapter.getSpender();
+      expect(actualRouterAddress).eq(swapRouter.address);
+    });
+  });
+
+  describe('getEncodedFeeData', function () {
+    it('should encode the fee as 3 bytes', async function () {
+      expect(await uniswapV3IndexExchangeAdapter.getEncodedFeeData(3000)).eq(ethers.utils.solidityPack(['uint24'], [3000]));
+    });
+  });
+
+  describe('getTradeCalldata', function () {
+    const fee = 3000;
+    const sourceQuantity = btcToWei(1); // Trade 1 WBTC
+    const destinationQuantity = ethToWei(30000); // Receive 30k DAI
+
+    let sourceToken;
+    let destinationToken;
+    let isSendTokenFixed;
+
+    beforeEach(async function () {
+      sourceToken = systemFixture.wbtc.address;
+      destinationToken = systemFixture.dai.address;
+      isSendTokenFixed = true;
+    });
+
+    async function getTradeCalldata() {
+      const data = await uniswapV3IndexExchangeAdapter.getEncodedFeeData(fee);
+
+      return await uniswapV3IndexExchangeAdapter.getTradeCalldata(
+        sourceToken,
+        destinationToken,
+        matrixTokenMock.address,
+        isSendTokenFixed,
+        sourceQuantity,
+        destinationQuantity,
+        data
+      );
+    }
+
+    it('should return the correct trade calldata when the send token is fixed', async function () {
+      const calldata = await getTradeCalldata();
+      const callTimestamp = await getLastBlockTimestamp();
+      const expectedCallData = swapRouter.interface.encodeFunctionData('exactInputSingle', [
+        [sourceToken, destinationToken, fee, matrixTokenMock.address, callTimestamp, sourceQuantity, destinationQuantity, 0],
+      ]);
+
+      expect(JSON.stringify(calldata)).eq(JSON.stringify([swapRouter.address, ZERO, expectedCallData]));
+    });
+
+    it('should return the correct trade calldata when the receive token is fixed', async function () {
+      isSendTokenFixed = false;
+      const calldata = await getTradeCalldata();
+      const callTimestamp = await getLastBlockTimestamp();
+      const expectedCallData = swapRouter.interface.encodeFunctionData('exactOutputSingle', [
+        [sourceToken, destinationToken, fee, matrixTokenMock.address, callTimestamp, destinationQuantity, sourceQuantity, 0],
+      ]);
+
+      expect(JSON.stringify(calldata)).eq(JSON.stringify([swapRouter.address, ZERO, expectedCallData]));
+    });
+  });
+});
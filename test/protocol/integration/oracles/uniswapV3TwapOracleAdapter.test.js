@@ -0,0 +1,396 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+const UniswapV3FactoryArtifact = require('@uniswap/v3-core/artifacts/contracts/UniswapV3Factory.sol/UniswapV3Factory.json');
+
+// ==================== Internal Imports ====================
+
+const { deployContract } = require('../../../helpers/deploy');
+const { getSigners } = require('../../../helpers/accountUtil');
+const { ethToWei, btcToWei } = require('../../../helpers/unitUtil');
+const { SystemFixture } = require('../../../fixtures/systemFixture');
+const { preciseMul, preciseDiv } = require('../../../helpers/mathUtil');
+const { ZERO, ZERO_ADDRESS, MAX_UINT_256, PRECISE_UNIT } = require('../../../helpers/constants');
+const { UniswapV3Fixture, FEE_MEDIUM } = require('../../../fixtures/uniswapV3Fixture');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime } = require('../../../helpers/evmUtil.js');
+
+describe('contract UniswapV3TwapOracleAdapter', function () {
+  const [owner, protocolFeeRecipient, randomAccount] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const uniswapV3Fixture = new UniswapV3Fixture(owner);
+  const twapPeriod = 1800;
+
+  let long; // a long-tail token of 0.01 WETH without oracle
+  let longWethPool;
+  let caller;
+  let twapOracleAdapter;
+
+  // the TWAP price is the price of a whole tick, which is at most 1 bps from the price of the pool
+  function expectCloseTo(actual, expected) {
+    expect(actual.sub(expected).abs()).lte(expected.div(5000));
+  }
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
+
+    long = await deployContract('Erc20Mock', ['Long Tail Token', 'LONG', 18], owner);
+    await long.mint(owner.address, ethToWei(1000000));
+
+    longWethPool = await uniswapV3Fixture.createNewPair(long, systemFixture.weth, FEE_MEDIUM, 0.01);
+    await uniswapV3Fixture.addLiquidityWide(long, systemFixture.weth, FEE_MEDIUM, ethToWei(10000), ethToWei(100));
+    await uniswapV3Fixture.addLiquidityWide(systemFixture.weth, systemFixture.wbtc, FEE_MEDIUM, ethToWei(100), btcToWei(2.6));
+
+    // store the observations of a day
+    await longWethPool.increaseObservationCardinalityNext(100);
+
+    twapOracleAdapter = await deployContract('UniswapV3TwapOracleAdapter', [systemFixture.priceOracle.address, uniswapV3Fixture.factory.address], owner);
+    await twapOracleAdapter.addAsset(long.address, longWethPool.address, twapPeriod, ZERO);
+    await twapOracleAdapter.addAsset(systemFixture.wbtc.address, uniswapV3Fixture.wethWbtcPool.address, twapPeriod, ZERO);
+
+    await increaseBlockTime(twapPeriod);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  describe('constructor', function () {
+    it('should have the correct PriceOracle address', async function () {
+      expect(await twapOracleAdapter.getPriceOracle()).eq(systemFixture.priceOracle.address);
+    });
+
+    it('should have the correct Uniswap V3 factory address', async function () {
+      expect(await twapOracleAdapter.getFactory()).eq(uniswapV3Fixture.factory.address);
+    });
+
+    it('should grant the admin role to the deployer', async function () {
+      expect(await twapOracleAdapter.hasRole(await twapOracleAdapter.ADMIN_ROLE(), owner.address)).is.true;
+    });
+
+    it('should revert when the factory is zero address', async function () {
+      await expect(deployContract('UniswapV3TwapOracleAdapter', [systemFixture.priceOracle.address, ZERO_ADDRESS], owner)).revertedWith('UcTOA7');
+    });
+  });
+
+  describe('addAsset', function () {
+    let asset;
+    let pool;
+    let period;
+    let minLiquidity;
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      caller = owner;
+      asset = systemFixture.dai.address;
+      pool = uniswapV3Fixture.wethDaiPool.address;
+      period = 600;
+      minLiquidity = 1000;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function addAsset() {
+      return twapOracleAdapter.connect(caller).addAsset(asset, pool, period, minLiquidity);
+    }
+
+    it('should set the pool and the other token of the pool as the quote asset', async function () {
+      await addAsset();
+
+      const setting = await twapOracleAdapter.getAssetSetting(asset);
+      expect(setting.pool).eq(pool);
+      expect(setting.quote).eq(systemFixture.weth.address);
+      expect(setting.twapPeriod).eq(period);
+      expect(setting.minLiquidity).eq(minLiquidity);
+      expect(setting.assetBaseUnit).eq(ethToWei(1));
+      expect(setting.quoteBaseUnit).eq(ethToWei(1));
+    });
+
+    it('should add the asset', async function () {
+      await addAsset();
+      const assets = await twapOracleAdapter.getAssets();
+      expect(JSON.stringify(assets)).eq(JSON.stringify([long.address, systemFixture.wbtc.address, asset]));
+    });
+
+    it('should set the base units of the decimals', async function () {
+      const setting = await twapOracleAdapter.getAssetSetting(systemFixture.wbtc.address);
+      expect(setting.assetBaseUnit).eq(btcToWei(1));
+      expect(setting.quoteBaseUnit).eq(ethToWei(1));
+    });
+
+    it('should revert when the asset is already added', async function () {
+      asset = long.address;
+      pool = longWethPool.address;
+      await expect(addAsset()).revertedWith('UcTOA0');
+    });
+
+    it('should revert when the TWAP period is 0', async function () {
+      period = 0;
+      await expect(addAsset()).revertedWith('UcTOA1');
+    });
+
+    it('should revert when the asset is not a token of the pool', async function () {
+      pool = longWethPool.address;
+      await expect(addAsset()).revertedWith('UcTOA2');
+    });
+
+    it('should revert when the quote asset is priced in the asset', async function () {
+      asset = systemFixture.weth.address;
+      pool = longWethPool.address;
+      await expect(addAsset()).revertedWith('UcTOA3');
+    });
+
+    it('should revert when the pool is not created by the factory', async function () {
+      const otherFactory = await uniswapV3Fixture.deployArtifact(UniswapV3FactoryArtifact, []);
+      await otherFactory.createPool(systemFixture.weth.address, systemFixture.dai.address, FEE_MEDIUM);
+      pool = await otherFactory.getPool(systemFixture.weth.address, systemFixture.dai.address, FEE_MEDIUM);
+
+      await expect(addAsset()).revertedWith('UcTOA8');
+    });
+
+    it('should revert when the caller is not admin', async function () {
+      caller = randomAccount;
+      await expect(addAsset()).revertedWith('UcTOA6');
+    });
+  });
+
+  describe('editAsset', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+      caller = owner;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should set the TWAP period and the minimum liquidity', async function () {
+      await twapOracleAdapter.editAsset(long.address, 600, 1000);
+
+      const setting = await twapOracleAdapter.getAssetSetting(long.address);
+      expect(setting.pool).eq(longWethPool.address);
+      expect(setting.twapPeriod).eq(600);
+      expect(setting.minLiquidity).eq(1000);
+    });
+
+    it('should revert when the asset does not exist', async function () {
+      await expect(twapOracleAdapter.editAsset(systemFixture.dai.address, 600, 1000)).revertedWith('UcTOA4');
+    });
+
+    it('should revert when the TWAP period is 0', async function () {
+      await expect(twapOracleAdapter.editAsset(long.address, 0, 1000)).revertedWith('UcTOA1');
+    });
+
+    it('should revert when the caller is not admin', async function () {
+      await expect(twapOracleAdapter.connect(randomAccount).editAsset(long.address, 600, 1000)).revertedWith('UcTOA6');
+    });
+  });
+
+  describe('removeAsset', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should remove the asset and its setting', async function () {
+      await twapOracleAdapter.removeAsset(long.address);
+
+      const assets = await twapOracleAdapter.getAssets();
+      expect(JSON.stringify(assets)).eq(JSON.stringify([systemFixture.wbtc.address]));
+      expect((await twapOracleAdapter.getAssetSetting(long.address)).pool).eq(ZERO_ADDRESS);
+    });
+
+    it('should revert when the asset does not exist', async function () {
+      await expect(twapOracleAdapter.removeAsset(systemFixture.dai.address)).revertedWith('UcTOA4');
+    });
+
+    it('should revert when the caller is not admin', async function () {
+      await expect(twapOracleAdapter.connect(randomAccount).removeAsset(long.address)).revertedWith('UcTOA6');
+    });
+  });
+
+  describe('getTwapPrice', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should return the price of the pool', async function () {
+      expectCloseTo(await twapOracleAdapter.getTwapPrice(long.address), ethToWei(0.01));
+    });
+
+    it('should return the price in whole tokens of different decimals', async function () {
+      expectCloseTo(await twapOracleAdapter.getTwapPrice(systemFixture.wbtc.address), preciseDiv(ethToWei(9000), ethToWei(230)));
+    });
+
+    it('should follow a swap by the time-weighted average', async function () {
+      // selling 3000 LONG moves the price of the full range pool to about 0.01 * (10000 / 13000) ^ 2 = 0.0059
+      await long.approve(uniswapV3Fixture.swapRouter.address, MAX_UINT_256);
+      await uniswapV3Fixture.swapRouter.exactInputSingle({
+        tokenIn: long.address,
+        tokenOut: systemFixture.weth.address,
+        fee: FEE_MEDIUM,
+        recipient: owner.address,
+        deadline: MAX_UINT_256,
+        amountIn: ethToWei(3000),
+        amountOutMinimum: ZERO,
+        sqrtPriceLimitX96: ZERO,
+      });
+
+      // the new price has not lasted in the window yet
+      const oldTwapPrice = await twapOracleAdapter.getTwapPrice(long.address);
+      expect(oldTwapPrice).gt(ethToWei(0.0099));
+
+      // the mean of ticks is the geometric mean of prices, sqrt(0.01 * 0.0059) = 0.0077
+      await increaseBlockTime(twapPeriod / 2);
+      const halfTwapPrice = await twapOracleAdapter.getTwapPrice(long.address);
+      expect(halfTwapPrice).lt(ethToWei(0.0085));
+      expect(halfTwapPrice).gt(ethToWei(0.0075));
+
+      await increaseBlockTime(twapPeriod / 2);
+      const newTwapPrice = await twapOracleAdapter.getTwapPrice(long.address);
+      expect(newTwapPrice).lt(ethToWei(0.006));
+      expect(newTwapPrice).gt(ethToWei(0.0059));
+    });
+
+    it('should revert when the pool has less liquidity than the minimum', async function () {
+      const liquidity = await longWethPool.liquidity();
+
+      await twapOracleAdapter.editAsset(long.address, twapPeriod, liquidity.div(2));
+      await twapOracleAdapter.getTwapPrice(long.address);
+
+      await twapOracleAdapter.editAsset(long.address, twapPeriod, liquidity.mul(2));
+      await expect(twapOracleAdapter.getTwapPrice(long.address)).revertedWith('UcTOA5');
+    });
+
+    it('should revert when the pool has no observation at the start of the window', async function () {
+      await twapOracleAdapter.editAsset(long.address, twapPeriod * 100, ZERO);
+      await expect(twapOracleAdapter.getTwapPrice(long.address)).revertedWith('OLD');
+    });
+
+    it('should revert when the asset does not exist', async function () {
+      await expect(twapOracleAdapter.getTwapPrice(systemFixture.dai.address)).revertedWith('UcTOA4');
+    });
+  });
+
+  describe('getPrice', function () {
+    let asset1;
+    let asset2;
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      asset1 = long.address;
+      asset2 = systemFixture.weth.address;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function getPrice() {
+      return twapOracleAdapter.getPrice(asset1, asset2);
+    }
+
+    it('should return the TWAP price in the quote asset', async function () {
+      const { found, price } = await getPrice();
+
+      expect(found).is.true;
+      expect(price).eq(await twapOracleAdapter.getTwapPrice(long.address));
+    });
+
+    it('should return the inverse price when the asset is the quote asset', async function () {
+      asset1 = systemFixture.weth.address;
+      asset2 = long.address;
+      const { found, price } = await getPrice();
+
+      expect(found).is.true;
+      expect(price).eq(preciseDiv(PRECISE_UNIT, await twapOracleAdapter.getTwapPrice(long.address)));
+    });
+
+    it('should return the price in other assets through PriceOracle', async function () {
+      asset2 = systemFixture.usdc.address;
+      const { found, price } = await getPrice();
+
+      const twapPrice = await twapOracleAdapter.getTwapPrice(long.address);
+      const wethUsdcPrice = await systemFixture.priceOracle.getPrice(systemFixture.weth.address, systemFixture.usdc.address);
+
+      expect(found).is.true;
+      expect(price).eq(preciseMul(twapPrice, wethUsdcPrice));
+    });
+
+    it('should return the price between two assets', async function () {
+      asset2 = systemFixture.wbtc.address;
+      const { found, price } = await getPrice();
+
+      // PriceOracle prices WETH in WBTC by the oracles of both in USD
+      const twapPrice = await twapOracleAdapter.getTwapPrice(long.address);
+      const wethWbtcPrice = await systemFixture.priceOracle.getPrice(systemFixture.weth.address, systemFixture.wbtc.address);
+
+      expect(found).is.true;
+      expect(price).eq(preciseMul(twapPrice, wethWbtcPrice));
+    });
+
+    it('should return false and 0 when neither asset is added', async function () {
+      asset1 = systemFixture.dai.address;
+      asset2 = systemFixture.usdc.address;
+      const { found, price } = await getPrice();
+
+      expect(found).is.false;
+      expect(price).eq(ZERO);
+    });
+
+    it('should return false and 0 when the pool has less liquidity than the minimum', async function () {
+      await twapOracleAdapter.editAsset(long.address, twapPeriod, MAX_UINT_256.shr(128));
+      const { found, price } = await getPrice();
+
+      expect(found).is.false;
+      expect(price).eq(ZERO);
+    });
+  });
+
+  describe('PriceOracle', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      await systemFixture.priceOracle.addAdapter(twapOracleAdapter.address);
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should price the long-tail token in the master quote asset', async function () {
+      const price = await systemFixture.priceOracle.getPrice(long.address, systemFixture.usdc.address);
+      const [, expectedPrice] = await twapOracleAdapter.getPrice(long.address, systemFixture.usdc.address);
+
+      expect(price).eq(expectedPrice);
+      expectCloseTo(price, ethToWei(2.3));
+    });
+
+    it('should revert when the pool has less liquidity than the minimum', async function () {
+      await twapOracleAdapter.editAsset(long.address, twapPeriod, MAX_UINT_256.shr(128));
+      await expect(systemFixture.priceOracle.getPrice(long.address, systemFixture.usdc.address)).revertedWith('PO1c');
+    });
+  });
+});
@@ -0,0 +1,398 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei } = require('../../helpers/unitUtil');
+const { deployContract } = require('../../helpers/deploy');
+const { getSigners } = require('../../helpers/accountUtil');
+const { findEvent } = require('../../../deploy/abi');
+const { SystemFixture } = require('../../fixtures/systemFixture');
+const { UniswapFixture } = require('../../fixtures/uniswapFixture');
+const { ZERO_ADDRESS, MAX_UINT_256, ONE_DAY_IN_SECONDS } = require('../../helpers/constants');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime } = require('../../helpers/evmUtil.js');
+
+describe('contract ClaimModule', function () {
+  const [owner, protocolFeeRecipient, dummyModule, randomAccount] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const uniswapFixture = new UniswapFixture(owner);
+  const STAKING_REWARDS_CLAIM = 'STAKING_REWARDS_CLAIM_ADAPTER';
+  const CURVE_CLAIM = 'CURVE_CLAIM_ADAPTER';
+
+  let crv;
+  let gauge; // CurveGaugeMock
+  let stakingRewards; // StakingRewards of the WETH/DAI pool
+  let claimModule;
+  let matrixToken;
+  let curveClaimAdapter;
+  let stakingRewardsClaimAdapter;
+
+  let rootSnapshotId;
+  before(async function () {
+    rootSnapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, integrationRegistry, basicIssuanceModule, weth, wbtc, dai } = systemFixture;
+    await uniswapFixture.init(weth.address, wbtc.address, dai.address);
+    stakingRewards = uniswapFixture.wethDaiStakingRewards;
+
+    claimModule = await deployContract('ClaimModule', [controller.address, 'ClaimModule'], owner);
+    await controller.addModule(claimModule.address);
+    await controller.addModule(dummyModule.address);
+
+    crv = await deployContract('Erc20Mock', ['Curve DAO Token', 'CRV', 18], owner);
+    const gaugeController = await deployContract('GaugeControllerMock', [], owner);
+    const minter = await deployContract('CurveMinterMock', [crv.address, gaugeController.address], owner);
+    gauge = await deployContract('CurveGaugeMock', [], owner);
+    await gaugeController.addGaugeType(gauge.address, 0);
+    await crv.mint(minter.address, ethToWei(1000000));
+
+    stakingRewardsClaimAdapter = await deployContract('StakingRewardsClaimAdapter', [], owner);
+    curveClaimAdapter = await deployContract('CurveClaimAdapter', [gaugeController.address, minter.address], owner);
+    await integrationRegistry.addIntegration(claimModule.address, STAKING_REWARDS_CLAIM, stakingRewardsClaimAdapter.address);
+    await integrationRegistry.addIntegration(claimModule.address, CURVE_CLAIM, curveClaimAdapter.address);
+
+    matrixToken = await systemFixture.createMatrixToken(
+      [weth.address],
+      [ethToWei(1)],
+      [basicIssuanceModule.address, claimModule.address, dummyModule.address],
+      owner
+    );
+    await basicIssuanceModule.initialize(matrixToken.address, ZERO_ADDRESS);
+    await matrixToken.connect(dummyModule).initializeModule();
+
+    // the MatrixToken provides WETH/DAI liquidity and stakes the LP tokens
+    await weth.approve(uniswapFixture.router.address, ethToWei(1));
+    await dai.approve(uniswapFixture.router.address, ethToWei(350));
+    await uniswapFixture.router.addLiquidity(weth.address, dai.address, ethToWei(1), ethToWei(350), 0, 0, matrixToken.address, MAX_UINT_256);
+
+    const pool = uniswapFixture.wethDaiPool;
+    const lpBalance = await pool.balanceOf(matrixToken.address);
+    await matrixToken.connect(dummyModule).invoke(pool.address, 0, pool.interface.encodeFunctionData('approve', [stakingRewards.address, lpBalance]));
+    await matrixToken.connect(dummyModule).invoke(stakingRewards.address, 0, stakingRewards.interface.encodeFunctionData('stake', [lpBalance]));
+  });
+
+  after(async function () {
+    await revertBlockchain(rootSnapshotId);
+  });
+
+  describe('initialize', function () {
+    let caller;
+    let anyoneClaim;
+    let rewardPools;
+    let integrationNames;
+    let matrixTokenAddress;
+    let newMatrixToken;
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      newMatrixToken = await systemFixture.createMatrixToken([systemFixture.weth.address], [ethToWei(1)], [claimModule.address], owner);
+      matrixTokenAddress = newMatrixToken.address;
+      caller = owner;
+      anyoneClaim = true;
+      rewardPools = [stakingRewards.address, gauge.address];
+      integrationNames = [STAKING_REWARDS_CLAIM, CURVE_CLAIM];
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function initialize() {
+      return claimModule.connect(caller).initialize(matrixTokenAddress, anyoneClaim, rewardPools, integrationNames);
+    }
+
+    it('should enable the Module on the MatrixToken', async function () {
+      await initialize();
+      expect(await newMatrixToken.isInitializedModule(claimModule.address)).is.true;
+    });
+
+    it('should set the anyoneClaim field', async function () {
+      await initialize();
+      expect(await claimModule._anyoneClaim(matrixTokenAddress)).is.true;
+    });
+
+    it('should add the reward pools and their claims', async function () {
+      await initialize();
+
+      expect(await claimModule.getRewardPools(matrixTokenAddress)).deep.eq(rewardPools);
+      expect(await claimModule.getRewardPoolClaims(matrixTokenAddress, stakingRewards.address)).deep.eq([stakingRewardsClaimAdapter.address]);
+      expect(await claimModule.getRewardPoolClaims(matrixTokenAddress, gauge.address)).deep.eq([curveClaimAdapter.address]);
+      expect(await claimModule.isRewardPoolClaim(matrixTokenAddress, gauge.address, CURVE_CLAIM)).is.true;
+    });
+
+    it('should revert when the caller is not the MatrixToken manager', async function () {
+      caller = randomAccount;
+      await expect(initialize()).revertedWith('M2');
+    });
+
+    it('should revert when the module is not pending', async function () {
+      await initialize();
+      await expect(initialize()).revertedWith('M5b');
+    });
+
+    it('should revert when the MatrixToken is not enabled on the controller', async function () {
+      const nonEnabledToken = await systemFixture.createRawMatrixToken([systemFixture.weth.address], [ethToWei(1)], [claimModule.address], owner);
+      matrixTokenAddress = nonEnabledToken.address;
+      await expect(initialize()).revertedWith('M5a');
+    });
+
+    it('should revert when there is no reward pool', async function () {
+      rewardPools = [];
+      integrationNames = [];
+      await expect(initialize()).revertedWith('CM4a');
+    });
+
+    it('should revert when the arrays have different lengths', async function () {
+      integrationNames = [STAKING_REWARDS_CLAIM];
+      await expect(initialize()).revertedWith('CM4b');
+    });
+
+    it('should revert when an integration is not registered', async function () {
+      integrationNames = [STAKING_REWARDS_CLAIM, 'UNKNOWN_CLAIM_ADAPTER'];
+      await expect(initialize()).revertedWith('M0');
+    });
+  });
+
+  describe('after initialize', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+      await claimModule.initialize(matrixToken.address, false, [stakingRewards.address], [STAKING_REWARDS_CLAIM]);
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    describe('removeModule', function () {
+      it('should remove the module and its claim settings', async function () {
+        await matrixToken.removeModule(claimModule.address);
+
+        expect(await matrixToken.getModules()).not.contain(claimModule.address);
+        expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([]);
+        expect(await claimModule.getRewardPoolClaims(matrixToken.address, stakingRewards.address)).deep.eq([]);
+        expect(await claimModule.isRewardPool(matrixToken.address, stakingRewards.address)).is.false;
+        expect(await claimModule.isRewardPoolClaim(matrixToken.address, stakingRewards.address, STAKING_REWARDS_CLAIM)).is.false;
+      });
+    });
+
+    describe('updateAnyoneClaim', function () {
+      it('should update anyoneClaim and emit the UpdateAnyoneClaim event', async function () {
+        await expect(claimModule.updateAnyoneClaim(matrixToken.address, true)).emit(claimModule, 'UpdateAnyoneClaim').withArgs(matrixToken.address, true);
+        expect(await claimModule._anyoneClaim(matrixToken.address)).is.true;
+      });
+
+      it('should revert when the caller is not the MatrixToken manager', async function () {
+        await expect(claimModule.connect(randomAccount).updateAnyoneClaim(matrixToken.address, true)).revertedWith('M1a');
+      });
+    });
+
+    describe('addClaim', function () {
+      it('should add a new reward pool with its claim', async function () {
+        await claimModule.addClaim(matrixToken.address, gauge.address, CURVE_CLAIM);
+
+        expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([stakingRewards.address, gauge.address]);
+        expect(await claimModule.isRewardPool(matrixToken.address, gauge.address)).is.true;
+        expect(await claimModule.isRewardPoolClaim(matrixToken.address, gauge.address, CURVE_CLAIM)).is.true;
+      });
+
+      it('should add a claim to an existing reward pool', async function () {
+        await claimModule.addClaim(matrixToken.address, stakingRewards.address, CURVE_CLAIM);
+
+        expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([stakingRewards.address]);
+        expect(await claimModule.getRewardPoolClaims(matrixToken.address, stakingRewards.address)).deep.eq([
+          stakingRewardsClaimAdapter.address,
+          curveClaimAdapter.address,
+        ]);
+      });
+
+      it('should revert when the claim is already added', async function () {
+        await expect(claimModule.addClaim(matrixToken.address, stakingRewards.address, STAKING_REWARDS_CLAIM)).revertedWith('CM2');
+      });
+
+      it('should revert when the integration is not registered', async function () {
+        await expect(claimModule.addClaim(matrixToken.address, gauge.address, 'UNKNOWN_CLAIM_ADAPTER')).revertedWith('M0');
+      });
+
+      it('should revert when the caller is not the MatrixToken manager', async function () {
+        await expect(claimModule.connect(randomAccount).addClaim(matrixToken.address, gauge.address, CURVE_CLAIM)).revertedWith('M1a');
+      });
+    });
+
+    describe('batchAddClaim', function () {
+      it('should add all the claims', async function () {
+        await claimModule.batchAddClaim(matrixToken.address, [gauge.address, stakingRewards.address], [CURVE_CLAIM, CURVE_CLAIM]);
+
+        expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([stakingRewards.address, gauge.address]);
+        expect(await claimModule.isRewardPoolClaim(matrixToken.address, gauge.address, CURVE_CLAIM)).is.true;
+        expect(await claimModule.isRewardPoolClaim(matrixToken.address, stakingRewards.address, CURVE_CLAIM)).is.true;
+      });
+
+      it('should revert when the arrays have different lengths', async function () {
+        await expect(claimModule.batchAddClaim(matrixToken.address, [gauge.address], [CURVE_CLAIM, CURVE_CLAIM])).revertedWith('CM4b');
+      });
+    });
+
+    describe('removeClaim', function () {
+      it('should remove the reward pool with its last claim', async function () {
+        await claimModule.removeClaim(matrixToken.address, stakingRewards.address, STAKING_REWARDS_CLAIM);
+
+        expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([]);
+        expect(await claimModule.isRewardPool(matrixToken.address, stakingRewards.address)).is.false;
+        expect(await claimModule.isRewardPoolClaim(matrixToken.address, stakingRewards.address, STAKING_REWARDS_CLAIM)).is.false;
+      });
+
+      it('should keep the reward pool with other claims', async function () {
+        await claimModule.addClaim(matrixToken.address, stakingRewards.address, CURVE_CLAIM);
+        await claimModule.removeClaim(matrixToken.address, stakingRewards.address, STAKING_REWARDS_CLAIM);
+
+        expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([stakingRewards.address]);
+        expect(await claimModule.getRewardPoolClaims(matrixToken.address, stakingRewards.address)).deep.eq([curveClaimAdapter.address]);
+      });
+
+      it('should revert when the claim is not added', async function () {
+        await expect(claimModule.removeClaim(matrixToken.address, gauge.address, CURVE_CLAIM)).revertedWith('CM3');
+      });
+
+      it('should revert when the caller is not the MatrixToken manager', async function () {
+        const promise = claimModule.connect(randomAccount).removeClaim(matrixToken.address, stakingRewards.address, STAKING_REWARDS_CLAIM);
+        await expect(promise).revertedWith('M1a');
+      });
+    });
+
+    describe('batchRemoveClaim', function () {
+      it('should remove all the claims', async function () {
+        await claimModule.addClaim(matrixToken.address, gauge.address, CURVE_CLAIM);
+        await claimModule.batchRemoveClaim(matrixToken.address, [stakingRewards.address, gauge.address], [STAKING_REWARDS_CLAIM, CURVE_CLAIM]);
+
+        expect(await claimModule.getRewardPools(matrixToken.address)).deep.eq([]);
+      });
+
+      it('should revert when there is no reward pool', async function () {
+        await expect(claimModule.batchRemoveClaim(matrixToken.address, [], [])).revertedWith('CM4a');
+      });
+    });
+
+    describe('getRewards', function () {
+      it('should return the rewards of the adapter', async function () {
+        await increaseBlockTime(ONE_DAY_IN_SECONDS);
+        const rewards = await claimModule.getRewards(matrixToken.address, stakingRewards.address, STAKING_REWARDS_CLAIM);
+
+        expect(rewards).gt(0);
+        expect(rewards).eq(await stakingRewards.earned(matrixToken.address));
+      });
+
+      it('should revert when the claim is not added to the reward pool', async function () {
+        await expect(claimModule.getRewards(matrixToken.address, stakingRewards.address, CURVE_CLAIM)).revertedWith('CM1');
+      });
+    });
+
+    describe('claim', function () {
+      let caller;
+      let rewardPool;
+      let integrationName;
+
+      beforeEach(async function () {
+        await increaseBlockTime(ONE_DAY_IN_SECONDS);
+        caller = owner;
+        rewardPool = stakingRewards.address;
+        integrationName = STAKING_REWARDS_CLAIM;
+      });
+
+      async function claim() {
+        return claimModule.connect(caller).claim(matrixToken.address, rewardPool, integrationName);
+      }
+
+      it('should claim the rewards to the MatrixToken', async function () {
+        const oldBalance = await uniswapFixture.uni.balanceOf(matrixToken.address);
+        const rewards = await claimModule.getRewards(matrixToken.address, rewardPool, integrationName);
+        const receipt = await (await claim()).wait();
+        const newBalance = await uniswapFixture.uni.balanceOf(matrixToken.address);
+
+        // rewards accrue until the block of the claim
+        expect(newBalance.sub(oldBalance)).gte(rewards);
+        expect(await stakingRewards.earned(matrixToken.address)).eq(0);
+
+        const { args } = findEvent(receipt, 'ClaimModule', 'ClaimReward');
+        expect(args.matrixToken).eq(matrixToken.address);
+        expect(args.rewardPool).eq(rewardPool);
+        expect(args.adapter).eq(stakingRewardsClaimAdapter.address);
+        expect(args.amount).eq(newBalance.sub(oldBalance));
+      });
+
+      it('should mint CRV of a Curve gauge', async function () {
+        await claimModule.addClaim(matrixToken.address, gauge.address, CURVE_CLAIM);
+        await gauge.setIntegrateFraction(matrixToken.address, ethToWei(100));
+        rewardPool = gauge.address;
+        integrationName = CURVE_CLAIM;
+
+        expect(await claimModule.getRewards(matrixToken.address, rewardPool, integrationName)).eq(ethToWei(100));
+        await expect(claim()).emit(claimModule, 'ClaimReward').withArgs(matrixToken.address, gauge.address, curveClaimAdapter.address, ethToWei(100));
+
+        expect(await crv.balanceOf(matrixToken.address)).eq(ethToWei(100));
+        expect(await claimModule.getRewards(matrixToken.address, rewardPool, integrationName)).eq(0);
+      });
+
+      it('should claim when anyone can claim', async function () {
+        await claimModule.updateAnyoneClaim(matrixToken.address, true);
+        caller = randomAccount;
+        await claim();
+
+        expect(await uniswapFixture.uni.balanceOf(matrixToken.address)).gt(0);
+      });
+
+      it('should revert when the caller is not the manager and anyone can not claim', async function () {
+        caller = randomAccount;
+        await expect(claim()).revertedWith('CM5');
+      });
+
+      it('should revert when the reward pool is not added', async function () {
+        rewardPool = gauge.address;
+        await expect(claim()).revertedWith('CM0');
+      });
+
+      it('should revert when the claim is not added to the reward pool', async function () {
+        integrationName = CURVE_CLAIM;
+        await expect(claim()).revertedWith('CM1');
+      });
+
+      it('should revert when the module is removed', async function () {
+        await matrixToken.removeModule(claimModule.address);
+        await expect(claim()).revertedWith('M3');
+      });
+    });
+
+    describe('batchClaim', function () {
+      beforeEach(async function () {
+        await claimModule.addClaim(matrixToken.address, gauge.address, CURVE_CLAIM);
+        await gauge.setIntegrateFraction(matrixToken.address, ethToWei(5));
+        await increaseBlockTime(ONE_DAY_IN_SECONDS);
+      });
+
+      it('should claim the rewards of every reward pool', async function () {
+        const receipt = await (
+          await claimModule.batchClaim(matrixToken.address, [stakingRewards.address, gauge.address], [STAKING_REWARDS_CLAIM, CURVE_CLAIM])
+        ).wait();
+
+        expect(await uniswapFixture.uni.balanceOf(matrixToken.address)).gt(0);
+        expect(await crv.balanceOf(matrixToken.address)).eq(ethToWei(5));
+        expect(receipt.logs.filter((log) => log.address == claimModule.address).length).eq(2);
+      });
+
+      it('should revert when the arrays have different lengths', async function () {
+        await expect(claimModule.batchClaim(matrixToken.address, [stakingRewards.address], [STAKING_REWARDS_CLAIM, CURVE_CLAIM])).revertedWith('CM4b');
+      });
+
+      it('should revert when the caller is not the manager and anyone can not claim', async function () {
+        const promise = claimModule.connect(randomAccount).batchClaim(matrixToken.address, [gauge.address], [CURVE_CLAIM]);
+        await expect(promise).revertedWith('CM5');
+      });
+    });
+  });
+});
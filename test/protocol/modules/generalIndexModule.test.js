@@ -0,0 +1,657 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+const { BigNumber } = require('hardhat').ethers;
+
+// ==================== Internal Imports ====================
+
+const { SystemFixture } = require('../../fixtures/systemFixture');
+const { getSigners } = require('../../helpers/accountUtil');
+const { ethToWei, btcToWei, usdToWei } = require('../../helpers/unitUtil');
+const { preciseDiv, preciseMul, preciseMulCeilUint } = require('../../helpers/mathUtil');
+const { ZERO, MAX_UINT_256, PRECISE_UNIT, EMPTY_BYTES } = require('../../helpers/constants');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime } = require('../../helpers/evmUtil.js');
+const { FEE_MEDIUM } = require('../../fixtures/uniswapV3Fixture');
+const {
+  RebalanceFixture,
+  UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME,
+  SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME,
+  UNISWAP_V3_INDEX_EXCHANGE_ADAPTER_NAME,
+} = require('../../fixtures/rebalanceFixture');
+
+describe('contract GeneralIndexModule', function () {
+  const [owner, protocolFeeRecipient, trader, randomAccount] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const rebalanceFixture = new RebalanceFixture(owner, systemFixture);
+
+  // 10 indexes of 0.1 WETH, 23 DAI and 0.0025 WBTC
+  const indexSupply = ethToWei(10);
+  const indexUnits = [ethToWei(0.1), ethToWei(23), btcToWei(0.0025)];
+  const coolOffPeriod = 600;
+
+  let weth;
+  let dai;
+  let wbtc;
+  let usdc;
+  let index;
+  let caller;
+  let generalIndexModule;
+  let uniswapRouter;
+  let sushiswapRouter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    await rebalanceFixture.init();
+
+    ({ weth, dai, wbtc, usdc } = systemFixture);
+    ({ generalIndexModule } = rebalanceFixture);
+    uniswapRouter = rebalanceFixture.uniswapFixture.router;
+    sushiswapRouter = rebalanceFixture.sushiswapFixture.router;
+
+    index = await rebalanceFixture.createIndex([weth.address, dai.address, wbtc.address], indexUnits, generalIndexModule, indexSupply);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  // target units of WETH, DAI and WBTC, the components of index
+  async function startRebalance(targetUnits, newComponents = [], newTargetUnits = []) {
+    const positionMultiplier = await index.getPositionMultiplier();
+    return generalIndexModule.connect(caller).startRebalance(index.address, newComponents, newTargetUnits, targetUnits, positionMultiplier);
+  }
+
+  async function getUnit(component) {
+    return index.getDefaultPositionRealUnit(component.address);
+  }
+
+  describe('constructor', function () {
+    it('should set the correct WETH address', async function () {
+      expect(await generalIndexModule._weth()).eq(weth.address);
+    });
+  });
+
+  describe('initialize', function () {
+    let matrixToken;
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      caller = owner;
+      matrixToken = await systemFixture.createMatrixToken([weth.address, dai.address], [ethToWei(1), ethToWei(230)], [generalIndexModule.address], owner);
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function initialize() {
+      return generalIndexModule.connect(caller).initialize(matrixToken.address);
+    }
+
+    it('should set the target units to the current units', async function () {
+      await initialize();
+
+      expect((await generalIndexModule._executionInfos(matrixToken.address, weth.address)).targetUnit).eq(ethToWei(1));
+      expect((await generalIndexModule._executionInfos(matrixToken.address, dai.address)).targetUnit).eq(ethToWei(230));
+      expect((await generalIndexModule._rebalanceInfos(matrixToken.address)).positionMultiplier).eq(PRECISE_UNIT);
+    });
+
+    it('should initialize the module', async function () {
+      await initialize();
+      expect(await matrixToken.isInitializedModule(generalIndexModule.address)).is.true;
+    });
+
+    it('should revert when the caller is not the MatrixToken manager', async function () {
+      caller = randomAccount;
+      await expect(initialize()).revertedWith('M2');
+    });
+
+    it('should revert when module is in INITIALIZED state', async function () {
+      await initialize();
+      await expect(initialize()).revertedWith('M5b');
+    });
+  });
+
+  describe('startRebalance', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+      caller = owner;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should set the target units of the current and new components', async function () {
+      await startRebalance([ethToWei(0.05), ethToWei(11.5), btcToWei(0.003)], [usdc.address], [usdToWei(10)]);
+
+      expect((await generalIndexModule._executionInfos(index.address, weth.address)).targetUnit).eq(ethToWei(0.05));
+      expect((await generalIndexModule._executionInfos(index.address, dai.address)).targetUnit).eq(ethToWei(11.5));
+      expect((await generalIndexModule._executionInfos(index.address, wbtc.address)).targetUnit).eq(btcToWei(0.003));
+      expect((await generalIndexModule._executionInfos(index.address, usdc.address)).targetUnit).eq(usdToWei(10));
+    });
+
+    it('should set the rebalance components and the position multiplier', async function () {
+      await startRebalance(indexUnits, [usdc.address], [usdToWei(10)]);
+
+      const components = await generalIndexModule.getRebalanceComponents(index.address);
+      expect(components).deep.eq([weth.address, dai.address, wbtc.address, usdc.address]);
+      expect((await generalIndexModule._rebalanceInfos(index.address)).positionMultiplier).eq(PRECISE_UNIT);
+    });
+
+    it('should emit the StartRebalance event', async function () {
+      await expect(startRebalance(indexUnits))
+        .emit(generalIndexModule, 'StartRebalance')
+        .withArgs(index.address, [weth.address, dai.address, wbtc.address], indexUnits, PRECISE_UNIT);
+    });
+
+    it('should revert when the new components and their target units have different lengths', async function () {
+      await expect(startRebalance(indexUnits, [usdc.address], [])).revertedWith('G10a');
+    });
+
+    it('should revert when the old target units do not match the current components', async function () {
+      await expect(startRebalance([ethToWei(0.1), ethToWei(23)])).revertedWith('G10b');
+    });
+
+    it('should revert when a new component is a current component', async function () {
+      await expect(startRebalance(indexUnits, [dai.address], [ethToWei(10)])).revertedWith('G10c');
+    });
+
+    it('should revert when the caller is not the MatrixToken manager', async function () {
+      caller = randomAccount;
+      await expect(startRebalance(indexUnits)).revertedWith('M1a');
+    });
+  });
+
+  describe('settings', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+      caller = owner;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should set the trade maximums', async function () {
+      await expect(generalIndexModule.setTradeMaximums(index.address, [dai.address, wbtc.address], [ethToWei(100), btcToWei(0.005)]))
+        .emit(generalIndexModule, 'UpdateTradeMaximum')
+        .withArgs(index.address, dai.address, ethToWei(100));
+
+      expect((await generalIndexModule._executionInfos(index.address, dai.address)).maxSize).eq(ethToWei(100));
+      expect((await generalIndexModule._executionInfos(index.address, wbtc.address)).maxSize).eq(btcToWei(0.005));
+    });
+
+    it('should revert when the trade maximums have a different length', async function () {
+      await expect(generalIndexModule.setTradeMaximums(index.address, [dai.address, wbtc.address], [ethToWei(100)])).revertedWith('A3');
+    });
+
+    it('should set the exchanges except of WETH', async function () {
+      await generalIndexModule.setExchanges(
+        index.address,
+        [weth.address, dai.address, wbtc.address],
+        ['', UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME, SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME]
+      );
+
+      expect((await generalIndexModule._executionInfos(index.address, weth.address)).exchangeName).eq('');
+      expect((await generalIndexModule._executionInfos(index.address, dai.address)).exchangeName).eq(UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME);
+      expect((await generalIndexModule._executionInfos(index.address, wbtc.address)).exchangeName).eq(SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME);
+    });
+
+    it('should revert when the exchange is not a valid integration', async function () {
+      await expect(generalIndexModule.setExchanges(index.address, [dai.address], ['BALANCER'])).revertedWith('G4');
+    });
+
+    it('should set the cool-off periods', async function () {
+      await generalIndexModule.setCoolOffPeriods(index.address, [dai.address, wbtc.address], [coolOffPeriod, coolOffPeriod * 2]);
+
+      expect((await generalIndexModule._executionInfos(index.address, dai.address)).coolOffPeriod).eq(coolOffPeriod);
+      expect((await generalIndexModule._executionInfos(index.address, wbtc.address)).coolOffPeriod).eq(coolOffPeriod * 2);
+    });
+
+    it('should set the exchange data', async function () {
+      await generalIndexModule.setExchangeData(index.address, [dai.address, wbtc.address], [weth.address, EMPTY_BYTES]);
+
+      expect((await generalIndexModule._executionInfos(index.address, dai.address)).exchangeData).eq(weth.address.toLowerCase());
+      expect((await generalIndexModule._executionInfos(index.address, wbtc.address)).exchangeData).eq(EMPTY_BYTES);
+    });
+
+    it('should set the raise target percentage', async function () {
+      await expect(generalIndexModule.setRaiseTargetPercentage(index.address, ethToWei(0.0025)))
+        .emit(generalIndexModule, 'UpdateRaiseTargetPercentage')
+        .withArgs(index.address, ethToWei(0.0025));
+
+      expect((await generalIndexModule._rebalanceInfos(index.address)).raiseTargetPercentage).eq(ethToWei(0.0025));
+    });
+
+    it('should revert when the raise target percentage is 0', async function () {
+      await expect(generalIndexModule.setRaiseTargetPercentage(index.address, ZERO)).revertedWith('G5');
+    });
+
+    it('should add and remove allowed traders', async function () {
+      await generalIndexModule.setTraderStatus(index.address, [trader.address, randomAccount.address], [true, true]);
+      expect(await generalIndexModule.getAllowedTraders(index.address)).deep.eq([trader.address, randomAccount.address]);
+
+      await generalIndexModule.setTraderStatus(index.address, [randomAccount.address], [false]);
+      expect(await generalIndexModule.getAllowedTraders(index.address)).deep.eq([trader.address]);
+      expect(await generalIndexModule.getIsAllowedTrader(index.address, trader.address)).is.true;
+      expect(await generalIndexModule.getIsAllowedTrader(index.address, randomAccount.address)).is.false;
+    });
+
+    it('should allow anyone to trade', async function () {
+      await generalIndexModule.setAnyoneTrade(index.address, true);
+      expect(await generalIndexModule.getIsAllowedTrader(index.address, randomAccount.address)).is.true;
+    });
+
+    it('should revert when the caller is not the MatrixToken manager', async function () {
+      await expect(generalIndexModule.connect(randomAccount).setAnyoneTrade(index.address, true)).revertedWith('M1a');
+    });
+  });
+
+  describe('trade', function () {
+    const daiMaxSize = ethToWei(100);
+    const wbtcMaxSize = btcToWei(0.005);
+
+    let component;
+    let ethQuantityLimit;
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      // sell 115 DAI in 2 trades and buy 0.0125 WBTC in 3 trades
+      caller = owner;
+      await startRebalance([ethToWei(0.1), ethToWei(11.5), btcToWei(0.00375)]);
+      await generalIndexModule.setTradeMaximums(index.address, [dai.address, wbtc.address], [daiMaxSize, wbtcMaxSize]);
+      await generalIndexModule.setCoolOffPeriods(index.address, [dai.address, wbtc.address], [coolOffPeriod, coolOffPeriod]);
+      await generalIndexModule.setExchanges(
+        index.address,
+        [dai.address, wbtc.address],
+        [UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME, SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME]
+      );
+      await generalIndexModule.setTraderStatus(index.address, [trader.address], [true]);
+
+      caller = trader;
+      component = dai;
+      ethQuantityLimit = ZERO;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function trade() {
+      return generalIndexModule.connect(caller).trade(index.address, component.address, ethQuantityLimit);
+    }
+
+    it('should sell the trade maximum of an overweight component', async function () {
+      const [, wethReceived] = await uniswapRouter.getAmountsOut(daiMaxSize, [dai.address, weth.address]);
+      await trade();
+
+      expect(await getUnit(dai)).eq(ethToWei(13));
+      expect(await getUnit(weth)).eq(preciseDiv(ethToWei(1).add(wethReceived), indexSupply));
+    });
+
+    it('should emit the ExecuteTrade event', async function () {
+      const [, wethReceived] = await uniswapRouter.getAmountsOut(daiMaxSize, [dai.address, weth.address]);
+
+      await expect(trade())
+        .emit(generalIndexModule, 'ExecuteTrade')
+        .withArgs(
+          index.address,
+          dai.address,
+          weth.address,
+          rebalanceFixture.uniswapIndexExchangeAdapter.address,
+          trader.address,
+          daiMaxSize,
+          wethReceived,
+          ZERO
+        );
+    });
+
+    it('should buy the trade maximum of an underweight component by its exchange', async function () {
+      component = wbtc;
+      ethQuantityLimit = MAX_UINT_256;
+      const [wethSpent] = await sushiswapRouter.getAmountsIn(wbtcMaxSize, [weth.address, wbtc.address]);
+      await trade();
+
+      expect(await getUnit(wbtc)).eq(btcToWei(0.003));
+      expect(await getUnit(weth)).eq(preciseDiv(ethToWei(1).sub(wethSpent), indexSupply));
+    });
+
+    it('should return the trade quantities and directions', async function () {
+      const [isDaiSell, daiQuantity] = await generalIndexModule.getComponentTradeQuantityAndDirection(index.address, dai.address);
+      const [isWbtcSell, wbtcQuantity] = await generalIndexModule.getComponentTradeQuantityAndDirection(index.address, wbtc.address);
+
+      expect(isDaiSell).is.true;
+      expect(daiQuantity).eq(daiMaxSize);
+      expect(isWbtcSell).is.false;
+      expect(wbtcQuantity).eq(wbtcMaxSize);
+      await expect(generalIndexModule.getComponentTradeQuantityAndDirection(index.address, usdc.address)).revertedWith('G0');
+    });
+
+    it('should pay the protocol fee from the received tokens', async function () {
+      const protocolFee = ethToWei(0.005);
+      await systemFixture.controller.connect(owner).addFee(generalIndexModule.address, ZERO, protocolFee); // fee type on trade function denoted as 0
+
+      const [, wethReceived] = await uniswapRouter.getAmountsOut(daiMaxSize, [dai.address, weth.address]);
+      const oldFeeRecipientBalance = await weth.balanceOf(protocolFeeRecipient.address);
+      await trade();
+
+      const fee = preciseMul(wethReceived, protocolFee);
+      expect(await weth.balanceOf(protocolFeeRecipient.address)).eq(oldFeeRecipientBalance.add(fee));
+      expect(await getUnit(weth)).eq(preciseDiv(ethToWei(1).add(wethReceived).sub(fee), indexSupply));
+    });
+
+    it('should trade the rest after the cool-off period', async function () {
+      await trade();
+      await expect(trade()).revertedWith('G9c');
+
+      await increaseBlockTime(coolOffPeriod);
+      await trade();
+      expect(await getUnit(dai)).eq(ethToWei(11.5));
+
+      await increaseBlockTime(coolOffPeriod);
+      await expect(trade()).revertedWith('G7');
+    });
+
+    it('should revert when less WETH than the limit is received', async function () {
+      ethQuantityLimit = ethToWei(1);
+      await expect(trade()).revertedWith('UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT');
+    });
+
+    it('should revert when more WETH than the limit is needed', async function () {
+      component = wbtc;
+      ethQuantityLimit = ethToWei(0.01);
+      await expect(trade()).revertedWith('UniswapV2Router: EXCESSIVE_INPUT_AMOUNT');
+    });
+
+    it('should revert when the component is WETH', async function () {
+      component = weth;
+      await expect(trade()).revertedWith('G9a');
+    });
+
+    it('should revert when the component is not in the rebalance', async function () {
+      component = usdc;
+      await expect(trade()).revertedWith('G9b');
+    });
+
+    it('should revert when the caller is not an allowed trader', async function () {
+      caller = randomAccount;
+      await expect(trade()).revertedWith('G11');
+    });
+
+    describe('when the exchange is Uniswap V3', function () {
+      let quoter;
+      let feeData;
+
+      beforeEach(async function () {
+        ({ quoter } = rebalanceFixture.uniswapV3Fixture);
+        feeData = await rebalanceFixture.uniswapV3IndexExchangeAdapter.getEncodedFeeData(FEE_MEDIUM);
+
+        caller = owner;
+        await generalIndexModule.setExchanges(
+          index.address,
+          [dai.address, wbtc.address],
+          [UNISWAP_V3_INDEX_EXCHANGE_ADAPTER_NAME, UNISWAP_V3_INDEX_EXCHANGE_ADAPTER_NAME]
+        );
+        await generalIndexModule.setExchangeData(index.address, [dai.address, wbtc.address], [feeData, feeData]);
+
+        caller = trader;
+      });
+
+      it('should sell the trade maximum of an overweight component', async function () {
+        const wethReceived = await quoter.callStatic.quoteExactInputSingle(dai.address, weth.address, FEE_MEDIUM, daiMaxSize, 0);
+        await trade();
+
+        expect(await getUnit(dai)).eq(ethToWei(13));
+        expect(await getUnit(weth)).eq(preciseDiv(ethToWei(1).add(wethReceived), indexSupply));
+      });
+
+      it('should buy the trade maximum of an underweight component', async function () {
+        component = wbtc;
+        ethQuantityLimit = MAX_UINT_256;
+        const wethSpent = await quoter.callStatic.quoteExactOutputSingle(weth.address, wbtc.address, FEE_MEDIUM, wbtcMaxSize, 0);
+        await trade();
+
+        expect(await getUnit(wbtc)).eq(btcToWei(0.003));
+        expect(await getUnit(weth)).eq(preciseDiv(ethToWei(1).sub(wethSpent), indexSupply));
+      });
+
+      it('should revert when less WETH than the limit is received', async function () {
+        ethQuantityLimit = ethToWei(1);
+        await expect(trade()).revertedWith('Too little received');
+      });
+
+      it('should revert when more WETH than the limit is needed', async function () {
+        component = wbtc;
+        ethQuantityLimit = ethToWei(0.01);
+
+        // SwapRouter pulls WETH in the swap callback before it checks amountInMaximum, and the MatrixToken only approves the limit
+        await expect(trade()).revertedWith('STF');
+      });
+    });
+  });
+
+  describe('tradeRemainingWETH', function () {
+    let minComponentReceived;
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      // 0.5 WETH above the target is left to buy WBTC
+      caller = owner;
+      await startRebalance([ethToWei(0.05), ethToWei(23), btcToWei(0.004)]);
+      await generalIndexModule.setTradeMaximums(index.address, [wbtc.address], [btcToWei(0.02)]);
+      await generalIndexModule.setExchanges(index.address, [wbtc.address], [SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME]);
+      await generalIndexModule.setTraderStatus(index.address, [trader.address], [true]);
+
+      caller = trader;
+      minComponentReceived = ZERO;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function tradeRemainingWETH() {
+      return generalIndexModule.connect(caller).tradeRemainingWETH(index.address, wbtc.address, minComponentReceived);
+    }
+
+    it('should trade the WETH above its target for the component', async function () {
+      const [, wbtcReceived] = await sushiswapRouter.getAmountsOut(ethToWei(0.5), [weth.address, wbtc.address]);
+      await tradeRemainingWETH();
+
+      expect(await getUnit(weth)).eq(ethToWei(0.05));
+      expect(await getUnit(wbtc)).eq(preciseDiv(btcToWei(0.025).add(wbtcReceived), indexSupply));
+    });
+
+    it('should revert when less of the component than the limit is received', async function () {
+      minComponentReceived = btcToWei(0.02);
+      await expect(tradeRemainingWETH()).revertedWith('UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT');
+    });
+
+    it('should revert when there are tokens to sell', async function () {
+      caller = owner;
+      await startRebalance([ethToWei(0.05), ethToWei(11.5), btcToWei(0.004)]);
+
+      caller = trader;
+      await expect(tradeRemainingWETH()).revertedWith('G2a');
+    });
+
+    it('should revert when WETH is not above its target', async function () {
+      caller = owner;
+      await startRebalance([ethToWei(0.1), ethToWei(23), btcToWei(0.004)]);
+
+      caller = trader;
+      await expect(tradeRemainingWETH()).revertedWith('G2b');
+    });
+
+    it('should revert when the received quantity is not below the trade maximum', async function () {
+      caller = owner;
+      await generalIndexModule.setTradeMaximums(index.address, [wbtc.address], [btcToWei(0.001)]);
+
+      caller = trader;
+      await expect(tradeRemainingWETH()).revertedWith('G2c');
+    });
+
+    it('should revert when the component would exceed its target', async function () {
+      caller = owner;
+      await startRebalance([ethToWei(0.05), ethToWei(23), btcToWei(0.0026)]);
+
+      caller = trader;
+      await expect(tradeRemainingWETH()).revertedWith('G8');
+    });
+  });
+
+  describe('raiseAssetTargets', function () {
+    const raiseTargetPercentage = ethToWei(0.0025);
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      // every target is met and WETH is above its target
+      caller = owner;
+      await startRebalance([ethToWei(0.05), ethToWei(23), btcToWei(0.0025)]);
+      await generalIndexModule.setTradeMaximums(index.address, [dai.address, wbtc.address], [ethToWei(100), btcToWei(0.005)]);
+      await generalIndexModule.setRaiseTargetPercentage(index.address, raiseTargetPercentage);
+      await generalIndexModule.setTraderStatus(index.address, [trader.address], [true]);
+
+      caller = trader;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function raiseAssetTargets() {
+      return generalIndexModule.connect(caller).raiseAssetTargets(index.address);
+    }
+
+    it('should lower the position multiplier of the rebalance', async function () {
+      const expectedPositionMultiplier = preciseDiv(PRECISE_UNIT, PRECISE_UNIT.add(raiseTargetPercentage));
+
+      await expect(raiseAssetTargets()).emit(generalIndexModule, 'RaiseAssetTargets').withArgs(index.address, expectedPositionMultiplier);
+      expect((await generalIndexModule._rebalanceInfos(index.address)).positionMultiplier).eq(expectedPositionMultiplier);
+    });
+
+    it('should raise the targets of the components', async function () {
+      await raiseAssetTargets();
+
+      const { positionMultiplier } = await generalIndexModule._rebalanceInfos(index.address);
+      const daiTargetUnit = ethToWei(23).mul(PRECISE_UNIT).div(positionMultiplier);
+      const [isSell, quantity] = await generalIndexModule.getComponentTradeQuantityAndDirection(index.address, dai.address);
+
+      expect(isSell).is.false;
+      expect(quantity).eq(preciseMulCeilUint(indexSupply, daiTargetUnit).sub(ethToWei(230)));
+    });
+
+    it('should revert when a target is not met', async function () {
+      caller = owner;
+      await startRebalance([ethToWei(0.05), ethToWei(11.5), btcToWei(0.0025)]);
+
+      caller = trader;
+      await expect(raiseAssetTargets()).revertedWith('G3');
+    });
+
+    it('should revert when WETH is not above its target', async function () {
+      caller = owner;
+      await startRebalance(indexUnits);
+
+      caller = trader;
+      await expect(raiseAssetTargets()).revertedWith('G3');
+    });
+
+    it('should revert when the caller is not an allowed trader', async function () {
+      caller = randomAccount;
+      await expect(raiseAssetTargets()).revertedWith('G11');
+    });
+  });
+
+  describe('rebalance', function () {
+    let snapshotId;
+    before(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    after(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should rebalance to the targets with trade maximums, cool-off periods, raised targets and the remaining WETH', async function () {
+      caller = owner;
+      await startRebalance([ethToWei(0.1), ethToWei(11.5), btcToWei(0.00375)]);
+      await generalIndexModule.setTradeMaximums(index.address, [dai.address, wbtc.address], [ethToWei(100), btcToWei(0.005)]);
+      await generalIndexModule.setCoolOffPeriods(index.address, [dai.address, wbtc.address], [coolOffPeriod, coolOffPeriod]);
+      await generalIndexModule.setExchanges(
+        index.address,
+        [dai.address, wbtc.address],
+        [UNISWAP_INDEX_EXCHANGE_ADAPTER_NAME, SUSHISWAP_INDEX_EXCHANGE_ADAPTER_NAME]
+      );
+      await generalIndexModule.setRaiseTargetPercentage(index.address, ethToWei(0.0025));
+      await generalIndexModule.setTraderStatus(index.address, [trader.address], [true]);
+
+      const indexModule = generalIndexModule.connect(trader);
+
+      // sell 100 + 15 DAI and buy 0.005 + 0.005 + 0.0025 WBTC
+      for (let i = 0; i < 3; i++) {
+        if (i < 2) {
+          await indexModule.trade(index.address, dai.address, ZERO);
+        }
+
+        await indexModule.trade(index.address, wbtc.address, MAX_UINT_256);
+        await increaseBlockTime(coolOffPeriod);
+      }
+
+      expect(await getUnit(dai)).eq(ethToWei(11.5));
+      expect(await getUnit(wbtc)).eq(btcToWei(0.00375));
+      expect(await getUnit(weth)).gt(ethToWei(0.1));
+
+      // the WETH left raises the targets 0.25%, buy DAI to its new target and WBTC by the rest of WETH
+      await indexModule.raiseAssetTargets(index.address);
+      await indexModule.trade(index.address, dai.address, MAX_UINT_256);
+      await indexModule.tradeRemainingWETH(index.address, wbtc.address, ZERO);
+
+      const { positionMultiplier } = await generalIndexModule._rebalanceInfos(index.address);
+      const getTargetUnit = (unit) => BigNumber.from(unit).mul(PRECISE_UNIT).div(positionMultiplier);
+
+      expect(await getUnit(dai)).eq(getTargetUnit(ethToWei(11.5)));
+      expect(await getUnit(weth)).eq(getTargetUnit(ethToWei(0.1)));
+      expect(await getUnit(wbtc)).gt(btcToWei(0.00375));
+      expect(await getUnit(wbtc)).lte(getTargetUnit(btcToWei(0.00375)));
+    });
+  });
+
+  describe('removeModule', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should delete the rebalance and the permissions of the MatrixToken', async function () {
+      await generalIndexModule.setRaiseTargetPercentage(index.address, ethToWei(0.0025));
+      await generalIndexModule.setTraderStatus(index.address, [trader.address], [true]);
+      await index.removeModule(generalIndexModule.address);
+
+      const rebalanceInfo = await generalIndexModule._rebalanceInfos(index.address);
+      expect(rebalanceInfo.positionMultiplier).eq(ZERO);
+      expect(rebalanceInfo.raiseTargetPercentage).eq(ZERO);
+      await expect(generalIndexModule.getAllowedTraders(index.address)).revertedWith('M3');
+    });
+  });
+});
@@ -0,0 +1,427 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { ethToWei, usdToWei } = require('../../helpers/unitUtil');
+const { SystemFixture } = require('../../fixtures/systemFixture');
+const { getSigners, getRandomAddress } = require('../../helpers/accountUtil');
+const { ZERO, ZERO_ADDRESS, MAX_UINT_256 } = require('../../helpers/constants');
+const { snapshotBlockchain, revertBlockchain } = require('../../helpers/evmUtil.js');
+const { deployContract, deployContractAndLinkLibraries } = require('../../helpers/deploy');
+
+describe('contract PerpV2LeverageModule', function () {
+  const [owner, protocolFeeRecipient, randomAccount] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+
+  let vETH; // virtual base token
+  let usdc;
+  let vault; // PerpV2VaultMock
+  let clearingHouse; // PerpV2ClearingHouseMock
+  let accountBalance; // PerpV2AccountBalanceMock
+  let debtIssuanceModule;
+  let perpV2LeverageModule;
+  let matrixToken;
+
+  let rootSnapshotId;
+  before(async function () {
+    rootSnapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    const { controller, integrationRegistry } = systemFixture;
+    usdc = systemFixture.usdc;
+    vETH = await getRandomAddress();
+
+    accountBalance = await deployContract('PerpV2AccountBalanceMock', [], owner);
+    vault = await deployContract('PerpV2VaultMock', [usdc.address, accountBalance.address], owner);
+    clearingHouse = await deployContract('PerpV2ClearingHouseMock', [vault.address, accountBalance.address], owner);
+    await vault.setClearingHouse(clearingHouse.address);
+    await accountBalance.setMarkPrice(vETH, ethToWei(2000));
+
+    // The vault pays realized profits out of its own balance
+    await usdc.transfer(vault.address, usdToWei(10000));
+
+    const perpV2Library = await deployContract('PerpV2', [], owner);
+    perpV2LeverageModule = await deployContractAndLinkLibraries(
+      'PerpV2LeverageModule',
+      [controller.address, vault.address, 'PerpV2LeverageModule'],
+      { PerpV2: perpV2Library.address },
+      owner
+    );
+    await controller.addModule(perpV2LeverageModule.address);
+
+    debtIssuanceModule = await deployContract('DebtIssuanceModule', [controller.address, 'DebtIssuanceModule'], owner);
+    await controller.addModule(debtIssuanceModule.address);
+    await integrationRegistry.addIntegration(perpV2LeverageModule.address, 'DEFAULT_ISSUANCE_MODULE', debtIssuanceModule.address);
+
+    await usdc.approve(debtIssuanceModule.address, MAX_UINT_256);
+  });
+
+  after(async function () {
+    await revertBlockchain(rootSnapshotId);
+  });
+
+  let caseSnapshotId;
+  beforeEach(async function () {
+    caseSnapshotId = await snapshotBlockchain();
+  });
+
+  afterEach(async function () {
+    await revertBlockchain(caseSnapshotId);
+  });
+
+  // MatrixToken of 100 USDC per token, 10 tokens issued when isIssued is true
+  async function initMatrixToken(isInitialized = true, isIssued = true) {
+    matrixToken = await systemFixture.createMatrixToken([usdc.address], [usdToWei(100)], [perpV2LeverageModule.address, debtIssuanceModule.address], owner);
+    await debtIssuanceModule.initialize(matrixToken.address, ZERO, ZERO, ZERO, owner.address, ZERO_ADDRESS);
+
+    if (isInitialized) {
+      await perpV2LeverageModule.initialize(matrixToken.address);
+    }
+
+    if (isIssued) {
+      await debtIssuanceModule.issue(matrixToken.address, ethToWei(10), owner.address);
+    }
+  }
+
+  async function getExternalUnit() {
+    return matrixToken.getExternalPositionRealUnit(usdc.address, perpV2LeverageModule.address);
+  }
+
+  describe('constructor', function () {
+    it('should set the correct controller', async function () {
+      expect(await perpV2LeverageModule.getController()).eq(systemFixture.controller.address);
+    });
+
+    it('should set the correct Perp contracts', async function () {
+      expect(await perpV2LeverageModule.getVault()).eq(vault.address);
+      expect(await perpV2LeverageModule.getClearingHouse()).eq(clearingHouse.address);
+      expect(await perpV2LeverageModule.getAccountBalance()).eq(accountBalance.address);
+      expect(await perpV2LeverageModule.getCollateralToken()).eq(usdc.address);
+    });
+  });
+
+  describe('initialize', function () {
+    let caller;
+
+    beforeEach(async function () {
+      await initMatrixToken(false, false);
+      caller = owner;
+    });
+
+    async function initialize() {
+      return perpV2LeverageModule.connect(caller).initialize(matrixToken.address);
+    }
+
+    it('should enable the Module on the MatrixToken', async function () {
+      await initialize();
+      expect(await matrixToken.isInitializedModule(perpV2LeverageModule.address)).is.true;
+    });
+
+    it('should register on the debt issuance module', async function () {
+      await initialize();
+      expect(await debtIssuanceModule.isModuleIssuanceHook(matrixToken.address, perpV2LeverageModule.address)).is.true;
+    });
+
+    it('should revert when debt issuance module is not initialized on MatrixToken', async function () {
+      await matrixToken.removeModule(debtIssuanceModule.address);
+      await expect(initialize()).revertedWith('PL4');
+    });
+
+    it('should revert when the caller is not the MatrixToken manager', async function () {
+      caller = randomAccount;
+      await expect(initialize()).revertedWith('M2');
+    });
+  });
+
+  describe('deposit', function () {
+    let caller;
+    let collateralQuantityUnits;
+
+    beforeEach(async function () {
+      await initMatrixToken();
+      caller = owner;
+      collateralQuantityUnits = usdToWei(50);
+    });
+
+    async function deposit() {
+      return perpV2LeverageModule.connect(caller).deposit(matrixToken.address, collateralQuantityUnits);
+    }
+
+    it('should deposit the collateral into the vault', async function () {
+      await deposit();
+      expect(await vault.getBalance(matrixToken.address)).eq(usdToWei(500));
+      expect(await usdc.balanceOf(matrixToken.address)).eq(usdToWei(500));
+    });
+
+    it('should update the default and external positions', async function () {
+      await deposit();
+      expect(await matrixToken.getDefaultPositionRealUnit(usdc.address)).eq(usdToWei(50));
+      expect(await getExternalUnit()).eq(usdToWei(50));
+      expect(await matrixToken.getExternalPositionModules(usdc.address)).deep.eq([perpV2LeverageModule.address]);
+    });
+
+    it('should emit the DepositCollateral event', async function () {
+      await expect(deposit()).emit(perpV2LeverageModule, 'DepositCollateral').withArgs(matrixToken.address, usdc.address, usdToWei(500));
+    });
+
+    it('should revert when the quantity is 0', async function () {
+      collateralQuantityUnits = ZERO;
+      await expect(deposit()).revertedWith('PL2a');
+    });
+
+    it('should revert when the default position is not enough', async function () {
+      collateralQuantityUnits = usdToWei(101);
+      await expect(deposit()).revertedWith('PL2b');
+    });
+
+    it('should revert when the caller is not the MatrixToken manager', async function () {
+      caller = randomAccount;
+      await expect(deposit()).revertedWith('M1a');
+    });
+  });
+
+  describe('withdraw', function () {
+    let collateralQuantityUnits;
+
+    beforeEach(async function () {
+      await initMatrixToken();
+      await perpV2LeverageModule.deposit(matrixToken.address, usdToWei(50));
+      collateralQuantityUnits = usdToWei(20);
+    });
+
+    async function withdraw() {
+      return perpV2LeverageModule.withdraw(matrixToken.address, collateralQuantityUnits);
+    }
+
+    it('should withdraw the collateral from the vault and update positions', async function () {
+      await withdraw();
+      expect(await vault.getBalance(matrixToken.address)).eq(usdToWei(300));
+      expect(await matrixToken.getDefaultPositionRealUnit(usdc.address)).eq(usdToWei(70));
+      expect(await getExternalUnit()).eq(usdToWei(30));
+    });
+
+    it('should remove the external position when all collateral is withdrawn', async function () {
+      collateralQuantityUnits = usdToWei(50);
+      await withdraw();
+      expect(await getExternalUnit()).eq(ZERO);
+      expect(await matrixToken.getExternalPositionModules(usdc.address)).deep.eq([]);
+    });
+
+    it('should emit the WithdrawCollateral event', async function () {
+      await expect(withdraw()).emit(perpV2LeverageModule, 'WithdrawCollateral').withArgs(matrixToken.address, usdc.address, usdToWei(200));
+    });
+
+    it('should revert when the quantity is 0', async function () {
+      collateralQuantityUnits = ZERO;
+      await expect(withdraw()).revertedWith('PL3a');
+    });
+
+    it('should revert when the free collateral is not enough', async function () {
+      collateralQuantityUnits = usdToWei(60);
+      await expect(withdraw()).revertedWith('PL3b');
+    });
+  });
+
+  describe('trade', function () {
+    let caller;
+    let baseQuantityUnits;
+    let quoteBoundQuantityUnits;
+
+    beforeEach(async function () {
+      await initMatrixToken();
+      await perpV2LeverageModule.deposit(matrixToken.address, usdToWei(50));
+      caller = owner;
+      baseQuantityUnits = ethToWei(0.01);
+      quoteBoundQuantityUnits = ethToWei(25);
+    });
+
+    async function trade() {
+      return perpV2LeverageModule.connect(caller).trade(matrixToken.address, vETH, baseQuantityUnits, quoteBoundQuantityUnits);
+    }
+
+    it('should open a long position', async function () {
+      await trade();
+      expect(await accountBalance.getBase(matrixToken.address, vETH)).eq(ethToWei(0.1));
+      expect(await accountBalance.getQuote(matrixToken.address, vETH)).eq(ethToWei(-200));
+
+      const [positionInfo] = await perpV2LeverageModule.getPositionInfo(matrixToken.address);
+      expect(positionInfo.baseToken).eq(vETH);
+      expect(positionInfo.baseBalance).eq(ethToWei(0.1));
+    });
+
+    it('should open a short position', async function () {
+      baseQuantityUnits = ethToWei(-0.01);
+      quoteBoundQuantityUnits = ethToWei(20);
+      await trade();
+      expect(await accountBalance.getBase(matrixToken.address, vETH)).eq(ethToWei(-0.1));
+      expect(await accountBalance.getQuote(matrixToken.address, vETH)).eq(ethToWei(200));
+    });
+
+    it('should emit the TradePosition event', async function () {
+      await expect(trade()).emit(perpV2LeverageModule, 'TradePosition').withArgs(matrixToken.address, vETH, ethToWei(0.1), ethToWei(-200));
+    });
+
+    it('should track the unrealized pnl in the external position after sync', async function () {
+      await trade();
+      expect(await getExternalUnit()).eq(usdToWei(50));
+
+      await accountBalance.setMarkPrice(vETH, ethToWei(2500));
+      await perpV2LeverageModule.sync(matrixToken.address);
+      expect(await getExternalUnit()).eq(usdToWei(55));
+    });
+
+    it('should revert when more quote than the bound is paid', async function () {
+      quoteBoundQuantityUnits = ethToWei(19);
+      await expect(trade()).revertedWith('too much quote paid');
+    });
+
+    it('should revert when less quote than the bound is received', async function () {
+      baseQuantityUnits = ethToWei(-0.01);
+      quoteBoundQuantityUnits = ethToWei(21);
+      await expect(trade()).revertedWith('too little quote received');
+    });
+
+    it('should revert when the base quantity is 0', async function () {
+      baseQuantityUnits = ZERO;
+      await expect(trade()).revertedWith('PL0');
+    });
+
+    it('should revert when the caller is not the MatrixToken manager', async function () {
+      caller = randomAccount;
+      await expect(trade()).revertedWith('M1a');
+    });
+  });
+
+  describe('closePosition', function () {
+    beforeEach(async function () {
+      await initMatrixToken();
+      await perpV2LeverageModule.deposit(matrixToken.address, usdToWei(50));
+    });
+
+    it('should close the position and realize the pnl', async function () {
+      await perpV2LeverageModule.trade(matrixToken.address, vETH, ethToWei(0.01), ethToWei(25));
+      await accountBalance.setMarkPrice(vETH, ethToWei(2500));
+      await perpV2LeverageModule.closePosition(matrixToken.address, vETH, ethToWei(25));
+
+      const accountInfo = await perpV2LeverageModule.getAccountInfo(matrixToken.address);
+      expect(await accountBalance.getBaseTokens(matrixToken.address)).deep.eq([]);
+      expect(accountInfo.owedRealizedPnl).eq(ethToWei(50));
+      expect(await getExternalUnit()).eq(usdToWei(55));
+    });
+
+    it('should revert when there is no position', async function () {
+      await expect(perpV2LeverageModule.closePosition(matrixToken.address, vETH, ZERO)).revertedWith('PL1');
+    });
+  });
+
+  describe('issue and redeem', function () {
+    beforeEach(async function () {
+      await initMatrixToken();
+      await perpV2LeverageModule.deposit(matrixToken.address, usdToWei(50));
+    });
+
+    describe('when the MatrixToken is long', function () {
+      beforeEach(async function () {
+        await perpV2LeverageModule.trade(matrixToken.address, vETH, ethToWei(0.01), ethToWei(25));
+        await accountBalance.setMarkPrice(vETH, ethToWei(2500));
+      });
+
+      it('should buy the issued share of the position and deposit its collateral', async function () {
+        const preBalance = await usdc.balanceOf(owner.address);
+        await debtIssuanceModule.issue(matrixToken.address, ethToWei(5), owner.address);
+
+        expect(preBalance.sub(await usdc.balanceOf(owner.address))).eq(usdToWei(525));
+        expect(await vault.getBalance(matrixToken.address)).eq(usdToWei(775));
+        expect(await accountBalance.getBase(matrixToken.address, vETH)).eq(ethToWei(0.15));
+        expect(await accountBalance.getQuote(matrixToken.address, vETH)).eq(ethToWei(-325));
+        expect(await getExternalUnit()).eq(usdToWei(55));
+      });
+
+      it('should keep the value per token after issuance', async function () {
+        await debtIssuanceModule.issue(matrixToken.address, ethToWei(5), owner.address);
+        await perpV2LeverageModule.sync(matrixToken.address);
+        expect(await getExternalUnit()).eq(usdToWei(55));
+      });
+
+      it('should sell the redeemed share of the position and return its collateral', async function () {
+        const preBalance = await usdc.balanceOf(owner.address);
+        await debtIssuanceModule.redeem(matrixToken.address, ethToWei(5), owner.address);
+
+        expect((await usdc.balanceOf(owner.address)).sub(preBalance)).eq(usdToWei(525));
+        expect(await vault.getBalance(matrixToken.address)).eq(usdToWei(225));
+        expect(await accountBalance.getBase(matrixToken.address, vETH)).eq(ethToWei(0.05));
+        expect(await accountBalance.getQuote(matrixToken.address, vETH)).eq(ethToWei(-75));
+
+        await perpV2LeverageModule.sync(matrixToken.address);
+        expect(await getExternalUnit()).eq(usdToWei(55));
+      });
+
+      it('should close the position and settle the pnl when everything is redeemed', async function () {
+        const preBalance = await usdc.balanceOf(owner.address);
+        await debtIssuanceModule.redeem(matrixToken.address, ethToWei(10), owner.address);
+
+        expect((await usdc.balanceOf(owner.address)).sub(preBalance)).eq(usdToWei(1050));
+        expect(await vault.getBalance(matrixToken.address)).eq(ZERO);
+        expect(await accountBalance.getBaseTokens(matrixToken.address)).deep.eq([]);
+      });
+    });
+
+    describe('when the MatrixToken is short', function () {
+      beforeEach(async function () {
+        await perpV2LeverageModule.trade(matrixToken.address, vETH, ethToWei(-0.01), ethToWei(20));
+        await accountBalance.setMarkPrice(vETH, ethToWei(1500));
+      });
+
+      it('should sell the issued share of the position and deposit its collateral', async function () {
+        const preBalance = await usdc.balanceOf(owner.address);
+        await debtIssuanceModule.issue(matrixToken.address, ethToWei(5), owner.address);
+
+        expect(preBalance.sub(await usdc.balanceOf(owner.address))).eq(usdToWei(525));
+        expect(await accountBalance.getBase(matrixToken.address, vETH)).eq(ethToWei(-0.15));
+        expect(await accountBalance.getQuote(matrixToken.address, vETH)).eq(ethToWei(275));
+        expect(await getExternalUnit()).eq(usdToWei(55));
+      });
+
+      it('should buy back the redeemed share of the position and return its collateral', async function () {
+        const preBalance = await usdc.balanceOf(owner.address);
+        await debtIssuanceModule.redeem(matrixToken.address, ethToWei(5), owner.address);
+
+        expect((await usdc.balanceOf(owner.address)).sub(preBalance)).eq(usdToWei(525));
+        expect(await accountBalance.getBase(matrixToken.address, vETH)).eq(ethToWei(-0.05));
+        expect(await vault.getBalance(matrixToken.address)).eq(usdToWei(225));
+      });
+    });
+
+    it('should revert when the hook is not called by a module', async function () {
+      await expect(perpV2LeverageModule.moduleIssueHook(matrixToken.address, ethToWei(1))).revertedWith('M4a');
+    });
+  });
+
+  describe('removeModule', function () {
+    beforeEach(async function () {
+      await initMatrixToken();
+      await perpV2LeverageModule.deposit(matrixToken.address, usdToWei(50));
+    });
+
+    it('should remove the module and unregister from the debt issuance module', async function () {
+      await perpV2LeverageModule.withdraw(matrixToken.address, usdToWei(50));
+      await matrixToken.removeModule(perpV2LeverageModule.address);
+
+      expect(await matrixToken.isInitializedModule(perpV2LeverageModule.address)).is.false;
+      expect(await debtIssuanceModule.isModuleIssuanceHook(matrixToken.address, perpV2LeverageModule.address)).is.false;
+    });
+
+    it('should revert when a position is open', async function () {
+      await perpV2LeverageModule.trade(matrixToken.address, vETH, ethToWei(0.01), ethToWei(25));
+      await expect(matrixToken.removeModule(perpV2LeverageModule.address)).revertedWith('PL5a');
+    });
+
+    it('should revert when collateral remains in the vault', async function () {
+      await expect(matrixToken.removeModule(perpV2LeverageModule.address)).revertedWith('PL5b');
+    });
+  });
+});
@@ -0,0 +1,427 @@
+// SPDX-License-Identifier: Apache-2.0
+
+// ==================== External Imports ====================
+
+const { expect } = require('chai');
+
+// ==================== Internal Imports ====================
+
+const { preciseDiv, preciseMul } = require('../../helpers/mathUtil');
+const { ethToWei, btcToWei, usdToWei } = require('../../helpers/unitUtil');
+const { SystemFixture } = require('../../fixtures/systemFixture');
+const { getSigners } = require('../../helpers/accountUtil');
+const { EXCHANGE_ID, RebalanceFixture } = require('../../fixtures/rebalanceFixture');
+const { ZERO, ZERO_ADDRESS, PRECISE_UNIT } = require('../../helpers/constants');
+const { snapshotBlockchain, revertBlockchain, increaseBlockTime } = require('../../helpers/evmUtil.js');
+
+describe('contract SingleIndexModule', function () {
+  const [owner, protocolFeeRecipient, trader, randomAccount] = getSigners();
+  const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
+  const rebalanceFixture = new RebalanceFixture(owner, systemFixture);
+
+  // 10 indexes of 23 DAI and 0.0025 WBTC, WETH can not be a component at the start of a rebalance
+  const indexSupply = ethToWei(10);
+  const indexUnits = [ethToWei(23), btcToWei(0.0025)];
+  const coolOffPeriod = 600;
+
+  let weth;
+  let dai;
+  let wbtc;
+  let usdc;
+  let index;
+  let caller;
+  let singleIndexModule;
+  let uniswapRouter;
+  let sushiswapRouter;
+
+  let snapshotId;
+  before(async function () {
+    snapshotId = await snapshotBlockchain();
+
+    await systemFixture.initAll();
+    await rebalanceFixture.init();
+
+    ({ weth, dai, wbtc, usdc } = systemFixture);
+    ({ singleIndexModule } = rebalanceFixture);
+    uniswapRouter = rebalanceFixture.uniswapFixture.router;
+    sushiswapRouter = rebalanceFixture.sushiswapFixture.router;
+
+    index = await rebalanceFixture.createIndex([dai.address, wbtc.address], indexUnits, singleIndexModule, indexSupply);
+  });
+
+  after(async function () {
+    await revertBlockchain(snapshotId);
+  });
+
+  // target units of DAI and WBTC, the components of index
+  async function startRebalance(targetUnits, newComponents = [], newTargetUnits = []) {
+    return singleIndexModule.connect(caller).startRebalance(newComponents, newTargetUnits, targetUnits, PRECISE_UNIT);
+  }
+
+  async function getUnit(component) {
+    return index.getDefaultPositionRealUnit(component.address);
+  }
+
+  describe('constructor', function () {
+    it('should set the correct addresses', async function () {
+      expect(await singleIndexModule._weth()).eq(weth.address);
+      expect(await singleIndexModule._uniswapRouter()).eq(uniswapRouter.address);
+      expect(await singleIndexModule._sushiswapRouter()).eq(sushiswapRouter.address);
+      expect(await singleIndexModule._balancerProxy()).eq(ZERO_ADDRESS);
+    });
+  });
+
+  describe('initialize', function () {
+    it('should set the index and the target units to the current units', async function () {
+      expect(await singleIndexModule._index()).eq(index.address);
+      expect((await singleIndexModule._tradeInfos(dai.address)).targetUnit).eq(ethToWei(23));
+      expect((await singleIndexModule._tradeInfos(wbtc.address)).targetUnit).eq(btcToWei(0.0025));
+    });
+
+    it('should revert when the module already has an index', async function () {
+      const matrixToken = await systemFixture.createMatrixToken([dai.address], [ethToWei(1)], [singleIndexModule.address], owner);
+      await expect(singleIndexModule.initialize(matrixToken.address)).revertedWith('S5');
+    });
+  });
+
+  describe('startRebalance', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+      caller = owner;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should set the target units of the current and new components', async function () {
+      await startRebalance([ethToWei(11.5), btcToWei(0.003)], [usdc.address], [usdToWei(10)]);
+
+      const targetUnits = await singleIndexModule.getTargetUnits([dai.address, wbtc.address, usdc.address]);
+      expect(targetUnits).deep.eq([ethToWei(11.5), btcToWei(0.003), usdToWei(10)]);
+      expect(await singleIndexModule.getRebalanceComponents()).deep.eq([dai.address, wbtc.address, usdc.address]);
+      expect(await singleIndexModule._positionMultiplier()).eq(PRECISE_UNIT);
+    });
+
+    it('should emit the UpdateTargetUnits event', async function () {
+      await expect(startRebalance([ethToWei(11.5), btcToWei(0.003)]))
+        .emit(singleIndexModule, 'UpdateTargetUnits')
+        .withArgs(dai.address, ethToWei(11.5), PRECISE_UNIT);
+    });
+
+    it('should revert when the new components and their target units have different lengths', async function () {
+      await expect(startRebalance(indexUnits, [usdc.address], [])).revertedWith('S0a');
+    });
+
+    it('should revert when the old target units do not match the current components', async function () {
+      await expect(startRebalance([ethToWei(23)])).revertedWith('S0b');
+    });
+
+    it('should revert when a new component is a current component', async function () {
+      await expect(startRebalance(indexUnits, [dai.address], [ethToWei(10)])).revertedWith('S0c');
+    });
+
+    it('should revert when WETH is a component', async function () {
+      await expect(startRebalance(indexUnits, [weth.address], [ethToWei(0.1)])).revertedWith('S0d');
+    });
+
+    it('should revert when the caller is not the index manager', async function () {
+      caller = randomAccount;
+      await expect(startRebalance(indexUnits)).revertedWith('M1a');
+    });
+  });
+
+  describe('settings', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should set the trade maximums, exchanges and cool-off periods', async function () {
+      await singleIndexModule.setTradeMaximums([dai.address, wbtc.address], [ethToWei(100), btcToWei(0.005)]);
+      await singleIndexModule.setExchanges([dai.address, wbtc.address], [EXCHANGE_ID.UNISWAP, EXCHANGE_ID.SUSHISWAP]);
+      await singleIndexModule.setCoolOffPeriods([dai.address, wbtc.address], [coolOffPeriod, coolOffPeriod * 2]);
+
+      const daiInfo = await singleIndexModule._tradeInfos(dai.address);
+      expect(daiInfo.maxSize).eq(ethToWei(100));
+      expect(daiInfo.exchange).eq(EXCHANGE_ID.UNISWAP);
+      expect(daiInfo.coolOffPeriod).eq(coolOffPeriod);
+
+      const wbtcInfo = await singleIndexModule._tradeInfos(wbtc.address);
+      expect(wbtcInfo.maxSize).eq(btcToWei(0.005));
+      expect(wbtcInfo.exchange).eq(EXCHANGE_ID.SUSHISWAP);
+      expect(wbtcInfo.coolOffPeriod).eq(coolOffPeriod * 2);
+    });
+
+    it('should revert when the exchange is unknown', async function () {
+      await expect(singleIndexModule.setExchanges([dai.address], [4])).revertedWith('S3');
+    });
+
+    it('should revert when the arrays are invalid', async function () {
+      await expect(singleIndexModule.setTradeMaximums([dai.address, wbtc.address], [ethToWei(100)])).revertedWith('S8a');
+      await expect(singleIndexModule.setTradeMaximums([], [])).revertedWith('S8b');
+      await expect(singleIndexModule.setCoolOffPeriods([dai.address, dai.address], [1, 2])).revertedWith('S8c');
+    });
+
+    it('should update the trader status and anyone trade', async function () {
+      await expect(singleIndexModule.updateTraderStatus([trader.address], [true]))
+        .emit(singleIndexModule, 'UpdateTraderStatus')
+        .withArgs(trader.address, true);
+      await singleIndexModule.updateAnyoneTrade(true);
+
+      expect(await singleIndexModule._tradeAllows(trader.address)).is.true;
+      expect(await singleIndexModule._anyoneTrade()).is.true;
+    });
+
+    it('should revert when the traders are invalid', async function () {
+      await expect(singleIndexModule.updateTraderStatus([trader.address], [])).revertedWith('S4a');
+      await expect(singleIndexModule.updateTraderStatus([], [])).revertedWith('S4b');
+      await expect(singleIndexModule.updateTraderStatus([trader.address, trader.address], [true, false])).revertedWith('S4c');
+    });
+
+    it('should revert when the caller is not the index manager', async function () {
+      await expect(singleIndexModule.connect(randomAccount).updateAnyoneTrade(true)).revertedWith('M1a');
+    });
+  });
+
+  describe('trade', function () {
+    const daiMaxSize = ethToWei(100);
+    const wbtcMaxSize = btcToWei(0.005);
+
+    let component;
+
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      // sell 115 DAI in 2 trades and buy 0.0125 WBTC in 3 trades
+      caller = owner;
+      await startRebalance([ethToWei(11.5), btcToWei(0.00375)]);
+      await singleIndexModule.setTradeMaximums([dai.address, wbtc.address], [daiMaxSize, wbtcMaxSize]);
+      await singleIndexModule.setCoolOffPeriods([dai.address, wbtc.address], [coolOffPeriod, coolOffPeriod]);
+      await singleIndexModule.setExchanges([dai.address, wbtc.address], [EXCHANGE_ID.UNISWAP, EXCHANGE_ID.SUSHISWAP]);
+      await singleIndexModule.updateTraderStatus([trader.address], [true]);
+
+      caller = trader;
+      component = dai;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function trade() {
+      return singleIndexModule.connect(caller).trade(component.address);
+    }
+
+    it('should sell the trade maximum of an overweight component for WETH', async function () {
+      const [, wethReceived] = await uniswapRouter.getAmountsOut(daiMaxSize, [dai.address, weth.address]);
+      await trade();
+
+      expect(await getUnit(dai)).eq(ethToWei(13));
+      expect(await getUnit(weth)).eq(preciseDiv(wethReceived, indexSupply));
+    });
+
+    it('should emit the ExecuteTrade event', async function () {
+      const [, wethReceived] = await uniswapRouter.getAmountsOut(daiMaxSize, [dai.address, weth.address]);
+      await expect(trade()).emit(singleIndexModule, 'ExecuteTrade').withArgs(trader.address, dai.address, weth.address, daiMaxSize, wethReceived);
+    });
+
+    it('should buy the trade maximum of an underweight component by its exchange', async function () {
+      await trade();
+      const wethUnit = await getUnit(weth);
+      const [wethSpent] = await sushiswapRouter.getAmountsIn(wbtcMaxSize, [weth.address, wbtc.address]);
+
+      component = wbtc;
+      await trade();
+
+      expect(await getUnit(wbtc)).eq(btcToWei(0.003));
+      expect(await getUnit(weth)).eq(preciseDiv(preciseMul(wethUnit, indexSupply).sub(wethSpent), indexSupply));
+    });
+
+    it('should trade the rest after the cool-off period', async function () {
+      await trade();
+      await expect(trade()).revertedWith('S6c');
+
+      await increaseBlockTime(coolOffPeriod);
+      await trade();
+      expect(await getUnit(dai)).eq(ethToWei(11.5));
+
+      await increaseBlockTime(coolOffPeriod);
+      await expect(trade()).revertedWith('S7');
+    });
+
+    it('should revert when the component is not in the rebalance', async function () {
+      component = usdc;
+      await expect(trade()).revertedWith('S6a');
+    });
+
+    it('should revert when the component has no exchange', async function () {
+      await singleIndexModule.connect(owner).setExchanges([dai.address], [EXCHANGE_ID.NONE]);
+      await expect(trade()).revertedWith('S6b');
+    });
+
+    it('should revert when the caller is not an allowed trader', async function () {
+      caller = randomAccount;
+      await expect(trade()).revertedWith('S9');
+    });
+
+    it('should allow anyone to trade', async function () {
+      await singleIndexModule.connect(owner).updateAnyoneTrade(true);
+
+      caller = randomAccount;
+      await trade();
+      expect(await getUnit(dai)).eq(ethToWei(13));
+    });
+  });
+
+  describe('tradeRemainingWETH', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      // sell 115 DAI in 1 trade, then buy WBTC with all of the WETH
+      caller = owner;
+      await startRebalance([ethToWei(11.5), btcToWei(0.0045)]);
+      await singleIndexModule.setTradeMaximums([dai.address, wbtc.address], [ethToWei(200), btcToWei(0.02)]);
+      await singleIndexModule.setExchanges([dai.address, wbtc.address], [EXCHANGE_ID.UNISWAP, EXCHANGE_ID.SUSHISWAP]);
+      await singleIndexModule.updateTraderStatus([trader.address], [true]);
+
+      caller = trader;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function tradeRemainingWETH() {
+      return singleIndexModule.connect(caller).tradeRemainingWETH(wbtc.address);
+    }
+
+    it('should trade all of the WETH for the component', async function () {
+      await singleIndexModule.connect(trader).trade(dai.address);
+      const wethBalance = await weth.balanceOf(index.address);
+      const [, wbtcReceived] = await sushiswapRouter.getAmountsOut(wethBalance, [weth.address, wbtc.address]);
+
+      await tradeRemainingWETH();
+
+      expect(await getUnit(weth)).eq(ZERO);
+      expect(await getUnit(wbtc)).eq(preciseDiv(btcToWei(0.025).add(wbtcReceived), indexSupply));
+    });
+
+    it('should revert when there are tokens to sell', async function () {
+      await expect(tradeRemainingWETH()).revertedWith('S1a');
+    });
+
+    it('should revert when the received quantity is not below the trade limit', async function () {
+      await singleIndexModule.connect(trader).trade(dai.address);
+      await singleIndexModule.connect(owner).setTradeMaximums([wbtc.address], [btcToWei(0.001)]);
+
+      await expect(tradeRemainingWETH()).revertedWith('S1b');
+    });
+  });
+
+  describe('raiseAssetTargets', function () {
+    let snapshotId;
+    beforeEach(async function () {
+      snapshotId = await snapshotBlockchain();
+
+      // every target is met after selling 115 DAI in 1 trade
+      caller = owner;
+      await startRebalance([ethToWei(11.5), btcToWei(0.0025)]);
+      await singleIndexModule.setTradeMaximums([dai.address], [ethToWei(200)]);
+      await singleIndexModule.setExchanges([dai.address], [EXCHANGE_ID.UNISWAP]);
+      await singleIndexModule.updateTraderStatus([trader.address], [true]);
+
+      caller = trader;
+    });
+
+    afterEach(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    async function raiseAssetTargets() {
+      return singleIndexModule.connect(caller).raiseAssetTargets();
+    }
+
+    it('should raise the targets 0.25%', async function () {
+      await singleIndexModule.connect(trader).trade(dai.address);
+      await raiseAssetTargets();
+
+      const positionMultiplier = preciseDiv(PRECISE_UNIT, ethToWei(1.0025));
+      const targetUnits = await singleIndexModule.getTargetUnits([dai.address, wbtc.address]);
+
+      expect(await singleIndexModule._positionMultiplier()).eq(positionMultiplier);
+      expect(targetUnits[0]).eq(ethToWei(11.5).mul(PRECISE_UNIT).div(positionMultiplier));
+      expect(targetUnits[1]).eq(btcToWei(0.0025).mul(PRECISE_UNIT).div(positionMultiplier));
+    });
+
+    it('should revert when a target is not met', async function () {
+      await expect(raiseAssetTargets()).revertedWith('S2');
+    });
+
+    it('should revert when the index has no WETH', async function () {
+      caller = owner;
+      await startRebalance(indexUnits);
+
+      caller = trader;
+      await expect(raiseAssetTargets()).revertedWith('S2');
+    });
+
+    it('should revert when the caller is not an allowed trader', async function () {
+      caller = randomAccount;
+      await expect(raiseAssetTargets()).revertedWith('S9');
+    });
+  });
+
+  describe('rebalance', function () {
+    let snapshotId;
+    before(async function () {
+      snapshotId = await snapshotBlockchain();
+    });
+
+    after(async function () {
+      await revertBlockchain(snapshotId);
+    });
+
+    it('should rebalance to the targets with trade maximums, cool-off periods and raised targets', async function () {
+      caller = owner;
+      await startRebalance([ethToWei(11.5), btcToWei(0.00375)]);
+      await singleIndexModule.setTradeMaximums([dai.address, wbtc.address], [ethToWei(100), btcToWei(0.005)]);
+      await singleIndexModule.setCoolOffPeriods([dai.address, wbtc.address], [coolOffPeriod, coolOffPeriod]);
+      await singleIndexModule.setExchanges([dai.address, wbtc.address], [EXCHANGE_ID.UNISWAP, EXCHANGE_ID.SUSHISWAP]);
+      await singleIndexModule.updateTraderStatus([trader.address], [true]);
+
+      const indexModule = singleIndexModule.connect(trader);
+
+      // sell 100 + 15 DAI and buy 0.005 + 0.005 + 0.0025 WBTC
+      for (let i = 0; i < 3; i++) {
+        if (i < 2) {
+          await indexModule.trade(dai.address);
+        }
+
+        await indexModule.trade(wbtc.address);
+        await increaseBlockTime(coolOffPeriod);
+      }
+
+      expect(await getUnit(dai)).eq(ethToWei(11.5));
+      expect(await getUnit(wbtc)).eq(btcToWei(0.00375));
+      expect(await getUnit(weth)).gt(ZERO);
+
+      // the WETH left raises the targets 0.25%, then buy both components to their new targets
+      await indexModule.raiseAssetTargets();
+      await indexModule.trade(dai.address);
+      await indexModule.trade(wbtc.address);
+
+      const [daiTargetUnit, wbtcTargetUnit] = await singleIndexModule.getTargetUnits([dai.address, wbtc.address]);
+      expect(await getUnit(dai)).eq(daiTargetUnit);
+      expect(await getUnit(wbtc)).eq(wbtcTargetUnit);
+      expect(await getUnit(weth)).gt(ZERO);
+    });
+  });
+});
@@ -16,6 +16,7 @@ const { ethToWei, btcToWei } = require('../../helpers/unitUtil');
 const { SystemFixture } = require('../../fixtures/systemFixture');
 const { KyberV1Fixture } = require('../../fixtures/kyberV1Fixture');
 const { UniswapFixture } = require('../../fixtures/uniswapFixture');
+const { UniswapV3Fixture, FEE_MEDIUM } = require('../../fixtures/uniswapV3Fixture');
 const { getSigners, getRandomAddress } = require('../../helpers/accountUtil');
 const { snapshotBlockchain, revertBlockchain } = require('../../helpers/evmUtil.js');
 const { ZERO, MAX_UINT_256, ZERO_ADDRESS, EMPTY_BYTES } = require('../../helpers/constants');
@@ -24,6 +25,7 @@ describe('contract TradeModule', function () {
   const [owner, protocolFeeRecipient, manager, mockModule, randomAccount] = getSigners();
   const systemFixture = new SystemFixture(owner, protocolFeeRecipient);
   const uniswapFixture = new UniswapFixture(owner);
+  const uniswapV3Fixture = new UniswapV3Fixture(owner);
   const kyberV1Fixture = new KyberV1Fixture(owner);
   const kyberLegacyAdapterName = 'KYBER_LEGACY_ADAPTER';
   const kyberV1AdapterName = 'KYBER_V1_ADAPTER';
@@ -33,6 +35,7 @@ describe('contract TradeModule', function () {
   const uniswapV2AdapterName = 'UNISWAP_V2_ADAPTER';
   const uniswapV2AdapterV2Name = 'UNISWAP_V2_ADAPTER_V2';
   const uniswapV2TransferFeeAdapterName = 'UNISWAP_V2_TRANSFER_FEE_ADAPTER';
+  const uniswapV3AdapterName = 'UNISWAP_V3_ADAPTER';
   const wbtcRate = ethToWei(33); // 1 WBTC = 33 ETH
 
   let caller;
@@ -50,6 +53,7 @@ describe('contract TradeModule', function () {
   let uniswapV2ExchangeAdapter;
   let uniswapV2ExchangeAdapterV2;
   let uniswapV2TransferFeeExchangeAdapter;
+  let uniswapV3ExchangeAdapter;
 
   let snapshotId;
   before(async function () {
@@ -58,6 +62,7 @@ describe('contract TradeModule', function () {
     await systemFixture.initAll();
     await uniswapFixture.init(systemFixture.weth.address, systemFixture.wbtc.address, systemFixture.dai.address);
     await kyberV1Fixture.init(systemFixture.weth.address, systemFixture.wbtc.address, systemFixture.dai.address);
+    await uniswapV3Fixture.init(systemFixture.weth, systemFixture.wbtc, systemFixture.dai);
 
     tradeModule = await deployContract('TradeModule', [systemFixture.controller.address, 'TradeModule'], owner);
     await systemFixture.controller.addModule(tradeModule.address);
@@ -96,6 +101,7 @@ describe('contract TradeModule', function () {
     uniswapV2ExchangeAdapter = await deployContract('UniswapV2ExchangeAdapter', [uniswapFixture.router.address], owner);
     uniswapV2ExchangeAdapterV2 = await deployContract('UniswapV2ExchangeAdapterV2', [uniswapFixture.router.address], owner);
     uniswapV2TransferFeeExchangeAdapter = await deployContract('UniswapV2TransferFeeExchangeAdapter', [uniswapFixture.router.address], owner);
+    uniswapV3ExchangeAdapter = await deployContract('UniswapV3ExchangeAdapter', [uniswapV3Fixture.swapRouter.address], owner);
 
     await systemFixture.integrationRegistry.addIntegration(tradeModule.address, kyberLegacyAdapterName, kyberLegacyExchangeAdapter.address);
     await systemFixture.integrationRegistry.addIntegration(tradeModule.address, kyberV1AdapterName, kyberV1ExchangeAdapter.address);
@@ -105,6 +111,7 @@ describe('contract TradeModule', function () {
     await systemFixture.integrationRegistry.addIntegration(tradeModule.address, uniswapV2AdapterName, uniswapV2ExchangeAdapter.address);
     await systemFixture.integrationRegistry.addIntegration(tradeModule.address, uniswapV2AdapterV2Name, uniswapV2ExchangeAdapterV2.address);
     await systemFixture.integrationRegistry.addIntegration(tradeModule.address, uniswapV2TransferFeeAdapterName, uniswapV2TransferFeeExchangeAdapter.address);
+    await systemFixture.integrationRegistry.addIntegration(tradeModule.address, uniswapV3AdapterName, uniswapV3ExchangeAdapter.address);
   });
 
   after(async function () {
@@ -1702,6 +1709,113 @@ describe('contract TradeModule', function () {
           });
         });
       });
+
+      context('when trading a Default component on Uniswap V3', async function () {
+        beforeEach(async function () {
+          // the pool is at 230/9000 btc/eth, about 39.13 WETH for 1 WBTC
+          await uniswapV3Fixture.addLiquidity(systemFixture.weth, systemFixture.wbtc, FEE_MEDIUM, ethToWei(3400), btcToWei(100));
+
+          await tradeModule.connect(manager).initialize(matrixToken.address);
+
+          srcTokenQuantity = wbtcUnits;
+
+          // Transfer srcToken from owner to manager for issuance
+          await srcToken.connect(owner).transfer(manager.address, wbtcUnits.mul(100));
+
+          // Approve tokens to Controller and call issue
+          await srcToken.connect(manager).approve(systemFixture.basicIssuanceModule.address, MAX_UINT_256);
+
+          // Deploy mock issuance hook and initialize issuance module
+          managerIssuanceHookMock = await deployContract('ManagerIssuanceHookMock', [], owner);
+          await systemFixture.basicIssuanceModule.connect(manager).initialize(matrixToken.address, managerIssuanceHookMock.address);
+
+          issueQuantity = ethToWei(1);
+          await systemFixture.basicIssuanceModule.connect(manager).issue(matrixToken.address, issueQuantity, owner.address);
+
+          caller = manager;
+          srcQuantity = srcTokenQuantity;
+          srcTokenAddress = srcToken.address;
+          adapterName = uniswapV3AdapterName;
+          destTokenAddress = destToken.address;
+          matrixTokenAddress = matrixToken.address;
+          minDestQuantity = ethToWei(38); // Receive a min of 38 WETH for 1 WBTC
+          dataBytes = await uniswapV3ExchangeAdapter.generateDataParam([srcTokenAddress, destTokenAddress], [FEE_MEDIUM]);
+        });
+
+        async function trade() {
+          return tradeModule.connect(caller).trade(matrixTokenAddress, adapterName, srcTokenAddress, srcQuantity, destTokenAddress, minDestQuantity, dataBytes);
+        }
+
+        it('should transfer the correct components to the MatrixToken', async function () {
+          const expectedReceiveQuantity = await uniswapV3Fixture.quoter.callStatic.quoteExactInput(dataBytes, srcQuantity);
+
+          const oldDestTokenBalance = await destToken.balanceOf(matrixToken.address);
+          await trade();
+          const newDestTokenBalance = await destToken.balanceOf(matrixToken.address);
+
+          expect(newDestTokenBalance.sub(oldDestTokenBalance)).eq(expectedReceiveQuantity);
+        });
+
+        it('should transfer the correct components from the MatrixToken', async function () {
+          const oldSrcTokenBalance = await srcToken.balanceOf(matrixToken.address);
+          await trade();
+          const newSrcTokenBalance = await srcToken.balanceOf(matrixToken.address);
+
+          const totalSrcQuantity = issueQuantity.mul(srcTokenQuantity).div(ethToWei(1));
+          expect(oldSrcTokenBalance.sub(newSrcTokenBalance)).eq(totalSrcQuantity);
+        });
+
+        it('should update the positions on the MatrixToken correctly', async function () {
+          const oldPositions = await matrixToken.getPositions();
+          expect(oldPositions.length).eq(1);
+
+          const expectedReceiveQuantity = await uniswapV3Fixture.quoter.callStatic.quoteExactInput(dataBytes, srcQuantity);
+
+          // All WBTC is sold for WETH
+          await trade();
+
+          const newPositions = await matrixToken.getPositions();
+          expect(newPositions.length).eq(1);
+
+          const newFirstPosition = newPositions[0];
+          expect(newFirstPosition.module).eq(ZERO_ADDRESS);
+          expect(newFirstPosition.component).eq(destToken.address);
+          expect(newFirstPosition.unit).eq(expectedReceiveQuantity);
+        });
+
+        it('should revert when the path does not start with the source token', async function () {
+          dataBytes = await uniswapV3ExchangeAdapter.generateDataParam([destTokenAddress, srcTokenAddress], [FEE_MEDIUM]);
+          await expect(trade()).revertedWith('UcEA0a');
+        });
+
+        it('should revert when slippage is greater than allowed', async function () {
+          minDestQuantity = ethToWei(40);
+          await expect(trade()).revertedWith('Too little received');
+        });
+
+        describe('when path is through multiple trading pairs', function () {
+          beforeEach(async function () {
+            await uniswapV3Fixture.addLiquidity(systemFixture.weth, systemFixture.dai, FEE_MEDIUM, ethToWei(1000), ethToWei(230000));
+
+            destTokenAddress = systemFixture.dai.address;
+            minDestQuantity = ethToWei(8800);
+            dataBytes = await uniswapV3ExchangeAdapter.generateDataParam(
+              [srcTokenAddress, systemFixture.weth.address, destTokenAddress],
+              [FEE_MEDIUM, FEE_MEDIUM]
+            );
+          });
+
+          it('should transfer the correct components to the MatrixToken', async function () {
+            const expectedReceiveQuantity = await uniswapV3Fixture.quoter.callStatic.quoteExactInput(dataBytes, srcQuantity);
+
+            const oldDestTokenBalance = await systemFixture.dai.balanceOf(matrixToken.address);
+            await trade();
+            const newDestTokenBalance = await systemFixture.dai.balanceOf(matrixToken.address);
+
+            expect(newDestTokenBalance.sub(oldDestTokenBalance)).eq(expectedReceiveQuantity);
+          });
+        });
+      });
     });
 
     describe('removeModule', function () {